@@ -1,6 +1,8 @@
 // SPDX-License-Identifier: MIT
 pragma solidity ^0.8.0;
 
+import "./interfaces/IOracleAdapter.sol";
+
 // API3 Reader Proxy interface
 interface IApi3ReaderProxy {
     function read() external view returns (int224 value, uint32 timestamp);
@@ -11,7 +13,7 @@ interface IApi3ReaderProxy {
  * @dev Adapter contract that standardizes the API3 oracle interface for our PriceAggregator
  * Uses API3 Reader Proxy contracts to fetch price data
  */
-contract API3Adapter {
+contract API3Adapter is IOracleAdapter {
     
     IApi3ReaderProxy public immutable dataFeed;
     string public asset;
@@ -66,6 +68,21 @@ contract API3Adapter {
         return int256(answer);
     }
     
+    /**
+     * @dev Standard adapter read: the latest value, flagged unhealthy when it is not positive
+     * or older than the heartbeat
+     */
+    function latestPriceData() external view override returns (int256, uint256, uint8, bool, bool) {
+        (int224 answer, uint32 updatedAt) = dataFeed.read();
+        
+        bool healthy = answer > 0 &&
+            updatedAt > 0 &&
+            updatedAt <= block.timestamp &&
+            block.timestamp - uint256(updatedAt) <= heartbeat;
+        
+        return (int256(answer), uint256(updatedAt), decimals, healthy, false);
+    }
+    
     /**
      * @dev Get the latest value with custom staleness requirement
      * @param _maxAge Maximum age in seconds for the data to be considered fresh
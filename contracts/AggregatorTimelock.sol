@@ -0,0 +1,28 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.0;
+
+import "@openzeppelin/contracts/governance/TimelockController.sol";
+
+/**
+ * @title AggregatorTimelock
+ * @dev Holds PriceAggregator's TIMELOCK_ROLE, so weight, removal and enable changes of oracles and pair
+ * sources, outlier filter, circuit breaker, minimum response, staleness and Tellor dispute window
+ * changes are queued (schedule, emitting CallScheduled) and can only be executed once the
+ * delay has passed, leaving time to review or cancel them. Proposers queue and cancel, executors run
+ * ready operations (address(0) lets anyone execute). The delay itself changes through a queued
+ * updateDelay call on the timelock.
+ */
+contract AggregatorTimelock is TimelockController {
+    /**
+     * @param minDelay Minimum seconds between queueing and executing an operation
+     * @param proposers Accounts allowed to queue and cancel operations
+     * @param executors Accounts allowed to execute ready operations, address(0) for anyone
+     * @param admin Optional account that may grant timelock roles without delay, address(0) for none
+     */
+    constructor(
+        uint256 minDelay,
+        address[] memory proposers,
+        address[] memory executors,
+        address admin
+    ) TimelockController(minDelay, proposers, executors, admin) {}
+}
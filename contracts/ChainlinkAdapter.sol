@@ -2,12 +2,13 @@
 pragma solidity ^0.8.0;
 
 import "./interfaces/IAggregatorV3.sol";
+import "./interfaces/IOracleAdapter.sol";
 
 /**
  * @title ChainlinkAdapter
  * @dev Adapter contract that standardizes the Chainlink oracle interface for our PriceAggregator
  */
-contract ChainlinkAdapter {
+contract ChainlinkAdapter is IOracleAdapter {
     IAggregatorV3 public immutable dataFeed;
     string public asset;
     string public currency;
@@ -49,14 +50,15 @@ contract ChainlinkAdapter {
         (
             uint80 roundId,
             int256 answer,
-            ,
+            uint256 startedAt,
             uint256 updatedAt,
             uint80 answeredInRound
         ) = dataFeed.latestRoundData();
         
         require(answer > 0, "Invalid price data");
         require(updatedAt > 0, "Price not updated");
-        require(roundId == answeredInRound, "Stale price data");
+        require(startedAt > 0, "Round not complete");
+        require(answeredInRound >= roundId, "Stale price data");
         
         // Check data freshness
         uint256 age = block.timestamp - updatedAt;
@@ -65,6 +67,41 @@ contract ChainlinkAdapter {
         return answer;
     }
     
+    /**
+     * @dev Standard adapter read: the latest answer, flagged unhealthy when it is not positive,
+     * comes from an incomplete round, was carried over from an earlier round or is older than the heartbeat
+     */
+    function latestPriceData() external view override returns (int256, uint256, uint8, bool, bool) {
+        (
+            uint80 roundId,
+            int256 answer,
+            uint256 startedAt,
+            uint256 updatedAt,
+            uint80 answeredInRound
+        ) = dataFeed.latestRoundData();
+        
+        bool healthy = answer > 0 &&
+            updatedAt > 0 &&
+            isRoundComplete(roundId, startedAt, answeredInRound) &&
+            updatedAt <= block.timestamp &&
+            block.timestamp - updatedAt <= heartbeat;
+        
+        return (answer, updatedAt, decimals, healthy, false);
+    }
+    
+    /**
+     * @dev Chainlink aggregator passthrough so the adapter can be registered as a Chainlink (type 0) source
+     */
+    function latestRoundData() external view returns (
+        uint80 roundId,
+        int256 answer,
+        uint256 startedAt,
+        uint256 updatedAt,
+        uint80 answeredInRound
+    ) {
+        return dataFeed.latestRoundData();
+    }
+    
     /**
      * @dev Get the latest value with custom staleness requirement
      * @param _maxAge Maximum age in seconds for the data to be considered fresh
@@ -75,14 +112,15 @@ contract ChainlinkAdapter {
         (
             uint80 roundId,
             int256 answer,
-            ,
+            uint256 startedAt,
             uint256 updatedAt,
             uint80 answeredInRound
         ) = dataFeed.latestRoundData();
         
         require(answer > 0, "Invalid price data");
         require(updatedAt > 0, "Price not updated");
-        require(roundId == answeredInRound, "Stale price data");
+        require(startedAt > 0, "Round not complete");
+        require(answeredInRound >= roundId, "Stale price data");
         
         // Check custom age requirement
         uint256 age = block.timestamp - updatedAt;
@@ -113,7 +151,7 @@ contract ChainlinkAdapter {
         
         require(answer > 0, "Invalid price data for round");
         require(updatedAt > 0, "Round not updated");
-        require(roundId == answeredInRound, "Incomplete round data");
+        require(isRoundComplete(roundId, roundStartedAt, answeredInRound), "Incomplete round data");
         
         return (answer, updatedAt, roundStartedAt);
     }
@@ -154,7 +192,7 @@ contract ChainlinkAdapter {
                 uint256 updatedAt,
                 uint80 answeredInRound
             ) {
-                if (answer > 0 && updatedAt > 0 && roundId == answeredInRound) {
+                if (answer > 0 && updatedAt > 0 && isRoundComplete(roundId, startedAt, answeredInRound)) {
                     values[validRounds] = answer;
                     timestamps[validRounds] = updatedAt;
                     roundIds[validRounds] = roundId;
@@ -183,13 +221,13 @@ contract ChainlinkAdapter {
         (
             uint80 roundId,
             int256 answer,
-            ,
+            uint256 startedAt,
             uint256 updatedAt,
             uint80 answeredInRound
         ) = dataFeed.latestRoundData();
         
         // Return 0 for invalid data instead of reverting for compatibility
-        if (answer <= 0 || updatedAt == 0 || roundId != answeredInRound) {
+        if (answer <= 0 || updatedAt == 0 || !isRoundComplete(roundId, startedAt, answeredInRound)) {
             return 0;
         }
         
@@ -352,4 +390,12 @@ contract ChainlinkAdapter {
     function emitStaleDataWarning(uint256 timestamp, uint256 age) external {
         emit StaleDataWarning(timestamp, age);
     }
+    
+    /**
+     * @dev A round is complete once it has started and its answer was computed in that round
+     * or a later one; an answer carried over from an earlier round is stale
+     */
+    function isRoundComplete(uint80 roundId, uint256 startedAt, uint80 answeredInRound) internal pure returns (bool) {
+        return startedAt > 0 && answeredInRound >= roundId;
+    }
 }
\ No newline at end of file
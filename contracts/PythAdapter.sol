@@ -0,0 +1,201 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.0;
+
+import "./interfaces/IPyth.sol";
+import "./interfaces/IOracleAdapter.sol";
+
+/**
+ * @title PythAdapter
+ * @dev Adapter contract that standardizes a Pyth price feed for our PriceAggregator.
+ * Pyth is a pull oracle: prices only move on-chain when someone submits signed update data,
+ * which updatePriceFeeds forwards together with the update fee. Prices are scaled from the
+ * feed's exponent to 18 decimals and rejected when the confidence interval is too wide
+ * relative to the price.
+ */
+contract PythAdapter is IOracleAdapter {
+    IPyth public immutable pyth;
+    bytes32 public immutable priceId;
+    string public asset;
+    string public currency;
+    uint256 public immutable heartbeat;
+    uint256 public immutable maxConfidenceBps; // Widest accepted confidence interval, in basis points of the price
+    uint8 public constant decimals = 18;
+
+    event PriceFeedsUpdated(bytes32 indexed priceId, uint256 fee);
+
+    /**
+     * @dev Constructor to set the Pyth contract, the price feed and its acceptance bounds
+     * @param _pyth Address of the Pyth price feed contract
+     * @param _priceId The Pyth price feed id (e.g. the ETH/USD feed id)
+     * @param _asset The asset symbol (e.g. "ETH")
+     * @param _currency The currency symbol (e.g. "USD")
+     * @param _heartbeat Maximum accepted age of a price (in seconds)
+     * @param _maxConfidenceBps Widest accepted confidence interval relative to the price (100 = 1%)
+     */
+    constructor(
+        address _pyth,
+        bytes32 _priceId,
+        string memory _asset,
+        string memory _currency,
+        uint256 _heartbeat,
+        uint256 _maxConfidenceBps
+    ) {
+        require(_pyth != address(0), "Invalid Pyth address");
+        require(_priceId != bytes32(0), "Invalid price id");
+        require(_heartbeat > 0, "Heartbeat must be positive");
+        require(_maxConfidenceBps > 0 && _maxConfidenceBps <= 10000, "Invalid confidence bound");
+
+        pyth = IPyth(_pyth);
+        priceId = _priceId;
+        asset = _asset;
+        currency = _currency;
+        heartbeat = _heartbeat;
+        maxConfidenceBps = _maxConfidenceBps;
+    }
+
+    /**
+     * @dev Get the latest price with 18 decimals, rejecting stale and uncertain prices
+     * @return value The latest price value
+     */
+    function getLatestValue() external view returns (int256) {
+        (int256 value, ) = getLatestValueWithAge(heartbeat);
+        return value;
+    }
+
+    /**
+     * @dev Get the latest value with custom staleness requirement
+     * @param _maxAge Maximum age in seconds for the data to be considered fresh
+     * @return value The latest price value with 18 decimals
+     * @return timestamp The publish time of the price
+     */
+    function getLatestValueWithAge(uint256 _maxAge) public view returns (int256 value, uint256 timestamp) {
+        IPyth.Price memory data = pyth.getPriceUnsafe(priceId);
+
+        require(data.price > 0, "Invalid price data");
+        require(data.publishTime > 0, "Price not updated");
+        require(isFresh(data.publishTime, _maxAge), "Data exceeds maximum age");
+        require(isConfident(data), "Confidence interval too wide");
+
+        return (scale(data.price, data.expo), data.publishTime);
+    }
+
+    /**
+     * @dev Get the latest price and its confidence interval without validating them
+     * @return value The latest price with 18 decimals
+     * @return confidence The confidence interval with 18 decimals
+     * @return timestamp The publish time of the price
+     */
+    function getPriceWithConfidence() external view returns (int256 value, uint256 confidence, uint256 timestamp) {
+        IPyth.Price memory data = pyth.getPriceUnsafe(priceId);
+
+        value = scale(data.price, data.expo);
+        confidence = uint256(scale(int256(uint256(data.conf)), data.expo));
+        return (value, confidence, data.publishTime);
+    }
+
+    /**
+     * @dev Standard adapter read: the latest price with 18 decimals, flagged unhealthy when it is
+     * not positive, older than the heartbeat or its confidence interval is too wide, and with a
+     * zero price when its exponent cannot be scaled
+     */
+    function latestPriceData() external view override returns (int256, uint256, uint8, bool, bool) {
+        try pyth.getPriceUnsafe(priceId) returns (IPyth.Price memory data) {
+            if (!isSupportedExponent(data.expo)) {
+                // The price cannot be expressed with 18 decimals
+                return (0, data.publishTime, decimals, false, false);
+            }
+
+            bool healthy = data.price > 0 &&
+                isFresh(data.publishTime, heartbeat) &&
+                isConfident(data);
+
+            return (scale(data.price, data.expo), data.publishTime, decimals, healthy, false);
+        } catch {
+            // The feed has never been updated on this chain
+            return (0, 0, decimals, false, false);
+        }
+    }
+
+    /**
+     * @dev Get the publish time of the latest price
+     * @return The timestamp of the last price update
+     */
+    function getLastUpdateTimestamp() external view returns (uint256) {
+        return pyth.getPriceUnsafe(priceId).publishTime;
+    }
+
+    /**
+     * @dev Get the fee Pyth charges for a price update
+     * @param updateData The signed update data from Pyth's price service
+     * @return The fee in wei
+     */
+    function getUpdateFee(bytes[] calldata updateData) external view returns (uint256) {
+        return pyth.getUpdateFee(updateData);
+    }
+
+    /**
+     * @dev Submit signed update data to Pyth, paying the fee from msg.value and refunding the rest
+     * @param updateData The signed update data from Pyth's price service
+     */
+    function updatePriceFeeds(bytes[] calldata updateData) public payable {
+        uint256 fee = pyth.getUpdateFee(updateData);
+        require(msg.value >= fee, "Insufficient update fee");
+
+        pyth.updatePriceFeeds{value: fee}(updateData);
+        emit PriceFeedsUpdated(priceId, fee);
+
+        if (msg.value > fee) {
+            (bool refunded, ) = msg.sender.call{value: msg.value - fee}("");
+            require(refunded, "Refund failed");
+        }
+    }
+
+    /**
+     * @dev Submit signed update data to Pyth, then read the latest price like getLatestValue
+     * @param updateData The signed update data from Pyth's price service
+     * @return value The latest price value with 18 decimals
+     */
+    function updateAndGetLatestValue(bytes[] calldata updateData) external payable returns (int256 value) {
+        updatePriceFeeds(updateData);
+        (value, ) = getLatestValueWithAge(heartbeat);
+    }
+
+    /**
+     * @dev Get the description for this adapter
+     * @return description A descriptive string of the price feed
+     */
+    function getDescription() external view returns (string memory) {
+        return string(abi.encodePacked(asset, " / ", currency));
+    }
+
+    function isFresh(uint256 publishTime, uint256 maxAge) internal view returns (bool) {
+        return publishTime > 0 && publishTime <= block.timestamp && block.timestamp - publishTime <= maxAge;
+    }
+
+    function isConfident(IPyth.Price memory data) internal view returns (bool) {
+        // conf and price share the exponent, so the ratio needs no scaling
+        return data.price > 0 &&
+            uint256(data.conf) * 10000 <= uint256(int256(data.price)) * maxConfidenceBps;
+    }
+
+    /**
+     * @dev Whether scale can convert prices with this exponent to 18 decimals
+     */
+    function isSupportedExponent(int32 expo) internal pure returns (bool) {
+        int256 exponent = int256(expo) + int256(uint256(decimals));
+        return exponent >= -38 && exponent <= 38;
+    }
+
+    /**
+     * @dev Converts `value * 10^expo` to a value with 18 decimals
+     */
+    function scale(int256 value, int32 expo) internal pure returns (int256) {
+        require(isSupportedExponent(expo), "Unsupported exponent");
+        int256 exponent = int256(expo) + int256(uint256(decimals));
+
+        if (exponent >= 0) {
+            return value * int256(10 ** uint256(exponent));
+        }
+        return value / int256(10 ** uint256(-exponent));
+    }
+}
@@ -2,20 +2,29 @@
 pragma solidity ^0.8.0;
 
 import "usingtellor/contracts/UsingTellor.sol";
+import "./interfaces/IOracleAdapter.sol";
 
 /**
  * @title TellorAdapter
- * @dev Adapter contract that standardizes the Tellor oracle interface for our PriceAggregator
+ * @dev Adapter contract that standardizes the Tellor oracle interface for our PriceAggregator.
+ * With a dispute buffer set, the latest value reads (getLatestValue, getLatestValueWithStatus,
+ * latestPriceData, getLatestValueWithAge and retrieveData) only consume reports at least that old,
+ * so a report can still be disputed before anything reads it. The owner configures the buffer.
  */
-contract TellorAdapter is UsingTellor {
+contract TellorAdapter is UsingTellor, IOracleAdapter {
     bytes32 public immutable queryId;
     string public asset;
     string public currency;
+    address public owner;
+    uint256 public disputeBuffer; // Latest value reads skip reports younger than this, 0 reads the newest report
+    uint256 public maxAge; // Latest value reads treat older reports as missing, 0 for no limit
+    uint256 public constant MAX_UNDISPUTED_LOOKBACK = 20; // Most reports getUndisputedValueBefore checks
     
     // Events for better tracking
     event PriceRetrieved(uint256 value, uint256 timestamp);
     event StaleDataWarning(uint256 timestamp, uint256 age);
     event DecodingError(bytes data, string reason);
+    event DisputeBufferUpdated(uint256 disputeBuffer, uint256 maxAge);
     
     /**
      * @dev Constructor to set the Tellor oracle address and query parameters
@@ -31,6 +40,47 @@ contract TellorAdapter is UsingTellor {
         // Generate the queryId using the standard Tellor format
         bytes memory _queryData = abi.encode("SpotPrice", abi.encode(_asset, _currency));
         queryId = keccak256(_queryData);
+        owner = msg.sender;
+    }
+    
+    modifier onlyOwner() {
+        require(msg.sender == owner, "Not authorized");
+        _;
+    }
+    
+    /**
+     * @notice Sets how old a report must be before the latest value reads consume it, and how old it may get
+     * @param _disputeBuffer Seconds a report must have stood, 0 to read the newest report
+     * @param _maxAge Seconds after which a report counts as missing, 0 for no limit
+     */
+    function setDisputeBuffer(uint256 _disputeBuffer, uint256 _maxAge) external onlyOwner {
+        require(_maxAge == 0 || _maxAge > _disputeBuffer, "Max age must exceed dispute buffer");
+        disputeBuffer = _disputeBuffer;
+        maxAge = _maxAge;
+        emit DisputeBufferUpdated(_disputeBuffer, _maxAge);
+    }
+    
+    /**
+     * @notice Transfer ownership to a new address
+     * @param newOwner The new owner address
+     */
+    function transferOwnership(address newOwner) external onlyOwner {
+        require(newOwner != address(0), "New owner cannot be zero address");
+        owner = newOwner;
+    }
+    
+    /**
+     * @dev The report the latest value reads consume: the newest one at least disputeBuffer old,
+     * as long as it is no older than maxAge
+     * @return _value The raw report, empty if there is none
+     * @return _timestampRetrieved The timestamp of the report, 0 if there is none
+     */
+    function _getLatestData() private view returns (bytes memory _value, uint256 _timestampRetrieved) {
+        (_value, _timestampRetrieved) = _getDataBefore(queryId, block.timestamp - disputeBuffer);
+        
+        if (maxAge != 0 && block.timestamp - _timestampRetrieved > maxAge) {
+            return ("", 0);
+        }
     }
     
     /**
@@ -87,8 +137,7 @@ contract TellorAdapter is UsingTellor {
      * @return value The latest price value in USD
      */
     function getLatestValue() external view returns (int256) {
-        (bytes memory _value, uint256 _timestampRetrieved) = 
-            _getDataBefore(queryId, block.timestamp);
+        (bytes memory _value, uint256 _timestampRetrieved) = _getLatestData();
         
         // Check if data exists
         if (_timestampRetrieved == 0) return 0;
@@ -102,7 +151,7 @@ contract TellorAdapter is UsingTellor {
     }
     
     /**
-     * @dev Get the age of the latest data in seconds
+     * @dev Get the age of the newest report in seconds, whatever the dispute buffer
      * @return age The age of the latest data in seconds (0 if no data)
      */
     function getDataAge() external view returns (uint256) {
@@ -126,8 +175,7 @@ contract TellorAdapter is UsingTellor {
         uint256 age, 
         bool disputed
     ) {
-        (bytes memory _value, uint256 _timestampRetrieved) = 
-            _getDataBefore(queryId, block.timestamp);
+        (bytes memory _value, uint256 _timestampRetrieved) = _getLatestData();
         
         if (_timestampRetrieved == 0) {
             return (0, 0, 0, false);
@@ -146,6 +194,21 @@ contract TellorAdapter is UsingTellor {
         return (finalValue, _timestampRetrieved, dataAge, false);
     }
     
+    /**
+     * @dev Standard adapter read: the latest value with 18 decimals (Tellor SpotPrice format).
+     * A disputed value is still returned, flagged disputed and unhealthy.
+     */
+    function latestPriceData() external view override returns (int256, uint256, uint8, bool, bool) {
+        (bytes memory _value, uint256 _timestampRetrieved) = _getLatestData();
+        
+        if (_timestampRetrieved == 0) return (0, 0, 18, false, false);
+        
+        bool disputed = _isInDispute(queryId, _timestampRetrieved);
+        (bool success, uint256 decodedValue) = _safeDecodeData(_value);
+        
+        return (int256(decodedValue), _timestampRetrieved, 18, success && !disputed, disputed);
+    }
+    
     /**
      * @dev Get the latest value with custom freshness requirement
      * @param _maxAge Maximum age in seconds for the data to be considered fresh
@@ -153,8 +216,7 @@ contract TellorAdapter is UsingTellor {
      * @return timestamp The timestamp of the retrieved value
      */
     function getLatestValueWithAge(uint256 _maxAge) external view returns (int256 value, uint256 timestamp) {
-        (bytes memory _value, uint256 _timestampRetrieved) = 
-            _getDataBefore(queryId, block.timestamp);
+        (bytes memory _value, uint256 _timestampRetrieved) = _getLatestData();
         
         if (_timestampRetrieved == 0) return (0, 0);
         
@@ -232,12 +294,34 @@ contract TellorAdapter is UsingTellor {
         return (decodedValue, _timestampRetrieved);
     }
     
+    /**
+     * @dev Get the latest undisputed value reported at or before a timestamp, walking back past
+     * disputed reports. PriceAggregator falls back to it when the latest value is disputed.
+     * Only the MAX_UNDISPUTED_LOOKBACK newest reports are checked, so a run of disputes cannot
+     * make the read run out of gas.
+     * @param _timestamp The timestamp to search before
+     * @return value The price value with 18 decimals, 0 if there is none
+     * @return timestampRetrieved The timestamp of the retrieved value, 0 if there is none
+     */
+    function getUndisputedValueBefore(uint256 _timestamp) external view returns (int256 value, uint256 timestampRetrieved) {
+        (bool found, uint256 index) = _getIndexForDataBefore(queryId, _timestamp);
+        if (!found) return (0, 0);
+        
+        uint256 last = index + 1 > MAX_UNDISPUTED_LOOKBACK ? index + 1 - MAX_UNDISPUTED_LOOKBACK : 0;
+        for (uint256 i = index + 1; i > last; i--) {
+            uint256 _reportedAt = _getTimestampbyQueryIdandIndex(queryId, i - 1);
+            if (_isInDispute(queryId, _reportedAt)) continue;
+            
+            (bool success, uint256 decodedValue) = _safeDecodeData(_retrieveData(queryId, _reportedAt));
+            return success ? (int256(decodedValue), _reportedAt) : (int256(0), 0);
+        }
+    }
+    
     /**
      * @dev Fallback method to maintain compatibility with the interface
      */
     function retrieveData() external view returns (uint256) {
-        (bytes memory _value, uint256 _timestampRetrieved) = 
-            _getDataBefore(queryId, block.timestamp);
+        (bytes memory _value, uint256 _timestampRetrieved) = _getLatestData();
             
         if (_timestampRetrieved == 0) return 0;
         
@@ -249,7 +333,7 @@ contract TellorAdapter is UsingTellor {
     }
     
     /**
-     * @dev Get the timestamp of the last Tellor update
+     * @dev Get the timestamp of the last Tellor update, whatever the dispute buffer
      * @return The timestamp of the last value
      */
     function getLastUpdateTimestamp() external view returns (uint256) {
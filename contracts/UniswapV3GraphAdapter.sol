@@ -2,16 +2,20 @@
 pragma solidity ^0.8.0;
 
 import "./interfaces/IUniswapV3Oracle.sol";
+import "./interfaces/IOracleAdapter.sol";
 
 /**
  * @title UniswapV3GraphAdapter
  * @dev Adapter for Uniswap V3 price data that's designed to work with off-chain GraphQL data
  * This contract acts as a placeholder that's updated by an external service fetching GraphQL data
  */
-contract UniswapV3GraphAdapter is IUniswapV3Oracle {
+contract UniswapV3GraphAdapter is IUniswapV3Oracle, IOracleAdapter {
     address public owner;
-    int56 private _mockTickCumulative1;
-    int56 private _mockTickCumulative2;
+    
+    // Pair served by the single-feed reads (latestPriceData, retrieveData, observe)
+    address public immutable defaultTokenA;
+    address public immutable defaultTokenB;
+    uint24 public immutable defaultFee;
     
     // Price data structure
     struct PriceData {
@@ -21,17 +25,31 @@ contract UniswapV3GraphAdapter is IUniswapV3Oracle {
         uint256 liquidity;
     }
     
+    // Mock tick cumulatives that make TWAPCalculator reproduce a pair's price
+    struct TickCumulatives {
+        int56 tick1;
+        int56 tick2;
+    }
+    
     // Price data mapping by token pair hash (keccak256(tokenA, tokenB, fee))
     mapping(bytes32 => PriceData) public priceData;
     
+    // Tick cumulatives by token pair hash, observe() returns those of the default pair
+    mapping(bytes32 => TickCumulatives) public pairTickCumulatives;
+    
     event PriceUpdated(bytes32 indexed pairHash, uint256 price, uint256 timestamp);
     
-    constructor() {
+    /**
+     * @param tokenA The first token of the default pair
+     * @param tokenB The second token of the default pair
+     * @param fee The pool fee tier of the default pair
+     */
+    constructor(address tokenA, address tokenB, uint24 fee) {
+        require(fee != 0, "Invalid fee tier");
         owner = msg.sender;
-        
-        // Initialize tick cumulatives for observe() function
-        _mockTickCumulative1 = 1000000;  // Just default values
-        _mockTickCumulative2 = 1001000;  // Higher than first to represent passage of time
+        defaultTokenA = tokenA;
+        defaultTokenB = tokenB;
+        defaultFee = fee;
     }
     
     modifier onlyOwner() {
@@ -69,13 +87,22 @@ contract UniswapV3GraphAdapter is IUniswapV3Oracle {
     }
     
     /**
-     * @notice Update mock tick cumulatives for observe() function
+     * @notice Update the mock tick cumulatives of a token pair for the observe() function
+     * @param tokenA The first token address
+     * @param tokenB The second token address
+     * @param fee The pool fee tier
      * @param tick1 The first tick cumulative
      * @param tick2 The second tick cumulative
      */
-    function updateTickCumulatives(int56 tick1, int56 tick2) external onlyOwner {
-        _mockTickCumulative1 = tick1;
-        _mockTickCumulative2 = tick2;
+    function updateTickCumulatives(
+        address tokenA,
+        address tokenB,
+        uint24 fee,
+        int56 tick1,
+        int56 tick2
+    ) external onlyOwner {
+        bytes32 pairHash = keccak256(abi.encodePacked(tokenA, tokenB, fee));
+        pairTickCumulatives[pairHash] = TickCumulatives({ tick1: tick1, tick2: tick2 });
     }
     
     /**
@@ -91,38 +118,6 @@ contract UniswapV3GraphAdapter is IUniswapV3Oracle {
         uint24 fee,
         uint32 /* secondsAgo */
     ) external view override returns (uint256 price) {
-        // Handle the case where PriceAggregator calls with zero addresses
-        // Return the first available price data as a fallback
-        if (tokenA == address(0) && tokenB == address(0)) {
-            // Find the first available price entry
-            bytes32[] memory possibleHashes = new bytes32[](3);
-            possibleHashes[0] = keccak256(abi.encodePacked(
-                address(0xfFf9976782d46CC05630D1f6eBAb18b2324d6B14), // WETH
-                address(0x1c7D4B196Cb0C7B01d743Fbc6116a902379C7238), // USDC
-                uint24(3000)
-            ));
-            possibleHashes[1] = keccak256(abi.encodePacked(
-                address(0x29f2D40B0605204364af54EC677bD022dA425d03), // WBTC
-                address(0x1c7D4B196Cb0C7B01d743Fbc6116a902379C7238), // USDC
-                uint24(3000)
-            ));
-            possibleHashes[2] = keccak256(abi.encodePacked(
-                address(0x779877A7B0D9E8603169DdbD7836e478b4624789), // LINK
-                address(0x1c7D4B196Cb0C7B01d743Fbc6116a902379C7238), // USDC
-                uint24(3000)
-            ));
-            
-            // Return the first valid price found
-            for (uint i = 0; i < possibleHashes.length; i++) {
-                PriceData memory fallbackData = priceData[possibleHashes[i]];
-                if (fallbackData.lastUpdated > 0 && block.timestamp - fallbackData.lastUpdated < 1 hours) {
-                    return fallbackData.price;
-                }
-            }
-            
-            revert("No price data available");
-        }
-        
         bytes32 pairHash = keccak256(abi.encodePacked(tokenA, tokenB, fee));
         PriceData memory data = priceData[pairHash];
         
@@ -132,6 +127,24 @@ contract UniswapV3GraphAdapter is IUniswapV3Oracle {
         return data.price;
     }
     
+    /**
+     * @notice Get the latest price of a token pair and when it was updated, stale or not
+     * @dev The PriceAggregator reads pools through this and applies its own staleness check
+     * @param tokenA The first token address
+     * @param tokenB The second token address
+     * @param fee The pool fee tier
+     * @return price The price, scaled to 1e18, zero if never updated
+     * @return lastUpdated The timestamp of the last update, zero if never updated
+     */
+    function getPriceData(
+        address tokenA,
+        address tokenB,
+        uint24 fee
+    ) external view override returns (uint256 price, uint256 lastUpdated) {
+        PriceData memory data = priceData[keccak256(abi.encodePacked(tokenA, tokenB, fee))];
+        return (data.price, data.lastUpdated);
+    }
+    
     /**
      * @notice Legacy consult interface for backward compatibility
      */
@@ -146,16 +159,17 @@ contract UniswapV3GraphAdapter is IUniswapV3Oracle {
     /**
      * @notice Mock observe function to satisfy IUniswapV3Oracle interface
      * Real data from TheGraph doesn't work with this on-chain model, so we return
-     * mock data that will produce expected behavior in the TWAPCalculator
+     * the default pair's mock data that will produce expected behavior in the TWAPCalculator
      */
     function observe(uint32[] calldata /* secondsAgos */) external view override returns (
         int56[] memory tickCumulatives,
         uint160[] memory secondsPerLiquidityCumulativeX128s
     ) {
         // Mock data to support the TWAPCalculator contract
+        TickCumulatives memory ticks = pairTickCumulatives[defaultPairHash()];
         tickCumulatives = new int56[](2);
-        tickCumulatives[0] = _mockTickCumulative1;
-        tickCumulatives[1] = _mockTickCumulative2;
+        tickCumulatives[0] = ticks.tick1;
+        tickCumulatives[1] = ticks.tick2;
         
         secondsPerLiquidityCumulativeX128s = new uint160[](2);
         secondsPerLiquidityCumulativeX128s[0] = 0;
@@ -177,15 +191,8 @@ contract UniswapV3GraphAdapter is IUniswapV3Oracle {
      * @notice Fallback method to maintain compatibility with the PriceAggregator interface
      */
     function retrieveData() external view returns (uint256) {
-        // For compatibility, we'll return a price for the default ETH-USDC pair
-        // In a real implementation, you might want to specify which pair to get
-        bytes32 defaultHash = keccak256(abi.encodePacked(
-            address(0xC02aaA39b223FE8D0A0e5C4F27eAD9083C756Cc2), // WETH
-            address(0xA0b86991c6218b36c1d19D4a2e9Eb0cE3606eB48), // USDC
-            uint24(3000) // 0.3% fee tier
-        ));
-        
-        PriceData memory data = priceData[defaultHash];
+        // For compatibility, we'll return the price of the default pair
+        PriceData memory data = priceData[defaultPairHash()];
         
         if (data.lastUpdated == 0) return 0;
         if (block.timestamp - data.lastUpdated > 1 hours) return 0;
@@ -198,12 +205,27 @@ contract UniswapV3GraphAdapter is IUniswapV3Oracle {
      * @return The timestamp of the last price update for the default pair
      */
     function getLastUpdateTimestamp() external view returns (uint256) {
-        bytes32 defaultHash = keccak256(abi.encodePacked(
-            address(0xC02aaA39b223FE8D0A0e5C4F27eAD9083C756Cc2), // WETH
-            address(0xA0b86991c6218b36c1d19D4a2e9Eb0cE3606eB48), // USDC
-            uint24(3000) // 0.3% fee tier
-        ));
+        return priceData[defaultPairHash()].lastUpdated;
+    }
+
+    /**
+     * @notice Standard adapter read of the default pair, unhealthy once older than an hour
+     * @dev Register the adapter as a Uniswap (type 1) source to query the pool of each asset pair
+     */
+    function latestPriceData() external view override returns (int256, uint256, uint8, bool, bool) {
+        PriceData memory data = priceData[defaultPairHash()];
+        
+        bool healthy = data.price > 0 &&
+            data.lastUpdated > 0 &&
+            block.timestamp - data.lastUpdated < 1 hours;
         
-        return priceData[defaultHash].lastUpdated;
+        return (int256(data.price), data.lastUpdated, 18, healthy, false);
+    }
+
+    /**
+     * @notice Price data key of the default pair set at deployment
+     */
+    function defaultPairHash() internal view returns (bytes32) {
+        return keccak256(abi.encodePacked(defaultTokenA, defaultTokenB, defaultFee));
     }
 }
\ No newline at end of file
@@ -0,0 +1,140 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.0;
+
+import "@uniswap/v3-core/contracts/interfaces/IUniswapV3Pool.sol";
+import "@openzeppelin/contracts/token/ERC20/extensions/IERC20Metadata.sol";
+import "./utils/TickMath.sol";
+import "./utils/FullMath.sol";
+import "./interfaces/IOracleAdapter.sol";
+
+/**
+ * @title UniswapV3TWAPAdapter
+ * @dev Adapter contract that reads a time-weighted average price directly from the
+ * observations of a Uniswap V3 pool. Unlike UniswapV3GraphAdapter nobody pushes prices:
+ * the TWAP is derived on-chain from observe([window, 0]), so the source can only be moved
+ * by trading against the pool for the whole window.
+ */
+contract UniswapV3TWAPAdapter is IOracleAdapter {
+    IUniswapV3Pool public immutable pool;
+    address public immutable baseToken;
+    address public immutable quoteToken;
+    uint32 public immutable twapWindow;
+    uint8 public constant decimals = 18;
+
+    // 10^(baseDecimals + 18 - quoteDecimals) and 10^(quoteDecimals - 18), see constructor
+    uint128 private immutable baseAmount;
+    uint256 private immutable quoteDivisor;
+
+    /**
+     * @dev Constructor to set the pool and the token that is priced
+     * @param _pool Address of the Uniswap V3 pool
+     * @param _baseToken The pool token that is priced in units of the other pool token
+     * @param _twapWindow Length of the TWAP window in seconds
+     */
+    constructor(address _pool, address _baseToken, uint32 _twapWindow) {
+        require(_pool != address(0), "Invalid pool address");
+        require(_twapWindow > 0, "TWAP window must be positive");
+
+        address token0 = IUniswapV3Pool(_pool).token0();
+        address token1 = IUniswapV3Pool(_pool).token1();
+        require(_baseToken == token0 || _baseToken == token1, "Base token not in pool");
+
+        pool = IUniswapV3Pool(_pool);
+        baseToken = _baseToken;
+        quoteToken = _baseToken == token0 ? token1 : token0;
+        twapWindow = _twapWindow;
+
+        // Quote one whole base token scaled so that the quote comes out with 18 decimals
+        uint8 baseDecimals = IERC20Metadata(_baseToken).decimals();
+        uint8 quoteDecimals = IERC20Metadata(quoteToken).decimals();
+        uint256 baseExponent = uint256(baseDecimals) + 18 - (quoteDecimals <= 18 ? quoteDecimals : 18);
+        require(baseExponent <= 38, "Unsupported token decimals");
+        baseAmount = uint128(10 ** baseExponent);
+        quoteDivisor = quoteDecimals <= 18 ? 1 : 10 ** (uint256(quoteDecimals) - 18);
+    }
+
+    /**
+     * @dev Get the arithmetic mean tick of the pool over a window
+     * @param _window Length of the window in seconds
+     * @return meanTick The mean tick, rounded towards negative infinity
+     */
+    function getArithmeticMeanTick(uint32 _window) public view returns (int24 meanTick) {
+        require(_window > 0, "TWAP window must be positive");
+
+        uint32[] memory secondsAgos = new uint32[](2);
+        secondsAgos[0] = _window;
+        secondsAgos[1] = 0;
+
+        (int56[] memory tickCumulatives, ) = pool.observe(secondsAgos);
+        int56 tickCumulativesDelta = tickCumulatives[1] - tickCumulatives[0];
+
+        meanTick = int24(tickCumulativesDelta / int56(uint56(_window)));
+        // Always round to negative infinity, like Uniswap's OracleLibrary
+        if (tickCumulativesDelta < 0 && (tickCumulativesDelta % int56(uint56(_window)) != 0)) {
+            meanTick--;
+        }
+    }
+
+    /**
+     * @dev Get the price of the base token in quote tokens at a tick
+     * @param _tick The pool tick
+     * @return price The price with 18 decimals
+     */
+    function getPriceAtTick(int24 _tick) public view returns (uint256 price) {
+        uint160 sqrtRatioX96 = TickMath.getSqrtRatioAtTick(_tick);
+
+        // Same computation as OracleLibrary.getQuoteAtTick, avoiding overflow for large ratios
+        if (sqrtRatioX96 <= type(uint128).max) {
+            uint256 ratioX192 = uint256(sqrtRatioX96) * sqrtRatioX96;
+            price = baseToken < quoteToken
+                ? FullMath.mulDiv(ratioX192, baseAmount, 1 << 192)
+                : FullMath.mulDiv(1 << 192, baseAmount, ratioX192);
+        } else {
+            uint256 ratioX128 = FullMath.mulDiv(sqrtRatioX96, sqrtRatioX96, 1 << 64);
+            price = baseToken < quoteToken
+                ? FullMath.mulDiv(ratioX128, baseAmount, 1 << 128)
+                : FullMath.mulDiv(1 << 128, baseAmount, ratioX128);
+        }
+
+        return price / quoteDivisor;
+    }
+
+    /**
+     * @dev Get the TWAP over a custom window
+     * @param _window Length of the window in seconds
+     * @return price The time-weighted average price with 18 decimals
+     */
+    function getTWAP(uint32 _window) public view returns (uint256) {
+        return getPriceAtTick(getArithmeticMeanTick(_window));
+    }
+
+    /**
+     * @dev Get the TWAP over the configured window
+     * @return value The latest price value with 18 decimals
+     */
+    function getLatestValue() external view returns (int256) {
+        uint256 price = getTWAP(twapWindow);
+        require(price > 0, "Invalid TWAP price");
+        return int256(price);
+    }
+
+    /**
+     * @dev Standard adapter read: the TWAP over the configured window, ending at the current block.
+     * Unhealthy while the pool's observation history is shorter than the window.
+     */
+    function latestPriceData() external view override returns (int256, uint256, uint8, bool, bool) {
+        try this.getTWAP(twapWindow) returns (uint256 price) {
+            return (int256(price), block.timestamp, decimals, price > 0, false);
+        } catch {
+            return (0, 0, decimals, false, false);
+        }
+    }
+
+    /**
+     * @dev The TWAP always ends at the current block
+     * @return The current block timestamp
+     */
+    function getLastUpdateTimestamp() external view returns (uint256) {
+        return block.timestamp;
+    }
+}
@@ -0,0 +1,29 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.0;
+
+/**
+ * @title IOracleAdapter
+ * @dev Standard read interface of an oracle adapter. PriceAggregator reads every source whose
+ * oracle type is neither a Chainlink feed (0) nor a Uniswap oracle (1) through it, so a new
+ * oracle family only needs an adapter implementing latestPriceData.
+ */
+interface IOracleAdapter {
+    /**
+     * @notice Latest price reported by the adapter's feed
+     * @dev Must not revert because the feed is empty, stale or disputed: those are reported
+     * through `healthy` and `disputed` so callers can still show the value.
+     * @return price The latest price with `decimals` decimals, 0 when the feed has no value
+     * @return timestamp When the price was reported, 0 when the feed has no value
+     * @return decimals Decimal precision of `price`
+     * @return healthy Whether the adapter considers the price safe to use (positive, fresh by
+     * the adapter's own standards and not disputed)
+     * @return disputed Whether the reported value is under dispute
+     */
+    function latestPriceData() external view returns (
+        int256 price,
+        uint256 timestamp,
+        uint8 decimals,
+        bool healthy,
+        bool disputed
+    );
+}
@@ -0,0 +1,21 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.0;
+
+/**
+ * @title IPyth
+ * @dev The subset of the Pyth price feed contract used by PythAdapter. Price matches
+ * PythStructs.Price: the price is `price * 10^expo` with a confidence interval of `conf * 10^expo`.
+ */
+interface IPyth {
+    struct Price {
+        int64 price;
+        uint64 conf;
+        int32 expo;
+        uint256 publishTime;
+    }
+
+    function getPriceUnsafe(bytes32 id) external view returns (Price memory price);
+    function getPriceNoOlderThan(bytes32 id, uint256 age) external view returns (Price memory price);
+    function getUpdateFee(bytes[] calldata updateData) external view returns (uint256 feeAmount);
+    function updatePriceFeeds(bytes[] calldata updateData) external payable;
+}
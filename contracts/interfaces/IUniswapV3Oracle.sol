@@ -11,4 +11,7 @@ interface IUniswapV3Oracle {
     // Keep the original methods if needed
     function consult(address tokenA, address tokenB, uint24 fee) external view returns (uint256 price);
     function getTWAP(address tokenA, address tokenB, uint24 fee, uint32 secondsAgo) external view returns (uint256 twap);
+    
+    // Latest price of a pool and when it was updated, without any staleness check
+    function getPriceData(address tokenA, address tokenB, uint24 fee) external view returns (uint256 price, uint256 lastUpdated);
 }
\ No newline at end of file
@@ -103,6 +103,15 @@ contract API3Mock is IAPI3 {
         }
     }
     
+    /**
+     * @notice Reads the latest value like an API3 reader proxy, which is what API3Adapter consumes
+     * @return value The latest price value
+     * @return timestamp The timestamp of the value
+     */
+    function read() external view returns (int224 value, uint32 timestamp) {
+        return (_latestValue, _timestamp);
+    }
+    
     /**
      * @notice Reads the latest value for a data feed
      * @param _dataFeedId The data feed ID to read
@@ -14,13 +14,17 @@ contract ChainlinkMock is IAggregatorV3 {
     string private _description;
     uint8 private _decimals;
     uint80 private _roundId;
+    uint256 private _startedAt;
+    uint80 private _answeredInRound;
     
     constructor(int256 initialAnswer, string memory descriptionText, uint8 decimalPlaces) {
         _answer = initialAnswer;
         _updatedAt = block.timestamp;
+        _startedAt = block.timestamp;
         _description = descriptionText;
         _decimals = decimalPlaces;
         _roundId = 1;
+        _answeredInRound = 1;
     }
 
     /**
@@ -30,7 +34,9 @@ contract ChainlinkMock is IAggregatorV3 {
     function setAnswer(int256 answer) external {
         _answer = answer;
         _updatedAt = block.timestamp;
+        _startedAt = block.timestamp;
         _roundId += 1;
+        _answeredInRound = _roundId;
     }
     
     /**
@@ -40,6 +46,32 @@ contract ChainlinkMock is IAggregatorV3 {
     function setUpdateTime(uint256 timestamp) external {
         require(timestamp <= block.timestamp, "Cannot set future timestamp");
         _updatedAt = timestamp;
+        _startedAt = timestamp;
+    }
+
+    /**
+     * @notice Overwrites the latest round (for testing incomplete and carried-over rounds)
+     * @dev A startedAt of 0 simulates a round that has not started yet, and an answeredInRound
+     * below roundId simulates an answer carried over from an earlier round
+     * @param roundId The round ID
+     * @param answer The price answer
+     * @param startedAt When the round started
+     * @param updatedAt When the round was last updated
+     * @param answeredInRound The round in which the answer was computed
+     */
+    function setRoundData(
+        uint80 roundId,
+        int256 answer,
+        uint256 startedAt,
+        uint256 updatedAt,
+        uint80 answeredInRound
+    ) external {
+        require(updatedAt <= block.timestamp, "Cannot set future timestamp");
+        _roundId = roundId;
+        _answer = answer;
+        _startedAt = startedAt;
+        _updatedAt = updatedAt;
+        _answeredInRound = answeredInRound;
     }
 
     /**
@@ -57,7 +89,7 @@ contract ChainlinkMock is IAggregatorV3 {
         uint256 updatedAt,
         uint80 answeredInRound
     ) {
-        return (_roundId, _answer, _updatedAt - 60, _updatedAt, _roundId);
+        return (_roundId, _answer, _startedAt, _updatedAt, _answeredInRound);
     }
 
     /**
@@ -86,21 +118,25 @@ contract ChainlinkMock is IAggregatorV3 {
 
     /**
      * @notice Gets data from a specific round
-     * @param _roundId The round ID to get data for
+     * @dev Earlier rounds repeat the latest answer; the latest round is returned as set
+     * @param requestedRoundId The round ID to get data for
      * @return roundId The round ID
      * @return answer The price answer
      * @return startedAt When the round started
      * @return updatedAt When the round was last updated
      * @return answeredInRound The round in which the answer was computed
      */
-    function getRoundData(uint80 _roundId) external view override returns (
+    function getRoundData(uint80 requestedRoundId) external view override returns (
         uint80 roundId,
         int256 answer,
         uint256 startedAt,
         uint256 updatedAt,
         uint80 answeredInRound
     ) {
-        require(_roundId <= _roundId, "Round not complete");
-        return (_roundId, _answer, _updatedAt - 60, _updatedAt, _roundId);
+        require(requestedRoundId <= _roundId, "Round not complete");
+        if (requestedRoundId == _roundId) {
+            return (_roundId, _answer, _startedAt, _updatedAt, _answeredInRound);
+        }
+        return (requestedRoundId, _answer, _updatedAt - 60, _updatedAt, requestedRoundId);
     }
 }
\ No newline at end of file
@@ -0,0 +1,90 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.0;
+
+import "../interfaces/IPyth.sol";
+
+/**
+ * @title PythMock
+ * @dev Mock implementation of the Pyth price feed contract for local tests.
+ * Like Pyth's own MockPyth, update data is an ABI-encoded price built with
+ * createPriceFeedUpdateData instead of a signed message, and every update costs a flat fee.
+ */
+contract PythMock is IPyth {
+    mapping(bytes32 => Price) private prices;
+    uint256 public immutable singleUpdateFeeInWei;
+
+    event PriceFeedUpdate(bytes32 indexed id, uint256 publishTime, int64 price, uint64 conf);
+
+    constructor(uint256 _singleUpdateFeeInWei) {
+        singleUpdateFeeInWei = _singleUpdateFeeInWei;
+    }
+
+    // ===== Test setters =====
+
+    /**
+     * @notice Stores a price directly, without an update fee
+     * @param id The price feed id
+     * @param price The price in units of 10^expo
+     * @param conf The confidence interval in units of 10^expo
+     * @param expo The price exponent (e.g. -8)
+     * @param publishTime Optional publish time (defaults to current block timestamp)
+     */
+    function setPrice(bytes32 id, int64 price, uint64 conf, int32 expo, uint256 publishTime) external {
+        storePrice(id, Price({
+            price: price,
+            conf: conf,
+            expo: expo,
+            publishTime: publishTime == 0 ? block.timestamp : publishTime
+        }));
+    }
+
+    /**
+     * @notice Builds the update data updatePriceFeeds accepts
+     */
+    function createPriceFeedUpdateData(
+        bytes32 id,
+        int64 price,
+        uint64 conf,
+        int32 expo,
+        uint256 publishTime
+    ) external pure returns (bytes memory) {
+        return abi.encode(id, Price({price: price, conf: conf, expo: expo, publishTime: publishTime}));
+    }
+
+    // ===== Pyth interface =====
+
+    function getPriceUnsafe(bytes32 id) public view override returns (Price memory) {
+        Price memory price = prices[id];
+        require(price.publishTime != 0, "Price feed not found");
+        return price;
+    }
+
+    function getPriceNoOlderThan(bytes32 id, uint256 age) external view override returns (Price memory) {
+        Price memory price = getPriceUnsafe(id);
+        require(price.publishTime + age >= block.timestamp, "Stale price");
+        return price;
+    }
+
+    function getUpdateFee(bytes[] calldata updateData) public view override returns (uint256) {
+        return singleUpdateFeeInWei * updateData.length;
+    }
+
+    /**
+     * @notice Applies every update newer than the stored price, like Pyth does
+     */
+    function updatePriceFeeds(bytes[] calldata updateData) external payable override {
+        require(msg.value >= getUpdateFee(updateData), "Insufficient fee");
+
+        for (uint256 i = 0; i < updateData.length; i++) {
+            (bytes32 id, Price memory price) = abi.decode(updateData[i], (bytes32, Price));
+            if (price.publishTime > prices[id].publishTime) {
+                storePrice(id, price);
+            }
+        }
+    }
+
+    function storePrice(bytes32 id, Price memory price) private {
+        prices[id] = price;
+        emit PriceFeedUpdate(id, price.publishTime, price.price, price.conf);
+    }
+}
@@ -0,0 +1,186 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.0;
+
+import "../interfaces/IOracleAdapter.sol";
+
+/**
+ * @title TellorMock
+ * @dev Mock implementation of the Tellor oracle for local tests.
+ * Implements the oracle interface read by UsingTellor (so it can back a TellorAdapter)
+ * as well as the TellorAdapter read functions for the active query ID (so it can be
+ * registered in the PriceAggregator directly as a Tellor source).
+ */
+contract TellorMock is IOracleAdapter {
+    struct Report {
+        uint256 value;
+        uint256 timestamp;
+    }
+
+    mapping(bytes32 => Report[]) private reports;
+    mapping(bytes32 => mapping(uint256 => bool)) private disputed;
+
+    // Common SpotPrice query IDs, built like TellorAdapter builds them
+    bytes32 public immutable ETH_USD_QUERY_ID = keccak256(abi.encode("SpotPrice", abi.encode("eth", "usd")));
+    bytes32 public immutable BTC_USD_QUERY_ID = keccak256(abi.encode("SpotPrice", abi.encode("btc", "usd")));
+    bytes32 public immutable LINK_USD_QUERY_ID = keccak256(abi.encode("SpotPrice", abi.encode("link", "usd")));
+
+    // Query ID served by the adapter-style read functions
+    bytes32 public activeQueryId;
+
+    constructor(uint256 initialValue) {
+        activeQueryId = ETH_USD_QUERY_ID;
+        _submit(ETH_USD_QUERY_ID, initialValue, block.timestamp);
+    }
+
+    // ===== Test setters =====
+
+    /**
+     * @notice Reports a new value for the active query ID
+     * @param value The new price value (18 decimals)
+     */
+    function setValue(uint256 value) external {
+        _submit(activeQueryId, value, block.timestamp);
+    }
+
+    /**
+     * @notice Reports a value for a specific query ID
+     * @param queryId The query ID to report for
+     * @param value The new price value (18 decimals)
+     * @param timestamp Optional timestamp (defaults to current block timestamp)
+     */
+    function setValueForQueryId(bytes32 queryId, uint256 value, uint256 timestamp) external {
+        _submit(queryId, value, timestamp == 0 ? block.timestamp : timestamp);
+    }
+
+    /**
+     * @notice Selects the query ID served by the adapter-style read functions
+     */
+    function setActiveQueryId(bytes32 queryId) external {
+        activeQueryId = queryId;
+    }
+
+    /**
+     * @notice Marks a reported value as disputed
+     */
+    function setDisputed(bytes32 queryId, uint256 timestamp, bool isDisputed_) external {
+        disputed[queryId][timestamp] = isDisputed_;
+    }
+
+    // ===== Tellor oracle interface (used through UsingTellor) =====
+
+    function getNewValueCountbyQueryId(bytes32 queryId) public view returns (uint256) {
+        return reports[queryId].length;
+    }
+
+    function getTimestampbyQueryIdandIndex(bytes32 queryId, uint256 index) public view returns (uint256) {
+        if (index >= reports[queryId].length) return 0;
+        return reports[queryId][index].timestamp;
+    }
+
+    function retrieveData(bytes32 queryId, uint256 timestamp) public view returns (bytes memory) {
+        Report[] storage history = reports[queryId];
+        for (uint256 i = history.length; i > 0; i--) {
+            if (history[i - 1].timestamp == timestamp) {
+                return abi.encode(history[i - 1].value);
+            }
+        }
+        return "";
+    }
+
+    function getReporterByTimestamp(bytes32, uint256) external view returns (address) {
+        return address(this);
+    }
+
+    function isInDispute(bytes32 queryId, uint256 timestamp) public view returns (bool) {
+        return disputed[queryId][timestamp];
+    }
+
+    function getIndexForDataBefore(bytes32 queryId, uint256 timestamp) public view returns (bool found, uint256 index) {
+        Report[] storage history = reports[queryId];
+        for (uint256 i = history.length; i > 0; i--) {
+            if (history[i - 1].timestamp <= timestamp) {
+                return (true, i - 1);
+            }
+        }
+        return (false, 0);
+    }
+
+    function getDataBefore(bytes32 queryId, uint256 timestamp) public view returns (
+        bool ifRetrieve,
+        bytes memory value,
+        uint256 timestampRetrieved
+    ) {
+        (bool found, uint256 index) = getIndexForDataBefore(queryId, timestamp);
+        if (!found) return (false, "", 0);
+
+        Report storage report = reports[queryId][index];
+        return (true, abi.encode(report.value), report.timestamp);
+    }
+
+    // ===== TellorAdapter read functions for the active query ID =====
+
+    function getLatestValue() external view returns (int256) {
+        (uint256 value, uint256 timestamp) = _latest();
+        if (timestamp == 0 || isInDispute(activeQueryId, timestamp)) return 0;
+        return int256(value);
+    }
+
+    function getLatestValueWithAge(uint256 maxAge) external view returns (int256 value, uint256 timestamp) {
+        (uint256 latestValue, uint256 latestTimestamp) = _latest();
+        if (latestTimestamp == 0 || isInDispute(activeQueryId, latestTimestamp)) return (0, 0);
+        if (block.timestamp - latestTimestamp >= maxAge) return (0, 0);
+        return (int256(latestValue), latestTimestamp);
+    }
+
+    function retrieveData() external view returns (uint256) {
+        (uint256 value, uint256 timestamp) = _latest();
+        if (timestamp == 0 || isInDispute(activeQueryId, timestamp)) return 0;
+        return value;
+    }
+
+    function latestPriceData() external view override returns (int256, uint256, uint8, bool, bool) {
+        (uint256 value, uint256 timestamp) = _latest();
+        bool isDisputed_ = timestamp > 0 && isInDispute(activeQueryId, timestamp);
+        return (int256(value), timestamp, 18, value > 0 && !isDisputed_, isDisputed_);
+    }
+
+    function getUndisputedValueBefore(uint256 timestamp) external view returns (int256 value, uint256 timestampRetrieved) {
+        Report[] storage history = reports[activeQueryId];
+        for (uint256 i = history.length; i > 0; i--) {
+            Report storage report = history[i - 1];
+            if (report.timestamp <= timestamp && !isInDispute(activeQueryId, report.timestamp)) {
+                return (int256(report.value), report.timestamp);
+            }
+        }
+        return (0, 0);
+    }
+
+    function getLastUpdateTimestamp() external view returns (uint256) {
+        (, uint256 timestamp) = _latest();
+        return timestamp;
+    }
+
+    function getValueCount() external view returns (uint256) {
+        return getNewValueCountbyQueryId(activeQueryId);
+    }
+
+    function getReporter(uint256) external view returns (address) {
+        return address(this);
+    }
+
+    function isDisputed(uint256 timestamp) external view returns (bool) {
+        return isInDispute(activeQueryId, timestamp);
+    }
+
+    // ===== Internal helpers =====
+
+    function _submit(bytes32 queryId, uint256 value, uint256 timestamp) private {
+        reports[queryId].push(Report({value: value, timestamp: timestamp}));
+    }
+
+    function _latest() private view returns (uint256 value, uint256 timestamp) {
+        (, bytes memory data, uint256 timestampRetrieved) = getDataBefore(activeQueryId, block.timestamp);
+        if (timestampRetrieved == 0) return (0, 0);
+        return (abi.decode(data, (uint256)), timestampRetrieved);
+    }
+}
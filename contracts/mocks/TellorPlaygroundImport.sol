@@ -0,0 +1,6 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.0;
+
+// Compiles Tellor's TellorPlayground, a local Tellor oracle that takes reports and disputes without
+// staking, so local tests can run a TellorAdapter against the real oracle interface
+import "usingtellor/contracts/TellorPlayground.sol";
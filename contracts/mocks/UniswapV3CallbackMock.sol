@@ -0,0 +1,45 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.0;
+
+import "@uniswap/v3-core/contracts/interfaces/IUniswapV3Pool.sol";
+import "@openzeppelin/contracts/token/ERC20/IERC20.sol";
+import "../utils/TickMath.sol";
+
+/**
+ * @title UniswapV3CallbackMock
+ * @dev Minimal liquidity provider / trader for locally deployed Uniswap V3 pools.
+ * Pays the pool from its own token balance, so fund it before calling mint or swap.
+ */
+contract UniswapV3CallbackMock {
+    function mint(address pool, int24 tickLower, int24 tickUpper, uint128 liquidity) external {
+        IUniswapV3Pool(pool).mint(address(this), tickLower, tickUpper, liquidity, abi.encode(pool));
+    }
+
+    /**
+     * @notice Swaps an exact input amount, moving the pool price
+     * @param zeroForOne Whether token0 is sold for token1
+     */
+    function swap(address pool, bool zeroForOne, int256 amountIn) external {
+        IUniswapV3Pool(pool).swap(
+            address(this),
+            zeroForOne,
+            amountIn,
+            zeroForOne ? TickMath.MIN_SQRT_RATIO + 1 : TickMath.MAX_SQRT_RATIO - 1,
+            abi.encode(pool)
+        );
+    }
+
+    function uniswapV3MintCallback(uint256 amount0Owed, uint256 amount1Owed, bytes calldata) external {
+        _pay(amount0Owed, amount1Owed);
+    }
+
+    function uniswapV3SwapCallback(int256 amount0Delta, int256 amount1Delta, bytes calldata) external {
+        _pay(amount0Delta > 0 ? uint256(amount0Delta) : 0, amount1Delta > 0 ? uint256(amount1Delta) : 0);
+    }
+
+    function _pay(uint256 amount0, uint256 amount1) private {
+        IUniswapV3Pool pool = IUniswapV3Pool(msg.sender);
+        if (amount0 > 0) IERC20(pool.token0()).transfer(msg.sender, amount0);
+        if (amount1 > 0) IERC20(pool.token1()).transfer(msg.sender, amount1);
+    }
+}
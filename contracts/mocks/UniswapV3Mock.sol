@@ -48,6 +48,10 @@ contract UniswapV3Mock is IUniswapV3Oracle {
         return _mockPrice;
     }
     
+    function getPriceData(address tokenA, address tokenB, uint24 fee) external view returns (uint256 price, uint256 lastUpdated) {
+        return (_mockPrice, _lastUpdateTimestamp);
+    }
+    
     // Add missing methods for PriceAggregator compatibility
     function retrieveData() external view returns (uint256) {
         return _mockPrice;
@@ -1,23 +1,29 @@
 // SPDX-License-Identifier: MIT
 pragma solidity ^0.8.0;
 
-import "./interfaces/IAggregatorV3.sol";
-import "./interfaces/IAPI3.sol";
 import "./interfaces/IUniswapV3Oracle.sol";
+import "./interfaces/IOracleAdapter.sol";
 import "./TellorAdapter.sol";
-import "./API3Adapter.sol";
 import "./utils/OracleLib.sol";
 import "./utils/TWAPCalculator.sol";
-import "@openzeppelin/contracts/access/Ownable.sol";
-import "@openzeppelin/contracts/security/ReentrancyGuard.sol";
+import "@openzeppelin/contracts/access/AccessControl.sol";
+import "@openzeppelin/contracts/security/Pausable.sol";
 import "@openzeppelin/contracts/utils/math/SafeCast.sol";
 
 /**
  * @title PriceAggregator
- * @dev Aggregates price data from multiple oracles (Chainlink, Uniswap, Tellor, API3)
+ * @dev Aggregates price data from multiple oracles (Chainlink, Uniswap, Tellor, API3 or any IOracleAdapter)
  * to provide robust and manipulation-resistant price feeds for DeFi applications
+ *
+ * Roles: the admin (DEFAULT_ADMIN_ROLE) grants and revokes roles, unpauses the aggregator and resumes
+ * frozen pairs; config managers add sources and pairs, set Uniswap pools and other settings; guardians
+ * pause the aggregator or freeze single pairs; keepers store price snapshots. Changes that reprice a
+ * pair (source weights, removals and enabling, outlier filters, circuit breakers, minimum responses,
+ * staleness threshold, Tellor dispute window) need TIMELOCK_ROLE instead, which the deployment hands to
+ * an AggregatorTimelock so they only take effect after a public delay. TIMELOCK_ROLE is its own admin,
+ * so only its holders can grant it. The deployer starts with every role.
  */
-contract PriceAggregator is Ownable, ReentrancyGuard {
+contract PriceAggregator is AccessControl, Pausable {
     // Replace using statements with contract instance variables
     OracleLib public oracleLib;
     TWAPCalculator public twapCalculator;
@@ -26,11 +32,11 @@ contract PriceAggregator is Ownable, ReentrancyGuard {
     
     struct OracleSource {
         address oracle;
-        uint8 oracleType; // 0: Chainlink, 1: Uniswap, 2: Tellor, 3: API3
+        uint8 oracleType; // Labels the IOracleAdapter: 0: Chainlink, 1: Uniswap, 2: Tellor, 3: API3, 4: Uniswap V3 pool TWAP, 5: Pyth
         uint256 weight;
         uint256 heartbeatSeconds; // Maximum allowed time since last update
         string description; // Description of the pair (e.g. "ETH/USD")
-        uint8 decimals; // Decimal precision of the price feed
+        uint8 decimals; // Decimal precision of a Uniswap pool price (adapters report their own)
     }
     
     // Asset pair tracking
@@ -42,23 +48,89 @@ contract PriceAggregator is Ownable, ReentrancyGuard {
         bool active;
     }
     
+    // Uniswap pool a Uniswap source is queried with for a specific asset pair
+    struct UniswapPool {
+        address tokenA;
+        address tokenB;
+        uint24 fee;
+    }
+    
+    // Settings of a registered oracle within one asset pair. The registry entry in
+    // `sources` holds the oracle type, description and the defaults addAssetPair copies.
+    struct PairSource {
+        address oracle;
+        uint256 weight;
+        uint256 heartbeatSeconds;
+        uint8 decimals;
+        bool enabled; // Disabled sources are listed but left out of aggregation
+    }
+    
+    // Usable prices of a pair, in pair order, with the outlier filter applied
+    struct PairPrices {
+        address[] oracles;
+        int256[] prices; // PRICE_PRECISION decimals
+        uint256[] weights;
+        uint256[] timestamps;
+        bool[] excluded; // Left out of the weighted price by the outlier filter
+        bool[] disputed; // Whether the latest value of each pair source is disputed, indexed like pair.sources
+    }
+    
+    bytes32 public constant CONFIG_MANAGER_ROLE = keccak256("CONFIG_MANAGER_ROLE");
+    bytes32 public constant GUARDIAN_ROLE = keccak256("GUARDIAN_ROLE");
+    bytes32 public constant KEEPER_ROLE = keccak256("KEEPER_ROLE");
+    bytes32 public constant TIMELOCK_ROLE = keccak256("TIMELOCK_ROLE");
+    
+    uint256 public constant PRICE_HISTORY_SIZE = 96; // Snapshots kept per pair, e.g. 4 days of hourly updates
+    
+    // Freezes a pair when its price moves too far from the last snapshot (see updatePrice)
+    struct CircuitBreakerConfig {
+        uint256 maxDeviationBps; // Largest allowed move from the last snapshot, 0 disables the breaker
+        uint256 window; // Snapshots older than this many seconds are not compared against
+        uint256 cooldown; // Seconds after which updatePrice resumes a frozen pair, 0 to wait for the admin
+    }
+    
+    // Filter that leaves prices far from the median out of a pair's weighted price
+    struct OutlierFilterConfig {
+        OracleLib.OutlierFilter filter;
+        uint256 threshold; // Basis points of the median (Percentage) or of the MAD (MedianAbsoluteDeviation)
+    }
+    
     OracleSource[] public sources;
     mapping(string => AssetPair) public assetPairs; // e.g. "ETH-USD" => AssetPair
+    mapping(string => mapping(address => PairSource)) public pairSourceConfigs; // pair symbol => oracle => settings
+    mapping(string => mapping(address => UniswapPool)) public uniswapPools; // pair symbol => Uniswap oracle => pool
+    mapping(string => OutlierFilterConfig) public outlierFilters; // pair symbol => filter, none by default
+    mapping(string => TWAPCalculator.PriceSnapshot[PRICE_HISTORY_SIZE]) private priceHistory; // pair symbol => ring buffer of snapshots
+    mapping(string => uint256) public snapshotCount; // pair symbol => snapshots ever taken, the next one goes to count % size
+    mapping(string => CircuitBreakerConfig) public circuitBreakers; // pair symbol => breaker, disabled by default
+    mapping(string => uint256) public frozenAt; // pair symbol => time it was frozen, 0 while it is not
+    mapping(string => mapping(address => bool)) private sourceDisputed; // pair symbol => oracle => whether its latest value was disputed at the pair's last snapshot
     string[] public supportedPairs;
     
     // Pricing config
     uint256 public constant PRICE_PRECISION = 1e18;
     uint256 public minOracleResponses = 1; // Minimum number of oracles needed for aggregation
     uint256 public stalenessThreshold = 3600; // Default 1 hour staleness threshold
+    uint256 public tellorDisputeWindow = 900; // A disputed Tellor value falls back to an undisputed one at least this old
+    uint256 public maxSnapshotGap = 7200; // Longest a snapshot may stand in for the price in getAggregatedTWAP
     
     // Events
     event OracleSourceAdded(address indexed oracle, uint8 oracleType, uint256 weight);
     event OracleSourceRemoved(address indexed oracle);
     event OracleSourceUpdated(address indexed oracle, uint256 weight);
+    event PairSourceAdded(string symbol, address indexed oracle, uint256 weight);
+    event PairSourceRemoved(string symbol, address indexed oracle);
+    event PairSourceUpdated(string symbol, address indexed oracle, uint256 weight, uint256 heartbeatSeconds, uint8 decimals, bool enabled);
     event PriceUpdated(string pair, int256 medianPrice, int256 weightedPrice);
     event AssetPairAdded(string symbol, string baseAsset, string quoteAsset);
     event AssetPairUpdated(string symbol, bool active);
-    event TellorDataDisputed(address indexed oracle, uint256 timestamp);
+    event UniswapPoolSet(string symbol, address indexed oracle, address tokenA, address tokenB, uint24 fee);
+    event OutlierFilterUpdated(string symbol, OracleLib.OutlierFilter filter, uint256 threshold);
+    event CircuitBreakerUpdated(string symbol, uint256 maxDeviationBps, uint256 window, uint256 cooldown);
+    event CircuitBreakerTripped(string symbol, int256 lastPrice, int256 price);
+    event PairFrozen(string symbol, address indexed by);
+    event PairResumed(string symbol, address indexed by);
+    event TellorDataDisputed(address indexed oracle, uint256 timestamp); // Emitted by updatePrice
 
 constructor(
         OracleSource[] memory _sources,
@@ -69,6 +141,13 @@ constructor(
         require(_oracleLib != address(0), "Invalid OracleLib address");
         require(_twapCalculator != address(0), "Invalid TWAPCalculator address");
         
+        _grantRole(DEFAULT_ADMIN_ROLE, msg.sender);
+        _grantRole(CONFIG_MANAGER_ROLE, msg.sender);
+        _grantRole(GUARDIAN_ROLE, msg.sender);
+        _grantRole(KEEPER_ROLE, msg.sender);
+        _grantRole(TIMELOCK_ROLE, msg.sender);
+        _setRoleAdmin(TIMELOCK_ROLE, TIMELOCK_ROLE);
+        
         // Initialize contract references
         oracleLib = OracleLib(_oracleLib);
         twapCalculator = TWAPCalculator(_twapCalculator);
@@ -78,6 +157,7 @@ constructor(
         for (uint256 i = 0; i < _sources.length; i++) {
             require(_sources[i].oracle != address(0), "Invalid oracle address");
             require(_sources[i].weight > 0, "Weight must be positive");
+            require(!isRegistered(_sources[i].oracle), "Oracle already registered");
             
             sources.push(_sources[i]);
             totalWeight += _sources[i].weight;
@@ -97,80 +177,62 @@ constructor(
      * @return median price with PRICE_PRECISION decimals
      */
     function getMedianPrice(string memory pairSymbol) public view returns (int256) {
-        AssetPair storage pair = assetPairs[pairSymbol];
-        require(pair.active, "Asset pair not active");
-        require(pair.sources.length > 0, "No sources for asset pair");
-        
-        int256[] memory allPrices = new int256[](pair.sources.length);
-        uint256 validPrices = 0;
-        
-        for (uint256 i = 0; i < pair.sources.length; i++) {
-            uint256 sourceIndex = getSourceIndex(pair.sources[i]);
-            // Copy struct to memory to avoid read-only error
-            OracleSource memory src = sources[sourceIndex];
-            try this.fetchPriceFromSource(src) returns (int256 price) {
-                if (price > 0) {
-                    allPrices[validPrices] = normalizePrice(price, src.decimals);
-                    validPrices++;
-                }
-            } catch {
-                // Skip failed oracle
-            }
-        }
-        
-        require(validPrices >= minOracleResponses, "Insufficient valid prices");
-        
-        // Create a new array with only valid prices
-        int256[] memory validPricesArray = new int256[](validPrices);
-        for (uint256 i = 0; i < validPrices; i++) {
-            validPricesArray[i] = allPrices[i];
-        }
-        
-        int256 medianPrice = oracleLib.getMedian(validPricesArray);
+        int256 medianPrice = medianOf(getPairPrices(pairSymbol, false));
+        requireCircuitClosed(pairSymbol, medianPrice, true);
         return medianPrice;
     }
 
     /**
      * @notice Returns weighted average price from all configured oracles
+     * @dev Prices the pair's outlier filter flags are left out before averaging (see getOutlierStatus)
      * @return weighted price with PRICE_PRECISION decimals
      */
     function getWeightedPrice(string memory pairSymbol) public view returns (int256) {
-        AssetPair storage pair = assetPairs[pairSymbol];
-        require(pair.active, "Asset pair not active");
-        require(pair.sources.length > 0, "No sources for asset pair");
-        
-        int256[] memory validPrices = new int256[](pair.sources.length);
-        uint256[] memory validWeights = new uint256[](pair.sources.length);
-        uint256 validCount = 0;
-        
-        for (uint256 i = 0; i < pair.sources.length; i++) {
-            uint256 sourceIndex = getSourceIndex(pair.sources[i]);
-            // Copy struct to memory to avoid read-only error
-            OracleSource memory src = sources[sourceIndex];
-            try this.fetchPriceFromSource(src) returns (int256 price) {
-                if (price > 0) {
-                    validPrices[validCount] = normalizePrice(price, src.decimals);
-                    validWeights[validCount] = src.weight;
-                    validCount++;
-                }
-            } catch {
-                // Skip failed oracle
-            }
-        }
-        
-        require(validCount >= minOracleResponses, "Insufficient valid sources");
-        
-        // Calculate weighted average
-        int256 sum = 0;
-        uint256 totalWeight = 0;
+        (int256 weightedPrice, ) = weightedAverage(getPairPrices(pairSymbol, true));
+        requireCircuitClosed(pairSymbol, weightedPrice, false);
+        return weightedPrice;
+    }
+
+    /**
+     * @notice Returns the weighted price of an asset pair with the figures that show how much it can be trusted
+     * @dev The figures describe the prices getWeightedPrice averages, outliers excluded
+     * @param pairSymbol The symbol of the asset pair
+     * @return Weighted price, source count, spread, standard deviation, oldest timestamp and confidence
+     */
+    function getPriceWithQuality(string memory pairSymbol) external view returns (OracleLib.PriceQuality memory) {
+        PairPrices memory pairPrices = getPairPrices(pairSymbol, true);
+        (int256 weightedPrice, ) = weightedAverage(pairPrices);
+        requireCircuitClosed(pairSymbol, weightedPrice, false);
         
-        for (uint256 i = 0; i < validCount; i++) {
-            sum += validPrices[i] * int256(validWeights[i]);
-            totalWeight += validWeights[i];
+        uint256 enabledSources = 0;
+        address[] storage oracles = assetPairs[pairSymbol].sources;
+        for (uint256 i = 0; i < oracles.length; i++) {
+            if (pairSourceConfigs[pairSymbol][oracles[i]].enabled) enabledSources++;
         }
         
-        require(totalWeight > 0, "No weight");
-        return sum / int256(totalWeight);
+        return oracleLib.getPriceQuality(
+            weightedPrice,
+            pairPrices.prices,
+            pairPrices.timestamps,
+            pairPrices.excluded,
+            enabledSources
+        );
+    }
+
+    /**
+     * @notice Lists the usable prices of an asset pair and whether its outlier filter excludes them
+     * @param pairSymbol The symbol of the asset pair
+     * @return oracles The sources that reported a usable price, in pair order
+     * @return prices Their prices with PRICE_PRECISION decimals
+     * @return excluded Whether getWeightedPrice leaves the price out as an outlier
+     */
+    function getOutlierStatus(string memory pairSymbol) external view returns (
+        address[] memory oracles,
+        int256[] memory prices,
+        bool[] memory excluded
+    ) {
+        PairPrices memory pairPrices = getPairPrices(pairSymbol, true);
+        return (pairPrices.oracles, pairPrices.prices, pairPrices.excluded);
     }
 
     /**
@@ -186,20 +248,22 @@ constructor(
     }
 
     /**
-     * @notice Get prices from all sources for a specific asset pair with enhanced Tellor data
+     * @notice Get prices from all sources for a specific asset pair with their dispute flags
      * @param pairSymbol The symbol of the asset pair
      * @return prices Array of prices from each source
      * @return sourceTypes Array of oracle types corresponding to each price
      * @return descriptions Array of descriptions for each source
      * @return timestamps Array of timestamps for each price update
-     * @return disputeStatus Array indicating if Tellor data is disputed
+     * @return disputeStatus Array indicating if a source's data is disputed
+     * @return staleStatus Array indicating if a source's price is missing or too old to be aggregated
      */
-    function getAllPricesWithStatus(string memory pairSymbol) external view returns (
+    function getAllPricesWithStatus(string memory pairSymbol) public view returns (
         int256[] memory prices, 
         uint8[] memory sourceTypes,
         string[] memory descriptions,
         uint256[] memory timestamps,
-        bool[] memory disputeStatus
+        bool[] memory disputeStatus,
+        bool[] memory staleStatus
     ) {
         AssetPair storage pair = assetPairs[pairSymbol];
         require(pair.active, "Asset pair not active");
@@ -210,28 +274,45 @@ constructor(
         descriptions = new string[](length);
         timestamps = new uint256[](length);
         disputeStatus = new bool[](length);
+        staleStatus = new bool[](length);
         
         for (uint256 i = 0; i < length; i++) {
-            uint256 sourceIndex = getSourceIndex(pair.sources[i]);
-            OracleSource memory src = sources[sourceIndex];
-            
-            // Get raw price and timestamp with dispute status, handle errors gracefully
-            try this.getRawPriceTimestampAndDisputeSafe(src) returns (int256 price, uint256 timestamp, bool isDisputed) {
-                prices[i] = normalizePrice(price, src.decimals);
-                timestamps[i] = timestamp;
-                disputeStatus[i] = isDisputed;
-            } catch {
-                // If source fails, set defaults
-                prices[i] = 0;
-                timestamps[i] = 0;
-                disputeStatus[i] = false;
-            }
-            
+            OracleSource memory src = getPairOracleSource(pairSymbol, pair.sources[i]);
+            (prices[i], timestamps[i], disputeStatus[i], staleStatus[i]) = getSourceStatus(pairSymbol, src);
             sourceTypes[i] = src.oracleType;
             descriptions[i] = src.description;
         }
-        
-        return (prices, sourceTypes, descriptions, timestamps, disputeStatus);
+    }
+
+    /**
+     * @notice Reads a source for getAllPricesWithStatus. Stale and unhealthy prices are reported too,
+     * only failing reads are zeroed (and flagged stale).
+     */
+    function getSourceStatus(string memory pairSymbol, OracleSource memory src) internal view returns (
+        int256 price,
+        uint256 timestamp,
+        bool disputed,
+        bool stale
+    ) {
+        (price, timestamp, , disputed) = tryReadSource(pairSymbol, src);
+        stale = !isFresh(timestamp, src.heartbeatSeconds);
+    }
+
+    /**
+     * @notice Reads a source with readSource and normalizes its price, a failing read returns all zero
+     * @return price The price with PRICE_PRECISION decimals
+     */
+    function tryReadSource(string memory pairSymbol, OracleSource memory src) internal view returns (
+        int256 price,
+        uint256 timestamp,
+        bool healthy,
+        bool disputed
+    ) {
+        try this.readSource(pairSymbol, src) returns (int256 rawPrice, uint256 reportedAt, uint8 decimals, bool isHealthy, bool isDisputed) {
+            return (normalizePrice(rawPrice, decimals), reportedAt, isHealthy, isDisputed);
+        } catch {
+            // Keep the zero defaults
+        }
     }
 
     /**
@@ -248,34 +329,8 @@ constructor(
         string[] memory descriptions,
         uint256[] memory timestamps
     ) {
-        AssetPair storage pair = assetPairs[pairSymbol];
-        require(pair.active, "Asset pair not active");
-        
-        uint256 length = pair.sources.length;
-        prices = new int256[](length);
-        sourceTypes = new uint8[](length);
-        descriptions = new string[](length);
-        timestamps = new uint256[](length);
-        
-        for (uint256 i = 0; i < length; i++) {
-            uint256 sourceIndex = getSourceIndex(pair.sources[i]);
-            OracleSource memory src = sources[sourceIndex];
-            
-            // Get raw price and timestamp with error handling
-            try this.getRawPriceAndTimestampSafe(src) returns (int256 price, uint256 timestamp) {
-                prices[i] = normalizePrice(price, src.decimals);
-                timestamps[i] = timestamp;
-            } catch {
-                // If source fails, set price to 0 and timestamp to 0
-                prices[i] = 0;
-                timestamps[i] = 0;
-            }
-            
-            sourceTypes[i] = src.oracleType;
-            descriptions[i] = src.description;
-        }
-        
-        return (prices, sourceTypes, descriptions, timestamps);
+        // Same per-source reads as getAllPricesWithStatus, without the dispute and stale flags
+        (prices, sourceTypes, descriptions, timestamps, , ) = getAllPricesWithStatus(pairSymbol);
     }
 
     /**
@@ -291,172 +346,72 @@ constructor(
         view 
         returns (uint256[] memory values, uint256[] memory timestamps) 
     {
-        require(tellorAdapter != address(0), "Invalid Tellor adapter");
-        
-        // Verify this is actually a Tellor source
-        bool isTellorSource = false;
-        for (uint256 i = 0; i < sources.length; i++) {
-            if (sources[i].oracle == tellorAdapter && sources[i].oracleType == 2) {
-                isTellorSource = true;
-                break;
-            }
-        }
-        require(isTellorSource, "Not a registered Tellor source");
+        requireTellorSource(tellorAdapter);
         
         return TellorAdapter(tellorAdapter).getMultipleValues(maxAge, maxCount);
     }
 
     /**
-     * @notice Fetches price from a specific oracle source with enhanced Tellor support
+     * @notice Fetches price from a specific oracle source
+     * @dev Uniswap sources have no pool outside of an asset pair and report their adapter's default pair here.
+     * Use fetchPairPriceFromSource to resolve the Uniswap pool of an asset pair.
      * @param src Oracle source details
      * @return The raw price from the oracle
      */
     function fetchPriceFromSource(OracleSource memory src) public view returns (int256) {
-        if (src.oracleType == 0) {
-            // Chainlink
-            (
-                , 
-                int256 answer, 
-                , 
-                uint256 updatedAt, 
-            ) = IAggregatorV3(src.oracle).latestRoundData();
-            
-            require(updatedAt > 0, "Chainlink price not updated");
-            require(block.timestamp - updatedAt <= src.heartbeatSeconds, "Chainlink price is stale");
-            require(answer > 0, "Invalid Chainlink price");
-            
-            return answer;
-        } else if (src.oracleType == 1) {
-            // Uniswap - use getTWAP method from interface
-            IUniswapV3Oracle uniswapOracle = IUniswapV3Oracle(src.oracle);
-            uint256 price = uniswapOracle.getTWAP(
-                address(0), // tokenA (not used by our adapter)
-                address(0), // tokenB (not used by our adapter) 
-                3000,       // fee tier
-                0           // secondsAgo
-            );
-            require(price > 0, "Invalid Uniswap price");
-            return int256(price);
-        } else if (src.oracleType == 2) {
-            // Enhanced Tellor with simplified fallback logic
-            TellorAdapter tellorAdapter = TellorAdapter(src.oracle);
-            
-            // Try the primary method with age check
-            try tellorAdapter.getLatestValueWithAge(src.heartbeatSeconds) returns (int256 tellorPrice, uint256 tellorTimestamp) {
-                if (tellorPrice > 0 && tellorTimestamp > 0) {
-                    return tellorPrice;
-                }
-            } catch {
-                // Primary method failed, try fallback
-            }
-            
-            // Fallback 1: Try standard getLatestValue
-            try tellorAdapter.getLatestValue() returns (int256 standardPrice) {
-                if (standardPrice > 0) {
-                    return standardPrice;
-                }
-            } catch {
-                // Standard method failed
-            }
-            
-            // Fallback 2: Try legacy retrieveData method
-            try tellorAdapter.retrieveData() returns (uint256 legacyPrice) {
-                if (legacyPrice > 0) {
-                    return int256(legacyPrice);
-                }
-            } catch {
-                // All methods failed
-            }
-            
-            revert("No valid Tellor data available");
-        } else if (src.oracleType == 3) {
-            // API3 - Call the adapter's getLatestValue method, not getLatestPrice
-            API3Adapter api3Adapter = API3Adapter(src.oracle);
-            int256 price = api3Adapter.getLatestValue();
-            require(price > 0, "Invalid API3 price");
-            return price;
-        }
-        
-        revert("Invalid oracle type");
+        return fetchPairPriceFromSource("", src);
     }
 
     /**
-     * @notice Returns raw price and timestamp from a source with enhanced Tellor support
+     * @notice Fetches price from a specific oracle source for an asset pair
+     * @dev Reverts unless the source reports a healthy, positive price that is fresh (see isFresh)
+     * @param pairSymbol The asset pair the price is fetched for (selects the Uniswap pool)
+     * @param src Oracle source details
+     * @return The raw price from the oracle
      */
-    function getRawPriceAndTimestamp(OracleSource memory src) internal view returns (int256 price, uint256 timestamp) {
-        if (src.oracleType == 0) {
-            // Chainlink
-            (
-                , 
-                int256 answer, 
-                , 
-                uint256 updatedAt, 
-            ) = IAggregatorV3(src.oracle).latestRoundData();
-            
-            return (answer, updatedAt);
-        } else if (src.oracleType == 1) {
-            // Uniswap - use getTWAP method from interface
-            IUniswapV3Oracle uniswapOracle = IUniswapV3Oracle(src.oracle);
-            uint256 uniswapPrice = uniswapOracle.getTWAP(
-                address(0), // tokenA (not used by our adapter)
-                address(0), // tokenB (not used by our adapter) 
-                3000,       // fee tier
-                0           // secondsAgo
-            );
-            return (int256(uniswapPrice), block.timestamp);
-        } else if (src.oracleType == 2) {
-            // Enhanced Tellor with actual timestamp
-            TellorAdapter tellorAdapter = TellorAdapter(src.oracle);
-            
-            try tellorAdapter.getLatestValueWithAge(src.heartbeatSeconds) returns (int256 tellorPrice, uint256 tellorTimestamp) {
-                return (tellorPrice, tellorTimestamp);
-            } catch {
-                // Fallback to legacy method
-                uint256 legacyPrice = tellorAdapter.retrieveData();
-                uint256 lastTimestamp = tellorAdapter.getLastUpdateTimestamp();
-                return (int256(legacyPrice), lastTimestamp);
-            }
-        } else if (src.oracleType == 3) {
-            // API3 - Call the adapter's getLatestValueWithAge method
-            API3Adapter api3Adapter = API3Adapter(src.oracle);
-            try api3Adapter.getLatestValueWithAge(src.heartbeatSeconds) returns (int256 api3Price, uint256 api3Timestamp) {
-                return (api3Price, api3Timestamp);
-            } catch {
-                // Fallback to basic method
-                int256 api3Price = api3Adapter.getLatestValue();
-                uint256 api3Timestamp = api3Adapter.getLastUpdateTimestamp();
-                return (api3Price, api3Timestamp);
-            }
-        }
-        
-        revert("Invalid oracle type");
+    function fetchPairPriceFromSource(string memory pairSymbol, OracleSource memory src) public view returns (int256) {
+        (int256 price, uint256 timestamp, , bool healthy, ) = readSource(pairSymbol, src);
+        require(healthy && price > 0, "Source price unavailable");
+        require(isFresh(timestamp, src.heartbeatSeconds), "Source price is stale");
+        return price;
     }
 
     /**
-     * @notice Returns raw price, timestamp, and dispute status from a source
+     * @notice Reads a source the way an asset pair queries it, without judging the price
+     * @dev Every source is read through IOracleAdapter, so a new oracle family only needs an adapter
+     * and a type id of its own; Chainlink feeds are registered through a ChainlinkAdapter. A Uniswap
+     * oracle with a pool configured for the pair (setUniswapPool) is asked for that pool instead of
+     * its default pair. When the latest Tellor value (type 2) is disputed, the latest undisputed one
+     * at least tellorDisputeWindow old is returned instead, still flagged disputed.
+     * @param pairSymbol The asset pair the source is read for (selects the Uniswap pool)
+     * @param src Oracle source details
+     * @return price The raw price with `decimals` decimals
+     * @return timestamp When the price was reported
+     * @return decimals The reported decimals, the configured ones for a Uniswap pool
+     * @return healthy Whether the source considers the price safe to use
+     * @return disputed Whether the latest price is under dispute
      */
-    function getRawPriceTimestampAndDispute(OracleSource memory src) internal view returns (int256 price, uint256 timestamp, bool isDisputed) {
-        if (src.oracleType == 2) {
-            // Enhanced Tellor with dispute checking
-            TellorAdapter tellorAdapter = TellorAdapter(src.oracle);
-            
-            try tellorAdapter.getLatestValueWithAge(src.heartbeatSeconds) returns (int256 tellorPrice, uint256 tellorTimestamp) {
-                bool disputed = tellorAdapter.isDisputed(tellorTimestamp);
-                return (tellorPrice, tellorTimestamp, disputed);
-            } catch {
-                // Fallback to legacy method
-                uint256 legacyPrice = tellorAdapter.retrieveData();
-                uint256 lastTimestamp = tellorAdapter.getLastUpdateTimestamp();
-                bool disputed = false;
-                if (lastTimestamp > 0) {
-                    disputed = tellorAdapter.isDisputed(lastTimestamp);
-                }
-                return (int256(legacyPrice), lastTimestamp, disputed);
-            }
-        } else {
-            // For non-Tellor sources, get price and timestamp normally
-            (int256 sourcePrice, uint256 sourceTimestamp) = getRawPriceAndTimestamp(src);
-            return (sourcePrice, sourceTimestamp, false); // Non-Tellor sources don't have dispute mechanism
+    function readSource(string memory pairSymbol, OracleSource memory src) public view returns (
+        int256 price,
+        uint256 timestamp,
+        uint8 decimals,
+        bool healthy,
+        bool disputed
+    ) {
+        UniswapPool storage pool = uniswapPools[pairSymbol][src.oracle];
+        if (pool.fee != 0) {
+            // Stamped with the pool's last update
+            uint256 poolPrice;
+            (poolPrice, timestamp) = IUniswapV3Oracle(src.oracle).getPriceData(pool.tokenA, pool.tokenB, pool.fee);
+            price = poolPrice.toInt256();
+            return (price, timestamp, src.decimals, price > 0, false);
+        }
+        
+        (price, timestamp, decimals, healthy, disputed) = IOracleAdapter(src.oracle).latestPriceData();
+        if (disputed && src.oracleType == 2) {
+            uint256 before = block.timestamp > tellorDisputeWindow ? block.timestamp - tellorDisputeWindow : 0;
+            (price, timestamp) = TellorAdapter(src.oracle).getUndisputedValueBefore(before);
+            healthy = price > 0;
         }
     }
 
@@ -474,17 +429,7 @@ constructor(
         uint256 lastTimestamp,
         bool isLastDisputed
     ) {
-        require(tellorAdapter != address(0), "Invalid Tellor adapter");
-        
-        // Verify this is actually a Tellor source
-        bool isTellorSource = false;
-        for (uint256 i = 0; i < sources.length; i++) {
-            if (sources[i].oracle == tellorAdapter && sources[i].oracleType == 2) {
-                isTellorSource = true;
-                break;
-            }
-        }
-        require(isTellorSource, "Not a registered Tellor source");
+        requireTellorSource(tellorAdapter);
         
         TellorAdapter adapter = TellorAdapter(tellorAdapter);
         
@@ -500,44 +445,34 @@ constructor(
     }
 
     /**
-     * @notice Check if any Tellor sources have disputed data
+     * @notice Check if any sources of an asset pair have disputed data
+     * @dev Tellor is the only bundled oracle with disputes, but any adapter can flag its value
      * @param pairSymbol The asset pair to check
-     * @return hasDisputedData Whether any Tellor source has disputed data
-     * @return disputedSources Array of disputed Tellor source addresses
+     * @return hasDisputedData Whether any source has disputed data
+     * @return disputedSources Array of disputed source addresses
      */
     function checkTellorDisputes(string memory pairSymbol) external view returns (
         bool hasDisputedData,
         address[] memory disputedSources
     ) {
-        AssetPair storage pair = assetPairs[pairSymbol];
-        require(pair.active, "Asset pair not active");
+        // Sources that cannot be read have nothing to report
+        (, , , , bool[] memory disputeStatus, ) = getAllPricesWithStatus(pairSymbol);
+        address[] storage oracles = assetPairs[pairSymbol].sources;
         
-        address[] memory tempDisputed = new address[](pair.sources.length);
+        disputedSources = new address[](oracles.length);
         uint256 disputedCount = 0;
-        
-        for (uint256 i = 0; i < pair.sources.length; i++) {
-            uint256 sourceIndex = getSourceIndex(pair.sources[i]);
-            OracleSource memory src = sources[sourceIndex];
-            
-            if (src.oracleType == 2) { // Tellor
-                TellorAdapter adapter = TellorAdapter(src.oracle);
-                uint256 lastTimestamp = adapter.getLastUpdateTimestamp();
-                
-                if (lastTimestamp > 0 && adapter.isDisputed(lastTimestamp)) {
-                    tempDisputed[disputedCount] = src.oracle;
-                    disputedCount++;
-                    hasDisputedData = true;
-                }
+        for (uint256 i = 0; i < oracles.length; i++) {
+            if (disputeStatus[i]) {
+                disputedSources[disputedCount] = oracles[i];
+                disputedCount++;
             }
         }
         
-        // Resize the array to actual disputed count
-        disputedSources = new address[](disputedCount);
-        for (uint256 i = 0; i < disputedCount; i++) {
-            disputedSources[i] = tempDisputed[i];
+        // Resize the array to the disputed sources
+        assembly {
+            mstore(disputedSources, disputedCount)
         }
-        
-        return (hasDisputedData, disputedSources);
+        hasDisputedData = disputedCount > 0;
     }
 
     /**
@@ -554,13 +489,403 @@ constructor(
     /**
      * @notice Get index of a source in the sources array
      */
-    function getSourceIndex(address oracle) public view returns (uint256) {
-        for (uint256 i = 0; i < sources.length; i++) {
-            if (sources[i].oracle == oracle) {
-                return i;
+    function getSourceIndex(address oracle) public view returns (uint256 index) {
+        bool found;
+        (found, index) = findSource(oracle);
+        require(found, "Oracle not found");
+    }
+
+    function requireTellorSource(address tellorAdapter) internal view {
+        (bool found, uint256 index) = findSource(tellorAdapter);
+        require(found && sources[index].oracleType == 2, "Not a registered Tellor source");
+    }
+
+    function isRegistered(address oracle) internal view returns (bool found) {
+        (found, ) = findSource(oracle);
+    }
+
+    function findSource(address oracle) internal view returns (bool found, uint256 index) {
+        for (; index < sources.length; index++) {
+            if (sources[index].oracle == oracle) return (true, index);
+        }
+    }
+
+    /**
+     * @notice Returns an oracle's registry entry with the weight, heartbeat and decimals of an asset pair
+     * @param pairSymbol The asset pair the oracle serves
+     * @param oracle The oracle address
+     * @return src The source as the pair queries it
+     */
+    function getPairOracleSource(string memory pairSymbol, address oracle) public view returns (OracleSource memory src) {
+        PairSource storage config = getPairSourceConfig(pairSymbol, oracle);
+        
+        src = sources[getSourceIndex(oracle)];
+        src.weight = config.weight;
+        src.heartbeatSeconds = config.heartbeatSeconds;
+        src.decimals = config.decimals;
+    }
+
+    /**
+     * @notice Reads an enabled source of an asset pair for aggregation
+     * @return usable Whether the source reported a healthy, positive and fresh price (see isFresh)
+     * @return price The price with PRICE_PRECISION decimals
+     * @return weight The weight of the source within the pair
+     * @return timestamp When the price was reported
+     * @return disputed Whether the latest value of the source is disputed, usable or not
+     */
+    function getUsablePairPrice(string memory pairSymbol, address oracle) internal view returns (
+        bool usable,
+        int256 price,
+        uint256 weight,
+        uint256 timestamp,
+        bool disputed
+    ) {
+        if (!pairSourceConfigs[pairSymbol][oracle].enabled) return (false, 0, 0, 0, false);
+        
+        OracleSource memory src = getPairOracleSource(pairSymbol, oracle);
+        bool healthy;
+        (price, timestamp, healthy, disputed) = tryReadSource(pairSymbol, src);
+        usable = healthy && price > 0 && isFresh(timestamp, src.heartbeatSeconds);
+        weight = src.weight;
+    }
+
+    /**
+     * @notice Reads every usable source of an asset pair, optionally applying the pair's outlier filter
+     * @return pairPrices The sources that reported a usable price, in pair order
+     */
+    function getPairPrices(string memory pairSymbol, bool filterOutliers) internal view returns (PairPrices memory pairPrices) {
+        AssetPair storage pair = assetPairs[pairSymbol];
+        require(pair.active, "Asset pair not active");
+        require(pair.sources.length > 0, "No sources for asset pair");
+        
+        address[] memory oracles = new address[](pair.sources.length);
+        int256[] memory prices = new int256[](pair.sources.length);
+        uint256[] memory weights = new uint256[](pair.sources.length);
+        uint256[] memory timestamps = new uint256[](pair.sources.length);
+        bool[] memory disputed = new bool[](pair.sources.length);
+        uint256 count = 0;
+        
+        for (uint256 i = 0; i < pair.sources.length; i++) {
+            bool usable;
+            int256 price;
+            uint256 weight;
+            uint256 timestamp;
+            (usable, price, weight, timestamp, disputed[i]) = getUsablePairPrice(pairSymbol, pair.sources[i]);
+            if (usable) {
+                oracles[count] = pair.sources[i];
+                prices[count] = price;
+                weights[count] = weight;
+                timestamps[count] = timestamp;
+                count++;
+            }
+        }
+        
+        // Resize arrays to the usable sources, the dispute flags cover every source
+        assembly {
+            mstore(oracles, count)
+            mstore(prices, count)
+            mstore(weights, count)
+            mstore(timestamps, count)
+        }
+        
+        OutlierFilterConfig memory config = outlierFilters[pairSymbol];
+        bool[] memory excluded = !filterOutliers || config.filter == OracleLib.OutlierFilter.None
+            ? new bool[](count)
+            : oracleLib.findOutliers(prices, config.filter, config.threshold);
+        
+        return PairPrices(oracles, prices, weights, timestamps, excluded, disputed);
+    }
+
+    /**
+     * @notice Median of every usable price, outliers included
+     */
+    function medianOf(PairPrices memory pairPrices) internal view returns (int256) {
+        require(pairPrices.prices.length >= minOracleResponses, "Insufficient valid prices");
+        return oracleLib.getMedian(pairPrices.prices);
+    }
+
+    /**
+     * @notice Weighted average of the prices the outlier filter kept
+     * @return The weighted price and the number of prices it was computed from
+     */
+    function weightedAverage(PairPrices memory pairPrices) internal view returns (int256, uint256) {
+        int256 sum = 0;
+        uint256 totalWeight = 0;
+        uint256 validCount = 0;
+        
+        for (uint256 i = 0; i < pairPrices.prices.length; i++) {
+            if (!pairPrices.excluded[i]) {
+                sum += pairPrices.prices[i] * int256(pairPrices.weights[i]);
+                totalWeight += pairPrices.weights[i];
+                validCount++;
+            }
+        }
+        
+        require(validCount >= minOracleResponses, "Insufficient valid sources");
+        require(totalWeight > 0, "No weight");
+        return (sum / int256(totalWeight), validCount);
+    }
+
+    /**
+     * @notice Whether a price reported at `timestamp` is at most `heartbeatSeconds` old
+     * @dev stalenessThreshold caps every heartbeat, so no source type can feed an older price
+     * into an aggregate, Uniswap pools included.
+     */
+    function isFresh(uint256 timestamp, uint256 heartbeatSeconds) internal view returns (bool) {
+        uint256 maxAge = heartbeatSeconds < stalenessThreshold ? heartbeatSeconds : stalenessThreshold;
+        return timestamp > 0 && timestamp <= block.timestamp && block.timestamp - timestamp <= maxAge;
+    }
+
+    // ===== Price history =====
+
+    /**
+     * @notice Computes the median and weighted price of an asset pair and stores them in the pair's history
+     * @dev Only the newest PRICE_HISTORY_SIZE snapshots are kept, each one overwrites the oldest.
+     * A price that moved further from the last snapshot than the pair's circuit breaker allows is not
+     * stored and freezes the pair instead. A frozen pair resumes here once its cooldown has passed.
+     * Emits TellorDataDisputed for every Tellor source whose latest value became disputed since the last snapshot.
+     * @param pairSymbol The symbol of the asset pair
+     * @return snapshot The computed snapshot, not stored when it tripped the circuit breaker
+     */
+    function updatePrice(string memory pairSymbol) external onlyRole(KEEPER_ROLE) whenNotPaused returns (TWAPCalculator.PriceSnapshot memory snapshot) {
+        if (frozenAt[pairSymbol] != 0) {
+            require(!isFrozen(pairSymbol), "Pair frozen");
+            resume(pairSymbol);
+            return recordSnapshot(pairSymbol);
+        }
+        
+        snapshot = computeSnapshot(pairSymbol);
+        if (exceedsCircuitBreaker(pairSymbol, snapshot.medianPrice, true) ||
+            exceedsCircuitBreaker(pairSymbol, snapshot.weightedPrice, false)) {
+            frozenAt[pairSymbol] = block.timestamp;
+            emit CircuitBreakerTripped(pairSymbol, latestSnapshot(pairSymbol).weightedPrice, snapshot.weightedPrice);
+            emit PairFrozen(pairSymbol, msg.sender);
+            return snapshot;
+        }
+        storeSnapshot(pairSymbol, snapshot);
+    }
+
+    /**
+     * @notice Records the dispute flags the snapshot of a pair read and emits TellorDataDisputed for
+     * every source whose latest value was not disputed at the pair's previous snapshot. The flags are
+     * kept per pair, so pairs sharing a source, or disabling it, do not flip each other's flags.
+     */
+    function recordDisputes(string memory pairSymbol, bool[] memory disputed) internal {
+        address[] storage oracles = assetPairs[pairSymbol].sources;
+        for (uint256 i = 0; i < oracles.length; i++) {
+            if (disputed[i] == sourceDisputed[pairSymbol][oracles[i]]) continue;
+            
+            sourceDisputed[pairSymbol][oracles[i]] = disputed[i];
+            if (disputed[i]) {
+                // Only adapters report disputes, and this one was just read
+                (, uint256 timestamp, , , ) = IOracleAdapter(oracles[i]).latestPriceData();
+                emit TellorDataDisputed(oracles[i], timestamp);
+            }
+        }
+    }
+
+    /**
+     * @notice Median and weighted price of an asset pair as a snapshot taken now, recording the
+     * dispute flags of its sources (see recordDisputes)
+     */
+    function computeSnapshot(string memory pairSymbol) internal returns (TWAPCalculator.PriceSnapshot memory snapshot) {
+        PairPrices memory pairPrices = getPairPrices(pairSymbol, true);
+        recordDisputes(pairSymbol, pairPrices.disputed);
+        
+        snapshot.medianPrice = medianOf(pairPrices);
+        (snapshot.weightedPrice, snapshot.sourceCount) = weightedAverage(pairPrices);
+        snapshot.timestamp = block.timestamp;
+    }
+
+    function storeSnapshot(string memory pairSymbol, TWAPCalculator.PriceSnapshot memory snapshot) internal {
+        uint256 count = snapshotCount[pairSymbol];
+        priceHistory[pairSymbol][count % PRICE_HISTORY_SIZE] = snapshot;
+        snapshotCount[pairSymbol] = count + 1;
+        
+        emit PriceUpdated(pairSymbol, snapshot.medianPrice, snapshot.weightedPrice);
+    }
+
+    function recordSnapshot(string memory pairSymbol) internal returns (TWAPCalculator.PriceSnapshot memory snapshot) {
+        snapshot = computeSnapshot(pairSymbol);
+        storeSnapshot(pairSymbol, snapshot);
+    }
+
+    /**
+     * @notice Latest stored snapshot of an asset pair, all zero before the first one
+     */
+    function latestSnapshot(string memory pairSymbol) internal view returns (TWAPCalculator.PriceSnapshot memory snapshot) {
+        uint256 count = snapshotCount[pairSymbol];
+        if (count > 0) snapshot = priceHistory[pairSymbol][(count - 1) % PRICE_HISTORY_SIZE];
+    }
+
+    /**
+     * @notice Returns the snapshot that was current at a point in time
+     * @param pairSymbol The symbol of the asset pair
+     * @param timestamp The point in time
+     * @return The latest snapshot taken at or before `timestamp`
+     */
+    function getPriceAt(string memory pairSymbol, uint256 timestamp) external view returns (TWAPCalculator.PriceSnapshot memory) {
+        TWAPCalculator.PriceSnapshot[PRICE_HISTORY_SIZE] storage history = priceHistory[pairSymbol];
+        uint256 count = snapshotCount[pairSymbol];
+        uint256 first = count > PRICE_HISTORY_SIZE ? count - PRICE_HISTORY_SIZE : 0;
+        require(count > 0 && history[first % PRICE_HISTORY_SIZE].timestamp <= timestamp, "No snapshot at or before timestamp");
+        
+        // Binary search for the last snapshot not newer than `timestamp`, snapshots are in time order
+        uint256 low = first;
+        uint256 high = count - 1;
+        while (low < high) {
+            uint256 mid = (low + high + 1) / 2;
+            if (history[mid % PRICE_HISTORY_SIZE].timestamp <= timestamp) {
+                low = mid;
+            } else {
+                high = mid - 1;
+            }
+        }
+        return history[low % PRICE_HISTORY_SIZE];
+    }
+
+    /**
+     * @notice Returns the most recent snapshots of an asset pair, oldest first
+     * @param pairSymbol The symbol of the asset pair
+     * @param maxCount Maximum number of snapshots to return
+     * @return snapshots Up to `maxCount` snapshots, fewer if the history is shorter
+     */
+    function getHistory(string memory pairSymbol, uint256 maxCount) public view returns (TWAPCalculator.PriceSnapshot[] memory snapshots) {
+        uint256 count = snapshotCount[pairSymbol];
+        uint256 available = count < PRICE_HISTORY_SIZE ? count : PRICE_HISTORY_SIZE;
+        uint256 length = maxCount < available ? maxCount : available;
+        
+        snapshots = new TWAPCalculator.PriceSnapshot[](length);
+        for (uint256 i = 0; i < length; i++) {
+            snapshots[i] = priceHistory[pairSymbol][(count - length + i) % PRICE_HISTORY_SIZE];
+        }
+    }
+
+    /**
+     * @notice Time-weighted average of the median and weighted price of an asset pair over its stored snapshots
+     * @dev Each snapshot holds until the next one, the latest until now. Reverts when the history does not
+     * reach back to the start of the window or when snapshots are more than maxSnapshotGap apart.
+     * @param pairSymbol The symbol of the asset pair
+     * @param window Length of the averaging window in seconds, ending now
+     * @return medianTWAP Time-weighted median price with PRICE_PRECISION decimals
+     * @return weightedTWAP Time-weighted weighted price with PRICE_PRECISION decimals
+     */
+    function getAggregatedTWAP(string memory pairSymbol, uint256 window) external view returns (
+        int256 medianTWAP,
+        int256 weightedTWAP
+    ) {
+        _requireNotPaused();
+        require(window > 0 && window <= block.timestamp, "Invalid TWAP window");
+        require(!isFrozen(pairSymbol), "Pair frozen");
+        
+        return twapCalculator.getSnapshotTWAP(
+            getHistory(pairSymbol, PRICE_HISTORY_SIZE),
+            block.timestamp - window,
+            block.timestamp,
+            maxSnapshotGap
+        );
+    }
+
+    // ===== Circuit breaker =====
+
+    /**
+     * @notice Whether an asset pair is frozen, i.e. tripped its circuit breaker or was frozen by a guardian
+     * and has not been resumed or cooled down since
+     */
+    function isFrozen(string memory pairSymbol) public view returns (bool) {
+        uint256 frozenSince = frozenAt[pairSymbol];
+        uint256 cooldown = circuitBreakers[pairSymbol].cooldown;
+        return frozenSince != 0 && (cooldown == 0 || block.timestamp < frozenSince + cooldown);
+    }
+
+    /**
+     * @notice Weighted price of an asset pair that falls back to the last snapshot instead of reverting
+     * when the circuit breaker holds the live price back
+     * @param pairSymbol The symbol of the asset pair
+     * @return price The live weighted price, or the weighted price of the last snapshot when `frozen`
+     * @return timestamp When the price was computed
+     * @return frozen Whether the aggregator is paused, the pair is frozen or the live price would trip its circuit breaker
+     */
+    function getSafePrice(string memory pairSymbol) external view returns (int256 price, uint256 timestamp, bool frozen) {
+        if (!paused() && !isFrozen(pairSymbol)) {
+            (price, ) = weightedAverage(getPairPrices(pairSymbol, true));
+            if (!exceedsCircuitBreaker(pairSymbol, price, false)) {
+                return (price, block.timestamp, false);
             }
         }
-        revert("Oracle not found");
+        
+        TWAPCalculator.PriceSnapshot memory last = latestSnapshot(pairSymbol);
+        return (last.weightedPrice, last.timestamp, true);
+    }
+
+    /**
+     * @notice Whether a price moved further from the pair's last snapshot than its circuit breaker allows
+     * @param median Compare against the median instead of the weighted price of the snapshot
+     */
+    function exceedsCircuitBreaker(string memory pairSymbol, int256 price, bool median) internal view returns (bool) {
+        CircuitBreakerConfig memory config = circuitBreakers[pairSymbol];
+        TWAPCalculator.PriceSnapshot memory last = latestSnapshot(pairSymbol);
+        if (config.maxDeviationBps == 0 || last.timestamp == 0 || block.timestamp - last.timestamp > config.window) {
+            return false;
+        }
+        
+        int256 lastPrice = median ? last.medianPrice : last.weightedPrice;
+        uint256 change = price > lastPrice ? uint256(price - lastPrice) : uint256(lastPrice - price);
+        return change * 10000 > config.maxDeviationBps * uint256(lastPrice);
+    }
+
+    function requireCircuitClosed(string memory pairSymbol, int256 price, bool median) internal view {
+        _requireNotPaused();
+        require(!isFrozen(pairSymbol), "Pair frozen");
+        require(!exceedsCircuitBreaker(pairSymbol, price, median), "Circuit breaker tripped");
+    }
+
+    /**
+     * @notice Freezes an asset pair until the admin resumes it or its cooldown passes
+     */
+    function freezePair(string memory symbol) external onlyRole(GUARDIAN_ROLE) {
+        requirePairExists(symbol);
+        require(!isFrozen(symbol), "Pair already frozen");
+        
+        frozenAt[symbol] = block.timestamp;
+        emit PairFrozen(symbol, msg.sender);
+    }
+
+    /**
+     * @notice Resumes a frozen asset pair and stores its current price as the new reference snapshot
+     */
+    function resumePair(string memory symbol) external onlyRole(DEFAULT_ADMIN_ROLE) {
+        require(frozenAt[symbol] != 0, "Pair not frozen");
+        
+        resume(symbol);
+        recordSnapshot(symbol);
+    }
+
+    function resume(string memory symbol) internal {
+        frozenAt[symbol] = 0;
+        emit PairResumed(symbol, msg.sender);
+    }
+
+    /**
+     * @notice Pauses price reads and snapshots of every asset pair until the admin unpauses
+     */
+    function pause() external onlyRole(GUARDIAN_ROLE) {
+        _pause();
+    }
+
+    /**
+     * @notice Lifts the pause set by a guardian
+     */
+    function unpause() external onlyRole(DEFAULT_ADMIN_ROLE) {
+        _unpause();
+    }
+
+    /**
+     * @dev Reverts with a plain message: OpenZeppelin's, which spells out the account and role in hex,
+     * takes 1.5 KB of code the aggregator cannot spare under the contract size limit
+     */
+    function _checkRole(bytes32 role, address account) internal view override {
+        require(hasRole(role, account), "AccessControl: missing role");
     }
 
     // ===== Admin functions =====
@@ -568,31 +893,28 @@ constructor(
     /**
      * @notice Adds a new oracle source
      */
-    function addOracleSource(OracleSource memory src) external onlyOwner {
+    function addOracleSource(OracleSource memory src) external onlyRole(CONFIG_MANAGER_ROLE) {
         require(src.oracle != address(0), "Invalid oracle address");
         require(src.weight > 0, "Weight must be positive");
+        require(!isRegistered(src.oracle), "Oracle already registered");
         
         sources.push(src);
         emit OracleSourceAdded(src.oracle, src.oracleType, src.weight);
     }
 
     /**
-     * @notice Removes an oracle source
+     * @notice Removes an oracle source, along with its entries in every asset pair
      */
-    function removeOracleSource(address oracle) external onlyOwner {
-        uint256 index = 0;
-        bool found = false;
+    function removeOracleSource(address oracle) external onlyRole(TIMELOCK_ROLE) {
+        uint256 index = getSourceIndex(oracle);
         
-        for (uint256 i = 0; i < sources.length; i++) {
-            if (sources[i].oracle == oracle) {
-                index = i;
-                found = true;
-                break;
+        // Pairs must never reference an unregistered oracle, price reads would revert
+        for (uint256 i = 0; i < supportedPairs.length; i++) {
+            if (pairSourceConfigs[supportedPairs[i]][oracle].oracle != address(0)) {
+                deletePairSource(supportedPairs[i], oracle);
             }
         }
         
-        require(found, "Oracle not found");
-        
         // Remove the oracle by swapping with the last element and popping
         sources[index] = sources[sources.length - 1];
         sources.pop();
@@ -601,20 +923,33 @@ constructor(
     }
 
     /**
-     * @notice Updates an existing oracle source weight
+     * @notice Updates an existing oracle source weight, in the registry and in every asset pair
+     * @dev Use updatePairSource to change the weight within a single pair
      */
-    function updateOracleWeight(address oracle, uint256 newWeight) external onlyOwner {
+    function updateOracleWeight(address oracle, uint256 newWeight) external onlyRole(TIMELOCK_ROLE) {
         require(newWeight > 0, "Weight must be positive");
         
-        for (uint256 i = 0; i < sources.length; i++) {
-            if (sources[i].oracle == oracle) {
-                sources[i].weight = newWeight;
-                emit OracleSourceUpdated(oracle, newWeight);
-                return;
+        sources[getSourceIndex(oracle)].weight = newWeight;
+        emit OracleSourceUpdated(oracle, newWeight);
+        
+        for (uint256 i = 0; i < supportedPairs.length; i++) {
+            PairSource storage config = pairSourceConfigs[supportedPairs[i]][oracle];
+            if (config.oracle != address(0)) {
+                config.weight = newWeight;
+                emitPairSourceUpdated(supportedPairs[i], config);
             }
         }
+    }
+
+    /**
+     * @notice Replaces the registry entry of an oracle (type, description and pair defaults)
+     * @dev Asset pairs keep their own weight, heartbeat and decimals for the oracle
+     */
+    function updateOracleSource(OracleSource memory src) external onlyRole(TIMELOCK_ROLE) {
+        require(src.weight > 0, "Weight must be positive");
         
-        revert("Oracle not found");
+        sources[getSourceIndex(src.oracle)] = src;
+        emit OracleSourceUpdated(src.oracle, src.weight);
     }
 
     /**
@@ -625,41 +960,187 @@ constructor(
         string memory baseAsset,
         string memory quoteAsset,
         address[] memory pairSources
-    ) external onlyOwner {
+    ) external onlyRole(CONFIG_MANAGER_ROLE) {
         require(bytes(symbol).length > 0, "Symbol cannot be empty");
         require(bytes(baseAsset).length > 0, "Base asset cannot be empty");
         require(bytes(quoteAsset).length > 0, "Quote asset cannot be empty");
         require(pairSources.length > 0, "Must provide at least one source");
+        require(bytes(assetPairs[symbol].symbol).length == 0, "Asset pair already exists");
+        
+        assetPairs[symbol].symbol = symbol;
+        assetPairs[symbol].baseAsset = baseAsset;
+        assetPairs[symbol].quoteAsset = quoteAsset;
+        assetPairs[symbol].active = true;
         
-        // Check all sources exist
+        // Each source starts with the defaults of its registry entry
         for (uint256 i = 0; i < pairSources.length; i++) {
-            bool found = false;
-            for (uint256 j = 0; j < sources.length; j++) {
-                if (sources[j].oracle == pairSources[i]) {
-                    found = true;
-                    break;
-                }
-            }
+            (bool found, uint256 index) = findSource(pairSources[i]);
             require(found, "Oracle source not registered");
+            OracleSource storage src = sources[index];
+            insertPairSource(symbol, pairSources[i], src.weight, src.heartbeatSeconds, src.decimals);
         }
         
-        assetPairs[symbol] = AssetPair({
-            symbol: symbol,
-            baseAsset: baseAsset,
-            quoteAsset: quoteAsset,
-            sources: pairSources,
-            active: true
-        });
-        
         supportedPairs.push(symbol);
         emit AssetPairAdded(symbol, baseAsset, quoteAsset);
     }
 
     /**
-     * @notice Updates the active status of an asset pair
+     * @notice Adds a registered oracle to an asset pair with pair-specific settings
+     */
+    function addPairSource(
+        string memory symbol,
+        address oracle,
+        uint256 weight,
+        uint256 heartbeatSeconds,
+        uint8 decimals
+    ) external onlyRole(TIMELOCK_ROLE) {
+        requirePairExists(symbol);
+        require(isRegistered(oracle), "Oracle source not registered");
+        insertPairSource(symbol, oracle, weight, heartbeatSeconds, decimals);
+    }
+
+    /**
+     * @notice Removes an oracle from an asset pair; its registry entry is kept
+     */
+    function removePairSource(string memory symbol, address oracle) external onlyRole(TIMELOCK_ROLE) {
+        getPairSourceConfig(symbol, oracle);
+        deletePairSource(symbol, oracle);
+    }
+
+    /**
+     * @notice Updates the weight, heartbeat and decimals of an oracle within an asset pair
+     */
+    function updatePairSource(
+        string memory symbol,
+        address oracle,
+        uint256 weight,
+        uint256 heartbeatSeconds,
+        uint8 decimals
+    ) external onlyRole(TIMELOCK_ROLE) {
+        PairSource storage config = getPairSourceConfig(symbol, oracle);
+        require(weight > 0, "Weight must be positive");
+        
+        config.weight = weight;
+        config.heartbeatSeconds = heartbeatSeconds;
+        config.decimals = decimals;
+        emitPairSourceUpdated(symbol, config);
+    }
+
+    /**
+     * @notice Includes or excludes an oracle from the aggregation of an asset pair
      */
-    function setAssetPairStatus(string memory symbol, bool active) external onlyOwner {
+    function setPairSourceEnabled(string memory symbol, address oracle, bool enabled) external onlyRole(TIMELOCK_ROLE) {
+        PairSource storage config = getPairSourceConfig(symbol, oracle);
+        
+        config.enabled = enabled;
+        emitPairSourceUpdated(symbol, config);
+    }
+
+    function insertPairSource(
+        string memory symbol,
+        address oracle,
+        uint256 weight,
+        uint256 heartbeatSeconds,
+        uint8 decimals
+    ) internal {
+        require(pairSourceConfigs[symbol][oracle].oracle == address(0), "Oracle already in asset pair");
+        require(weight > 0, "Weight must be positive");
+        
+        assetPairs[symbol].sources.push(oracle);
+        pairSourceConfigs[symbol][oracle] = PairSource(oracle, weight, heartbeatSeconds, decimals, true);
+        emit PairSourceAdded(symbol, oracle, weight);
+    }
+
+    function deletePairSource(string memory symbol, address oracle) internal {
+        address[] storage pairSources = assetPairs[symbol].sources;
+        
+        // Shift the remaining sources down to keep their order
+        uint256 i = 0;
+        while (pairSources[i] != oracle) i++;
+        for (; i + 1 < pairSources.length; i++) {
+            pairSources[i] = pairSources[i + 1];
+        }
+        pairSources.pop();
+        
+        delete pairSourceConfigs[symbol][oracle];
+        delete uniswapPools[symbol][oracle];
+        delete sourceDisputed[symbol][oracle];
+        emit PairSourceRemoved(symbol, oracle);
+    }
+
+    function requirePairExists(string memory symbol) internal view {
         require(bytes(assetPairs[symbol].symbol).length > 0, "Asset pair does not exist");
+    }
+
+    function getPairSourceConfig(string memory symbol, address oracle) internal view returns (PairSource storage config) {
+        config = pairSourceConfigs[symbol][oracle];
+        require(config.oracle != address(0), "Not a source of the asset pair");
+    }
+
+    function emitPairSourceUpdated(string memory symbol, PairSource storage config) internal {
+        emit PairSourceUpdated(symbol, config.oracle, config.weight, config.heartbeatSeconds, config.decimals, config.enabled);
+    }
+
+    /**
+     * @notice Sets the Uniswap pool a Uniswap source is queried with for an asset pair
+     * @dev Lets a single multi-pair adapter (e.g. UniswapV3GraphAdapter) serve several pairs
+     */
+    function setUniswapPool(
+        string memory symbol,
+        address oracle,
+        address tokenA,
+        address tokenB,
+        uint24 fee
+    ) external onlyRole(TIMELOCK_ROLE) {
+        requirePairExists(symbol);
+        getPairSourceConfig(symbol, oracle);
+        require(sources[getSourceIndex(oracle)].oracleType == 1, "Not a Uniswap source");
+        require(tokenA != address(0) && tokenB != address(0), "Invalid token address");
+        require(fee > 0, "Invalid fee tier");
+        
+        uniswapPools[symbol][oracle] = UniswapPool(tokenA, tokenB, fee);
+        emit UniswapPoolSet(symbol, oracle, tokenA, tokenB, fee);
+    }
+
+    /**
+     * @notice Sets the filter that leaves prices far from the median out of an asset pair's weighted price
+     * @param symbol The asset pair symbol
+     * @param filter None to disable the filter, Percentage or MedianAbsoluteDeviation
+     * @param threshold The allowed distance from the median, in basis points of the median or of the MAD
+     */
+    function setOutlierFilter(string memory symbol, OracleLib.OutlierFilter filter, uint256 threshold) external onlyRole(TIMELOCK_ROLE) {
+        requirePairExists(symbol);
+        require(filter == OracleLib.OutlierFilter.None || threshold > 0, "Threshold must be positive");
+        
+        outlierFilters[symbol] = OutlierFilterConfig(filter, threshold);
+        emit OutlierFilterUpdated(symbol, filter, threshold);
+    }
+
+    /**
+     * @notice Configures the circuit breaker of an asset pair
+     * @param symbol The symbol of the asset pair
+     * @param maxDeviationBps Largest allowed move from the last snapshot in basis points, 0 disables the breaker
+     * @param window Only snapshots at most this many seconds old are compared against
+     * @param cooldown Seconds after which a frozen pair resumes on its own, 0 to require the admin
+     */
+    function setCircuitBreaker(
+        string memory symbol,
+        uint256 maxDeviationBps,
+        uint256 window,
+        uint256 cooldown
+    ) external onlyRole(TIMELOCK_ROLE) {
+        requirePairExists(symbol);
+        require(maxDeviationBps == 0 || window > 0, "Window must be positive");
+        
+        circuitBreakers[symbol] = CircuitBreakerConfig(maxDeviationBps, window, cooldown);
+        emit CircuitBreakerUpdated(symbol, maxDeviationBps, window, cooldown);
+    }
+
+    /**
+     * @notice Updates the active status of an asset pair
+     */
+    function setAssetPairStatus(string memory symbol, bool active) external onlyRole(CONFIG_MANAGER_ROLE) {
+        requirePairExists(symbol);
         
         assetPairs[symbol].active = active;
         emit AssetPairUpdated(symbol, active);
@@ -668,17 +1149,33 @@ constructor(
     /**
      * @notice Updates the required minimum number of oracle responses
      */
-    function setMinOracleResponses(uint256 _minResponses) external onlyOwner {
+    function setMinOracleResponses(uint256 _minResponses) external onlyRole(TIMELOCK_ROLE) {
         minOracleResponses = _minResponses;
     }
 
     /**
-     * @notice Updates the staleness threshold in seconds
+     * @notice Updates the staleness threshold in seconds, the maximum price age for every source
+     * whatever its heartbeat
      */
-    function setStalenessThreshold(uint256 _stalenessThreshold) external onlyOwner {
+    function setStalenessThreshold(uint256 _stalenessThreshold) external onlyRole(TIMELOCK_ROLE) {
         stalenessThreshold = _stalenessThreshold;
     }
 
+    /**
+     * @notice Updates how old in seconds the undisputed Tellor value a disputed one falls back to must be
+     */
+    function setTellorDisputeWindow(uint256 _tellorDisputeWindow) external onlyRole(TIMELOCK_ROLE) {
+        tellorDisputeWindow = _tellorDisputeWindow;
+    }
+
+    /**
+     * @notice Updates the longest time in seconds between snapshots getAggregatedTWAP accepts
+     */
+    function setMaxSnapshotGap(uint256 _maxSnapshotGap) external onlyRole(CONFIG_MANAGER_ROLE) {
+        require(_maxSnapshotGap > 0, "Max gap must be positive");
+        maxSnapshotGap = _maxSnapshotGap;
+    }
+
     /**
      * @notice Returns the number of supported asset pairs
      */
@@ -694,114 +1191,20 @@ constructor(
     }
 
     /**
-     * @notice Returns all registered oracle sources
-     */
-    function getSources() external view returns (OracleSource[] memory) {
-        return sources;
-    }
-    /**
-     * @notice Returns raw price and timestamp from a source with enhanced Tellor support (safe version)
+     * @notice Returns the per-pair settings of every source of an asset pair, in pair order
      */
-    function getRawPriceAndTimestampSafe(OracleSource memory src) public view returns (int256 price, uint256 timestamp) {
-        if (src.oracleType == 0) {
-            // Chainlink
-            (
-                , 
-                int256 answer, 
-                , 
-                uint256 updatedAt, 
-            ) = IAggregatorV3(src.oracle).latestRoundData();
-            
-            return (answer, updatedAt);
-        } else if (src.oracleType == 1) {
-            // Uniswap - use getTWAP method from interface
-            IUniswapV3Oracle uniswapOracle = IUniswapV3Oracle(src.oracle);
-            uint256 uniswapPrice = uniswapOracle.getTWAP(
-                address(0), // tokenA (not used by our adapter)
-                address(0), // tokenB (not used by our adapter) 
-                3000,       // fee tier
-                0           // secondsAgo
-            );
-            return (int256(uniswapPrice), block.timestamp);
-        } else if (src.oracleType == 2) {
-            // Enhanced Tellor with actual timestamp
-            TellorAdapter tellorAdapter = TellorAdapter(src.oracle);
-            
-            try tellorAdapter.getLatestValueWithAge(src.heartbeatSeconds) returns (int256 tellorPrice, uint256 tellorTimestamp) {
-                return (tellorPrice, tellorTimestamp);
-            } catch {
-                // Fallback to legacy method
-                try tellorAdapter.getLatestValue() returns (int256 standardPrice) {
-                    uint256 lastTimestamp = tellorAdapter.getLastUpdateTimestamp();
-                    return (standardPrice, lastTimestamp);
-                } catch {
-                    uint256 legacyPrice = tellorAdapter.retrieveData();
-                    uint256 lastTimestamp = tellorAdapter.getLastUpdateTimestamp();
-                    return (int256(legacyPrice), lastTimestamp);
-                }
-            }
-        } else if (src.oracleType == 3) {
-            // API3 - Handle stale data gracefully
-            API3Adapter api3Adapter = API3Adapter(src.oracle);
-            try api3Adapter.getLatestValueWithAge(src.heartbeatSeconds) returns (int256 api3Price, uint256 api3Timestamp) {
-                return (api3Price, api3Timestamp);
-            } catch {
-                // If age requirement fails, try basic method without age check
-                try api3Adapter.getLatestValue() returns (int256 basicPrice) {
-                    uint256 api3Timestamp = api3Adapter.getLastUpdateTimestamp();
-                    return (basicPrice, api3Timestamp);
-                } catch {
-                    // If all fails, return 0s
-                    return (0, 0);
-                }
-            }
+    function getPairSources(string memory symbol) external view returns (PairSource[] memory pairSources) {
+        address[] storage oracles = assetPairs[symbol].sources;
+        pairSources = new PairSource[](oracles.length);
+        for (uint256 i = 0; i < oracles.length; i++) {
+            pairSources[i] = pairSourceConfigs[symbol][oracles[i]];
         }
-        
-        return (0, 0);
     }
+
     /**
-     * @notice Returns raw price, timestamp, and dispute status from a source (safe version)
+     * @notice Returns all registered oracle sources
      */
-    function getRawPriceTimestampAndDisputeSafe(OracleSource memory src) public view returns (int256 price, uint256 timestamp, bool isDisputed) {
-        if (src.oracleType == 2) {
-            // Enhanced Tellor with dispute checking
-            TellorAdapter tellorAdapter = TellorAdapter(src.oracle);
-            
-            try tellorAdapter.getLatestValueWithAge(src.heartbeatSeconds) returns (int256 tellorPrice, uint256 tellorTimestamp) {
-                bool disputed = false;
-                try tellorAdapter.isDisputed(tellorTimestamp) returns (bool disputeResult) {
-                    disputed = disputeResult;
-                } catch {
-                    // If dispute check fails, assume not disputed
-                    disputed = false;
-                }
-                return (tellorPrice, tellorTimestamp, disputed);
-            } catch {
-                // Fallback to legacy method
-                try tellorAdapter.getLatestValue() returns (int256 standardPrice) {
-                    uint256 lastTimestamp = tellorAdapter.getLastUpdateTimestamp();
-                    bool disputed = false;
-                    if (lastTimestamp > 0) {
-                        try tellorAdapter.isDisputed(lastTimestamp) returns (bool disputeResult) {
-                            disputed = disputeResult;
-                        } catch {
-                            disputed = false;
-                        }
-                    }
-                    return (standardPrice, lastTimestamp, disputed);
-                } catch {
-                    uint256 legacyPrice = tellorAdapter.retrieveData();
-                    uint256 lastTimestamp = tellorAdapter.getLastUpdateTimestamp();
-                    return (int256(legacyPrice), lastTimestamp, false);
-                }
-            }
-        } else {
-            // For non-Tellor sources, use the safe method and return false for dispute
-            try this.getRawPriceAndTimestampSafe(src) returns (int256 sourcePrice, uint256 sourceTimestamp) {
-                return (sourcePrice, sourceTimestamp, false);
-            } catch {
-                return (0, 0, false);
-            }
-        }
+    function getSources() external view returns (OracleSource[] memory) {
+        return sources;
     }
 }
\ No newline at end of file
@@ -3,6 +3,26 @@ pragma solidity ^0.8.0;
 
 // Changed from library to contract
 contract OracleLib {
+    // How far from the median a price may be before it is treated as an outlier
+    enum OutlierFilter {
+        None,                   // Keep every price
+        Percentage,             // Threshold in basis points of the median (500 = 5%)
+        MedianAbsoluteDeviation // Threshold in basis points of the MAD (30000 = 3 * MAD)
+    }
+
+    // Aggregated price with the figures that show how much it can be trusted
+    struct PriceQuality {
+        int256 price; // The aggregated price
+        uint256 validSources; // Sources whose price was used
+        uint256 totalSources; // Sources that could have contributed
+        int256 minPrice;
+        int256 maxPrice;
+        uint256 spreadBps; // (maxPrice - minPrice) / minPrice in basis points
+        uint256 standardDeviation; // Of the prices used, in their decimals
+        uint256 oldestTimestamp; // Report time of the oldest price used
+        uint256 confidence; // 0 to 10000, see getConfidenceScore
+    }
+
     /**
      * @notice Calculates the median of an array of int256 values
      * @param values Array of int256 values
@@ -32,4 +52,170 @@ contract OracleLib {
             return values[values.length / 2];
         }
     }
+
+    /**
+     * @notice Flags the values that are further from the median than the filter allows
+     * @dev Fewer than three values are never filtered, as neither of two values can be told apart
+     * as the outlier. With the MAD filter a MAD of zero (most values identical) flags every value
+     * that differs from the median.
+     * @param values Array of int256 values
+     * @param filter How the allowed distance from the median is measured
+     * @param threshold The allowed distance, in basis points of the median or of the MAD
+     * @return outliers Whether each value, in input order, is an outlier
+     */
+    function findOutliers(
+        int256[] memory values,
+        OutlierFilter filter,
+        uint256 threshold
+    ) public pure returns (bool[] memory outliers) {
+        outliers = new bool[](values.length);
+        if (filter == OutlierFilter.None || values.length < 3) {
+            return outliers;
+        }
+
+        // getMedian sorts in place, keep the input order intact
+        int256 median = getMedian(copyOf(values));
+
+        int256[] memory deviations = new int256[](values.length);
+        for (uint256 i = 0; i < values.length; i++) {
+            deviations[i] = absDiff(values[i], median);
+        }
+
+        uint256 maxDeviation;
+        if (filter == OutlierFilter.Percentage) {
+            maxDeviation = uint256(absDiff(median, 0)) * threshold / 10000;
+        } else {
+            maxDeviation = uint256(getMedian(copyOf(deviations))) * threshold / 10000;
+        }
+
+        for (uint256 i = 0; i < values.length; i++) {
+            outliers[i] = uint256(deviations[i]) > maxDeviation;
+        }
+    }
+
+    /**
+     * @notice Describes an aggregated price by the prices it was computed from
+     * @param price The aggregated price
+     * @param values The candidate prices
+     * @param timestamps Report time of each candidate price
+     * @param excluded Whether each candidate price was left out of the aggregated price
+     * @param totalSources Number of sources that could have contributed
+     * @return quality The price with its source count, spread, standard deviation, oldest timestamp and confidence
+     */
+    function getPriceQuality(
+        int256 price,
+        int256[] memory values,
+        uint256[] memory timestamps,
+        bool[] memory excluded,
+        uint256 totalSources
+    ) public pure returns (PriceQuality memory quality) {
+        int256[] memory used = new int256[](values.length);
+        for (uint256 i = 0; i < values.length; i++) {
+            if (excluded[i]) continue;
+
+            used[quality.validSources] = values[i];
+            if (quality.oldestTimestamp == 0 || timestamps[i] < quality.oldestTimestamp) {
+                quality.oldestTimestamp = timestamps[i];
+            }
+            quality.validSources++;
+        }
+
+        // Resize array to the prices used
+        uint256 validSources = quality.validSources;
+        assembly {
+            mstore(used, validSources)
+        }
+
+        quality.price = price;
+        quality.totalSources = totalSources;
+        (quality.minPrice, quality.maxPrice, quality.spreadBps, quality.standardDeviation) = getPriceStats(used);
+        quality.confidence = getConfidenceScore(validSources, totalSources, price, quality.standardDeviation);
+    }
+
+    /**
+     * @notice Summarizes how far apart a set of prices are
+     * @param values Array of int256 values (prices with the same decimals)
+     * @return min The lowest value
+     * @return max The highest value
+     * @return spreadBps (max - min) / min in basis points, 0 when min is not positive
+     * @return standardDeviation Population standard deviation, in the decimals of the values
+     */
+    function getPriceStats(int256[] memory values) public pure returns (
+        int256 min,
+        int256 max,
+        uint256 spreadBps,
+        uint256 standardDeviation
+    ) {
+        require(values.length > 0, "Empty array");
+
+        min = values[0];
+        max = values[0];
+        int256 sum = 0;
+        for (uint256 i = 0; i < values.length; i++) {
+            if (values[i] < min) min = values[i];
+            if (values[i] > max) max = values[i];
+            sum += values[i];
+        }
+
+        if (min > 0) {
+            spreadBps = uint256(max - min) * 10000 / uint256(min);
+        }
+
+        int256 mean = sum / int256(values.length);
+        uint256 squares = 0;
+        for (uint256 i = 0; i < values.length; i++) {
+            uint256 deviation = uint256(absDiff(values[i], mean));
+            squares += deviation * deviation;
+        }
+        standardDeviation = sqrt(squares / values.length);
+    }
+
+    /**
+     * @notice Scores from 0 to 10000 how much an aggregated price can be trusted
+     * @dev The share of sources that answered, scaled down by how much they disagree: every 0.05%
+     * of relative standard deviation costs 1% of the score, so at 5% nothing is left.
+     * @param validSources Number of prices the aggregated price was computed from
+     * @param totalSources Number of sources that could have contributed
+     * @param price The aggregated price
+     * @param standardDeviation Standard deviation of the prices, in the decimals of the price
+     * @return confidence The score, 10000 when every source answered and all agree exactly
+     */
+    function getConfidenceScore(
+        uint256 validSources,
+        uint256 totalSources,
+        int256 price,
+        uint256 standardDeviation
+    ) public pure returns (uint256 confidence) {
+        if (validSources == 0 || totalSources == 0 || price <= 0) {
+            return 0;
+        }
+
+        uint256 coverage = validSources >= totalSources ? 10000 : validSources * 10000 / totalSources;
+        uint256 deviationBps = standardDeviation * 10000 / uint256(price);
+        uint256 agreement = deviationBps >= 500 ? 0 : 10000 - deviationBps * 20;
+
+        return coverage * agreement / 10000;
+    }
+
+    function absDiff(int256 a, int256 b) internal pure returns (int256) {
+        return a > b ? a - b : b - a;
+    }
+
+    // Babylonian method, rounds down
+    function sqrt(uint256 x) internal pure returns (uint256 y) {
+        if (x == 0) return 0;
+        y = x;
+        uint256 z = x / 2 + 1;
+        while (z < y) {
+            y = z;
+            z = (x / z + z) / 2;
+        }
+    }
+
+    function copyOf(int256[] memory values) internal pure returns (int256[] memory copy) {
+        copy = new int256[](values.length);
+        for (uint256 i = 0; i < values.length; i++) {
+            copy[i] = values[i];
+        }
+    }
 }
\ No newline at end of file
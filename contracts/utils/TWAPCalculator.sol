@@ -5,6 +5,14 @@ import "../interfaces/IUniswapV3Oracle.sol";
 
 contract TWAPCalculator {
     uint32 public constant TWAP_PERIOD = 1800; // 30 minutes TWAP by default
+    
+    // Aggregated price of a pair as stored by PriceAggregator.updatePrice
+    struct PriceSnapshot {
+        int256 medianPrice;
+        int256 weightedPrice;
+        uint256 sourceCount; // Prices the weighted price was computed from
+        uint256 timestamp;
+    }
 
     // Simplified TWAP function that just gets price from the adapter
     function getTWAP(IUniswapV3Oracle oracle) public view returns (int256) {
@@ -20,6 +28,47 @@ contract TWAPCalculator {
         return int256(price);
     }
     
+    /**
+     * @notice Time-weighted average of the median and weighted price of a snapshot history, in which
+     * each snapshot holds until the next one is taken
+     * @param snapshots Snapshots, oldest first; one must be at or before startTime
+     * @param startTime Start of the averaging window
+     * @param endTime End of the averaging window, the last snapshot holds until then
+     * @param maxGap Longest time a single snapshot may stand in for the price
+     * @return medianTWAP Median prices weighted by how long each held within the window
+     * @return weightedTWAP Weighted prices weighted by how long each held within the window
+     */
+    function getSnapshotTWAP(
+        PriceSnapshot[] memory snapshots,
+        uint256 startTime,
+        uint256 endTime,
+        uint256 maxGap
+    ) public pure returns (int256 medianTWAP, int256 weightedTWAP) {
+        require(endTime > startTime, "Invalid window");
+        
+        // The window starts in the latest snapshot taken at or before startTime
+        uint256 first = snapshots.length;
+        while (first > 0 && snapshots[first - 1].timestamp > startTime) {
+            first--;
+        }
+        require(first > 0, "Insufficient snapshot history");
+        
+        for (uint256 i = first - 1; i < snapshots.length; i++) {
+            uint256 heldUntil = i + 1 < snapshots.length ? snapshots[i + 1].timestamp : endTime;
+            require(heldUntil - snapshots[i].timestamp <= maxGap, "Gap between snapshots too large");
+            
+            uint256 heldFrom = snapshots[i].timestamp > startTime ? snapshots[i].timestamp : startTime;
+            if (heldUntil > heldFrom) {
+                int256 duration = int256(heldUntil - heldFrom);
+                medianTWAP += snapshots[i].medianPrice * duration;
+                weightedTWAP += snapshots[i].weightedPrice * duration;
+            }
+        }
+        
+        int256 window = int256(endTime - startTime);
+        return (medianTWAP / window, weightedTWAP / window);
+    }
+    
     // Simplified tick to price conversion
     function convertTickToPrice(int24 tick) internal pure returns (uint256) {
         // Simple approximation: 1.0001^tick
@@ -1,6 +1,7 @@
 require("@nomicfoundation/hardhat-toolbox");
 require("@nomicfoundation/hardhat-ethers");
 require("dotenv").config();
+require("./tasks/aggregator");
 
 /** @type import('hardhat/config').HardhatUserConfig */
 module.exports = {
@@ -10,7 +11,9 @@ module.exports = {
       optimizer: {
         enabled: true,
         runs: 200
-      }
+      },
+      // PriceAggregator only fits the 24 KiB contract size limit when compiled through the IR pipeline
+      viaIR: true
     }
   },
   networks: {
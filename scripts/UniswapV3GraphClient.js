@@ -1,14 +1,20 @@
-const { WBTC_USDC_POOL, USDC_WETH_POOL, UNI_USDC_POOL } = require('./addresses');
+const { POOLS } = require('./poolRegistry');
 
 class UniswapV3GraphClient {
   constructor(endpoint, apiKey = '') {
     this.endpoint = endpoint;
     this.apiKey = apiKey;
-    this.poolMap = {
-      WBTC: WBTC_USDC_POOL,
-      WETH: USDC_WETH_POOL,
-      LINK: UNI_USDC_POOL
-    };
+    // Pool IDs by pair name and by base token symbol, both from the pool registry
+    this.pairMap = Object.fromEntries(POOLS.map((pool) => [pool.name, pool.poolId]));
+    this.poolMap = Object.fromEntries(POOLS.map((pool) => [pool.tokenA, pool.poolId]));
+  }
+
+  async fetchPoolDataByPair(pairName) {
+    const poolId = this.pairMap[pairName];
+    if (!poolId) {
+      throw new Error(`No pool ID defined for pair: ${pairName}`);
+    }
+    return this.fetchPoolData(poolId);
   }
 
   async fetchPoolDataByTokenSymbol(tokenSymbol) {
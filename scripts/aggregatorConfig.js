@@ -0,0 +1,193 @@
+const fs = require("fs");
+const path = require("path");
+const yaml = require("js-yaml");
+const { ethers } = require("ethers");
+const { parseOracleType } = require("../tasks/utils");
+const { getPool } = require("./poolRegistry");
+
+// Uniswap pools are priced through the pair's Uniswap (Graph) adapter source
+const UNISWAP_ORACLE_TYPE = 1;
+
+const SOURCE_DEFAULTS = {
+  weight: "1",
+  heartbeat: 3600,
+  decimals: 18
+};
+
+/**
+ * Reads a declarative aggregator configuration from a .json, .yaml or .yml file
+ */
+function loadAggregatorConfig(file) {
+  const text = fs.readFileSync(file, "utf8");
+  const extension = path.extname(file).toLowerCase();
+  const config = extension === ".yaml" || extension === ".yml" ? yaml.load(text) : JSON.parse(text);
+  if (!config || typeof config !== "object") {
+    throw new Error(`${file} does not contain an aggregator configuration`);
+  }
+  return config;
+}
+
+/**
+ * Per-pair overrides of a pair source given as an object, unset fields keep
+ * the source's registry settings
+ */
+function resolvePairSourceSettings(oracle, settings, where, errors) {
+  const resolved = { oracle };
+  if (settings.weight !== undefined) {
+    try {
+      resolved.weight = ethers.parseUnits(String(settings.weight), 18);
+    } catch (error) {
+      errors.push(`${where}: invalid weight "${settings.weight}" for ${settings.oracle}`);
+    }
+  }
+  if (settings.heartbeat !== undefined) resolved.heartbeatSeconds = Number(settings.heartbeat);
+  if (settings.decimals !== undefined) resolved.decimals = Number(settings.decimals);
+  if (settings.enabled !== undefined) resolved.enabled = settings.enabled !== false;
+  return resolved;
+}
+
+/**
+ * Turns a configuration file into the desired state planChanges() expects.
+ *
+ *   minOracleResponses: 2
+ *   stalenessThreshold: 3600
+ *   sources:
+ *     - oracle: Chainlink_ETH_USD    # address, manifest contract or external contract name
+ *       type: chainlink              # number or name, as in `aggregator add-source`
+ *       weight: "3"                  # decimal, scaled to 18 decimals (default 1)
+ *       heartbeat: 3600              # seconds (default 3600)
+ *       decimals: 8                  # default 18
+ *       description: Chainlink ETH/USD
+ *   pairs:
+ *     - symbol: ETH-USD              # base/quote default to the two halves of the symbol
+ *       sources:                     # a source takes its registry settings...
+ *         - Chainlink_ETH_USD
+ *         - oracle: UniswapV3GraphAdapter  # ...unless overridden for the pair
+ *           weight: "1"
+ *           heartbeat: 600
+ *           decimals: 18
+ *           enabled: false           # stays in the pair but is left out of aggregation
+ *       active: true                 # default true
+ *       uniswapPool: ETH-USDC        # poolRegistry entry for the pair's Uniswap source
+ *
+ * Every problem found is reported at once.
+ */
+function resolveAggregatorConfig(config, { manifest, chainId } = {}) {
+  const errors = [];
+
+  const resolveOracle = (ref, where) => {
+    if (typeof ref !== "string" || ref === "") {
+      errors.push(`${where}: oracle is missing`);
+      return null;
+    }
+    if (ethers.isAddress(ref)) return ethers.getAddress(ref);
+
+    const address = manifest && (manifest.get(ref) ? manifest.get(ref).address : manifest.external(ref));
+    if (!address) {
+      errors.push(`${where}: "${ref}" is neither an address nor a contract in the deployment manifest`);
+      return null;
+    }
+    return ethers.getAddress(address);
+  };
+
+  const sources = [];
+  (config.sources || []).forEach((entry, i) => {
+    const where = `sources[${i}]`;
+    const oracle = resolveOracle(entry.oracle, where);
+    const source = { ...SOURCE_DEFAULTS, ...entry };
+
+    let oracleType = null;
+    try {
+      oracleType = parseOracleType(source.type);
+    } catch (error) {
+      errors.push(`${where}: ${error.message}`);
+    }
+
+    let weight = null;
+    try {
+      weight = ethers.parseUnits(String(source.weight), 18);
+    } catch (error) {
+      errors.push(`${where}: invalid weight "${source.weight}"`);
+    }
+
+    if (!source.description) errors.push(`${where}: description is missing`);
+    if (oracle && sources.some((s) => s.oracle === oracle)) {
+      errors.push(`${where}: ${entry.oracle} is listed more than once`);
+    }
+
+    sources.push({
+      oracle,
+      oracleType,
+      weight,
+      heartbeatSeconds: Number(source.heartbeat),
+      description: source.description,
+      decimals: Number(source.decimals)
+    });
+  });
+
+  const pairs = [];
+  const uniswapPools = [];
+  (config.pairs || []).forEach((entry, i) => {
+    const where = `pairs[${i}]${entry.symbol ? ` (${entry.symbol})` : ""}`;
+    if (!entry.symbol) errors.push(`${where}: symbol is missing`);
+    if (pairs.some((p) => p.symbol === entry.symbol)) errors.push(`${where}: pair is listed more than once`);
+
+    const [base, quote] = String(entry.symbol || "").split("-");
+    const pairSources = (entry.sources || []).map((ref) => {
+      const settings = typeof ref === "object" && ref !== null ? ref : { oracle: ref };
+      const oracle = resolveOracle(settings.oracle, where);
+      if (oracle && !sources.some((s) => s.oracle === oracle)) {
+        errors.push(`${where}: source ${settings.oracle} is not in the sources list`);
+      }
+      if (settings === ref) return resolvePairSourceSettings(oracle, settings, where, errors);
+      return oracle;
+    });
+    if (pairSources.length === 0) errors.push(`${where}: no sources`);
+    const pairOracles = pairSources.map((s) => (s && typeof s === "object" ? s.oracle : s)).filter(Boolean);
+    if (new Set(pairOracles).size < pairOracles.length) {
+      errors.push(`${where}: a source is listed more than once`);
+    }
+
+    pairs.push({
+      symbol: entry.symbol,
+      baseAsset: entry.base || base,
+      quoteAsset: entry.quote || quote,
+      sources: pairSources,
+      active: entry.active !== false
+    });
+
+    if (entry.uniswapPool) {
+      const oracle = pairOracles.find((o) => {
+        const source = sources.find((s) => s.oracle === o);
+        return source && source.oracleType === UNISWAP_ORACLE_TYPE;
+      });
+      if (!oracle) {
+        errors.push(`${where}: uniswapPool needs a Uniswap source in the pair`);
+        return;
+      }
+      try {
+        const pool = getPool(entry.uniswapPool, chainId);
+        uniswapPools.push({ pair: entry.symbol, oracle, tokenA: pool.tokenA, tokenB: pool.tokenB, fee: pool.fee });
+      } catch (error) {
+        errors.push(`${where}: ${error.message}`);
+      }
+    }
+  });
+
+  if (errors.length > 0) {
+    throw new Error(`Invalid aggregator configuration:\n  - ${errors.join("\n  - ")}`);
+  }
+
+  return {
+    sources,
+    pairs,
+    uniswapPools,
+    minOracleResponses: config.minOracleResponses,
+    stalenessThreshold: config.stalenessThreshold
+  };
+}
+
+module.exports = {
+  loadAggregatorConfig,
+  resolveAggregatorConfig
+};
@@ -0,0 +1,515 @@
+const { ethers } = require("ethers");
+const { scheduleCall } = require("./timelockWatcher");
+
+const SOURCE_FIELDS = ["oracleType", "weight", "heartbeatSeconds", "description", "decimals"];
+const PAIR_SOURCE_FIELDS = ["weight", "heartbeatSeconds", "decimals"];
+
+// Uniswap sources are priced through a pool set per pair
+const UNISWAP_ORACLE_TYPE = 1;
+
+// Plan line prefixes, terraform style
+const MARKERS = {
+  "add-source": "+",
+  "update-source": "~",
+  "add-pair": "+",
+  "set-pair-status": "~",
+  "add-pair-source": "+",
+  "update-pair-source": "~",
+  "set-pair-source-enabled": "~",
+  "remove-pair-source": "-",
+  "set-uniswap-pool": "~",
+  "unmanaged-source": "!",
+  "unmanaged-pair": "!",
+  "set-min-responses": "~",
+  "set-staleness-threshold": "~"
+};
+
+function sameAddress(a, b) {
+  return a.toLowerCase() === b.toLowerCase();
+}
+
+function normalizeSource(source) {
+  return {
+    oracle: ethers.getAddress(source.oracle),
+    oracleType: Number(source.oracleType),
+    weight: BigInt(source.weight),
+    heartbeatSeconds: Number(source.heartbeatSeconds),
+    description: source.description,
+    decimals: Number(source.decimals)
+  };
+}
+
+function normalizePairSource(source) {
+  return {
+    oracle: ethers.getAddress(source.oracle),
+    weight: BigInt(source.weight),
+    heartbeatSeconds: Number(source.heartbeatSeconds),
+    decimals: Number(source.decimals),
+    enabled: source.enabled !== false
+  };
+}
+
+function formatValue(field, value) {
+  return field === "weight" ? ethers.formatUnits(value, 18) : String(value);
+}
+
+function describeChanges(current, wanted, fields) {
+  return fields
+    .filter((field) => current[field] !== wanted[field])
+    .map((field) => `${field} ${formatValue(field, current[field])} → ${formatValue(field, wanted[field])}`)
+    .join(", ");
+}
+
+/**
+ * Per-pair settings of a pair's sources. Aggregators deployed before sources
+ * were configured per pair have no getPairSources(), their pairs use the
+ * registry entries.
+ */
+async function readPairSources(priceAggregator, symbol, registry) {
+  try {
+    return (await priceAggregator.getPairSources(symbol)).map(normalizePairSource);
+  } catch (error) {
+    const oracles = await priceAggregator.getAssetPairSources(symbol);
+    // Their removeOracleSource left pairs pointing at unregistered oracles, which only made the pair revert
+    return oracles
+      .map((oracle) => registry.find((s) => sameAddress(s.oracle, oracle)))
+      .filter(Boolean)
+      .map((source) => normalizePairSource({ ...source, enabled: true }));
+  }
+}
+
+/**
+ * Reads the parts of a PriceAggregator's configuration the plan can converge:
+ * registered sources, asset pairs with their per-pair source settings (the
+ * given symbols plus all supportedPairs), the Uniswap pools of the given
+ * (pair, oracle) combinations and of every Uniswap source of a pair, and the
+ * aggregation parameters
+ */
+async function readAggregatorState(priceAggregator, { pairs = [], uniswapPools = [] } = {}) {
+  const sources = (await priceAggregator.getSources()).map(normalizeSource);
+
+  const pairCount = Number(await priceAggregator.getSupportedPairsCount());
+  const onChainSymbols = [];
+  for (let i = 0; i < pairCount; i++) {
+    onChainSymbols.push(await priceAggregator.supportedPairs(i));
+  }
+
+  const state = {
+    sources,
+    pairs: {},
+    uniswapPools: {},
+    minOracleResponses: Number(await priceAggregator.minOracleResponses()),
+    stalenessThreshold: Number(await priceAggregator.stalenessThreshold())
+  };
+  for (const symbol of new Set([...pairs, ...onChainSymbols])) {
+    const pair = await priceAggregator.assetPairs(symbol);
+    state.pairs[symbol] = pair.symbol === "" ? null : {
+      symbol,
+      baseAsset: pair.baseAsset,
+      quoteAsset: pair.quoteAsset,
+      active: pair.active,
+      sources: await readPairSources(priceAggregator, symbol, sources)
+    };
+  }
+
+  const poolKeys = [...uniswapPools];
+  for (const pair of Object.values(state.pairs)) {
+    for (const { oracle } of pair ? pair.sources : []) {
+      const source = sources.find((s) => sameAddress(s.oracle, oracle));
+      if (source && source.oracleType === UNISWAP_ORACLE_TYPE) poolKeys.push({ pair: pair.symbol, oracle });
+    }
+  }
+
+  for (const { pair, oracle } of poolKeys) {
+    if (!state.pairs[pair]) continue;
+    const pool = await priceAggregator.uniswapPools(pair, oracle);
+    state.uniswapPools[`${pair}:${oracle.toLowerCase()}`] = {
+      pair,
+      oracle: ethers.getAddress(oracle),
+      tokenA: pool.tokenA,
+      tokenB: pool.tokenB,
+      fee: Number(pool.fee)
+    };
+  }
+
+  return state;
+}
+
+/**
+ * The desired configuration reproducing a readAggregatorState() result, e.g.
+ * to carry a deployment over to a new PriceAggregator
+ */
+function configurationFromState(state) {
+  return {
+    sources: state.sources,
+    pairs: Object.values(state.pairs).filter(Boolean).map((pair) => ({
+      symbol: pair.symbol,
+      baseAsset: pair.baseAsset,
+      quoteAsset: pair.quoteAsset,
+      sources: pair.sources,
+      active: pair.active
+    })),
+    uniswapPools: Object.values(state.uniswapPools)
+      .filter((pool) => pool.fee > 0)
+      .map(({ pair, oracle, tokenA, tokenB, fee }) => ({ pair, oracle, tokenA, tokenB, fee })),
+    minOracleResponses: state.minOracleResponses,
+    stalenessThreshold: state.stalenessThreshold
+  };
+}
+
+/**
+ * A pair's source given as an oracle address takes the settings of its
+ * registry entry; given as an object, its weight, heartbeatSeconds, decimals
+ * and enabled override them
+ */
+function resolvePairSource(symbol, entry, registry) {
+  const oracle = typeof entry === "string" ? entry : entry.oracle;
+  const source = registry.find((s) => sameAddress(s.oracle, oracle));
+  if (!source) {
+    throw new Error(`${symbol}: ${oracle} is neither registered nor in the configured sources`);
+  }
+
+  const overrides = typeof entry === "string" ? {} : entry;
+  const setting = (field) => (overrides[field] !== undefined ? overrides[field] : source[field]);
+  return {
+    ...normalizePairSource({
+      oracle,
+      weight: setting("weight"),
+      heartbeatSeconds: setting("heartbeatSeconds"),
+      decimals: setting("decimals"),
+      enabled: overrides.enabled
+    }),
+    description: source.description
+  };
+}
+
+/**
+ * Diffs a desired configuration against readAggregatorState() output.
+ *
+ * desired = {
+ *   sources: [{ oracle, oracleType, weight, heartbeatSeconds, description, decimals }],
+ *   pairs: [{ symbol, baseAsset, quoteAsset, active,
+ *             sources: [oracle | { oracle, weight?, heartbeatSeconds?, decimals?, enabled? }] }],
+ *   uniswapPools: [{ pair, oracle, tokenA, tokenB, fee }],
+ *   minOracleResponses, stalenessThreshold
+ * }
+ *
+ * Parameters left undefined are not managed, nor is the order of a pair's sources.
+ * Returns ordered actions; the ones with `report: true` only describe drift the
+ * plan leaves alone (registered sources and pairs missing from the configuration).
+ */
+function planChanges(desired, state) {
+  const actions = [];
+  const desiredSources = (desired.sources || []).map(normalizeSource);
+
+  // Sources first, pairs can only reference registered oracles
+  for (const wanted of desiredSources) {
+    const current = state.sources.find((s) => sameAddress(s.oracle, wanted.oracle));
+    if (!current) {
+      actions.push({
+        id: `add-source:${wanted.oracle}`,
+        kind: "add-source",
+        summary: `add source "${wanted.description}" (${wanted.oracle}, weight ${formatValue("weight", wanted.weight)})`,
+        source: wanted
+      });
+      continue;
+    }
+
+    const changes = describeChanges(current, wanted, SOURCE_FIELDS);
+    if (changes) {
+      // Registry defaults only, the pairs' settings are planned below
+      actions.push({
+        id: `update-source:${wanted.oracle}`,
+        kind: "update-source",
+        summary: `update source "${current.description}" (${wanted.oracle}): ${changes}`,
+        source: wanted
+      });
+    }
+  }
+
+  for (const current of state.sources) {
+    if (!desiredSources.some((s) => sameAddress(s.oracle, current.oracle))) {
+      actions.push({
+        id: `unmanaged-source:${current.oracle}`,
+        kind: "unmanaged-source",
+        summary: `source "${current.description}" (${current.oracle}) is registered but not in the configuration`,
+        report: true
+      });
+    }
+  }
+
+  // Pair sources default to the registry as it will be once the plan is applied
+  const registry = [
+    ...desiredSources,
+    ...state.sources.filter((s) => !desiredSources.some((d) => sameAddress(d.oracle, s.oracle)))
+  ];
+
+  for (const wanted of desired.pairs || []) {
+    const active = wanted.active !== false;
+    const wantedSources = wanted.sources.map((entry) => resolvePairSource(wanted.symbol, entry, registry));
+    let current = state.pairs[wanted.symbol];
+
+    if (!current) {
+      actions.push({
+        id: `add-pair:${wanted.symbol}`,
+        kind: "add-pair",
+        summary: `add pair ${wanted.symbol} with ${wantedSources.length} sources`,
+        pair: { ...wanted, sources: wantedSources.map((s) => s.oracle) }
+      });
+      // addAssetPair copies the registry settings, the per-pair overrides follow
+      current = {
+        active: true,
+        sources: wantedSources.map((s) => resolvePairSource(wanted.symbol, s.oracle, registry))
+      };
+    }
+
+    if (current.active !== active) {
+      actions.push({
+        id: `set-pair-status:${wanted.symbol}`,
+        kind: "set-pair-status",
+        summary: `${active ? "activate" : "deactivate"} ${wanted.symbol}`,
+        symbol: wanted.symbol,
+        active
+      });
+    }
+
+    for (const source of wantedSources) {
+      const onChain = current.sources.find((s) => sameAddress(s.oracle, source.oracle));
+      const name = `"${source.description}" in ${wanted.symbol}`;
+
+      if (!onChain) {
+        actions.push({
+          id: `add-pair-source:${wanted.symbol}:${source.oracle}`,
+          kind: "add-pair-source",
+          summary: `add ${name} (weight ${formatValue("weight", source.weight)})`,
+          symbol: wanted.symbol,
+          source
+        });
+      } else {
+        const changes = describeChanges(onChain, source, PAIR_SOURCE_FIELDS);
+        if (changes) {
+          actions.push({
+            id: `update-pair-source:${wanted.symbol}:${source.oracle}`,
+            kind: "update-pair-source",
+            summary: `update ${name}: ${changes}`,
+            symbol: wanted.symbol,
+            source
+          });
+        }
+      }
+
+      // Sources join a pair enabled
+      if ((onChain ? onChain.enabled : true) !== source.enabled) {
+        actions.push({
+          id: `set-pair-source-enabled:${wanted.symbol}:${source.oracle}`,
+          kind: "set-pair-source-enabled",
+          summary: `${source.enabled ? "enable" : "disable"} ${name}`,
+          symbol: wanted.symbol,
+          oracle: source.oracle,
+          enabled: source.enabled
+        });
+      }
+    }
+
+    for (const onChain of current.sources) {
+      if (!wantedSources.some((s) => sameAddress(s.oracle, onChain.oracle))) {
+        const source = registry.find((s) => sameAddress(s.oracle, onChain.oracle));
+        actions.push({
+          id: `remove-pair-source:${wanted.symbol}:${onChain.oracle}`,
+          kind: "remove-pair-source",
+          summary: `remove "${source ? source.description : onChain.oracle}" from ${wanted.symbol}`,
+          symbol: wanted.symbol,
+          oracle: onChain.oracle
+        });
+      }
+    }
+  }
+
+  for (const [symbol, current] of Object.entries(state.pairs)) {
+    if (current && !(desired.pairs || []).some((p) => p.symbol === symbol)) {
+      actions.push({
+        id: `unmanaged-pair:${symbol}`,
+        kind: "unmanaged-pair",
+        summary: `pair ${symbol} exists on-chain but not in the configuration`,
+        report: true
+      });
+    }
+  }
+
+  for (const wanted of desired.uniswapPools || []) {
+    const current = state.uniswapPools[`${wanted.pair}:${wanted.oracle.toLowerCase()}`];
+    const upToDate = current &&
+      sameAddress(current.tokenA, wanted.tokenA) &&
+      sameAddress(current.tokenB, wanted.tokenB) &&
+      current.fee === Number(wanted.fee);
+    if (!upToDate) {
+      actions.push({
+        id: `set-uniswap-pool:${wanted.pair}:${wanted.oracle}`,
+        kind: "set-uniswap-pool",
+        summary: `point ${wanted.pair} at Uniswap pool ${wanted.tokenA}/${wanted.tokenB} (${Number(wanted.fee) / 10000}% fee)`,
+        pool: wanted
+      });
+    }
+  }
+
+  // Last, so a raised minimum never applies before the sources backing it exist
+  if (desired.minOracleResponses !== undefined && Number(desired.minOracleResponses) !== state.minOracleResponses) {
+    actions.push({
+      id: "set-min-responses",
+      kind: "set-min-responses",
+      summary: `minOracleResponses ${state.minOracleResponses} → ${desired.minOracleResponses}`,
+      value: Number(desired.minOracleResponses)
+    });
+  }
+
+  if (desired.stalenessThreshold !== undefined && Number(desired.stalenessThreshold) !== state.stalenessThreshold) {
+    actions.push({
+      id: "set-staleness-threshold",
+      kind: "set-staleness-threshold",
+      summary: `stalenessThreshold ${state.stalenessThreshold}s → ${desired.stalenessThreshold}s`,
+      value: Number(desired.stalenessThreshold)
+    });
+  }
+
+  return actions;
+}
+
+/**
+ * Human-readable plan, one line per action
+ */
+function formatPlan(actions) {
+  if (actions.length === 0) return "  ✅ No changes, on-chain configuration matches";
+  return actions.map((action) => `  ${MARKERS[action.kind].padEnd(3)} ${action.summary}`).join("\n");
+}
+
+// Actions whose aggregator function needs TIMELOCK_ROLE
+const TIMELOCKED_ACTIONS = new Set([
+  "update-source",
+  "add-pair-source",
+  "update-pair-source",
+  "set-pair-source-enabled",
+  "remove-pair-source",
+  "set-min-responses",
+  "set-staleness-threshold",
+  "set-uniswap-pool"
+]);
+
+/**
+ * The aggregator function and arguments an action calls
+ */
+function actionCall(action) {
+  switch (action.kind) {
+    case "add-source":
+      return ["addOracleSource", [action.source]];
+    case "update-source":
+      return ["updateOracleSource", [action.source]];
+    case "add-pair":
+      return ["addAssetPair", [action.pair.symbol, action.pair.baseAsset, action.pair.quoteAsset, action.pair.sources]];
+    case "set-pair-status":
+      return ["setAssetPairStatus", [action.symbol, action.active]];
+    case "add-pair-source": {
+      const { oracle, weight, heartbeatSeconds, decimals } = action.source;
+      return ["addPairSource", [action.symbol, oracle, weight, heartbeatSeconds, decimals]];
+    }
+    case "update-pair-source": {
+      const { oracle, weight, heartbeatSeconds, decimals } = action.source;
+      return ["updatePairSource", [action.symbol, oracle, weight, heartbeatSeconds, decimals]];
+    }
+    case "set-pair-source-enabled":
+      return ["setPairSourceEnabled", [action.symbol, action.oracle, action.enabled]];
+    case "remove-pair-source":
+      return ["removePairSource", [action.symbol, action.oracle]];
+    case "set-uniswap-pool": {
+      const { pair, oracle, tokenA, tokenB, fee } = action.pool;
+      return ["setUniswapPool", [pair, oracle, tokenA, tokenB, fee]];
+    }
+    case "set-min-responses":
+      return ["setMinOracleResponses", [action.value]];
+    case "set-staleness-threshold":
+      return ["setStalenessThreshold", [action.value]];
+    default:
+      throw new Error(`Unknown plan action: ${action.kind}`);
+  }
+}
+
+/**
+ * Whether the plan has timelocked actions that the aggregator's signer cannot send itself
+ */
+async function needsTimelock(priceAggregator, actions) {
+  if (!actions.some((action) => TIMELOCKED_ACTIONS.has(action.kind))) return false;
+  const signer = await priceAggregator.runner.getAddress();
+  return !(await priceAggregator.hasRole(await priceAggregator.TIMELOCK_ROLE(), signer));
+}
+
+/**
+ * Sends the transactions of a plan in order. With a manifest every step is
+ * journaled (pending → done/failed, with its tx hashes) so an interrupted run
+ * can be settled and resumed by DeploymentManifest.settlePendingSteps().
+ *
+ * Timelocked actions are sent directly while the signer holds TIMELOCK_ROLE, as
+ * it does before the deployment hands the role to the AggregatorTimelock. After
+ * that they are queued on the given timelock and take effect once executed; the
+ * applied entry carries the operationId. Each queued operation has the one queued
+ * before it as predecessor, so they can only be executed in the order of the plan.
+ * Without a timelock the plan is refused before anything is sent.
+ */
+async function applyPlan(priceAggregator, actions, { manifest, timelock, confirmations = 1, logger = console } = {}) {
+  const applied = [];
+  const pending = actions.filter((a) => !a.report);
+  const queue = await needsTimelock(priceAggregator, pending);
+
+  if (queue && !timelock) {
+    const timelocked = pending.filter((a) => TIMELOCKED_ACTIONS.has(a.kind)).map((a) => a.id);
+    throw new Error(
+      `${timelocked.join(", ")} need TIMELOCK_ROLE, which the signer does not hold. ` +
+      "Pass the AggregatorTimelock to queue them (--timelock, or record it in the deployment manifest)."
+    );
+  }
+
+  let predecessor;
+  for (const action of pending) {
+    const queued = queue && TIMELOCKED_ACTIONS.has(action.kind);
+    logger.log(`  ⏳ ${queued ? "queueing " : ""}${action.summary}...`);
+    if (manifest) manifest.journalStep(action.id, { summary: action.summary, status: "pending" });
+
+    try {
+      const [method, params] = actionCall(action);
+      let txs;
+      let operationId;
+      if (queued) {
+        // The salt follows the action, so a rerun finds what an interrupted run queued
+        const { id, tx } = await scheduleCall(timelock, priceAggregator, method, params, { saltSeed: action.id, predecessor });
+        operationId = id;
+        predecessor = id;
+        txs = tx ? [tx] : [];
+      } else {
+        txs = [await priceAggregator[method](...params)];
+      }
+      const txHashes = txs.map((tx) => tx.hash);
+      if (manifest) manifest.journalStep(action.id, { txHashes, operationId });
+
+      let receipt;
+      for (const tx of txs) {
+        receipt = await tx.wait(confirmations);
+      }
+      if (manifest) manifest.journalStep(action.id, { status: "done", blockNumber: receipt ? receipt.blockNumber : undefined });
+
+      applied.push(queued ? { ...action, txHashes, operationId } : { ...action, txHashes });
+      logger.log(queued ? `  🕒 ${action.summary} queued as ${operationId}` : `  ✅ ${action.summary}`);
+    } catch (error) {
+      if (manifest) manifest.journalStep(action.id, { status: "failed", error: error.message });
+      throw error;
+    }
+  }
+
+  return applied;
+}
+
+module.exports = {
+  readAggregatorState,
+  configurationFromState,
+  planChanges,
+  formatPlan,
+  applyPlan,
+  TIMELOCKED_ACTIONS
+};
@@ -0,0 +1,130 @@
+const { ethers } = require("ethers");
+
+// Etherscan's multichain API, the chain is picked with the chainid parameter
+const ETHERSCAN_API_URL = "https://api.etherscan.io/v2/api";
+
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+/**
+ * Minimal client for the Etherscan contract verification API. Any endpoint that
+ * speaks the same protocol works (e.g. a local stand-in in tests).
+ */
+class EtherscanVerifier {
+  constructor({ apiKey = "", apiUrl = ETHERSCAN_API_URL, chainId, pollIntervalMs = 5000, maxPolls = 30 }) {
+    this.apiKey = apiKey;
+    this.apiUrl = apiUrl;
+    this.chainId = Number(chainId);
+    this.pollIntervalMs = pollIntervalMs;
+    this.maxPolls = maxPolls;
+  }
+
+  async request(params, { post = false } = {}) {
+    const query = new URLSearchParams({ chainid: String(this.chainId), apikey: this.apiKey });
+    const body = new URLSearchParams(params);
+    const response = post
+      ? await fetch(`${this.apiUrl}?${query}`, { method: "POST", body })
+      : await fetch(`${this.apiUrl}?${query}&${body}`);
+
+    if (!response.ok) {
+      throw new Error(`Verification API ${this.apiUrl} responded with HTTP ${response.status}`);
+    }
+    return response.json();
+  }
+
+  async isVerified(address) {
+    const { result } = await this.request({ module: "contract", action: "getsourcecode", address });
+    return Array.isArray(result) && result.length > 0 && result[0].SourceCode !== "";
+  }
+
+  /**
+   * Submits a contract and waits for the outcome. Resolves to "verified" or
+   * "already-verified", rejects when the explorer can't verify the contract.
+   */
+  async verify({ address, contract, compilerVersion, input, constructorArguments }) {
+    const submission = await this.request({
+      module: "contract",
+      action: "verifysourcecode",
+      contractaddress: address,
+      sourceCode: JSON.stringify(input),
+      codeformat: "solidity-standard-json-input",
+      contractname: contract,
+      compilerversion: `v${compilerVersion}`,
+      constructorArguements: constructorArguments.replace(/^0x/, "") // sic, Etherscan's spelling
+    }, { post: true });
+
+    if (submission.status !== "1") {
+      if (/already verified/i.test(submission.result)) return "already-verified";
+      throw new Error(`Submission rejected: ${submission.result}`);
+    }
+
+    const guid = submission.result;
+    for (let poll = 0; poll < this.maxPolls; poll++) {
+      await sleep(this.pollIntervalMs);
+      const { result } = await this.request({ module: "contract", action: "checkverifystatus", guid });
+
+      if (/pending/i.test(result)) continue;
+      if (/already verified/i.test(result)) return "already-verified";
+      if (/^pass/i.test(result)) return "verified";
+      throw new Error(result);
+    }
+    throw new Error(`Verification ${guid} still pending after ${this.maxPolls} checks`);
+  }
+}
+
+/**
+ * Verifies every contract of a deployment manifest (or the given names) with the
+ * constructor arguments recorded at deploy time. Failures don't stop the batch;
+ * the result lists each contract as verified, already-verified, failed or skipped.
+ */
+async function verifyManifest(hre, manifest, verifier, { names, logger = console } = {}) {
+  const results = [];
+
+  for (const name of names || Object.keys(manifest.data.contracts)) {
+    const entry = manifest.get(name);
+    if (!entry) {
+      results.push({ name, status: "failed", error: "not in the deployment manifest" });
+      logger.log(`  ❌ ${name}: not in the deployment manifest`);
+      continue;
+    }
+
+    try {
+      if (await verifier.isVerified(entry.address)) {
+        results.push({ name, address: entry.address, status: "already-verified" });
+        logger.log(`  ⏭️ ${name} (${entry.address}) already verified`);
+        continue;
+      }
+
+      const fullyQualifiedName = `${entry.sourceName}:${entry.contract}`;
+      const artifact = await hre.artifacts.readArtifact(fullyQualifiedName);
+      if (entry.bytecodeHash && ethers.keccak256(artifact.bytecode) !== entry.bytecodeHash) {
+        results.push({ name, address: entry.address, status: "skipped", error: "sources changed since deployment" });
+        logger.log(`  ⚠️ ${name}: ${entry.contract} was recompiled with different bytecode since it was deployed, skipping`);
+        continue;
+      }
+      const buildInfo = await hre.artifacts.getBuildInfo(fullyQualifiedName);
+
+      logger.log(`  ⏳ Verifying ${name} (${entry.address})...`);
+      const status = await verifier.verify({
+        address: entry.address,
+        contract: fullyQualifiedName,
+        compilerVersion: buildInfo.solcLongVersion,
+        input: buildInfo.input,
+        constructorArguments: new ethers.Interface(artifact.abi).encodeDeploy(entry.constructorArgs)
+      });
+
+      results.push({ name, address: entry.address, status });
+      logger.log(`  ✅ ${name} ${status === "verified" ? "verified" : "already verified"}`);
+    } catch (error) {
+      results.push({ name, address: entry.address, status: "failed", error: error.message });
+      logger.log(`  ❌ ${name}: ${error.message}`);
+    }
+  }
+
+  return results;
+}
+
+module.exports = {
+  ETHERSCAN_API_URL,
+  EtherscanVerifier,
+  verifyManifest
+};
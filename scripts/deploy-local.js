@@ -1,98 +1,101 @@
-const { ethers } = require("hardhat");
+const hre = require("hardhat");
+const { ethers } = hre;
+const { DeploymentManifest } = require("./deploymentManifest");
 
 async function main() {
   const [deployer] = await ethers.getSigners();
   console.log("Deploying contracts with account:", deployer.address);
-  console.log("Account balance:", (await deployer.getBalance()).toString());
+  console.log("Account balance:", (await ethers.provider.getBalance(deployer.address)).toString());
+
+  // Contracts still live on the node (same bytecode and arguments) are reused
+  const manifest = await DeploymentManifest.forNetwork(hre);
+  console.log("Deployment manifest:", manifest.path);
 
   // 1. Deploy utility contracts
   console.log("\n=== Deploying Utility Contracts ===");
   
-  const OracleLib = await ethers.getContractFactory("OracleLib");
-  const oracleLib = await OracleLib.deploy();
-  await oracleLib.deployed();
-  console.log("OracleLib deployed to:", oracleLib.address);
+  const oracleLib = await manifest.deploy("OracleLib", "OracleLib");
+  console.log("OracleLib deployed to:", oracleLib.target);
   
-  const TWAPCalculator = await ethers.getContractFactory("TWAPCalculator");
-  const twapCalculator = await TWAPCalculator.deploy();
-  await twapCalculator.deployed();
-  console.log("TWAPCalculator deployed to:", twapCalculator.address);
+  const twapCalculator = await manifest.deploy("TWAPCalculator", "TWAPCalculator");
+  console.log("TWAPCalculator deployed to:", twapCalculator.target);
 
   // 2. Deploy mock oracles for local testing
   console.log("\n=== Deploying Mock Oracles ===");
   
   // Chainlink mocks
-  const ChainlinkMock = await ethers.getContractFactory("ChainlinkMock");
-  const chainlinkEthUsd = await ChainlinkMock.deploy(
-    ethers.utils.parseUnits("3000", 8), // $3000 with 8 decimals
+  const chainlinkEthUsd = await manifest.deploy("ChainlinkMock_ETH_USD", "ChainlinkMock", [
+    ethers.parseUnits("3000", 8), // $3000 with 8 decimals
     "ETH / USD",
     8
-  );
-  await chainlinkEthUsd.deployed();
-  console.log("Chainlink ETH/USD Mock deployed to:", chainlinkEthUsd.address);
+  ]);
+  console.log("Chainlink ETH/USD Mock deployed to:", chainlinkEthUsd.target);
   
-  const chainlinkBtcUsd = await ChainlinkMock.deploy(
-    ethers.utils.parseUnits("60000", 8), // $60000 with 8 decimals
+  const chainlinkBtcUsd = await manifest.deploy("ChainlinkMock_BTC_USD", "ChainlinkMock", [
+    ethers.parseUnits("60000", 8), // $60000 with 8 decimals
     "BTC / USD",
     8
-  );
-  await chainlinkBtcUsd.deployed();
-  console.log("Chainlink BTC/USD Mock deployed to:", chainlinkBtcUsd.address);
+  ]);
+  console.log("Chainlink BTC/USD Mock deployed to:", chainlinkBtcUsd.target);
+
+  // The aggregator reads Chainlink feeds through ChainlinkAdapter, as in scripts/deploy.js
+  const chainlinkEthUsdAdapter = await manifest.deploy("ChainlinkAdapter_ETH_USD", "ChainlinkAdapter", [
+    chainlinkEthUsd.target, "ETH", "USD", 3600
+  ]);
+  console.log("ChainlinkAdapter ETH/USD deployed to:", chainlinkEthUsdAdapter.target);
+
+  const chainlinkBtcUsdAdapter = await manifest.deploy("ChainlinkAdapter_BTC_USD", "ChainlinkAdapter", [
+    chainlinkBtcUsd.target, "BTC", "USD", 3600
+  ]);
+  console.log("ChainlinkAdapter BTC/USD deployed to:", chainlinkBtcUsdAdapter.target);
   
   // Tellor mocks
-  const TellorMock = await ethers.getContractFactory("TellorMock");
-  const tellorEthUsd = await TellorMock.deploy(ethers.utils.parseUnits("3000", 18));
-  await tellorEthUsd.deployed();
-  console.log("Tellor ETH/USD Mock deployed to:", tellorEthUsd.address);
+  const tellorEthUsd = await manifest.deploy("TellorMock_ETH_USD", "TellorMock", [ethers.parseUnits("3000", 18)]);
+  console.log("Tellor ETH/USD Mock deployed to:", tellorEthUsd.target);
   
-  const tellorBtcUsd = await TellorMock.deploy(ethers.utils.parseUnits("60000", 18));
-  await tellorBtcUsd.deployed();
-  console.log("Tellor BTC/USD Mock deployed to:", tellorBtcUsd.address);
+  const tellorBtcUsd = await manifest.deploy("TellorMock_BTC_USD", "TellorMock", [ethers.parseUnits("60000", 18)]);
+  console.log("Tellor BTC/USD Mock deployed to:", tellorBtcUsd.target);
   
   // Uniswap mock
-  const UniswapV3Mock = await ethers.getContractFactory("UniswapV3Mock");
-  const uniswapMock = await UniswapV3Mock.deploy(1000000); // Initial tick
-  await uniswapMock.deployed();
-  console.log("Uniswap Mock deployed to:", uniswapMock.address);
+  const uniswapMock = await manifest.deploy("UniswapV3Mock", "UniswapV3Mock", [1000000]); // Initial tick
+  console.log("Uniswap Mock deployed to:", uniswapMock.target);
   
   // API3 mock
-  const API3Mock = await ethers.getContractFactory("API3Mock");
-  const api3EthUsd = await API3Mock.deploy(ethers.utils.parseUnits("3000", 18));
-  await api3EthUsd.deployed();
-  console.log("API3 ETH/USD Mock deployed to:", api3EthUsd.address);
+  const api3EthUsd = await manifest.deploy("API3Mock_ETH_USD", "API3Mock", [ethers.parseUnits("3000", 18)]);
+  console.log("API3 ETH/USD Mock deployed to:", api3EthUsd.target);
 
   // 3. Configure oracle sources
   console.log("\n=== Configuring Oracle Sources ===");
   
   const ethUsdSources = [
     { 
-      oracle: chainlinkEthUsd.address, 
+      oracle: chainlinkEthUsdAdapter.target, 
       oracleType: 0, // Chainlink
-      weight: ethers.utils.parseUnits("3", 18), // Higher weight for Chainlink
+      weight: ethers.parseUnits("3", 18), // Higher weight for Chainlink
       heartbeatSeconds: 3600,
       description: "Chainlink ETH/USD",
       decimals: 8
     },
     { 
-      oracle: uniswapMock.address, 
+      oracle: uniswapMock.target, 
       oracleType: 1, // Uniswap
-      weight: ethers.utils.parseUnits("2", 18),
+      weight: ethers.parseUnits("2", 18),
       heartbeatSeconds: 3600,
       description: "Uniswap ETH/USD",
       decimals: 18
     },
     { 
-      oracle: tellorEthUsd.address, 
+      oracle: tellorEthUsd.target, 
       oracleType: 2, // Tellor
-      weight: ethers.utils.parseUnits("2", 18),
+      weight: ethers.parseUnits("2", 18),
       heartbeatSeconds: 3600,
       description: "Tellor ETH/USD",
       decimals: 18
     },
     { 
-      oracle: api3EthUsd.address, 
+      oracle: api3EthUsd.target, 
       oracleType: 3, // API3
-      weight: ethers.utils.parseUnits("1", 18),
+      weight: ethers.parseUnits("1", 18),
       heartbeatSeconds: 3600,
       description: "API3 ETH/USD",
       decimals: 18
@@ -102,76 +105,96 @@ async function main() {
   // 4. Deploy PriceAggregator
   console.log("\n=== Deploying PriceAggregator ===");
   
-  const PriceAggregator = await ethers.getContractFactory("PriceAggregator");
-  const priceAggregator = await PriceAggregator.deploy(
+  const priceAggregator = await manifest.deploy("PriceAggregator", "PriceAggregator", [
     ethUsdSources,
-    oracleLib.address,
-    twapCalculator.address
-  );
-  await priceAggregator.deployed();
-  console.log("PriceAggregator deployed to:", priceAggregator.address);
+    oracleLib.target,
+    twapCalculator.target
+  ]);
+  console.log("PriceAggregator deployed to:", priceAggregator.target);
+
+  // A short delay so queued operations can be tried out locally. Like scripts/deploy.js, the
+  // deployer hands TIMELOCK_ROLE over; the role is its own admin, so the deployer's admin role
+  // cannot take it back
+  const timelock = await manifest.deploy("AggregatorTimelock", "AggregatorTimelock", [
+    60,
+    [deployer.address],
+    [ethers.ZeroAddress],
+    ethers.ZeroAddress
+  ]);
+  const TIMELOCK_ROLE = await priceAggregator.TIMELOCK_ROLE();
+  if (!(await priceAggregator.hasRole(TIMELOCK_ROLE, timelock.target))) {
+    await (await priceAggregator.grantRole(TIMELOCK_ROLE, timelock.target)).wait();
+  }
+  if (await priceAggregator.hasRole(TIMELOCK_ROLE, deployer.address)) {
+    await (await priceAggregator.renounceRole(TIMELOCK_ROLE, deployer.address)).wait();
+  }
+  console.log("AggregatorTimelock deployed to:", timelock.target);
 
   // 5. Configure BTC/USD sources and add as asset pair
   console.log("\n=== Adding BTC-USD Sources and Asset Pair ===");
   
   const btcUsdSources = [
     { 
-      oracle: chainlinkBtcUsd.address, 
+      oracle: chainlinkBtcUsdAdapter.target, 
       oracleType: 0, // Chainlink
-      weight: ethers.utils.parseUnits("3", 18),
+      weight: ethers.parseUnits("3", 18),
       heartbeatSeconds: 3600,
       description: "Chainlink BTC/USD",
       decimals: 8
     },
     { 
-      oracle: tellorBtcUsd.address, 
+      oracle: tellorBtcUsd.target, 
       oracleType: 2, // Tellor
-      weight: ethers.utils.parseUnits("2", 18),
+      weight: ethers.parseUnits("2", 18),
       heartbeatSeconds: 3600,
       description: "Tellor BTC/USD",
       decimals: 18
     }
   ];
   
-  // Add BTC/USD sources
+  // Add BTC/USD sources (a reused PriceAggregator may already have them)
+  const registered = (await priceAggregator.getSources()).map(s => s.oracle);
   for (const source of btcUsdSources) {
+    if (registered.includes(source.oracle)) {
+      console.log(`Source already registered: ${source.description}`);
+      continue;
+    }
     console.log(`Adding source: ${source.description}`);
-    await priceAggregator.addOracleSource(source);
+    await (await priceAggregator.addOracleSource(source)).wait();
   }
   
   // Add asset pairs
-  console.log("Adding ETH-USD pair");
-  await priceAggregator.addAssetPair(
-    "ETH-USD",
-    "ETH", 
-    "USD",
-    ethUsdSources.map(s => s.oracle)
-  );
-  
-  console.log("Adding BTC-USD pair");
-  await priceAggregator.addAssetPair(
-    "BTC-USD",
-    "BTC",
-    "USD",
-    btcUsdSources.map(s => s.oracle)
-  );
+  const pairs = [
+    ["ETH-USD", "ETH", "USD", ethUsdSources],
+    ["BTC-USD", "BTC", "USD", btcUsdSources]
+  ];
+  for (const [symbol, baseAsset, quoteAsset, pairSources] of pairs) {
+    if ((await priceAggregator.assetPairs(symbol)).symbol !== "") {
+      console.log(`${symbol} pair already configured`);
+      continue;
+    }
+    console.log(`Adding ${symbol} pair`);
+    await (await priceAggregator.addAssetPair(symbol, baseAsset, quoteAsset, pairSources.map(s => s.oracle))).wait();
+  }
+  manifest.setSupportedPairs(pairs.map(([symbol]) => symbol));
+  manifest.save();
 
   // 6. Test fetching prices
   console.log("\n=== Testing Price Fetching ===");
   
   // Get ETH-USD price
   const ethUsdMedian = await priceAggregator.getMedianPrice("ETH-USD");
-  console.log("ETH-USD Median Price:", ethers.utils.formatUnits(ethUsdMedian, 18));
+  console.log("ETH-USD Median Price:", ethers.formatUnits(ethUsdMedian, 18));
   
   const ethUsdWeighted = await priceAggregator.getWeightedPrice("ETH-USD");
-  console.log("ETH-USD Weighted Price:", ethers.utils.formatUnits(ethUsdWeighted, 18));
+  console.log("ETH-USD Weighted Price:", ethers.formatUnits(ethUsdWeighted, 18));
   
   // Get BTC-USD price
   const btcUsdMedian = await priceAggregator.getMedianPrice("BTC-USD");
-  console.log("BTC-USD Median Price:", ethers.utils.formatUnits(btcUsdMedian, 18));
+  console.log("BTC-USD Median Price:", ethers.formatUnits(btcUsdMedian, 18));
   
   const btcUsdWeighted = await priceAggregator.getWeightedPrice("BTC-USD");
-  console.log("BTC-USD Weighted Price:", ethers.utils.formatUnits(btcUsdWeighted, 18));
+  console.log("BTC-USD Weighted Price:", ethers.formatUnits(btcUsdWeighted, 18));
 
   // 7. Get all price data for ETH-USD to validate the solution
   console.log("\n=== Getting Detailed ETH-USD Price Data ===");
@@ -180,24 +203,29 @@ async function main() {
   
   console.log("ETH-USD prices from all sources:");
   for (let i = 0; i < prices.length; i++) {
-    console.log(` • ${descriptions[i]}: $${ethers.utils.formatUnits(prices[i], 18)} (type: ${sourceTypes[i]})`);
+    console.log(` • ${descriptions[i]}: $${ethers.formatUnits(prices[i], 18)} (type: ${sourceTypes[i]})`);
   }
 
   console.log("\n=== Deployment and Testing Complete ===");
   console.log(`
 Local Deployment Summary:
 ------------------------
-PriceAggregator: ${priceAggregator.address}
-OracleLib: ${oracleLib.address}
-TWAPCalculator: ${twapCalculator.address}
+PriceAggregator: ${priceAggregator.target}
+OracleLib: ${oracleLib.target}
+TWAPCalculator: ${twapCalculator.target}
+AggregatorTimelock: ${timelock.target}
 
 Mock Oracles:
-- Chainlink ETH/USD: ${chainlinkEthUsd.address}
-- Chainlink BTC/USD: ${chainlinkBtcUsd.address}
-- Tellor ETH/USD: ${tellorEthUsd.address}
-- Tellor BTC/USD: ${tellorBtcUsd.address}
-- Uniswap Mock: ${uniswapMock.address}
-- API3 ETH/USD: ${api3EthUsd.address}
+- Chainlink ETH/USD: ${chainlinkEthUsd.target}
+- Chainlink BTC/USD: ${chainlinkBtcUsd.target}
+- ChainlinkAdapter ETH/USD: ${chainlinkEthUsdAdapter.target}
+- ChainlinkAdapter BTC/USD: ${chainlinkBtcUsdAdapter.target}
+- Tellor ETH/USD: ${tellorEthUsd.target}
+- Tellor BTC/USD: ${tellorBtcUsd.target}
+- Uniswap Mock: ${uniswapMock.target}
+- API3 ETH/USD: ${api3EthUsd.target}
+
+Manifest: ${manifest.path}
 
 Supported Pairs:
 - ETH-USD (4 sources)
@@ -209,9 +237,12 @@ Supported Pairs:
     priceAggregator,
     oracleLib,
     twapCalculator,
+    timelock,
     mocks: {
       chainlinkEthUsd,
       chainlinkBtcUsd,
+      chainlinkEthUsdAdapter,
+      chainlinkBtcUsdAdapter,
       tellorEthUsd,
       tellorBtcUsd,
       uniswapMock,
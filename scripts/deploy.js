@@ -1,22 +1,35 @@
 const hre = require("hardhat");
 const { ethers } = require("hardhat");
-const fs = require("fs");
 const path = require("path");
 const addresses = require("./addresses");
+const { getPool } = require("./poolRegistry");
+const { DeploymentManifest } = require("./deploymentManifest");
+const { readAggregatorState, planChanges, formatPlan, applyPlan } = require("./aggregatorPlan");
 
 // Deployment configuration
 const DEPLOYMENT_CONFIG = {
   network: "sepolia",
   confirmations: 2,
   gasMultiplier: 1.2,
-  timeoutSeconds: 300
+  timeoutSeconds: 300,
+  timelockDelaySeconds: 24 * 60 * 60 // Notice given before weight, removal and threshold changes apply
+};
+
+// Uniswap pool registry entry each pair is priced from
+const UNISWAP_POOLS = {
+  "ETH-USD": "ETH-USDC",
+  "BTC-USD": "BTC-USDC",
+  "LINK-USD": "LINK-USDC"
 };
 
 // Storage for deployed addresses
 let deployedAddresses = {};
 
+// Manifest of the target chain, records every deployed contract (see deploymentManifest.js)
+let manifest;
+
 async function main() {
-  console.log("🚀 Starting PriceAggregator deployment to Sepolia testnet...\n");
+  console.log(`🚀 Starting PriceAggregator deployment to ${hre.network.name}...\n`);
   
   const [deployer] = await hre.ethers.getSigners();
   
@@ -30,6 +43,18 @@ async function main() {
   console.log("Deployer:", deployer.address);
   console.log("Balance:", ethers.formatEther(balance), "ETH");
   console.log("Confirmations:", DEPLOYMENT_CONFIG.confirmations);
+  
+  manifest = await DeploymentManifest.forNetwork(hre);
+  console.log("Manifest:", path.relative(process.cwd(), manifest.path));
+  if (manifest.exists()) {
+    console.log("♻️  Existing manifest found, contracts that are already deployed will be reused");
+  }
+  
+  // Transactions an interrupted run sent but never saw confirmed
+  const settled = await manifest.settlePendingSteps({ confirmations: DEPLOYMENT_CONFIG.confirmations });
+  if (settled.length > 0) {
+    console.log(`♻️  Settled ${settled.length} pending step(s) from the previous run`);
+  }
   console.log("");
 
   if (balance < ethers.parseEther("0.1")) {
@@ -46,8 +71,11 @@ async function main() {
     // Deploy main PriceAggregator contract
     await deployPriceAggregator();
     
-    // Configure asset pairs
-    await configureAssetPairs();
+    // Converge sources, asset pairs and Uniswap pools
+    await configureAggregator();
+    
+    // From here on, sensitive changes go through the timelock
+    await deployTimelock(deployer);
     
     // Save deployment addresses
     await saveDeploymentAddresses();
@@ -59,7 +87,7 @@ async function main() {
     displayVerificationCommands();
     
     console.log("\n✅ Deployment completed successfully!");
-    console.log("📝 All addresses saved to deployments/sepolia.json");
+    console.log(`📝 All addresses saved to ${path.relative(process.cwd(), manifest.path)}`);
     
   } catch (error) {
     console.error("\n❌ Deployment failed:", error.message);
@@ -73,17 +101,13 @@ async function deployUtilityContracts() {
   
   // Deploy OracleLib
   console.log("  📋 Deploying OracleLib...");
-  const OracleLib = await hre.ethers.getContractFactory("OracleLib");
-  const oracleLib = await OracleLib.deploy();
-  await waitForDeployment(oracleLib, "OracleLib");
+  const oracleLib = await deployContract("OracleLib", "OracleLib");
   deployedAddresses.oracleLib = await oracleLib.getAddress();
   console.log("  ✅ OracleLib deployed:", deployedAddresses.oracleLib);
   
   // Deploy TWAPCalculator
   console.log("  📊 Deploying TWAPCalculator...");
-  const TWAPCalculator = await hre.ethers.getContractFactory("TWAPCalculator");
-  const twapCalculator = await TWAPCalculator.deploy();
-  await waitForDeployment(twapCalculator, "TWAPCalculator");
+  const twapCalculator = await deployContract("TWAPCalculator", "TWAPCalculator");
   deployedAddresses.twapCalculator = await twapCalculator.getAddress();
   console.log("  ✅ TWAPCalculator deployed:", deployedAddresses.twapCalculator);
   
@@ -93,78 +117,124 @@ async function deployUtilityContracts() {
 async function deployOracleAdapters() {
   console.log("🔌 Deploying oracle adapters...");
   
+  // Deploy Chainlink Adapters, the aggregator reads the feeds through them (see getPairSources)
+  console.log("  ⛓️  Deploying Chainlink Adapters...");
+  
+  const chainlinkFeeds = [
+    ["ETH", addresses.chainlinkETHUSD, "chainlinkEthUsdAdapter"],
+    ["BTC", addresses.chainlinkBTCUSD, "chainlinkBtcUsdAdapter"],
+    ["LINK", addresses.chainlinkLINKUSD, "chainlinkLinkUsdAdapter"]
+  ];
+  for (const [asset, feed, key] of chainlinkFeeds) {
+    const adapter = await deployContract(`ChainlinkAdapter_${asset}_USD`, "ChainlinkAdapter", [
+      feed,
+      asset,
+      "USD",
+      3600 // 1 hour heartbeat
+    ]);
+    deployedAddresses[key] = await adapter.getAddress();
+    console.log(`    ✅ Chainlink ${asset}/USD:`, deployedAddresses[key]);
+  }
+  
   // Deploy Tellor Adapters
   console.log("  🔮 Deploying Tellor Adapters...");
-  const TellorAdapter = await hre.ethers.getContractFactory("TellorAdapter");
   
   // ETH/USD Tellor Adapter
   console.log("    📈 ETH/USD Tellor Adapter...");
-  const tellorEthUsdAdapter = await TellorAdapter.deploy(
+  const tellorEthUsdAdapter = await deployContract("TellorAdapter_ETH_USD", "TellorAdapter", [
     addresses.tellorContract,
-    addresses.tellorQueryETHUSD
-  );
-  await waitForDeployment(tellorEthUsdAdapter, "TellorAdapter ETH/USD");
+    "eth",
+    "usd"
+  ]);
   deployedAddresses.tellorEthUsdAdapter = await tellorEthUsdAdapter.getAddress();
   console.log("    ✅ Tellor ETH/USD:", deployedAddresses.tellorEthUsdAdapter);
   
   // BTC/USD Tellor Adapter
   console.log("    ₿ BTC/USD Tellor Adapter...");
-  const tellorBtcUsdAdapter = await TellorAdapter.deploy(
+  const tellorBtcUsdAdapter = await deployContract("TellorAdapter_BTC_USD", "TellorAdapter", [
     addresses.tellorContract,
-    addresses.tellorQueryBTCUSD
-  );
-  await waitForDeployment(tellorBtcUsdAdapter, "TellorAdapter BTC/USD");
+    "btc",
+    "usd"
+  ]);
   deployedAddresses.tellorBtcUsdAdapter = await tellorBtcUsdAdapter.getAddress();
   console.log("    ✅ Tellor BTC/USD:", deployedAddresses.tellorBtcUsdAdapter);
   
   // LINK/USD Tellor Adapter
   console.log("    🔗 LINK/USD Tellor Adapter...");
-  const tellorLinkUsdAdapter = await TellorAdapter.deploy(
+  const tellorLinkUsdAdapter = await deployContract("TellorAdapter_LINK_USD", "TellorAdapter", [
     addresses.tellorContract,
-    addresses.tellorQueryLINKUSD
-  );
-  await waitForDeployment(tellorLinkUsdAdapter, "TellorAdapter LINK/USD");
+    "link",
+    "usd"
+  ]);
   deployedAddresses.tellorLinkUsdAdapter = await tellorLinkUsdAdapter.getAddress();
   console.log("    ✅ Tellor LINK/USD:", deployedAddresses.tellorLinkUsdAdapter);
   
   // Deploy API3 Adapter
   console.log("  🌐 Deploying API3 Adapter (ETH/USD)...");
-  const API3Adapter = await hre.ethers.getContractFactory("API3Adapter");
-  const api3EthUsdAdapter = await API3Adapter.deploy(
+  const api3EthUsdAdapter = await deployContract("API3Adapter_ETH_USD", "API3Adapter", [
     addresses.API3ReaderProxyETHUSD,
     "ETH",
     "USD",
     3600, // 1 hour heartbeat
     18    // 18 decimals
-  );
-  await waitForDeployment(api3EthUsdAdapter, "API3Adapter ETH/USD");
+  ]);
   deployedAddresses.api3EthUsdAdapter = await api3EthUsdAdapter.getAddress();
   console.log("  ✅ API3 ETH/USD:", deployedAddresses.api3EthUsdAdapter);
   
-  // Deploy UniswapV3GraphAdapter
+  // Deploy UniswapV3GraphAdapter, ETH-USDC is the pair its single-feed reads serve
   console.log("  🦄 Deploying UniswapV3GraphAdapter...");
-  const UniswapV3GraphAdapter = await hre.ethers.getContractFactory("UniswapV3GraphAdapter");
-  const uniswapV3GraphAdapter = await UniswapV3GraphAdapter.deploy();
-  await waitForDeployment(uniswapV3GraphAdapter, "UniswapV3GraphAdapter");
+  const { chainId } = await ethers.provider.getNetwork();
+  const ethUsdcPool = getPool("ETH-USDC", chainId);
+  const uniswapV3GraphAdapter = await deployContract("UniswapV3GraphAdapter", "UniswapV3GraphAdapter", [
+    ethUsdcPool.tokenA,
+    ethUsdcPool.tokenB,
+    ethUsdcPool.fee
+  ]);
   deployedAddresses.uniswapV3GraphAdapter = await uniswapV3GraphAdapter.getAddress();
   console.log("  ✅ Uniswap V3 Adapter:", deployedAddresses.uniswapV3GraphAdapter);
   
   console.log("✅ Oracle adapters deployed successfully!\n");
   
   // Important note about Uniswap price updates
-  console.log("💡 Important: Update Uniswap prices after deployment:");
-  console.log(`   export UNISWAP_ADAPTER_ADDRESS=${deployedAddresses.uniswapV3GraphAdapter}`);
-  console.log("   npx hardhat run scripts/updateUniswapPrices.js --network sepolia\n");
+  console.log("💡 Important: Update Uniswap prices after deployment (the adapter address is read from the manifest):");
+  console.log(`   npx hardhat run scripts/updateUniswapPrices.js --network ${hre.network.name}\n`);
 }
 
 async function deployPriceAggregator() {
   console.log("🏗️ Deploying PriceAggregator main contract...");
   
-  // Configure oracle sources
+  // The ETH/USD sources are registered through the constructor
+  const ethUsdSources = getPairSources()["ETH-USD"];
+  
+  console.log("  📋 Configured ETH/USD sources:");
+  ethUsdSources.forEach((source, i) => {
+    console.log(`    ${i + 1}. ${source.description} (Weight: ${ethers.formatUnits(source.weight, 18)})`);
+  });
+  
+  // Deploy PriceAggregator
+  const priceAggregator = await deployContract("PriceAggregator", "PriceAggregator", [
+    ethUsdSources,
+    deployedAddresses.oracleLib,
+    deployedAddresses.twapCalculator
+  ]);
+  deployedAddresses.priceAggregator = await priceAggregator.getAddress();
+  console.log("  ✅ PriceAggregator deployed:", deployedAddresses.priceAggregator);
+  
+  // Store the contract instance for later use
+  deployedAddresses.priceAggregatorContract = priceAggregator;
+  
+  console.log("✅ PriceAggregator deployed!\n");
+}
+
+/**
+ * Oracle sources of every pair, in the order they are passed to addAssetPair
+ */
+function getPairSources() {
+  // ETH/USD sources
   const ethUsdSources = [
     { 
-      oracle: addresses.chainlinkETHUSD, 
-      oracleType: 0, // Chainlink
+      oracle: deployedAddresses.chainlinkEthUsdAdapter, 
+      oracleType: 0, // Chainlink, through ChainlinkAdapter
       weight: ethers.parseUnits("3", 18), // Weight 3
       heartbeatSeconds: 3600,
       description: "Chainlink ETH/USD",
@@ -196,39 +266,11 @@ async function deployPriceAggregator() {
     }
   ];
   
-  console.log("  📋 Configured ETH/USD sources:");
-  ethUsdSources.forEach((source, i) => {
-    console.log(`    ${i + 1}. ${source.description} (Weight: ${ethers.formatUnits(source.weight, 18)})`);
-  });
-  
-  // Deploy PriceAggregator
-  const PriceAggregator = await hre.ethers.getContractFactory("PriceAggregator");
-  const priceAggregator = await PriceAggregator.deploy(
-    ethUsdSources,
-    deployedAddresses.oracleLib,
-    deployedAddresses.twapCalculator
-  );
-  await waitForDeployment(priceAggregator, "PriceAggregator");
-  deployedAddresses.priceAggregator = await priceAggregator.getAddress();
-  console.log("  ✅ PriceAggregator deployed:", deployedAddresses.priceAggregator);
-  
-  // Store the contract instance for later use
-  deployedAddresses.priceAggregatorContract = priceAggregator;
-  
-  // Add additional oracle sources
-  await addAdditionalOracleSources(priceAggregator);
-  
-  console.log("✅ PriceAggregator deployed and configured!\n");
-}
-
-async function addAdditionalOracleSources(priceAggregator) {
-  console.log("  🔧 Adding additional oracle sources...");
-  
   // BTC/USD sources
   const btcUsdSources = [
     { 
-      oracle: addresses.chainlinkBTCUSD, 
-      oracleType: 0, // Chainlink
+      oracle: deployedAddresses.chainlinkBtcUsdAdapter, 
+      oracleType: 0, // Chainlink, through ChainlinkAdapter
       weight: ethers.parseUnits("3", 18),
       heartbeatSeconds: 3600,
       description: "Chainlink BTC/USD",
@@ -255,8 +297,8 @@ async function addAdditionalOracleSources(priceAggregator) {
   // LINK/USD sources
   const linkUsdSources = [
     { 
-      oracle: addresses.chainlinkLINKUSD, 
-      oracleType: 0, // Chainlink
+      oracle: deployedAddresses.chainlinkLinkUsdAdapter, 
+      oracleType: 0, // Chainlink, through ChainlinkAdapter
       weight: ethers.parseUnits("3", 18),
       heartbeatSeconds: 3600,
       description: "Chainlink LINK/USD",
@@ -280,172 +322,155 @@ async function addAdditionalOracleSources(priceAggregator) {
     }
   ];
   
-  // Add BTC/USD sources
-  console.log("    ₿ Adding BTC/USD sources...");
-  for (const source of btcUsdSources) {
-    await addOracleSourceSafely(priceAggregator, source);
-  }
-  
-  // Add LINK/USD sources  
-  console.log("    🔗 Adding LINK/USD sources...");
-  for (const source of linkUsdSources) {
-    await addOracleSourceSafely(priceAggregator, source);
-  }
-  
-  // Store sources for later use
-  deployedAddresses.btcUsdSources = btcUsdSources;
-  deployedAddresses.linkUsdSources = linkUsdSources;
+  return {
+    "ETH-USD": ethUsdSources,
+    "BTC-USD": btcUsdSources,
+    "LINK-USD": linkUsdSources
+  };
 }
 
-async function addOracleSourceSafely(priceAggregator, source) {
-  try {
-    await priceAggregator.getSourceIndex(source.oracle);
-    console.log(`      ⏭️ Source ${source.description} already exists, skipping...`);
-  } catch (error) {
-    if (error.message.includes("Oracle not found")) {
-      console.log(`      ➕ Adding ${source.description}...`);
-      const tx = await priceAggregator.addOracleSource(source);
-      await tx.wait(DEPLOYMENT_CONFIG.confirmations);
-      console.log(`      ✅ Added ${source.description}`);
-    } else {
-      console.error(`      ❌ Error checking source ${source.description}:`, error.message);
-      throw error;
+/**
+ * The configuration the deployed PriceAggregator should converge to
+ */
+function getDesiredConfiguration(chainId) {
+  const pairSources = getPairSources();
+  
+  // A source serving several pairs (the Uniswap adapter) is registered once, first listing wins
+  const sources = [];
+  for (const source of Object.values(pairSources).flat()) {
+    if (!sources.some(s => s.oracle === source.oracle)) {
+      sources.push(source);
     }
   }
+  
+  const pairs = Object.entries(pairSources).map(([symbol, list]) => {
+    const [baseAsset, quoteAsset] = symbol.split("-");
+    // Each pair keeps its own weight, heartbeat and decimals for a shared source
+    const settings = list.map(({ oracle, weight, heartbeatSeconds, decimals }) => ({ oracle, weight, heartbeatSeconds, decimals }));
+    return { symbol, baseAsset, quoteAsset, sources: settings, active: true };
+  });
+  
+  // The Uniswap adapter serves all pairs, so each pair has to name its pool
+  const uniswapPools = Object.entries(UNISWAP_POOLS).map(([pair, poolName]) => {
+    const pool = getPool(poolName, chainId);
+    return {
+      pair,
+      oracle: deployedAddresses.uniswapV3GraphAdapter,
+      tokenA: pool.tokenA,
+      tokenB: pool.tokenB,
+      fee: pool.fee
+    };
+  });
+  
+  return { sources, pairs, uniswapPools };
 }
 
-async function configureAssetPairs() {
-  console.log("🔗 Configuring asset pairs...");
+async function configureAggregator() {
+  console.log("🔗 Configuring sources, asset pairs and Uniswap pools...");
   
   const priceAggregator = deployedAddresses.priceAggregatorContract;
+  const network = await hre.ethers.provider.getNetwork();
+  const desired = getDesiredConfiguration(network.chainId);
   
-  // ETH/USD pair (already configured in constructor, but let's verify)
-  console.log("  📈 Configuring ETH/USD pair...");
-  try {
-    const ethUsdSources = [
-      addresses.chainlinkETHUSD,
-      deployedAddresses.uniswapV3GraphAdapter,
-      deployedAddresses.tellorEthUsdAdapter,
-      deployedAddresses.api3EthUsdAdapter
-    ];
-    
-    await priceAggregator.addAssetPair(
-      "ETH-USD",
-      "ETH",
-      "USD",
-      ethUsdSources
-    );
-    console.log("  ✅ ETH/USD pair configured");
-  } catch (error) {
-    if (error.message.includes("already exists")) {
-      console.log("  ⏭️ ETH/USD pair already configured");
-    } else {
-      throw error;
-    }
-  }
+  // Diff against what is already on-chain, so a resumed deploy only sends what's missing
+  const state = await readAggregatorState(priceAggregator, {
+    pairs: desired.pairs.map(p => p.symbol),
+    uniswapPools: desired.uniswapPools
+  });
+  const plan = planChanges(desired, state);
   
-  // BTC/USD pair
-  console.log("  ₿ Configuring BTC/USD pair...");
-  const btcUsdSourceAddresses = deployedAddresses.btcUsdSources.map(s => s.oracle);
-  const tx1 = await priceAggregator.addAssetPair(
-    "BTC-USD",
-    "BTC", 
-    "USD",
-    btcUsdSourceAddresses
-  );
-  await tx1.wait(DEPLOYMENT_CONFIG.confirmations);
-  console.log("  ✅ BTC/USD pair configured");
-  
-  // LINK/USD pair
-  console.log("  🔗 Configuring LINK/USD pair...");
-  const linkUsdSourceAddresses = deployedAddresses.linkUsdSources.map(s => s.oracle);
-  const tx2 = await priceAggregator.addAssetPair(
-    "LINK-USD",
-    "LINK",
-    "USD", 
-    linkUsdSourceAddresses
-  );
-  await tx2.wait(DEPLOYMENT_CONFIG.confirmations);
-  console.log("  ✅ LINK/USD pair configured");
-  
-  console.log("✅ All asset pairs configured successfully!\n");
-}
-
-async function waitForDeployment(contract, name) {
-  console.log(`    ⏳ Waiting for ${name} deployment confirmation...`);
-  await contract.deploymentTransaction().wait(DEPLOYMENT_CONFIG.confirmations);
-  console.log(`    ✅ ${name} confirmed after ${DEPLOYMENT_CONFIG.confirmations} blocks`);
+  console.log("  📋 Plan:");
+  console.log(formatPlan(plan));
+  
+  // A re-run after deployTimelock handed TIMELOCK_ROLE over queues the timelocked changes on it
+  const recorded = manifest.get("AggregatorTimelock");
+  const timelock = recorded ? await hre.ethers.getContractAt("AggregatorTimelock", recorded.address) : undefined;
+  
+  const applied = await applyPlan(priceAggregator, plan, {
+    manifest,
+    timelock,
+    confirmations: DEPLOYMENT_CONFIG.confirmations
+  });
+  
+  const queued = applied.filter(action => action.operationId).length;
+  if (queued > 0) {
+    console.log(`🕒 Queued ${queued} change(s) on the timelock, run "aggregator execute <id>" for each once the delay has passed\n`);
+  } else {
+    console.log("✅ Aggregator configuration up to date!\n");
+  }
 }
 
-async function saveDeploymentAddresses() {
-  console.log("💾 Saving deployment addresses...");
+/**
+ * Deploys the AggregatorTimelock and moves TIMELOCK_ROLE from the deployer to it.
+ * The deployer is the proposer, anyone may execute a ready operation, and the
+ * timelock administers itself so its roles and delay only change through it.
+ * TIMELOCK_ROLE is its own admin on the aggregator, so the deployer's admin role
+ * cannot grant it back once renounced.
+ */
+async function deployTimelock(deployer) {
+  console.log("⏱️ Deploying AggregatorTimelock...");
+  
+  const timelock = await deployContract("AggregatorTimelock", "AggregatorTimelock", [
+    DEPLOYMENT_CONFIG.timelockDelaySeconds,
+    [deployer.address],
+    [ethers.ZeroAddress],
+    ethers.ZeroAddress
+  ]);
+  deployedAddresses.aggregatorTimelock = await timelock.getAddress();
+  console.log("  ✅ AggregatorTimelock deployed:", deployedAddresses.aggregatorTimelock);
   
-  // Create deployments directory if it doesn't exist
-  const deploymentsDir = path.join(__dirname, "..", "deployments");
-  if (!fs.existsSync(deploymentsDir)) {
-    fs.mkdirSync(deploymentsDir);
+  const priceAggregator = deployedAddresses.priceAggregatorContract;
+  const TIMELOCK_ROLE = await priceAggregator.TIMELOCK_ROLE();
+  if (!(await priceAggregator.hasRole(TIMELOCK_ROLE, deployedAddresses.aggregatorTimelock))) {
+    console.log("  🔑 Granting TIMELOCK_ROLE to the timelock...");
+    const tx = await priceAggregator.grantRole(TIMELOCK_ROLE, deployedAddresses.aggregatorTimelock);
+    await tx.wait(DEPLOYMENT_CONFIG.confirmations);
+  }
+  if (await priceAggregator.hasRole(TIMELOCK_ROLE, deployer.address)) {
+    console.log("  🔑 Renouncing the deployer's TIMELOCK_ROLE...");
+    const tx = await priceAggregator.renounceRole(TIMELOCK_ROLE, deployer.address);
+    await tx.wait(DEPLOYMENT_CONFIG.confirmations);
   }
   
-  // Prepare deployment data
-  const deploymentData = {
-    network: "sepolia",
-    chainId: 11155111,
-    timestamp: new Date().toISOString(),
-    deployer: (await hre.ethers.getSigners())[0].address,
-    contracts: {
-      PriceAggregator: deployedAddresses.priceAggregator,
-      OracleLib: deployedAddresses.oracleLib,
-      TWAPCalculator: deployedAddresses.twapCalculator,
-      UniswapV3GraphAdapter: deployedAddresses.uniswapV3GraphAdapter,
-      API3Adapter_ETH_USD: deployedAddresses.api3EthUsdAdapter,
-      TellorAdapter_ETH_USD: deployedAddresses.tellorEthUsdAdapter,
-      TellorAdapter_BTC_USD: deployedAddresses.tellorBtcUsdAdapter,
-      TellorAdapter_LINK_USD: deployedAddresses.tellorLinkUsdAdapter
-    },
-    externalContracts: {
-      Chainlink_ETH_USD: addresses.chainlinkETHUSD,
-      Chainlink_BTC_USD: addresses.chainlinkBTCUSD,
-      Chainlink_LINK_USD: addresses.chainlinkLINKUSD,
-      API3_ETH_USD: addresses.API3ReaderProxyETHUSD,
-      Tellor_Contract: addresses.tellorContract
-    },
-    supportedPairs: ["ETH-USD", "BTC-USD", "LINK-USD"],
-    verification: {
-      etherscan: `https://sepolia.etherscan.io/address/${deployedAddresses.priceAggregator}`,
-      commands: generateVerificationCommands()
-    }
-  };
-  
-  // Save to file
-  const filePath = path.join(deploymentsDir, "sepolia.json");
-  fs.writeFileSync(filePath, JSON.stringify(deploymentData, null, 2));
-  console.log("  ✅ Addresses saved to deployments/sepolia.json");
+  console.log(`✅ Weight, removal and threshold changes now need ${DEPLOYMENT_CONFIG.timelockDelaySeconds}s in the timelock!\n`);
 }
 
-function generateVerificationCommands() {
-  return [
-    `npx hardhat verify --network sepolia ${deployedAddresses.oracleLib}`,
-    `npx hardhat verify --network sepolia ${deployedAddresses.twapCalculator}`,
-    `npx hardhat verify --network sepolia ${deployedAddresses.uniswapV3GraphAdapter}`,
-    `npx hardhat verify --network sepolia ${deployedAddresses.api3EthUsdAdapter} ${addresses.API3ReaderProxyETHUSD} "ETH" "USD" 3600 18`,
-    `npx hardhat verify --network sepolia ${deployedAddresses.tellorEthUsdAdapter} ${addresses.tellorContract} ${addresses.tellorQueryETHUSD}`,
-    `npx hardhat verify --network sepolia ${deployedAddresses.tellorBtcUsdAdapter} ${addresses.tellorContract} ${addresses.tellorQueryBTCUSD}`,
-    `npx hardhat verify --network sepolia ${deployedAddresses.tellorLinkUsdAdapter} ${addresses.tellorContract} ${addresses.tellorQueryLINKUSD}`
-  ];
+async function deployContract(name, contractName, args = []) {
+  console.log(`    ⏳ Deploying ${name} and waiting for ${DEPLOYMENT_CONFIG.confirmations} confirmations...`);
+  return manifest.deploy(name, contractName, args, { confirmations: DEPLOYMENT_CONFIG.confirmations });
+}
+
+async function saveDeploymentAddresses() {
+  console.log("💾 Saving deployment manifest...");
+  
+  // Contracts are recorded as they are deployed, only the external feeds and pairs are left
+  manifest.setExternal("Chainlink_ETH_USD", addresses.chainlinkETHUSD);
+  manifest.setExternal("Chainlink_BTC_USD", addresses.chainlinkBTCUSD);
+  manifest.setExternal("Chainlink_LINK_USD", addresses.chainlinkLINKUSD);
+  manifest.setExternal("API3_ETH_USD", addresses.API3ReaderProxyETHUSD);
+  manifest.setExternal("Tellor_Contract", addresses.tellorContract);
+  manifest.setSupportedPairs(["ETH-USD", "BTC-USD", "LINK-USD"]);
+  manifest.save();
+  
+  console.log(`  ✅ Manifest saved to ${path.relative(process.cwd(), manifest.path)}`);
 }
 
 function displayDeploymentSummary() {
   console.log("📊 DEPLOYMENT SUMMARY");
   console.log("=====================");
-  console.log("Network: Sepolia Testnet");
-  console.log("Chain ID: 11155111");
+  console.log("Network:", manifest.network);
+  console.log("Chain ID:", manifest.chainId);
   console.log("");
   console.log("📋 Core Contracts:");
   console.log("  PriceAggregator:", deployedAddresses.priceAggregator);
   console.log("  OracleLib:", deployedAddresses.oracleLib);
   console.log("  TWAPCalculator:", deployedAddresses.twapCalculator);
+  console.log("  AggregatorTimelock:", deployedAddresses.aggregatorTimelock);
   console.log("");
   console.log("🔌 Oracle Adapters:");
+  console.log("  ChainlinkAdapter (ETH/USD):", deployedAddresses.chainlinkEthUsdAdapter);
+  console.log("  ChainlinkAdapter (BTC/USD):", deployedAddresses.chainlinkBtcUsdAdapter);
+  console.log("  ChainlinkAdapter (LINK/USD):", deployedAddresses.chainlinkLinkUsdAdapter);
   console.log("  UniswapV3GraphAdapter:", deployedAddresses.uniswapV3GraphAdapter);
   console.log("  API3Adapter (ETH/USD):", deployedAddresses.api3EthUsdAdapter);
   console.log("  TellorAdapter (ETH/USD):", deployedAddresses.tellorEthUsdAdapter);
@@ -463,26 +488,21 @@ function displayDeploymentSummary() {
 }
 
 function displayVerificationCommands() {
-  console.log("\n🔍 CONTRACT VERIFICATION COMMANDS");
-  console.log("==================================");
-  console.log("Run these commands to verify contracts on Etherscan:");
-  console.log("");
-  
-  const commands = generateVerificationCommands();
-  commands.forEach((cmd, i) => {
-    console.log(`${i + 1}. ${cmd}`);
-  });
+  console.log("\n🔍 CONTRACT VERIFICATION");
+  console.log("========================");
+  console.log("Verify all contracts in the manifest, with their recorded constructor arguments, on Etherscan:");
+  console.log(`   npx hardhat run scripts/verify.js --network ${hre.network.name}`);
   
   console.log("");
   console.log("💡 Next Steps:");
   console.log("1. Update Uniswap prices:");
-  console.log(`   export UNISWAP_ADAPTER_ADDRESS=${deployedAddresses.uniswapV3GraphAdapter}`);
-  console.log("   npx hardhat run scripts/updateUniswapPrices.js --network sepolia");
+  console.log(`   npx hardhat run scripts/updateUniswapPrices.js --network ${hre.network.name}`);
   console.log("");
   console.log("2. Test the deployment:");
   console.log("   npx hardhat test test/PriceAggregator.sepolia.test.js --network sepolia");
   console.log("");
-  console.log("3. Update the README.md with the real addresses from deployments/sepolia.json");
+  console.log("3. Update the README.md with the real addresses from the manifest:");
+  console.log(`   node scripts/updateReadme.js ${manifest.chainId}`);
 }
 
 // Execute deployment
@@ -0,0 +1,286 @@
+const fs = require("fs");
+const path = require("path");
+
+const DEPLOYMENTS_DIR = process.env.DEPLOYMENTS_DIR || path.join(__dirname, "..", "deployments");
+
+/**
+ * Deployment manifest of one chain, stored as deployments/<chainId>.json.
+ *
+ * Every contract deployed through deploy() is recorded with its artifact name,
+ * address, constructor arguments, transaction, block and compiler settings, so
+ * later runs can skip contracts that are already live and other scripts (keeper,
+ * verification, README, CLI) can look addresses up instead of hard-coding them.
+ *
+ * The journal lists every transaction-sending step (deploys and configuration
+ * changes) as pending → done/failed, so a run that died after sending a
+ * transaction can be settled instead of sending it twice.
+ */
+class DeploymentManifest {
+  constructor({ chainId, network, dir = DEPLOYMENTS_DIR, data, hre }) {
+    this.chainId = Number(chainId);
+    this.network = network;
+    this.dir = dir;
+    this.hre = hre;
+    this.data = data || {
+      chainId: this.chainId,
+      network,
+      updatedAt: null,
+      contracts: {},
+      externalContracts: {},
+      supportedPairs: [],
+      journal: []
+    };
+    this.data.journal = this.data.journal || [];
+  }
+
+  static pathFor(chainId, dir = DEPLOYMENTS_DIR) {
+    return path.join(dir, `${Number(chainId)}.json`);
+  }
+
+  /**
+   * Loads the manifest of a chain, or an empty one if nothing was deployed yet
+   */
+  static load(chainId, { network, dir = DEPLOYMENTS_DIR, hre } = {}) {
+    const filePath = DeploymentManifest.pathFor(chainId, dir);
+    const data = fs.existsSync(filePath) ? JSON.parse(fs.readFileSync(filePath, "utf8")) : undefined;
+    return new DeploymentManifest({
+      chainId,
+      network: network || (data && data.network),
+      dir,
+      data,
+      hre
+    });
+  }
+
+  /**
+   * Loads the manifest of the chain Hardhat is connected to
+   */
+  static async forNetwork(hre, { dir = DEPLOYMENTS_DIR } = {}) {
+    const { chainId } = await hre.ethers.provider.getNetwork();
+    return DeploymentManifest.load(chainId, { network: hre.network.name, dir, hre });
+  }
+
+  get path() {
+    return DeploymentManifest.pathFor(this.chainId, this.dir);
+  }
+
+  exists() {
+    return fs.existsSync(this.path);
+  }
+
+  get(name) {
+    return this.data.contracts[name];
+  }
+
+  /**
+   * Address of a recorded contract; throws if it was never deployed on this chain
+   */
+  address(name) {
+    const entry = this.get(name);
+    if (!entry) {
+      throw new Error(
+        `${name} is not in the deployment manifest of chain ${this.chainId} (${this.path}). Run scripts/deploy.js first.`
+      );
+    }
+    return entry.address;
+  }
+
+  /**
+   * Name → address of all recorded contracts
+   */
+  addresses() {
+    return Object.fromEntries(Object.entries(this.data.contracts).map(([name, entry]) => [name, entry.address]));
+  }
+
+  setExternal(name, address) {
+    this.data.externalContracts[name] = address;
+  }
+
+  external(name) {
+    return this.data.externalContracts[name];
+  }
+
+  setSupportedPairs(pairs) {
+    this.data.supportedPairs = [...pairs];
+  }
+
+  /**
+   * Starts a journal step, or updates the pending entry of that step
+   */
+  journalStep(step, fields) {
+    let entry = this.data.journal.find((e) => e.step === step && e.status === "pending");
+    if (!entry) {
+      entry = { step, startedAt: new Date().toISOString() };
+      this.data.journal.push(entry);
+    }
+    Object.assign(entry, fields, { updatedAt: new Date().toISOString() });
+    this.save();
+    return entry;
+  }
+
+  pendingSteps() {
+    return this.data.journal.filter((e) => e.status === "pending");
+  }
+
+  /**
+   * Resolves journal steps a previous run left pending: waits for their
+   * transactions, adopts contracts whose deployment was mined but never recorded
+   * and marks steps whose transactions never went out (or were dropped) as
+   * abandoned.
+   */
+  async settlePendingSteps({ confirmations = 1, timeoutMs = 300000 } = {}) {
+    const settled = [];
+
+    for (const entry of this.pendingSteps()) {
+      const txHashes = entry.txHashes || [];
+      if (txHashes.length === 0) {
+        this.journalStep(entry.step, { status: "abandoned" });
+        settled.push(entry);
+        continue;
+      }
+
+      let receipt;
+      for (const txHash of txHashes) {
+        receipt = await this.waitForReceipt(entry, txHash, confirmations, timeoutMs);
+        if (!receipt || receipt.status !== 1) break;
+      }
+
+      if (!receipt) {
+        // The node no longer knows the transaction, it was dropped or replaced
+        this.journalStep(entry.step, { status: "abandoned", deployment: undefined });
+      } else if (receipt.status !== 1) {
+        this.journalStep(entry.step, { status: "failed", error: `Transaction ${receipt.hash} reverted` });
+      } else {
+        if (entry.deployment) {
+          this.data.contracts[entry.deployment.name] = {
+            ...entry.deployment.record,
+            address: receipt.contractAddress,
+            txHash: receipt.hash,
+            blockNumber: receipt.blockNumber
+          };
+        }
+        this.journalStep(entry.step, { status: "done", blockNumber: receipt.blockNumber, deployment: undefined });
+      }
+      settled.push(entry);
+    }
+
+    return settled;
+  }
+
+  async waitForReceipt(entry, txHash, confirmations, timeoutMs) {
+    const tx = await this.hre.ethers.provider.getTransaction(txHash);
+    if (!tx) return null;
+
+    try {
+      return await tx.wait(confirmations, timeoutMs);
+    } catch (error) {
+      // ethers throws on reverts, the receipt is still what settles the step
+      if (error.code === "CALL_EXCEPTION" && error.receipt) return error.receipt;
+      if (error.code === "TIMEOUT") {
+        throw new Error(`Transaction ${txHash} of step "${entry.step}" is still pending, re-run once it is mined`);
+      }
+      throw error;
+    }
+  }
+
+  save() {
+    if (!fs.existsSync(this.dir)) {
+      fs.mkdirSync(this.dir, { recursive: true });
+    }
+    this.data.chainId = this.chainId;
+    this.data.network = this.network;
+    this.data.updatedAt = new Date().toISOString();
+    fs.writeFileSync(this.path, JSON.stringify(this.data, null, 2) + "\n");
+  }
+
+  /**
+   * Deploys contractName under the manifest entry `name`, unless an entry with the
+   * same artifact bytecode and constructor arguments already has code on-chain.
+   * Returns the contract instance in both cases.
+   */
+  async deploy(name, contractName, args = [], { confirmations = 1, signer } = {}) {
+    const { hre } = this;
+    if (!hre) throw new Error("DeploymentManifest.deploy needs a manifest created with forNetwork(hre)");
+
+    const artifact = await hre.artifacts.readArtifact(contractName);
+    const bytecodeHash = hre.ethers.keccak256(artifact.bytecode);
+    const constructorArgs = serializeArgs(args);
+
+    const existing = this.get(name);
+    if (existing && await this.isCurrent(existing, contractName, bytecodeHash, constructorArgs)) {
+      console.log(`    ⏭️ ${name} already deployed at ${existing.address}, skipping...`);
+      return hre.ethers.getContractAt(contractName, existing.address, signer);
+    }
+
+    const deployer = signer || (await hre.ethers.getSigners())[0];
+    const factory = await hre.ethers.getContractFactory(contractName, deployer);
+    const record = {
+      contract: contractName,
+      sourceName: artifact.sourceName,
+      constructorArgs,
+      deployer: deployer.address,
+      deployedAt: new Date().toISOString(),
+      bytecodeHash,
+      compiler: await getCompilerSettings(hre, artifact)
+    };
+
+    const step = `deploy:${name}`;
+    const contract = await factory.deploy(...args);
+    const tx = contract.deploymentTransaction();
+    this.journalStep(step, { summary: `deploy ${name} (${contractName})`, status: "pending", txHashes: [tx.hash], deployment: { name, record } });
+
+    const receipt = await tx.wait(confirmations);
+    this.data.contracts[name] = {
+      ...record,
+      address: await contract.getAddress(),
+      txHash: receipt.hash,
+      blockNumber: receipt.blockNumber
+    };
+    // The deployment record only matters while the step is pending
+    this.journalStep(step, { status: "done", blockNumber: receipt.blockNumber, deployment: undefined });
+    return contract;
+  }
+
+  async isCurrent(entry, contractName, bytecodeHash, constructorArgs) {
+    if (entry.contract !== contractName || entry.bytecodeHash !== bytecodeHash) return false;
+    if (JSON.stringify(entry.constructorArgs) !== JSON.stringify(constructorArgs)) return false;
+
+    // The entry may point at a chain that was reset (e.g. a restarted local node)
+    const code = await this.hre.ethers.provider.getCode(entry.address);
+    return code !== "0x";
+  }
+}
+
+/**
+ * Constructor arguments as JSON values: bigints become decimal strings and
+ * ethers Results/structs become plain arrays and objects
+ */
+function serializeArgs(value) {
+  if (typeof value === "bigint") return value.toString();
+  if (Array.isArray(value)) return value.map(serializeArgs);
+  if (value && typeof value === "object") {
+    if (typeof value.toObject === "function") return serializeArgs(value.toObject());
+    return Object.fromEntries(Object.entries(value).map(([key, item]) => [key, serializeArgs(item)]));
+  }
+  return value;
+}
+
+async function getCompilerSettings(hre, artifact) {
+  const buildInfo = await hre.artifacts.getBuildInfo(`${artifact.sourceName}:${artifact.contractName}`);
+  if (!buildInfo) return null;
+
+  const { optimizer, evmVersion, viaIR } = buildInfo.input.settings;
+  return {
+    version: buildInfo.solcVersion,
+    longVersion: buildInfo.solcLongVersion,
+    optimizer,
+    viaIR: Boolean(viaIR),
+    evmVersion: evmVersion || null
+  };
+}
+
+module.exports = {
+  DEPLOYMENTS_DIR,
+  DeploymentManifest,
+  serializeArgs
+};
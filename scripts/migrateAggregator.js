@@ -0,0 +1,110 @@
+const hre = require("hardhat");
+const { DeploymentManifest } = require("./deploymentManifest");
+const {
+  readAggregatorState,
+  configurationFromState,
+  planChanges,
+  formatPlan,
+  applyPlan
+} = require("./aggregatorPlan");
+
+/**
+ * Moves the configuration of a deployed PriceAggregator onto a fresh one:
+ * registered sources, pairs with their per-pair source settings, Uniswap pools
+ * and aggregation parameters. Aggregators that predate per-pair settings are
+ * read through their registry, so every pair starts with the weights,
+ * heartbeats and decimals its sources had globally.
+ *
+ * The new aggregator replaces the manifest entry `name`, records the old
+ * address as migratedFrom and is configured through the step journal. Returns
+ * the new address, the applied plan and the median price of every active pair
+ * on both aggregators. With an AggregatorTimelock in the manifest, the new
+ * aggregator's TIMELOCK_ROLE moves to it once the configuration is copied.
+ */
+async function migrateAggregator(manifest, { from, name = "PriceAggregator", confirmations = 1, logger = console } = {}) {
+  const { ethers } = manifest.hre;
+  const oldAggregator = await ethers.getContractAt("PriceAggregator", from);
+  const oldState = await readAggregatorState(oldAggregator);
+  const desired = configurationFromState(oldState);
+
+  // The old registry allowed an oracle twice, lookups always used the first entry
+  desired.sources = desired.sources.filter(
+    (source, i) => desired.sources.findIndex((s) => s.oracle === source.oracle) === i
+  );
+
+  logger.log(`  📋 ${desired.sources.length} sources, ${desired.pairs.length} pairs, ${desired.uniswapPools.length} Uniswap pools`);
+
+  const newAggregator = await manifest.deploy(name, "PriceAggregator", [
+    desired.sources,
+    await oldAggregator.oracleLib(),
+    await oldAggregator.twapCalculator()
+  ], { confirmations });
+  const address = await newAggregator.getAddress();
+  manifest.data.contracts[name].migratedFrom = ethers.getAddress(from);
+  manifest.save();
+  logger.log(`  ✅ ${name} deployed at ${address}`);
+
+  const state = await readAggregatorState(newAggregator, {
+    pairs: desired.pairs.map((p) => p.symbol),
+    uniswapPools: desired.uniswapPools
+  });
+  const plan = planChanges(desired, state);
+  logger.log("  📋 Plan:");
+  logger.log(formatPlan(plan));
+  const applied = await applyPlan(newAggregator, plan, { manifest, confirmations, logger });
+
+  // The new aggregator answers to the deployment's timelock like the old one
+  const timelock = manifest.get("AggregatorTimelock");
+  if (timelock) {
+    const TIMELOCK_ROLE = await newAggregator.TIMELOCK_ROLE();
+    const [deployer] = await ethers.getSigners();
+    await (await newAggregator.grantRole(TIMELOCK_ROLE, timelock.address)).wait(confirmations);
+    await (await newAggregator.renounceRole(TIMELOCK_ROLE, deployer.address)).wait(confirmations);
+    logger.log(`  🔑 TIMELOCK_ROLE handed to AggregatorTimelock ${timelock.address}`);
+  }
+
+  const prices = [];
+  for (const pair of desired.pairs.filter((p) => p.active)) {
+    const [before, after] = await Promise.all([
+      oldAggregator.getMedianPrice(pair.symbol).catch(() => null),
+      newAggregator.getMedianPrice(pair.symbol).catch(() => null)
+    ]);
+    prices.push({ pair: pair.symbol, before, after });
+  }
+
+  return { address, applied, prices };
+}
+
+async function main() {
+  const manifest = await DeploymentManifest.forNetwork(hre);
+  const deployment = manifest.get("PriceAggregator");
+  const from = process.env.MIGRATE_FROM || (deployment && deployment.address);
+  if (!from) {
+    throw new Error(`No PriceAggregator in ${manifest.path}, set MIGRATE_FROM to the aggregator to migrate`);
+  }
+
+  console.log(`🚚 Migrating PriceAggregator ${from} on ${hre.network.name}`);
+  await manifest.settlePendingSteps();
+  const { address, prices } = await migrateAggregator(manifest, { from });
+
+  console.log("\n📊 Median prices (old → new):");
+  const format = (price) => (price === null ? "unavailable" : hre.ethers.formatUnits(price, 18));
+  for (const { pair, before, after } of prices) {
+    const marker = before === after ? "✅" : "⚠️";
+    console.log(`  ${marker} ${pair}: ${format(before)} → ${format(after)}`);
+  }
+
+  console.log(`\n🎉 ${from} migrated to ${address}`);
+  console.log("💡 Point consumers and keepers at the new address; the old aggregator is left untouched.");
+}
+
+if (require.main === module) {
+  main().catch((error) => {
+    console.error(error);
+    process.exit(1);
+  });
+}
+
+module.exports = {
+  migrateAggregator
+};
@@ -0,0 +1,112 @@
+const { ethers } = require("ethers");
+const addresses = require("./addresses");
+
+// Chain IDs the registry knows about
+const CHAIN_IDS = {
+  mainnet: 1,
+  sepolia: 11155111,
+  hardhat: 31337
+};
+
+// Token addresses per chain. These are the addresses hashed into the
+// UniswapV3GraphAdapter price keys, so they must match what the adapter reads.
+const TOKENS = {
+  [CHAIN_IDS.mainnet]: {
+    WETH: addresses.wethAddress,
+    WBTC: addresses.wbtcAddress,
+    LINK: addresses.linkAddress,
+    USDC: addresses.usdcAddress
+  },
+  [CHAIN_IDS.sepolia]: {
+    WETH: "0xfFf9976782d46CC05630D1f6eBAb18b2324d6B14",
+    WBTC: "0x29f2D40B0605204364af54EC677bD022dA425d03",
+    LINK: "0x779877A7B0D9E8603169DdbD7836e478b4624789",
+    USDC: "0x1c7D4B196Cb0C7B01d743Fbc6116a902379C7238"
+  }
+};
+
+// Local Hardhat networks mirror Sepolia so that locally deployed adapters
+// behave like the deployed ones
+TOKENS[CHAIN_IDS.hardhat] = TOKENS[CHAIN_IDS.sepolia];
+
+/**
+ * Uniswap V3 pools mirrored on-chain. Prices always come from the mainnet
+ * subgraph (poolId), which must be the mainnet pool of the pair's tokens and fee;
+ * tokenA/tokenB are resolved per chain from TOKENS.
+ */
+const POOLS = [
+  {
+    name: "ETH-USDC",
+    tokenA: "WETH",
+    tokenB: "USDC",
+    fee: 3000, // 0.3% fee tier
+    // addresses.USDC_WETH_POOL is the WETH/USDT pool
+    poolId: "0x8ad599c3A0ff1De082011EFDDc58f1908eb6e6D8"
+  },
+  {
+    name: "BTC-USDC",
+    tokenA: "WBTC",
+    tokenB: "USDC",
+    fee: 3000,
+    poolId: addresses.WBTC_USDC_POOL
+  },
+  {
+    name: "LINK-USDC",
+    tokenA: "LINK",
+    tokenB: "USDC",
+    fee: 3000,
+    // addresses.UNI_USDC_POOL is not a LINK pool
+    poolId: "0xFAD57d2039C21811C8F2B5D5B65308aa99D31559"
+  }
+];
+
+/**
+ * Computes the key used by UniswapV3GraphAdapter.priceData for a resolved pool
+ */
+function pairHash(pool) {
+  return ethers.solidityPackedKeccak256(
+    ["address", "address", "uint24"],
+    [pool.tokenA, pool.tokenB, pool.fee]
+  );
+}
+
+/**
+ * Returns all pools with token symbols resolved to the addresses of a chain
+ * @param {number|bigint} chainId The chain the adapter is deployed on
+ */
+function getPools(chainId) {
+  const tokens = TOKENS[Number(chainId)];
+  if (!tokens) {
+    throw new Error(`No Uniswap pool registry entries for chain ${chainId}`);
+  }
+
+  return POOLS.map((pool) => ({
+    name: pool.name,
+    symbolA: pool.tokenA,
+    symbolB: pool.tokenB,
+    tokenA: tokens[pool.tokenA],
+    tokenB: tokens[pool.tokenB],
+    fee: pool.fee,
+    poolId: pool.poolId
+  }));
+}
+
+/**
+ * Returns a single resolved pool by pair name (e.g. "ETH-USDC")
+ */
+function getPool(name, chainId) {
+  const pool = getPools(chainId).find((p) => p.name === name);
+  if (!pool) {
+    throw new Error(`Unknown Uniswap pool: ${name}`);
+  }
+  return pool;
+}
+
+module.exports = {
+  CHAIN_IDS,
+  TOKENS,
+  POOLS,
+  pairHash,
+  getPools,
+  getPool
+};
@@ -1,9 +1,8 @@
-// Import the correct addresses from the addresses.js file
-const { 
-  WBTC_USDC_POOL, 
-  USDC_WETH_POOL, // Changed from WETH_USDC_POOL to USDC_WETH_POOL
-  UNI_USDC_POOL    
-} = require('./addresses');
+// Pool IDs come from the pool registry, which the client's pool maps are built from
+const { getPool, CHAIN_IDS } = require('./poolRegistry');
+
+const WBTC_USDC_POOL = getPool('BTC-USDC', CHAIN_IDS.mainnet).poolId;
+const LINK_USDC_POOL = getPool('LINK-USDC', CHAIN_IDS.mainnet).poolId;
 
 require('dotenv').config();
 
@@ -27,13 +26,6 @@ async function runTests() {
     // Create a client instance
     const client = new UniswapV3GraphClient(GRAPH_ENDPOINT);
     
-    // IMPORTANT: Update the poolMap BEFORE calling any methods
-    client.poolMap = {
-      WBTC: WBTC_USDC_POOL,
-      WETH: USDC_WETH_POOL, // Use USDC_WETH_POOL since that's what's defined in addresses.js
-      LINK: UNI_USDC_POOL   // Use UNI_USDC_POOL for LINK pool
-    };
-    
     // Test 1: Fetch pool data by token symbol
     console.log('\nTest 1: Fetch pool data by token symbol (WETH)');
     console.log('-'.repeat(50));
@@ -49,9 +41,7 @@ async function runTests() {
     // Test 3: Fetch token price
     console.log('\nTest 3: Fetch token price (LINK/USDC)');
     console.log('-'.repeat(50));
-    // Use LINK_USDC_POOL if defined, otherwise fallback to UNI_USDC_POOL
-    const linkOrUniPool = UNI_USDC_POOL;
-    const linkPrice = await client.fetchTokenPrice(linkOrUniPool);
+    const linkPrice = await client.fetchTokenPrice(LINK_USDC_POOL);
     prettyPrint('LINK Price Data', linkPrice);
     
     // Test 4: Error handling - Invalid token symbol
@@ -0,0 +1,191 @@
+const { ethers } = require("ethers");
+const { DeploymentManifest } = require("./deploymentManifest");
+
+const WATCHER_DEFAULTS = {
+  pollIntervalMs: 0 // List once and exit
+};
+
+/**
+ * Decodes a timelocked call against the contracts it may target. Unknown targets
+ * or selectors are returned undecoded.
+ * @param {{ target: string, value: bigint, data: string }} call
+ * @param {Array<{ name: string, address: string, interface: import("ethers").Interface }>} contracts
+ */
+function decodeCall(call, contracts) {
+  const contract = contracts.find((c) => c.address.toLowerCase() === call.target.toLowerCase());
+  const parsed = contract && contract.interface.parseTransaction({ data: call.data, value: call.value });
+  if (!parsed) {
+    return { ...call, contract: contract ? contract.name : null, method: null, args: {}, summary: `${call.target} ${call.data}` };
+  }
+
+  const args = Object.fromEntries(parsed.fragment.inputs.map((input, i) => [input.name || `arg${i}`, parsed.args[i]]));
+  const formatted = Object.entries(args).map(([name, value]) => `${name}=${value}`).join(", ");
+  return {
+    ...call,
+    contract: contract.name,
+    method: parsed.name,
+    args,
+    summary: `${contract.name}.${parsed.name}(${formatted})`
+  };
+}
+
+/**
+ * Operations queued on a TimelockController that were neither executed nor
+ * cancelled, oldest first, with their calls decoded for review
+ */
+async function getPendingOperations(timelock, { contracts = [], fromBlock = 0 } = {}) {
+  const [scheduled, salts] = await Promise.all([
+    timelock.queryFilter(timelock.filters.CallScheduled(), fromBlock),
+    timelock.queryFilter(timelock.filters.CallSalt(), fromBlock)
+  ]);
+
+  // A batch emits one CallScheduled per call, all with the operation's id
+  const operations = new Map();
+  for (const event of scheduled) {
+    const { id, index, target, value, data, predecessor, delay } = event.args;
+    if (!operations.has(id)) {
+      operations.set(id, {
+        id,
+        predecessor,
+        salt: ethers.ZeroHash, // CallSalt is only emitted for non-zero salts
+        delay: Number(delay),
+        queuedAt: event.blockNumber,
+        txHash: event.transactionHash,
+        calls: []
+      });
+    }
+    operations.get(id).calls[Number(index)] = decodeCall({ target, value, data }, contracts);
+  }
+  for (const event of salts) {
+    if (operations.has(event.args.id)) operations.get(event.args.id).salt = event.args.salt;
+  }
+
+  const pending = [];
+  for (const operation of operations.values()) {
+    if (!(await timelock.isOperationPending(operation.id))) continue;
+    pending.push({
+      ...operation,
+      eta: Number(await timelock.getTimestamp(operation.id)),
+      ready: await timelock.isOperationReady(operation.id)
+    });
+  }
+  return pending;
+}
+
+/**
+ * One block of text per operation: id, when it can be executed and its decoded calls
+ */
+function formatOperation(operation, now = Math.floor(Date.now() / 1000)) {
+  const status = operation.ready
+    ? "✅ ready to execute"
+    : `⏳ executable in ${operation.eta - now}s (${new Date(operation.eta * 1000).toISOString()})`;
+  return [
+    `📋 ${operation.id}`,
+    `   ${status}`,
+    ...operation.calls.map((call) => `   → ${call.summary}${call.value > 0n ? ` with ${call.value} wei` : ""}`)
+  ].join("\n");
+}
+
+/**
+ * Queues a call on the timelock, with its minimum delay unless one is given. Without a salt
+ * seed the salt is random. With one the salt follows the seed, so queueing the same call
+ * again finds the pending operation and sends nothing, while a call that already ran once
+ * gets the next unused salt. With a predecessor the call can only be executed after that
+ * operation.
+ * @returns {Promise<{ id: string, tx: import("ethers").TransactionResponse | null }>} tx is null when already queued
+ */
+async function scheduleCall(timelock, target, method, params, { saltSeed, delay, predecessor = ethers.ZeroHash } = {}) {
+  const to = await target.getAddress();
+  const data = target.interface.encodeFunctionData(method, params);
+
+  let salt = ethers.hexlify(ethers.randomBytes(32));
+  let id = await timelock.hashOperation(to, 0, data, predecessor, salt);
+  for (let n = 0; saltSeed !== undefined; n++) {
+    salt = ethers.id(`${saltSeed}:${n}`);
+    id = await timelock.hashOperation(to, 0, data, predecessor, salt);
+    if (await timelock.isOperationPending(id)) return { id, tx: null };
+    if (!(await timelock.isOperation(id))) break;
+  }
+
+  const tx = await timelock.schedule(to, 0, data, predecessor, salt, delay ?? await timelock.getMinDelay());
+  return { id, tx };
+}
+
+/**
+ * The timelock, the aggregator and the contracts operations are decoded against.
+ * Addresses default to the deployment manifest of the connected chain, events are
+ * searched from the block the timelock was deployed in when it is recorded there.
+ */
+async function loadTimelock(hre, { aggregatorAddress, timelockAddress, signer } = {}) {
+  const manifest = await DeploymentManifest.forNetwork(hre);
+  aggregatorAddress = aggregatorAddress || manifest.address("PriceAggregator");
+  timelockAddress = timelockAddress || manifest.address("AggregatorTimelock");
+  const recorded = manifest.get("AggregatorTimelock");
+  const priceAggregator = await hre.ethers.getContractAt("PriceAggregator", aggregatorAddress, signer);
+  const timelock = await hre.ethers.getContractAt("AggregatorTimelock", timelockAddress, signer);
+
+  return {
+    priceAggregator,
+    timelock,
+    fromBlock: recorded && recorded.address.toLowerCase() === timelockAddress.toLowerCase() ? recorded.blockNumber : 0,
+    contracts: [
+      { name: "PriceAggregator", address: aggregatorAddress, interface: priceAggregator.interface },
+      { name: "AggregatorTimelock", address: timelockAddress, interface: timelock.interface }
+    ]
+  };
+}
+
+async function main() {
+  const hre = require("hardhat");
+  const { priceAggregator, timelock, contracts, fromBlock } = await loadTimelock(hre, {
+    aggregatorAddress: process.env.PRICE_AGGREGATOR_ADDRESS,
+    timelockAddress: process.env.AGGREGATOR_TIMELOCK_ADDRESS
+  });
+  const pollIntervalMs = Number(process.env.TIMELOCK_POLL_INTERVAL_MS || WATCHER_DEFAULTS.pollIntervalMs);
+
+  console.log(`Watching AggregatorTimelock at: ${await timelock.getAddress()}`);
+  console.log(`Minimum delay: ${await timelock.getMinDelay()}s`);
+  if (!(await priceAggregator.hasRole(await priceAggregator.TIMELOCK_ROLE(), await timelock.getAddress()))) {
+    console.warn("⚠️  The timelock does not hold TIMELOCK_ROLE on the aggregator, its operations would revert");
+  }
+
+  // Operation id → whether it was ready when last printed, later polls only print changes
+  const reported = new Map();
+  const listPending = async () => {
+    const { timestamp } = await hre.ethers.provider.getBlock("latest");
+    const pending = await getPendingOperations(timelock, { contracts, fromBlock });
+    for (const operation of pending.filter((op) => reported.get(op.id) !== op.ready)) {
+      console.log(formatOperation(operation, timestamp));
+      reported.set(operation.id, operation.ready);
+    }
+    return pending;
+  };
+
+  const pending = await listPending();
+  if (pending.length === 0) console.log("✅ No pending operations");
+  if (pollIntervalMs > 0) {
+    const timer = setInterval(() => listPending().catch((error) => console.error("❌", error.message)), pollIntervalMs);
+    const stop = () => {
+      clearInterval(timer);
+      console.log("🛑 Timelock watcher stopped");
+    };
+    process.on("SIGINT", stop);
+    process.on("SIGTERM", stop);
+  }
+}
+
+if (require.main === module) {
+  main().catch((error) => {
+    console.error(error);
+    process.exit(1);
+  });
+}
+
+module.exports = {
+  WATCHER_DEFAULTS,
+  decodeCall,
+  getPendingOperations,
+  formatOperation,
+  scheduleCall,
+  loadTimelock
+};
@@ -0,0 +1,345 @@
+const fs = require("fs");
+const path = require("path");
+const UniswapV3GraphClient = require("./UniswapV3GraphClient");
+const addresses = require("./addresses");
+const { getPools } = require("./poolRegistry");
+const { DeploymentManifest } = require("./deploymentManifest");
+
+// Keeper defaults. The adapter treats data older than 1 hour as stale, so the
+// heartbeat has to stay comfortably below that window.
+const KEEPER_DEFAULTS = {
+  pollIntervalMs: 60 * 1000,
+  deviationBps: 50, // 0.5%
+  heartbeatSeconds: 45 * 60,
+  minBackoffMs: 5 * 1000,
+  maxBackoffMs: 5 * 60 * 1000,
+  twapPeriod: 1800 // Must match TWAPCalculator.TWAP_PERIOD
+};
+
+/**
+ * Derives tick cumulatives that make TWAPCalculator reproduce the given price
+ */
+function computeTickCumulatives(humanReadablePrice, twapPeriod = KEEPER_DEFAULTS.twapPeriod) {
+  const price = parseFloat(humanReadablePrice);
+  const tick = Math.log(Math.sqrt(price)) / Math.log(1.0001);
+
+  const tickCumulative1 = Math.floor(tick * 10000);
+  const tickCumulative2 = tickCumulative1 + Math.floor(tick * twapPeriod);
+  return [tickCumulative1, tickCumulative2];
+}
+
+/**
+ * Deviation between two prices in basis points
+ */
+function deviationBps(previousPrice, newPrice) {
+  const previous = BigInt(previousPrice);
+  const next = BigInt(newPrice);
+  if (previous === 0n) return Infinity;
+
+  const diff = next > previous ? next - previous : previous - next;
+  return Number((diff * 10000n) / previous);
+}
+
+/**
+ * Long-running process that mirrors Uniswap V3 subgraph prices into a
+ * UniswapV3GraphAdapter. A price is only pushed when it moved more than the
+ * deviation threshold or when the heartbeat expired, and the last pushed state
+ * is persisted so that restarts don't resubmit the same data.
+ */
+class UniswapPriceKeeper {
+  constructor({
+    adapter,
+    graphClient,
+    pairs,
+    stateFile,
+    pollIntervalMs = KEEPER_DEFAULTS.pollIntervalMs,
+    deviationBps = KEEPER_DEFAULTS.deviationBps,
+    heartbeatSeconds = KEEPER_DEFAULTS.heartbeatSeconds,
+    minBackoffMs = KEEPER_DEFAULTS.minBackoffMs,
+    maxBackoffMs = KEEPER_DEFAULTS.maxBackoffMs,
+    confirmations = 1,
+    now = () => Math.floor(Date.now() / 1000),
+    logger = console
+  }) {
+    if (!adapter) throw new Error("UniswapPriceKeeper requires an adapter contract");
+    if (!graphClient) throw new Error("UniswapPriceKeeper requires a graph client");
+    if (!pairs || pairs.length === 0) throw new Error("UniswapPriceKeeper requires at least one pair");
+    if (!stateFile) throw new Error("UniswapPriceKeeper requires a state file");
+
+    this.adapter = adapter;
+    this.graphClient = graphClient;
+    this.pairs = pairs;
+    this.stateFile = stateFile;
+    this.pollIntervalMs = pollIntervalMs;
+    this.deviationBps = deviationBps;
+    this.heartbeatSeconds = heartbeatSeconds;
+    this.minBackoffMs = minBackoffMs;
+    this.maxBackoffMs = maxBackoffMs;
+    this.confirmations = confirmations;
+    this.now = now;
+    this.logger = logger;
+
+    this.consecutiveFailures = 0;
+    this.running = false;
+    this.timer = null;
+    this.currentRound = null;
+    this.state = this.loadState();
+  }
+
+  loadState() {
+    if (!fs.existsSync(this.stateFile)) {
+      return { pairs: {} };
+    }
+    const state = JSON.parse(fs.readFileSync(this.stateFile, "utf8"));
+    return { pairs: {}, ...state };
+  }
+
+  saveState() {
+    fs.mkdirSync(path.dirname(this.stateFile), { recursive: true });
+    // Write to a temporary file first so a crash never leaves a truncated state file
+    const tmpFile = `${this.stateFile}.tmp`;
+    fs.writeFileSync(tmpFile, JSON.stringify(this.state, null, 2));
+    fs.renameSync(tmpFile, this.stateFile);
+  }
+
+  /**
+   * Decides whether a freshly fetched price has to be pushed on-chain
+   * @returns {string|null} The reason for pushing, or null to skip
+   */
+  shouldPush(pair, price) {
+    const last = this.state.pairs[pair.name];
+    if (!last || !last.price) return "initial";
+
+    const age = this.now() - last.timestamp;
+    if (age >= this.heartbeatSeconds) return "heartbeat";
+
+    const deviation = deviationBps(last.price, price);
+    if (deviation >= this.deviationBps) return `deviation ${deviation}bps`;
+
+    return null;
+  }
+
+  /**
+   * Resolves a transaction that was sent but not confirmed before the last shutdown
+   * @returns {boolean} True while the transaction can still be mined
+   */
+  async reconcilePending(pair) {
+    const last = this.state.pairs[pair.name];
+    if (!last || !last.pending) return false;
+
+    const { txHash, from, nonce } = last.pending;
+    const provider = this.adapter.runner.provider;
+    const receipt = await provider.getTransactionReceipt(txHash);
+    if (!receipt) {
+      // Without a receipt the nonce tells whether the tx is still queued or was dropped or replaced
+      const minedNonce = await provider.getTransactionCount(from, "latest");
+      const pendingNonce = await provider.getTransactionCount(from, "pending");
+      if (nonce >= minedNonce && nonce < pendingNonce) {
+        this.logger.warn(`  ⏳ Pending ${pair.name} tx ${txHash} not mined yet, waiting`);
+        return true;
+      }
+      this.logger.warn(`  ⚠️ Pending ${pair.name} tx ${txHash} was dropped or replaced, discarding`);
+    } else if (receipt.status === 1) {
+      this.logger.log(`  ✅ Pending ${pair.name} tx ${txHash} was mined`);
+      last.price = last.pending.price;
+      last.timestamp = this.now();
+      last.txHash = txHash;
+      last.pendingTicks = last.pending.ticks;
+    }
+    delete last.pending;
+    this.saveState();
+    return false;
+  }
+
+  /**
+   * Pushes the tick cumulatives of a pair's last pushed price. They are recorded before
+   * sending, so a crash between the price and the tick update is retried on the next round.
+   */
+  async pushTicks(pair) {
+    const last = this.state.pairs[pair.name];
+    const [tickCumulative1, tickCumulative2] = last.pendingTicks;
+
+    const tickTx = await this.adapter.updateTickCumulatives(
+      pair.tokenA,
+      pair.tokenB,
+      pair.fee,
+      tickCumulative1,
+      tickCumulative2
+    );
+    await tickTx.wait(this.confirmations);
+
+    last.ticks = last.pendingTicks;
+    last.tickTxHash = tickTx.hash;
+    delete last.pendingTicks;
+    this.saveState();
+  }
+
+  async updatePair(pair) {
+    if (await this.reconcilePending(pair)) {
+      return { pair: pair.name, pushed: false, pending: this.state.pairs[pair.name].pending.txHash };
+    }
+    if (this.state.pairs[pair.name] && this.state.pairs[pair.name].pendingTicks) {
+      await this.pushTicks(pair);
+    }
+
+    const poolData = await this.graphClient.fetchPoolData(pair.poolId);
+    if (!poolData.price) {
+      throw new Error(`No usable price for ${pair.name}`);
+    }
+
+    const reason = this.shouldPush(pair, poolData.price);
+    if (!reason) {
+      return { pair: pair.name, pushed: false, price: poolData.price };
+    }
+
+    this.logger.log(`  🔄 Pushing ${pair.name} price ${poolData.humanReadablePrice} (${reason})`);
+
+    const ticks = computeTickCumulatives(poolData.humanReadablePrice);
+    const tx = await this.adapter.updatePrice(
+      pair.tokenA,
+      pair.tokenB,
+      pair.fee,
+      poolData.price,
+      pair.name,
+      poolData.liquidity || "0"
+    );
+
+    // Record the in-flight transaction before waiting so a restart can pick it up
+    this.state.pairs[pair.name] = {
+      ...this.state.pairs[pair.name],
+      pending: { txHash: tx.hash, from: tx.from, nonce: tx.nonce, price: poolData.price, ticks }
+    };
+    this.saveState();
+
+    await tx.wait(this.confirmations);
+
+    this.state.pairs[pair.name] = {
+      price: poolData.price,
+      timestamp: this.now(),
+      txHash: tx.hash,
+      pendingTicks: ticks
+    };
+    this.saveState();
+
+    await this.pushTicks(pair);
+
+    this.logger.log(`  ✅ ${pair.name} updated (tx: ${tx.hash})`);
+    return { pair: pair.name, pushed: true, reason, price: poolData.price, txHash: tx.hash };
+  }
+
+  /**
+   * Runs a single polling round over all pairs. Errors are reported per pair so
+   * that one failing pool doesn't block the others.
+   */
+  async runOnce() {
+    const results = [];
+    let failed = false;
+
+    for (const pair of this.pairs) {
+      try {
+        results.push(await this.updatePair(pair));
+      } catch (error) {
+        failed = true;
+        this.logger.error(`  ❌ Error updating ${pair.name}:`, error.message);
+        results.push({ pair: pair.name, pushed: false, error: error.message });
+      }
+    }
+
+    this.consecutiveFailures = failed ? this.consecutiveFailures + 1 : 0;
+    return results;
+  }
+
+  /**
+   * Delay before the next round: the poll interval, or an exponential backoff
+   * after failed rounds
+   */
+  nextDelay() {
+    if (this.consecutiveFailures === 0) return this.pollIntervalMs;
+
+    const backoff = this.minBackoffMs * 2 ** (this.consecutiveFailures - 1);
+    return Math.min(backoff, this.maxBackoffMs);
+  }
+
+  start() {
+    if (this.running) return;
+    this.running = true;
+    this.logger.log(`🚀 Uniswap price keeper started for ${this.pairs.length} pairs`);
+
+    const loop = async () => {
+      this.currentRound = this.runOnce();
+      await this.currentRound;
+      if (!this.running) return;
+
+      const delay = this.nextDelay();
+      if (this.consecutiveFailures > 0) {
+        this.logger.warn(`⏳ Round failed (${this.consecutiveFailures}x), retrying in ${delay / 1000}s`);
+      }
+      this.timer = setTimeout(loop, delay);
+    };
+    loop();
+  }
+
+  /**
+   * Stops polling and waits for an in-flight round to finish
+   */
+  async stop() {
+    this.running = false;
+    if (this.timer) {
+      clearTimeout(this.timer);
+      this.timer = null;
+    }
+    await this.currentRound;
+    this.logger.log("🛑 Uniswap price keeper stopped");
+  }
+}
+
+async function main() {
+  const hre = require("hardhat");
+  const [signer] = await hre.ethers.getSigners();
+  const network = await hre.ethers.provider.getNetwork();
+
+  // An explicit address wins over the one recorded by scripts/deploy.js
+  const manifest = await DeploymentManifest.forNetwork(hre);
+  const adapterAddress = process.env.UNISWAP_ADAPTER_ADDRESS || manifest.addresses().UniswapV3GraphAdapter;
+  if (!adapterAddress) {
+    throw new Error(`No UniswapV3GraphAdapter in ${manifest.path}; deploy first or set UNISWAP_ADAPTER_ADDRESS in .env`);
+  }
+
+  console.log("Running Uniswap price keeper with account:", signer.address);
+  console.log(`Using UniswapV3GraphAdapter at: ${adapterAddress}`);
+
+  const adapter = await hre.ethers.getContractAt("UniswapV3GraphAdapter", adapterAddress, signer);
+  const graphClient = new UniswapV3GraphClient(
+    process.env.UNISWAP_GRAPH_ENDPOINT || addresses.queryURL,
+    process.env.THEGRAPH_API_KEY
+  );
+
+  const keeper = new UniswapPriceKeeper({
+    adapter,
+    graphClient,
+    pairs: getPools(network.chainId),
+    stateFile: process.env.KEEPER_STATE_FILE ||
+      path.join(__dirname, "..", "keeper-state", `uniswap-${network.chainId}.json`),
+    pollIntervalMs: Number(process.env.KEEPER_POLL_INTERVAL_MS || KEEPER_DEFAULTS.pollIntervalMs),
+    deviationBps: Number(process.env.KEEPER_DEVIATION_BPS || KEEPER_DEFAULTS.deviationBps),
+    heartbeatSeconds: Number(process.env.KEEPER_HEARTBEAT_SECONDS || KEEPER_DEFAULTS.heartbeatSeconds)
+  });
+
+  process.on("SIGINT", () => keeper.stop());
+  process.on("SIGTERM", () => keeper.stop());
+  keeper.start();
+}
+
+if (require.main === module) {
+  main().catch((error) => {
+    console.error(error);
+    process.exit(1);
+  });
+}
+
+module.exports = {
+  UniswapPriceKeeper,
+  KEEPER_DEFAULTS,
+  computeTickCumulatives,
+  deviationBps
+};
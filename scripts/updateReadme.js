@@ -1,24 +1,34 @@
 const fs = require("fs");
 const path = require("path");
+const { DeploymentManifest } = require("./deploymentManifest");
+
+const SEPOLIA_CHAIN_ID = 11155111;
 
 /**
  * Updates the README.md file with actual deployed contract addresses
- * Run this after successful deployment to replace placeholder addresses
+ * Run this after successful deployment to replace placeholder addresses:
+ *   node scripts/updateReadme.js [chainId]   (defaults to Sepolia)
  */
-async function updateReadmeWithDeployedAddresses() {
+async function updateReadmeWithDeployedAddresses(chainId = process.argv[2] || SEPOLIA_CHAIN_ID) {
   console.log("📝 Updating README.md with deployed contract addresses...");
   
-  // Read the deployment file
-  const deploymentPath = path.join(__dirname, "..", "deployments", "sepolia.json");
+  // Read the deployment manifest of the chain
+  const manifest = DeploymentManifest.load(chainId);
   
-  if (!fs.existsSync(deploymentPath)) {
-    console.error("❌ Deployment file not found at deployments/sepolia.json");
+  if (!manifest.exists()) {
+    console.error(`❌ Deployment manifest not found at ${manifest.path}`);
     console.log("💡 Run the deployment script first: npx hardhat run scripts/deploy.js --network sepolia");
     process.exit(1);
   }
   
-  const deploymentData = JSON.parse(fs.readFileSync(deploymentPath, "utf8"));
-  const contracts = deploymentData.contracts;
+  const contracts = manifest.addresses();
+  const deploymentData = {
+    network: manifest.network,
+    chainId: manifest.chainId,
+    timestamp: manifest.data.updatedAt,
+    deployer: manifest.get("PriceAggregator").deployer,
+    etherscan: `https://sepolia.etherscan.io/address/${contracts.PriceAggregator}`
+  };
   
   console.log("📋 Found deployed contracts:");
   Object.entries(contracts).forEach(([name, address]) => {
@@ -70,7 +80,7 @@ async function updateReadmeWithDeployedAddresses() {
 **Deployment Date**: ${new Date(deploymentData.timestamp).toLocaleString()}  
 **Network**: ${deploymentData.network} (Chain ID: ${deploymentData.chainId})  
 **Deployer**: ${deploymentData.deployer}  
-**Etherscan**: [View on Etherscan](${deploymentData.verification.etherscan})
+**Etherscan**: [View on Etherscan](${deploymentData.etherscan})
 
 ### Contract Addresses
 
@@ -93,17 +103,12 @@ All contracts have been deployed and verified on Sepolia testnet:
 # Test the deployed contracts
 npx hardhat test test/PriceAggregator.sepolia.test.js --network sepolia
 
-# Update Uniswap prices
-export UNISWAP_ADAPTER_ADDRESS=${contracts.UniswapV3GraphAdapter}
+# Update Uniswap prices (the adapter address is read from the deployment manifest)
 npx hardhat run scripts/updateUniswapPrices.js --network sepolia
 
-# Get current ETH price
-npx hardhat run --network sepolia -e "
-const aggregator = await ethers.getContractAt('PriceAggregator', '${contracts.PriceAggregator}');
-const [median, weighted] = await aggregator.getAggregatedPrice('ETH-USD');
-console.log('ETH/USD Median:', ethers.formatUnits(median, 18));
-console.log('ETH/USD Weighted:', ethers.formatUnits(weighted, 18));
-"
+# Get current ETH price and per-source status
+npx hardhat aggregator price ETH-USD --network sepolia
+npx hardhat aggregator sources ETH-USD --network sepolia
 \`\`\`
 
 `;
@@ -134,7 +139,7 @@ console.log('ETH/USD Weighted:', ethers.formatUnits(weighted, 18));
   console.log("  ✅ Added quick test commands");
   console.log("");
   console.log("🔗 Main contract:", contracts.PriceAggregator);
-  console.log("🌐 Etherscan:", deploymentData.verification.etherscan);
+  console.log("🌐 Etherscan:", deploymentData.etherscan);
 }
 
 // Execute if run directly
@@ -1,15 +1,21 @@
-const { ethers } = require('hardhat');
+const hre = require('hardhat');
+const { ethers } = hre;
 const UniswapV3GraphClient = require('./UniswapV3GraphClient');
 const addresses = require('./addresses');
+const { getPools } = require('./poolRegistry');
+const { computeTickCumulatives } = require('./uniswapPriceKeeper');
+const { DeploymentManifest } = require('./deploymentManifest');
 
 async function main() {
   const [deployer] = await ethers.getSigners();
   console.log("Running UniswapV3 price update script with account:", deployer.address);
 
-  // Get the deployed adapter address from command line or use environment variable
-  const adapterAddress = process.env.UNISWAP_ADAPTER_ADDRESS || process.argv[2];
+  // Get the deployed adapter address from the environment, the command line or the deployment manifest
+  const manifest = await DeploymentManifest.forNetwork(hre);
+  const adapterAddress = process.env.UNISWAP_ADAPTER_ADDRESS || process.argv[2] ||
+    manifest.addresses().UniswapV3GraphAdapter;
   if (!adapterAddress) {
-    console.error("Please provide the UniswapV3GraphAdapter address as an argument or set UNISWAP_ADAPTER_ADDRESS in .env");
+    console.error(`No UniswapV3GraphAdapter in ${manifest.path}; pass its address as an argument or set UNISWAP_ADAPTER_ADDRESS in .env`);
     process.exit(1);
   }
   
@@ -21,62 +27,43 @@ async function main() {
   // Initialize the Graph client
   const graphClient = new UniswapV3GraphClient(addresses.queryURL);
 
-  // Define the pairs we want to update
-  const pairs = [
-    {
-      name: "ETH-USDC",
-      tokenA: addresses.wethAddress,
-      tokenB: addresses.usdcAddress,
-      fee: 3000 // 0.3% fee tier
-    },
-    {
-      name: "BTC-USDC",
-      tokenA: addresses.wbtcAddress,
-      tokenB: addresses.usdcAddress,
-      fee: 3000 // 0.3% fee tier
-    },
-    {
-      name: "LINK-USDC",
-      tokenA: addresses.linkAddress,
-      tokenB: addresses.usdcAddress,
-      fee: 3000 // 0.3% fee tier
-    }
-  ];
+  // Resolve the pools for the network we're on so the hashes match the adapter
+  const network = await ethers.provider.getNetwork();
+  const pools = getPools(network.chainId);
 
   // Update each pair
-  for (const pair of pairs) {
-    console.log(`Fetching data for ${pair.name}...`);
+  for (const pool of pools) {
+    console.log(`Fetching data for ${pool.name}...`);
     
     try {
       // Fetch data from TheGraph
-      const poolData = await graphClient.fetchPoolData(pair.tokenA, pair.tokenB);
+      const poolData = await graphClient.fetchPoolData(pool.poolId);
       
-      console.log(`${pair.name} price from Uniswap: ${poolData.humanReadablePrice}`);
+      console.log(`${pool.name} price from Uniswap: ${poolData.humanReadablePrice}`);
       
       // Update the on-chain adapter
-      console.log(`Updating ${pair.name} price on-chain...`);
+      console.log(`Updating ${pool.name} price on-chain...`);
       const tx = await adapter.updatePrice(
-        pair.tokenA,
-        pair.tokenB,
-        pair.fee,
+        pool.tokenA,
+        pool.tokenB,
+        pool.fee,
         poolData.price, // Already in correct format from the client
-        pair.name,
+        pool.name,
         poolData.liquidity || "0"
       );
       
       await tx.wait();
-      console.log(`${pair.name} price updated successfully! Tx: ${tx.hash}`);
+      console.log(`${pool.name} price updated successfully! Tx: ${tx.hash}`);
       
       // Also update tick cumulatives to produce a valid TWAP
       // We calculate values that will result in the correct price when processed by TWAPCalculator
-      const price = parseFloat(poolData.humanReadablePrice);
-      const tick = Math.log(Math.sqrt(price)) / Math.log(1.0001);
-      
-      const tickCumulative1 = Math.floor(tick * 10000);
-      const tickCumulative2 = tickCumulative1 + Math.floor(tick * 1800); // 1800 seconds (30 min) of accumulated ticks
+      const [tickCumulative1, tickCumulative2] = computeTickCumulatives(poolData.humanReadablePrice);
       
       console.log(`Updating tick cumulatives with values: ${tickCumulative1}, ${tickCumulative2}`);
       const tickTx = await adapter.updateTickCumulatives(
+        pool.tokenA,
+        pool.tokenB,
+        pool.fee,
         tickCumulative1,
         tickCumulative2
       );
@@ -85,7 +72,7 @@ async function main() {
       console.log(`Tick cumulatives updated successfully! Tx: ${tickTx.hash}`);
       
     } catch (error) {
-      console.error(`Error updating ${pair.name}:`, error);
+      console.error(`Error updating ${pool.name}:`, error);
     }
   }
   
@@ -1,25 +1,50 @@
-const { run } = require("hardhat");
+const hre = require("hardhat");
+const { DeploymentManifest } = require("./deploymentManifest");
+const { ETHERSCAN_API_URL, EtherscanVerifier, verifyManifest } = require("./contractVerifier");
 
+/**
+ * Verifies the contracts of the network's deployment manifest on Etherscan:
+ *   npx hardhat run scripts/verify.js --network sepolia
+ * VERIFY_CONTRACTS limits the run to some manifest entries (comma-separated),
+ * ETHERSCAN_API_URL points it at another Etherscan-compatible endpoint.
+ */
 async function main() {
-    const contractName = "PriceAggregator";
-    const network = await hre.ethers.provider.getNetwork();
-    const chainId = network.chainId;
+    const manifest = await DeploymentManifest.forNetwork(hre);
+    if (!manifest.exists()) {
+        throw new Error(`No deployment manifest at ${manifest.path}, run scripts/deploy.js first`);
+    }
 
-    const deployedContracts = await hre.deployments.all();
-    const contractAddress = deployedContracts[contractName].address;
+    const verifier = new EtherscanVerifier({
+        apiKey: getApiKey(),
+        apiUrl: process.env.ETHERSCAN_API_URL || ETHERSCAN_API_URL,
+        chainId: manifest.chainId
+    });
+    const names = process.env.VERIFY_CONTRACTS
+        ? process.env.VERIFY_CONTRACTS.split(",").map((name) => name.trim())
+        : undefined;
 
-    console.log(`Verifying contract ${contractName} at address: ${contractAddress}`);
+    console.log(`🔍 Verifying contracts of ${manifest.path} (chain ${manifest.chainId})...`);
+    const results = await verifyManifest(hre, manifest, verifier, { names });
 
-    await run("verify:verify", {
-        address: contractAddress,
-        constructorArguments: [], // Add constructor arguments if any
-    });
+    const count = (status) => results.filter((r) => r.status === status).length;
+    console.log("");
+    console.log(`✅ Verified: ${count("verified")}, already verified: ${count("already-verified")}`);
+    if (count("skipped") > 0) console.log(`⚠️ Skipped: ${count("skipped")}`);
+    if (count("failed") > 0) {
+        console.log(`❌ Failed: ${count("failed")}`);
+        process.exitCode = 1;
+    }
+}
 
-    console.log("Verification complete!");
+function getApiKey() {
+    // hardhat-verify's setting, either one key or one per network
+    const { apiKey } = hre.config.etherscan || {};
+    const key = apiKey && typeof apiKey === "object" ? apiKey[hre.network.name] : apiKey;
+    return key || process.env.ETHERSCAN_API_KEY || "";
 }
 
 main()
-    .then(() => process.exit(0))
+    .then(() => process.exit())
     .catch((error) => {
         console.error(error);
         process.exit(1);
@@ -0,0 +1,361 @@
+const { Contract, ZeroHash, formatUnits, id } = require("ethers");
+const PRICE_AGGREGATOR_ABI = require("./abi");
+
+// All aggregated and normalized prices use PRICE_PRECISION (1e18)
+const PRICE_DECIMALS = 18;
+
+// Matches the oracleType values of PriceAggregator.OracleSource
+const ORACLE_TYPES = {
+  0: "Chainlink",
+  1: "Uniswap",
+  2: "Tellor",
+  3: "API3",
+  4: "UniswapV3TWAP",
+  5: "Pyth"
+};
+
+function oracleTypeName(type) {
+  return ORACLE_TYPES[Number(type)] || "Unknown";
+}
+
+// Matches OracleLib.OutlierFilter, thresholds are in basis points of the median or of the MAD
+const OUTLIER_FILTERS = {
+  0: "None",
+  1: "Percentage",
+  2: "MedianAbsoluteDeviation"
+};
+
+// Lowest confidence score (0-10000) of each rating, best first
+const CONFIDENCE_RATINGS = [
+  [9000, "Excellent"],
+  [7500, "Good"],
+  [5000, "Fair"],
+  [0, "Poor"]
+];
+
+// Access control roles of PriceAggregator, by name
+const ROLES = {
+  admin: ZeroHash, // DEFAULT_ADMIN_ROLE
+  configManager: id("CONFIG_MANAGER_ROLE"),
+  guardian: id("GUARDIAN_ROLE"),
+  keeper: id("KEEPER_ROLE"),
+  timelock: id("TIMELOCK_ROLE") // Held by the AggregatorTimelock once deployed
+};
+
+function confidenceRating(confidence) {
+  return CONFIDENCE_RATINGS.find(([min]) => Number(confidence) >= min)[1];
+}
+
+/**
+ * Whether a call failed because the contract has no such function: a revert
+ * without data, which is what a contract without a matching selector returns
+ */
+function isMissingFunction(error) {
+  return error.code === "CALL_EXCEPTION" && (error.data == null || error.data === "0x");
+}
+
+/**
+ * Decodes a raw 18-decimal price into its raw, string and numeric forms
+ */
+function decodePrice(raw) {
+  const formatted = formatUnits(raw, PRICE_DECIMALS);
+  return { raw, formatted, value: parseFloat(formatted) };
+}
+
+/**
+ * Decodes a PriceSnapshot stored by PriceAggregator.updatePrice
+ */
+function decodeSnapshot(snapshot) {
+  return {
+    median: decodePrice(snapshot.medianPrice),
+    weighted: decodePrice(snapshot.weightedPrice),
+    sourceCount: Number(snapshot.sourceCount),
+    timestamp: Number(snapshot.timestamp)
+  };
+}
+
+/**
+ * Read-only client for a deployed PriceAggregator. Works with any ethers v6
+ * provider or signer (JsonRpcProvider, BrowserProvider, Hardhat's provider, ...).
+ */
+class PriceAggregatorClient {
+  /**
+   * @param {string} address PriceAggregator address
+   * @param {import("ethers").ContractRunner} runner An ethers v6 provider or signer
+   * @param {object} [options]
+   * @param {Array} [options.abi] Override the bundled ABI
+   */
+  constructor(address, runner, { abi = PRICE_AGGREGATOR_ABI } = {}) {
+    if (!address) throw new Error("PriceAggregatorClient requires a contract address");
+    if (!runner) throw new Error("PriceAggregatorClient requires an ethers provider or signer");
+
+    this.address = address;
+    this.contract = new Contract(address, abi, runner);
+    this.provider = runner.provider || runner;
+  }
+
+  /**
+   * Timestamp of the latest block, used to compute data ages on-chain time
+   */
+  async now() {
+    const block = await this.provider.getBlock("latest");
+    return Number(block.timestamp);
+  }
+
+  async getMedianPrice(pair) {
+    const median = await this.contract.getMedianPrice(pair);
+    return { pair, ...decodePrice(median) };
+  }
+
+  async getWeightedPrice(pair) {
+    const weighted = await this.contract.getWeightedPrice(pair);
+    return { pair, ...decodePrice(weighted) };
+  }
+
+  async getAggregatedPrice(pair) {
+    const [median, weighted] = await this.contract.getAggregatedPrice(pair);
+    return { pair, median: decodePrice(median), weighted: decodePrice(weighted) };
+  }
+
+  /**
+   * Weighted price with the figures that show how much it can be trusted: how many sources
+   * answered, how far apart they are, how old the oldest price is and a 0-10000 confidence
+   * score with its rating (Excellent, Good, Fair or Poor)
+   */
+  async getPriceQuality(pair) {
+    const [quality, now] = await Promise.all([this.contract.getPriceWithQuality(pair), this.now()]);
+    const oldestTimestamp = Number(quality.oldestTimestamp);
+    const spreadBps = Number(quality.spreadBps);
+    const confidence = Number(quality.confidence);
+
+    return {
+      pair,
+      price: decodePrice(quality.price),
+      validSources: Number(quality.validSources),
+      totalSources: Number(quality.totalSources),
+      min: decodePrice(quality.minPrice),
+      max: decodePrice(quality.maxPrice),
+      spreadBps,
+      spreadPercent: spreadBps / 100,
+      standardDeviation: decodePrice(quality.standardDeviation),
+      oldestTimestamp,
+      oldestAge: Math.max(now - oldestTimestamp, 0),
+      confidence,
+      rating: confidenceRating(confidence)
+    };
+  }
+
+  /**
+   * Per-pair settings of a pair's sources (weight, heartbeat, decimals, enabled).
+   * Aggregators deployed before sources were configured per pair, which have no
+   * getPairSources, fall back to the registry entries with every source enabled.
+   * Any other error is rethrown.
+   */
+  async getPairSources(pair) {
+    if (this.contract.interface.getFunction("getPairSources")) {
+      try {
+        return (await this.contract.getPairSources(pair)).map(({ oracle, weight, heartbeatSeconds, decimals, enabled }) => ({
+          oracle,
+          weight,
+          heartbeatSeconds: Number(heartbeatSeconds),
+          decimals: Number(decimals),
+          enabled
+        }));
+      } catch (error) {
+        if (!isMissingFunction(error)) throw error;
+      }
+    }
+
+    const [pairSources, sources] = await Promise.all([
+      this.contract.getAssetPairSources(pair),
+      this.contract.getSources()
+    ]);
+    return pairSources.map((oracle) => {
+      const source = sources.find((s) => s.oracle === oracle);
+      return {
+        oracle,
+        weight: source ? source.weight : null,
+        heartbeatSeconds: source ? Number(source.heartbeatSeconds) : null,
+        decimals: source ? Number(source.decimals) : null,
+        enabled: true
+      };
+    });
+  }
+
+  /**
+   * Per-source prices of a pair with oracle type names, ages and staleness flags.
+   * A source is stale when the aggregator would not use its price for being
+   * missing or older than its heartbeat in the pair or the global staleness
+   * threshold. Disabled sources are listed but left out of aggregation.
+   */
+  async getPricesWithStatus(pair) {
+    const [status, pairSources, now] = await Promise.all([
+      this.contract.getAllPricesWithStatus(pair),
+      this.getPairSources(pair),
+      this.now()
+    ]);
+    const [prices, sourceTypes, descriptions, timestamps, disputeStatus, staleStatus] = status;
+
+    return {
+      pair,
+      timestamp: now,
+      sources: prices.map((price, i) => {
+        const { oracle, weight, heartbeatSeconds, enabled } = pairSources[i];
+        const timestamp = Number(timestamps[i]);
+        const age = timestamp > 0 ? Math.max(now - timestamp, 0) : null;
+        const available = price > 0n;
+
+        return {
+          oracle,
+          type: Number(sourceTypes[i]),
+          typeName: oracleTypeName(sourceTypes[i]),
+          description: descriptions[i],
+          weight,
+          ...decodePrice(price),
+          timestamp,
+          age,
+          heartbeatSeconds,
+          enabled,
+          available,
+          stale: staleStatus[i],
+          disputed: disputeStatus[i]
+        };
+      })
+    };
+  }
+
+  async getTellorAnalytics(tellorAdapter) {
+    const [[valueCount, lastReporter, lastTimestamp, isLastDisputed], now] = await Promise.all([
+      this.contract.getTellorAnalytics(tellorAdapter),
+      this.now()
+    ]);
+    const timestamp = Number(lastTimestamp);
+
+    return {
+      adapter: tellorAdapter,
+      valueCount: Number(valueCount),
+      lastReporter,
+      lastTimestamp: timestamp,
+      age: timestamp > 0 ? Math.max(now - timestamp, 0) : null,
+      isLastDisputed
+    };
+  }
+
+  /**
+   * The pair's outlier filter and the sources it leaves out of the weighted price.
+   * Only sources with a usable price (enabled, healthy and fresh) are listed.
+   */
+  async getOutlierStatus(pair) {
+    const [[filter, threshold], [oracles, prices, excluded]] = await Promise.all([
+      this.contract.outlierFilters(pair),
+      this.contract.getOutlierStatus(pair)
+    ]);
+
+    return {
+      pair,
+      filter: OUTLIER_FILTERS[Number(filter)] || "Unknown",
+      threshold: Number(threshold),
+      sources: oracles.map((oracle, i) => ({
+        oracle,
+        ...decodePrice(prices[i]),
+        excluded: excluded[i]
+      }))
+    };
+  }
+
+  /**
+   * The most recent stored snapshots of a pair, oldest first
+   */
+  async getPriceHistory(pair, { maxCount = 10 } = {}) {
+    const snapshots = await this.contract.getHistory(pair, maxCount);
+    return snapshots.map(decodeSnapshot);
+  }
+
+  /**
+   * The stored snapshot that was current at a timestamp (seconds). Fails when the pair
+   * has no snapshot that old in its history.
+   */
+  async getPriceAt(pair, timestamp) {
+    const snapshot = await this.contract.getPriceAt(pair, timestamp);
+    return { pair, ...decodeSnapshot(snapshot) };
+  }
+
+  /**
+   * Time-weighted median and weighted price over the last `window` seconds of stored snapshots.
+   * Fails when the snapshots do not cover the window or are too far apart.
+   */
+  async getAggregatedTWAP(pair, window = 3600) {
+    const [median, weighted] = await this.contract.getAggregatedTWAP(pair, window);
+    return { pair, window, median: decodePrice(median), weighted: decodePrice(weighted) };
+  }
+
+  /**
+   * The pair's circuit breaker settings, whether it is frozen and the price it reports meanwhile:
+   * the live weighted price, or the last stored snapshot while the breaker holds the live price back
+   */
+  async getCircuitBreakerStatus(pair) {
+    const [[maxDeviationBps, window, cooldown], frozenAt, [price, timestamp, frozen]] = await Promise.all([
+      this.contract.circuitBreakers(pair),
+      this.contract.frozenAt(pair),
+      this.contract.getSafePrice(pair)
+    ]);
+
+    return {
+      pair,
+      enabled: maxDeviationBps > 0n,
+      maxDeviationBps: Number(maxDeviationBps),
+      window: Number(window),
+      cooldown: Number(cooldown),
+      frozen,
+      frozenAt: Number(frozenAt),
+      price: decodePrice(price),
+      timestamp: Number(timestamp)
+    };
+  }
+
+  async isPaused() {
+    return this.contract.paused();
+  }
+
+  /**
+   * Roles held by an account, as { admin, configManager, guardian, keeper, timelock } booleans
+   */
+  async getRoles(account) {
+    const names = Object.keys(ROLES);
+    const held = await Promise.all(names.map((name) => this.contract.hasRole(ROLES[name], account)));
+    return Object.fromEntries(names.map((name, i) => [name, held[i]]));
+  }
+
+  async checkTellorDisputes(pair) {
+    const [hasDisputedData, disputedSources] = await this.contract.checkTellorDisputes(pair);
+    return { pair, hasDisputedData, disputedSources: [...disputedSources] };
+  }
+
+  /**
+   * Non-disputed Tellor values of the last maxAge seconds, oldest first
+   */
+  async getTellorHistoricalData(tellorAdapter, { maxAge = 86400, maxCount = 10 } = {}) {
+    const [values, timestamps] = await this.contract.getTellorHistoricalData(tellorAdapter, maxAge, maxCount);
+    return values.map((value, i) => ({
+      ...decodePrice(value),
+      timestamp: Number(timestamps[i])
+    }));
+  }
+
+  async getSupportedPairs() {
+    const count = Number(await this.contract.getSupportedPairsCount());
+    const indexes = Array.from({ length: count }, (_, i) => i);
+    return Promise.all(indexes.map((i) => this.contract.supportedPairs(i)));
+  }
+}
+
+module.exports = {
+  PriceAggregatorClient,
+  ORACLE_TYPES,
+  OUTLIER_FILTERS,
+  ROLES,
+  PRICE_DECIMALS,
+  oracleTypeName,
+  confidenceRating,
+  decodePrice
+};
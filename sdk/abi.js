@@ -0,0 +1,36 @@
+// Human-readable ABI of the PriceAggregator read functions used by the SDK, so
+// consumers don't need the Hardhat artifacts
+const PRICE_AGGREGATOR_ABI = [
+  "function getMedianPrice(string pairSymbol) view returns (int256)",
+  "function getWeightedPrice(string pairSymbol) view returns (int256)",
+  "function getAggregatedPrice(string pairSymbol) view returns (int256 medianPrice, int256 weightedPrice)",
+  "function getPriceWithQuality(string pairSymbol) view returns (tuple(int256 price, uint256 validSources, uint256 totalSources, int256 minPrice, int256 maxPrice, uint256 spreadBps, uint256 standardDeviation, uint256 oldestTimestamp, uint256 confidence))",
+  "function getAllPrices(string pairSymbol) view returns (int256[] prices, uint8[] sourceTypes, string[] descriptions, uint256[] timestamps)",
+  "function getAllPricesWithStatus(string pairSymbol) view returns (int256[] prices, uint8[] sourceTypes, string[] descriptions, uint256[] timestamps, bool[] disputeStatus, bool[] staleStatus)",
+  "function getTellorAnalytics(address tellorAdapter) view returns (uint256 valueCount, address lastReporter, uint256 lastTimestamp, bool isLastDisputed)",
+  "function getOutlierStatus(string pairSymbol) view returns (address[] oracles, int256[] prices, bool[] excluded)",
+  "function outlierFilters(string symbol) view returns (uint8 filter, uint256 threshold)",
+  "function getHistory(string pairSymbol, uint256 maxCount) view returns (tuple(int256 medianPrice, int256 weightedPrice, uint256 sourceCount, uint256 timestamp)[] snapshots)",
+  "function getPriceAt(string pairSymbol, uint256 timestamp) view returns (tuple(int256 medianPrice, int256 weightedPrice, uint256 sourceCount, uint256 timestamp))",
+  "function snapshotCount(string symbol) view returns (uint256)",
+  "function getAggregatedTWAP(string pairSymbol, uint256 window) view returns (int256 medianTWAP, int256 weightedTWAP)",
+  "function maxSnapshotGap() view returns (uint256)",
+  "function getSafePrice(string pairSymbol) view returns (int256 price, uint256 timestamp, bool frozen)",
+  "function isFrozen(string pairSymbol) view returns (bool)",
+  "function circuitBreakers(string symbol) view returns (uint256 maxDeviationBps, uint256 window, uint256 cooldown)",
+  "function frozenAt(string symbol) view returns (uint256)",
+  "function paused() view returns (bool)",
+  "function hasRole(bytes32 role, address account) view returns (bool)",
+  "function checkTellorDisputes(string pairSymbol) view returns (bool hasDisputedData, address[] disputedSources)",
+  "function getTellorHistoricalData(address tellorAdapter, uint256 maxAge, uint256 maxCount) view returns (uint256[] values, uint256[] timestamps)",
+  "function getAssetPairSources(string symbol) view returns (address[])",
+  "function getPairSources(string symbol) view returns (tuple(address oracle, uint256 weight, uint256 heartbeatSeconds, uint8 decimals, bool enabled)[])",
+  "function getSources() view returns (tuple(address oracle, uint8 oracleType, uint256 weight, uint256 heartbeatSeconds, string description, uint8 decimals)[])",
+  "function assetPairs(string symbol) view returns (string symbol, string baseAsset, string quoteAsset, bool active)",
+  "function supportedPairs(uint256 index) view returns (string)",
+  "function getSupportedPairsCount() view returns (uint256)",
+  "function minOracleResponses() view returns (uint256)",
+  "function stalenessThreshold() view returns (uint256)"
+];
+
+module.exports = PRICE_AGGREGATOR_ABI;
@@ -0,0 +1,23 @@
+const {
+  PriceAggregatorClient,
+  ORACLE_TYPES,
+  OUTLIER_FILTERS,
+  ROLES,
+  PRICE_DECIMALS,
+  oracleTypeName,
+  confidenceRating,
+  decodePrice
+} = require("./PriceAggregatorClient");
+const PRICE_AGGREGATOR_ABI = require("./abi");
+
+module.exports = {
+  PriceAggregatorClient,
+  PRICE_AGGREGATOR_ABI,
+  ORACLE_TYPES,
+  OUTLIER_FILTERS,
+  ROLES,
+  PRICE_DECIMALS,
+  oracleTypeName,
+  confidenceRating,
+  decodePrice
+};
@@ -0,0 +1,659 @@
+const { scope, types } = require("hardhat/config");
+const { PriceAggregatorClient, ORACLE_TYPES, ROLES, oracleTypeName } = require("../sdk");
+const {
+  resolveAggregatorAddress,
+  parseOracleType,
+  parseOutlierFilter,
+  parseRole,
+  formatTable,
+  toJson,
+  formatAge
+} = require("./utils");
+const { DeploymentManifest } = require("../scripts/deploymentManifest");
+const { loadAggregatorConfig, resolveAggregatorConfig } = require("../scripts/aggregatorConfig");
+const { readAggregatorState, planChanges, formatPlan, applyPlan } = require("../scripts/aggregatorPlan");
+const { getPendingOperations, formatOperation, scheduleCall, loadTimelock } = require("../scripts/timelockWatcher");
+const { getPool } = require("../scripts/poolRegistry");
+
+/**
+ * Operator CLI for a deployed PriceAggregator:
+ *   npx hardhat aggregator price ETH-USD --network sepolia
+ *   npx hardhat aggregator quality ETH-USD --network sepolia
+ *   npx hardhat aggregator sources ETH-USD --json --network sepolia
+ *   npx hardhat aggregator set-weight 0x... 2.5 --network sepolia
+ *   npx hardhat aggregator plan config/aggregator.sepolia.yaml --network sepolia
+ * The aggregator address is read from the chain's deployment manifest unless --address is given.
+ */
+const aggregator = scope("aggregator", "Query and administer a deployed PriceAggregator");
+
+function aggregatorTask(name, description) {
+  return aggregator
+    .task(name, description)
+    .addOptionalParam("address", "PriceAggregator address (defaults to the deployment manifest of the network)")
+    .addFlag("json", "Print JSON instead of a table");
+}
+
+async function getClient(hre, args) {
+  const address = await resolveAggregatorAddress(hre, args.address);
+  return new PriceAggregatorClient(address, hre.ethers.provider);
+}
+
+async function getAdminContract(hre, args) {
+  const address = await resolveAggregatorAddress(hre, args.address);
+  const [signer] = await hre.ethers.getSigners();
+  if (!signer) {
+    throw new Error(`No signer configured for network "${hre.network.name}" (set PRIVATE_KEY)`);
+  }
+  return hre.ethers.getContractAt("PriceAggregator", address, signer);
+}
+
+/**
+ * Plan of a configuration file against the live aggregator
+ */
+async function planFromConfig(args, priceAggregator, manifest) {
+  const desired = resolveAggregatorConfig(loadAggregatorConfig(args.file), { manifest, chainId: manifest.chainId });
+  const state = await readAggregatorState(priceAggregator, {
+    pairs: desired.pairs.map((p) => p.symbol),
+    uniswapPools: desired.uniswapPools
+  });
+  return planChanges(desired, state);
+}
+
+/**
+ * AggregatorTimelock tasks take the timelock from --timelock or the deployment manifest
+ */
+function timelockTask(name, description) {
+  return aggregatorTask(name, description)
+    .addOptionalParam("timelock", "AggregatorTimelock address (defaults to the deployment manifest of the network)");
+}
+
+async function getTimelock(hre, args) {
+  const [signer] = await hre.ethers.getSigners();
+  return loadTimelock(hre, {
+    aggregatorAddress: await resolveAggregatorAddress(hre, args.address),
+    timelockAddress: args.timelock,
+    signer
+  });
+}
+
+async function findPendingOperation(timelock, id, options) {
+  const operation = (await getPendingOperations(timelock, options)).find((op) => op.id === id);
+  if (!operation) throw new Error(`No pending operation ${id} (already executed, cancelled or never queued)`);
+  return operation;
+}
+
+/**
+ * Sends a TIMELOCK_ROLE call directly while the signer still holds the role, and queues it on the
+ * timelock (--timelock or the deployment manifest) once the deployment handed the role over
+ */
+async function sendTimelockedTx(hre, args, priceAggregator, action, method, params) {
+  const signer = await priceAggregator.runner.getAddress();
+  if (await priceAggregator.hasRole(ROLES.timelock, signer)) {
+    return sendAdminTx(args, action, priceAggregator[method](...params));
+  }
+  if (!args.timelock && !(await DeploymentManifest.forNetwork(hre)).get("AggregatorTimelock")) {
+    throw new Error(`${method} needs TIMELOCK_ROLE, which ${signer} does not hold. Pass --timelock to queue it on the AggregatorTimelock`);
+  }
+
+  const { timelock } = await getTimelock(hre, args);
+  const { id, tx } = await scheduleCall(timelock, priceAggregator, method, params);
+  const result = await sendAdminTx(args, `${action}: queueing ${method} as ${id}`, Promise.resolve(tx));
+  if (!args.json) console.log(`🕒 Run "aggregator execute ${id}" once the timelock delay has passed`);
+  return { ...result, id };
+}
+
+function print(args, data, rows) {
+  console.log(args.json ? toJson(data) : formatTable(rows));
+}
+
+async function sendAdminTx(args, action, txPromise) {
+  if (!args.json) console.log(`📝 ${action}...`);
+  const tx = await txPromise;
+  const receipt = await tx.wait();
+  const result = { action, txHash: receipt.hash, blockNumber: receipt.blockNumber };
+
+  if (args.json) {
+    console.log(toJson(result));
+  } else {
+    console.log(`✅ Confirmed in block ${result.blockNumber} (tx ${result.txHash})`);
+  }
+  return result;
+}
+
+aggregatorTask("price", "Median and weighted price of an asset pair")
+  .addPositionalParam("pair", "Asset pair symbol, e.g. ETH-USD")
+  .setAction(async (args, hre) => {
+    const client = await getClient(hre, args);
+    const price = await client.getAggregatedPrice(args.pair);
+    print(args, price, [
+      { Pair: price.pair, Method: "median", Price: price.median.formatted },
+      { Pair: price.pair, Method: "weighted", Price: price.weighted.formatted }
+    ]);
+    return price;
+  });
+
+aggregatorTask("quality", "Weighted price of an asset pair with source count, spread, deviation and confidence")
+  .addPositionalParam("pair", "Asset pair symbol, e.g. ETH-USD")
+  .setAction(async (args, hre) => {
+    const client = await getClient(hre, args);
+    const quality = await client.getPriceQuality(args.pair);
+    print(args, quality, [
+      { Metric: "Weighted price", Value: quality.price.formatted },
+      { Metric: "Sources", Value: `${quality.validSources} of ${quality.totalSources}` },
+      { Metric: "Min / max", Value: `${quality.min.formatted} / ${quality.max.formatted}` },
+      { Metric: "Spread", Value: `${quality.spreadPercent.toFixed(2)}%` },
+      { Metric: "Std deviation", Value: quality.standardDeviation.formatted },
+      { Metric: "Oldest price", Value: formatAge(quality.oldestAge) },
+      { Metric: "Confidence", Value: `${(quality.confidence / 100).toFixed(2)}% (${quality.rating})` }
+    ]);
+    return quality;
+  });
+
+aggregatorTask("sources", "Per-source prices of an asset pair with age, staleness and dispute flags")
+  .addPositionalParam("pair", "Asset pair symbol, e.g. ETH-USD")
+  .setAction(async (args, hre) => {
+    const client = await getClient(hre, args);
+    const status = await client.getPricesWithStatus(args.pair);
+    print(
+      args,
+      status,
+      status.sources.map((source) => ({
+        Source: source.description,
+        Type: source.typeName,
+        Weight: source.weight === null ? "n/a" : hre.ethers.formatUnits(source.weight, 18),
+        Price: source.available ? source.formatted : "unavailable",
+        Age: formatAge(source.age),
+        Heartbeat: source.heartbeatSeconds === null ? "n/a" : `${source.heartbeatSeconds}s`,
+        Status: !source.enabled ? "disabled" : source.disputed ? "disputed" : source.stale ? "stale" : "ok",
+        Oracle: source.oracle
+      }))
+    );
+    return status;
+  });
+
+aggregatorTask("outliers", "Usable prices of an asset pair and which ones its outlier filter leaves out")
+  .addPositionalParam("pair", "Asset pair symbol, e.g. ETH-USD")
+  .setAction(async (args, hre) => {
+    const client = await getClient(hre, args);
+    const status = await client.getOutlierStatus(args.pair);
+    if (!args.json) {
+      console.log(`Filter: ${status.filter}${status.filter === "None" ? "" : ` (${status.threshold} bps)`}`);
+    }
+    print(
+      args,
+      status,
+      status.sources.map((source) => ({
+        Oracle: source.oracle,
+        Price: source.formatted,
+        Status: source.excluded ? "excluded" : "ok"
+      }))
+    );
+    return status;
+  });
+
+aggregatorTask("history", "Stored price snapshots of an asset pair, oldest first")
+  .addPositionalParam("pair", "Asset pair symbol, e.g. ETH-USD")
+  .addOptionalParam("count", "Maximum number of snapshots", 10, types.int)
+  .setAction(async (args, hre) => {
+    const client = await getClient(hre, args);
+    const history = await client.getPriceHistory(args.pair, { maxCount: args.count });
+    print(
+      args,
+      { pair: args.pair, snapshots: history },
+      history.map((snapshot) => ({
+        Time: new Date(snapshot.timestamp * 1000).toISOString(),
+        Median: snapshot.median.formatted,
+        Weighted: snapshot.weighted.formatted,
+        Sources: snapshot.sourceCount
+      }))
+    );
+    return history;
+  });
+
+aggregatorTask("twap", "Time-weighted median and weighted price of an asset pair over its stored snapshots")
+  .addPositionalParam("pair", "Asset pair symbol, e.g. ETH-USD")
+  .addOptionalParam("window", "Averaging window in seconds, ending now", 3600, types.int)
+  .setAction(async (args, hre) => {
+    const client = await getClient(hre, args);
+    const twap = await client.getAggregatedTWAP(args.pair, args.window);
+    print(args, twap, [
+      { Pair: twap.pair, Window: `${twap.window}s`, Method: "median", TWAP: twap.median.formatted },
+      { Pair: twap.pair, Window: `${twap.window}s`, Method: "weighted", TWAP: twap.weighted.formatted }
+    ]);
+    return twap;
+  });
+
+aggregatorTask("circuit-breaker", "Circuit breaker settings of an asset pair, whether it is frozen and its safe price")
+  .addPositionalParam("pair", "Asset pair symbol, e.g. ETH-USD")
+  .setAction(async (args, hre) => {
+    const client = await getClient(hre, args);
+    const status = await client.getCircuitBreakerStatus(args.pair);
+    print(args, status, [
+      {
+        Metric: "Breaker",
+        Value: status.enabled ? `${status.maxDeviationBps} bps per ${status.window}s` : "disabled"
+      },
+      { Metric: "Cooldown", Value: status.cooldown > 0 ? `${status.cooldown}s` : "admin only" },
+      { Metric: "Status", Value: status.frozen ? "frozen" : "ok" },
+      { Metric: status.frozen ? "Last good price" : "Price", Value: status.price.formatted }
+    ]);
+    return status;
+  });
+
+aggregatorTask("tellor-analytics", "Report count, last reporter and dispute state of a Tellor adapter")
+  .addPositionalParam("adapter", "TellorAdapter address")
+  .setAction(async (args, hre) => {
+    const client = await getClient(hre, args);
+    const analytics = await client.getTellorAnalytics(args.adapter);
+    print(args, analytics, [
+      {
+        Adapter: analytics.adapter,
+        Values: analytics.valueCount,
+        "Last reporter": analytics.lastReporter,
+        Age: formatAge(analytics.age),
+        Disputed: analytics.isLastDisputed ? "yes" : "no"
+      }
+    ]);
+    return analytics;
+  });
+
+aggregatorTask("add-source", "Register a new oracle source")
+  .addParam("oracle", "Oracle or adapter address")
+  .addParam("type", `Oracle type, by number or name (${Object.values(ORACLE_TYPES).join(", ")})`)
+  .addParam("description", "Human-readable description, e.g. \"Chainlink ETH/USD\"")
+  .addOptionalParam("weight", "Weight as a decimal number (scaled to 18 decimals)", "1")
+  .addOptionalParam("heartbeat", "Expected update interval in seconds", 3600, types.int)
+  .addOptionalParam("decimals", "Decimals of the oracle's answer", 18, types.int)
+  .setAction(async (args, hre) => {
+    const oracleType = parseOracleType(args.type);
+    const source = {
+      oracle: hre.ethers.getAddress(args.oracle),
+      oracleType,
+      weight: hre.ethers.parseUnits(args.weight, 18),
+      heartbeatSeconds: args.heartbeat,
+      description: args.description,
+      decimals: args.decimals
+    };
+
+    const priceAggregator = await getAdminContract(hre, args);
+    return sendAdminTx(
+      args,
+      `Adding ${oracleTypeName(oracleType)} source "${source.description}"`,
+      priceAggregator.addOracleSource(source)
+    );
+  });
+
+timelockTask("set-weight", "Update the weight of a registered oracle source (timelock role, queued once the timelock holds it)")
+  .addPositionalParam("oracle", "Oracle or adapter address")
+  .addPositionalParam("weight", "New weight as a decimal number (scaled to 18 decimals)")
+  .setAction(async (args, hre) => {
+    const priceAggregator = await getAdminContract(hre, args);
+    return sendTimelockedTx(
+      hre,
+      args,
+      priceAggregator,
+      `Setting weight of ${args.oracle} to ${args.weight}`,
+      "updateOracleWeight",
+      [args.oracle, hre.ethers.parseUnits(args.weight, 18)]
+    );
+  });
+
+aggregatorTask("add-pair", "Add an asset pair backed by registered sources")
+  .addPositionalParam("symbol", "Asset pair symbol, e.g. ETH-USD")
+  .addPositionalParam("base", "Base asset, e.g. ETH")
+  .addPositionalParam("quote", "Quote asset, e.g. USD")
+  .addPositionalParam("sources", "Comma-separated oracle addresses")
+  .setAction(async (args, hre) => {
+    const pairSources = args.sources.split(",").map((oracle) => hre.ethers.getAddress(oracle.trim()));
+    const priceAggregator = await getAdminContract(hre, args);
+    return sendAdminTx(
+      args,
+      `Adding ${args.symbol} with ${pairSources.length} sources`,
+      priceAggregator.addAssetPair(args.symbol, args.base, args.quote, pairSources)
+    );
+  });
+
+timelockTask("add-pair-source", "Add a registered source to an asset pair with pair-specific settings (timelock role)")
+  .addPositionalParam("symbol", "Asset pair symbol, e.g. ETH-USD")
+  .addPositionalParam("oracle", "Oracle or adapter address")
+  .addOptionalParam("weight", "Weight in this pair as a decimal number (scaled to 18 decimals)", "1")
+  .addOptionalParam("heartbeat", "Expected update interval in seconds", 3600, types.int)
+  .addOptionalParam("decimals", "Decimals of the oracle's answer", 18, types.int)
+  .setAction(async (args, hre) => {
+    const priceAggregator = await getAdminContract(hre, args);
+    return sendTimelockedTx(hre, args, priceAggregator, `Adding ${args.oracle} to ${args.symbol}`, "addPairSource", [
+      args.symbol,
+      hre.ethers.getAddress(args.oracle),
+      hre.ethers.parseUnits(args.weight, 18),
+      args.heartbeat,
+      args.decimals
+    ]);
+  });
+
+timelockTask("update-pair-source", "Update the weight, heartbeat or decimals of a source in one asset pair (timelock role)")
+  .addPositionalParam("symbol", "Asset pair symbol, e.g. ETH-USD")
+  .addPositionalParam("oracle", "Oracle or adapter address")
+  .addOptionalParam("weight", "Weight in this pair as a decimal number (defaults to the current one)")
+  .addOptionalParam("heartbeat", "Expected update interval in seconds (defaults to the current one)", undefined, types.int)
+  .addOptionalParam("decimals", "Decimals of the oracle's answer (defaults to the current ones)", undefined, types.int)
+  .setAction(async (args, hre) => {
+    const priceAggregator = await getAdminContract(hre, args);
+    const current = await priceAggregator.pairSourceConfigs(args.symbol, args.oracle);
+    if (current.oracle === hre.ethers.ZeroAddress) {
+      throw new Error(`${args.oracle} is not a source of ${args.symbol}`);
+    }
+
+    return sendTimelockedTx(hre, args, priceAggregator, `Updating ${args.oracle} in ${args.symbol}`, "updatePairSource", [
+      args.symbol,
+      current.oracle,
+      args.weight === undefined ? current.weight : hre.ethers.parseUnits(args.weight, 18),
+      args.heartbeat === undefined ? current.heartbeatSeconds : args.heartbeat,
+      args.decimals === undefined ? current.decimals : args.decimals
+    ]);
+  });
+
+timelockTask("remove-pair-source", "Remove a source from one asset pair, it stays registered (timelock role)")
+  .addPositionalParam("symbol", "Asset pair symbol, e.g. ETH-USD")
+  .addPositionalParam("oracle", "Oracle or adapter address")
+  .setAction(async (args, hre) => {
+    const priceAggregator = await getAdminContract(hre, args);
+    return sendTimelockedTx(
+      hre,
+      args,
+      priceAggregator,
+      `Removing ${args.oracle} from ${args.symbol}`,
+      "removePairSource",
+      [args.symbol, args.oracle]
+    );
+  });
+
+timelockTask("pair-source-status", "Enable or disable a source in one asset pair (timelock role)")
+  .addPositionalParam("symbol", "Asset pair symbol, e.g. ETH-USD")
+  .addPositionalParam("oracle", "Oracle or adapter address")
+  .addPositionalParam("enabled", "true to enable, false to disable", undefined, types.boolean)
+  .setAction(async (args, hre) => {
+    const priceAggregator = await getAdminContract(hre, args);
+    return sendTimelockedTx(
+      hre,
+      args,
+      priceAggregator,
+      `${args.enabled ? "Enabling" : "Disabling"} ${args.oracle} in ${args.symbol}`,
+      "setPairSourceEnabled",
+      [args.symbol, args.oracle, args.enabled]
+    );
+  });
+
+timelockTask("set-uniswap-pool", "Set the registry pool a Uniswap source is queried with for an asset pair (timelock role)")
+  .addPositionalParam("symbol", "Asset pair symbol, e.g. ETH-USD")
+  .addPositionalParam("oracle", "Uniswap oracle or adapter address")
+  .addPositionalParam("pool", "Pool name in scripts/poolRegistry.js, e.g. ETH-USDC")
+  .setAction(async (args, hre) => {
+    const { chainId } = await hre.ethers.provider.getNetwork();
+    const pool = getPool(args.pool, chainId);
+    const priceAggregator = await getAdminContract(hre, args);
+    return sendTimelockedTx(
+      hre,
+      args,
+      priceAggregator,
+      `Setting the Uniswap pool of ${args.oracle} in ${args.symbol} to ${pool.name}`,
+      "setUniswapPool",
+      [args.symbol, args.oracle, pool.tokenA, pool.tokenB, pool.fee]
+    );
+  });
+
+timelockTask("set-outlier-filter", "Leave prices far from the median out of an asset pair's weighted price (timelock role)")
+  .addPositionalParam("symbol", "Asset pair symbol, e.g. ETH-USD")
+  .addPositionalParam("filter", "none, percentage or mad (median absolute deviation)")
+  .addOptionalPositionalParam("threshold", "Allowed distance from the median in basis points of the median or of the MAD (500 = 5%, 30000 = 3 * MAD)", 0, types.int)
+  .setAction(async (args, hre) => {
+    const filter = parseOutlierFilter(args.filter);
+    const priceAggregator = await getAdminContract(hre, args);
+    return sendTimelockedTx(
+      hre,
+      args,
+      priceAggregator,
+      filter === 0 ? `Disabling the outlier filter of ${args.symbol}` : `Setting the outlier filter of ${args.symbol} to ${args.filter} (${args.threshold} bps)`,
+      "setOutlierFilter",
+      [args.symbol, filter, args.threshold]
+    );
+  });
+
+aggregatorTask("update-price", "Store a snapshot of an asset pair's median and weighted price (keeper)")
+  .addPositionalParam("symbol", "Asset pair symbol, e.g. ETH-USD")
+  .setAction(async (args, hre) => {
+    const priceAggregator = await getAdminContract(hre, args);
+    return sendAdminTx(args, `Storing a price snapshot of ${args.symbol}`, priceAggregator.updatePrice(args.symbol));
+  });
+
+aggregatorTask("set-max-snapshot-gap", "Update the longest time between snapshots the aggregated TWAP accepts")
+  .addPositionalParam("seconds", "Maximum gap in seconds", undefined, types.int)
+  .setAction(async (args, hre) => {
+    const priceAggregator = await getAdminContract(hre, args);
+    return sendAdminTx(
+      args,
+      `Setting the maximum snapshot gap to ${args.seconds}s`,
+      priceAggregator.setMaxSnapshotGap(args.seconds)
+    );
+  });
+
+timelockTask("set-circuit-breaker", "Freeze an asset pair when its price moves too far from the last snapshot (timelock role)")
+  .addPositionalParam("symbol", "Asset pair symbol, e.g. ETH-USD")
+  .addPositionalParam("maxDeviation", "Largest allowed move in basis points (1000 = 10%), 0 disables the breaker", undefined, types.int)
+  .addOptionalParam("window", "Only compare against snapshots at most this many seconds old", 3600, types.int)
+  .addOptionalParam("cooldown", "Seconds after which a frozen pair resumes on its own, 0 to require the admin", 0, types.int)
+  .setAction(async (args, hre) => {
+    const priceAggregator = await getAdminContract(hre, args);
+    return sendTimelockedTx(
+      hre,
+      args,
+      priceAggregator,
+      args.maxDeviation === 0
+        ? `Disabling the circuit breaker of ${args.symbol}`
+        : `Setting the circuit breaker of ${args.symbol} to ${args.maxDeviation} bps per ${args.window}s`,
+      "setCircuitBreaker",
+      [args.symbol, args.maxDeviation, args.window, args.cooldown]
+    );
+  });
+
+aggregatorTask("freeze-pair", "Freeze an asset pair until the admin resumes it (guardian)")
+  .addPositionalParam("symbol", "Asset pair symbol, e.g. ETH-USD")
+  .setAction(async (args, hre) => {
+    const priceAggregator = await getAdminContract(hre, args);
+    return sendAdminTx(args, `Freezing ${args.symbol}`, priceAggregator.freezePair(args.symbol));
+  });
+
+aggregatorTask("resume-pair", "Resume a frozen asset pair at its current price (admin)")
+  .addPositionalParam("symbol", "Asset pair symbol, e.g. ETH-USD")
+  .setAction(async (args, hre) => {
+    const priceAggregator = await getAdminContract(hre, args);
+    return sendAdminTx(args, `Resuming ${args.symbol}`, priceAggregator.resumePair(args.symbol));
+  });
+
+aggregatorTask("pause", "Pause price reads and snapshots of every asset pair (guardian)")
+  .setAction(async (args, hre) => {
+    const priceAggregator = await getAdminContract(hre, args);
+    return sendAdminTx(args, "Pausing the aggregator", priceAggregator.pause());
+  });
+
+aggregatorTask("unpause", "Lift the pause (admin)")
+  .setAction(async (args, hre) => {
+    const priceAggregator = await getAdminContract(hre, args);
+    return sendAdminTx(args, "Unpausing the aggregator", priceAggregator.unpause());
+  });
+
+aggregatorTask("roles", "Roles held by an account and whether the aggregator is paused")
+  .addPositionalParam("account", "Account address")
+  .setAction(async (args, hre) => {
+    const client = await getClient(hre, args);
+    const [roles, paused] = await Promise.all([client.getRoles(args.account), client.isPaused()]);
+    const result = { account: args.account, paused, roles };
+    print(args, result, Object.keys(ROLES).map((role) => ({ Role: role, Held: roles[role] ? "yes" : "no" })));
+    if (!args.json && paused) console.log("⚠️  The aggregator is paused");
+    return result;
+  });
+
+aggregatorTask("grant-role", "Grant a role to an account (admin)")
+  .addPositionalParam("role", `Role name (${Object.keys(ROLES).join(", ")}) or bytes32 hash`)
+  .addPositionalParam("account", "Account address")
+  .setAction(async (args, hre) => {
+    const priceAggregator = await getAdminContract(hre, args);
+    return sendAdminTx(
+      args,
+      `Granting ${args.role} to ${args.account}`,
+      priceAggregator.grantRole(parseRole(args.role), args.account)
+    );
+  });
+
+aggregatorTask("revoke-role", "Revoke a role from an account (admin)")
+  .addPositionalParam("role", `Role name (${Object.keys(ROLES).join(", ")}) or bytes32 hash`)
+  .addPositionalParam("account", "Account address")
+  .setAction(async (args, hre) => {
+    const priceAggregator = await getAdminContract(hre, args);
+    return sendAdminTx(
+      args,
+      `Revoking ${args.role} from ${args.account}`,
+      priceAggregator.revokeRole(parseRole(args.role), args.account)
+    );
+  });
+
+aggregatorTask("pair-status", "Activate or deactivate an asset pair")
+  .addPositionalParam("symbol", "Asset pair symbol, e.g. ETH-USD")
+  .addPositionalParam("active", "true to activate, false to deactivate", undefined, types.boolean)
+  .setAction(async (args, hre) => {
+    const priceAggregator = await getAdminContract(hre, args);
+    return sendAdminTx(
+      args,
+      `${args.active ? "Activating" : "Deactivating"} ${args.symbol}`,
+      priceAggregator.setAssetPairStatus(args.symbol, args.active)
+    );
+  });
+
+timelockTask("set-min-responses", "Update the minimum number of oracle responses (timelock role, queued once the timelock holds it)")
+  .addPositionalParam("count", "Minimum number of valid responses", undefined, types.int)
+  .setAction(async (args, hre) => {
+    const priceAggregator = await getAdminContract(hre, args);
+    return sendTimelockedTx(
+      hre,
+      args,
+      priceAggregator,
+      `Setting minimum oracle responses to ${args.count}`,
+      "setMinOracleResponses",
+      [args.count]
+    );
+  });
+
+timelockTask("pending", "Operations queued on the timelock, with their decoded calls and when they can be executed")
+  .setAction(async (args, hre) => {
+    const { timelock, contracts, fromBlock } = await getTimelock(hre, args);
+    const pending = await getPendingOperations(timelock, { contracts, fromBlock });
+
+    if (args.json) {
+      console.log(toJson(pending));
+    } else if (pending.length === 0) {
+      console.log("✅ No pending operations");
+    } else {
+      const { timestamp } = await hre.ethers.provider.getBlock("latest");
+      pending.forEach((operation) => console.log(formatOperation(operation, timestamp)));
+    }
+    return pending;
+  });
+
+timelockTask("queue", "Queue a timelocked call, e.g. updateOracleWeight, removeOracleSource, setMinOracleResponses or setStalenessThreshold (proposer)")
+  .addPositionalParam("method", "Function name on the aggregator (or on the timelock with --self)")
+  .addOptionalVariadicPositionalParam("params", "Function arguments, integers unscaled (a weight of 1.5 is 1500000000000000000)", [])
+  .addOptionalParam("delay", "Seconds until the call can be executed (defaults to the timelock's minimum delay)", undefined, types.int)
+  .addFlag("self", "Call the timelock itself, e.g. updateDelay")
+  .setAction(async (args, hre) => {
+    const { priceAggregator, timelock } = await getTimelock(hre, args);
+    const target = args.self ? timelock : priceAggregator;
+    const delay = args.delay ?? await timelock.getMinDelay();
+    const { id, tx } = await scheduleCall(timelock, target, args.method, args.params, { delay });
+
+    const result = await sendAdminTx(
+      args,
+      `Queueing ${args.method}(${args.params.join(", ")}) with a delay of ${delay}s as ${id}`,
+      Promise.resolve(tx)
+    );
+    return { ...result, id };
+  });
+
+timelockTask("execute", "Execute a queued operation once its delay has passed")
+  .addPositionalParam("id", "Operation id, as listed by the pending task")
+  .setAction(async (args, hre) => {
+    const { timelock, contracts, fromBlock } = await getTimelock(hre, args);
+    const operation = await findPendingOperation(timelock, args.id, { contracts, fromBlock });
+    const { calls, predecessor, salt } = operation;
+
+    return sendAdminTx(
+      args,
+      `Executing ${calls.map((call) => call.summary).join("; ")}`,
+      calls.length === 1
+        ? timelock.execute(calls[0].target, calls[0].value, calls[0].data, predecessor, salt)
+        : timelock.executeBatch(
+          calls.map((call) => call.target),
+          calls.map((call) => call.value),
+          calls.map((call) => call.data),
+          predecessor,
+          salt
+        )
+    );
+  });
+
+timelockTask("cancel", "Cancel a queued operation (proposer)")
+  .addPositionalParam("id", "Operation id, as listed by the pending task")
+  .setAction(async (args, hre) => {
+    const { timelock, contracts, fromBlock } = await getTimelock(hre, args);
+    const operation = await findPendingOperation(timelock, args.id, { contracts, fromBlock });
+
+    return sendAdminTx(
+      args,
+      `Cancelling ${operation.calls.map((call) => call.summary).join("; ")}`,
+      timelock.cancel(args.id)
+    );
+  });
+
+aggregatorTask("plan", "Show the admin transactions needed to match a configuration file, without sending them")
+  .addPositionalParam("file", "Aggregator configuration (.json, .yaml or .yml)")
+  .setAction(async (args, hre) => {
+    const address = await resolveAggregatorAddress(hre, args.address);
+    const priceAggregator = await hre.ethers.getContractAt("PriceAggregator", address);
+    const actions = await planFromConfig(args, priceAggregator, await DeploymentManifest.forNetwork(hre));
+
+    console.log(args.json ? toJson(actions) : formatPlan(actions));
+    return actions;
+  });
+
+timelockTask("apply", "Send the admin transactions needed to match a configuration file, queueing timelocked ones once the timelock holds the role")
+  .addPositionalParam("file", "Aggregator configuration (.json, .yaml or .yml)")
+  .setAction(async (args, hre) => {
+    const priceAggregator = await getAdminContract(hre, args);
+    const manifest = await DeploymentManifest.forNetwork(hre);
+
+    // Only the manifest's own aggregator is journaled, --address may point anywhere
+    const deployment = manifest.get("PriceAggregator");
+    const journaled = deployment && deployment.address.toLowerCase() === (await priceAggregator.getAddress()).toLowerCase();
+    if (journaled) {
+      await manifest.settlePendingSteps();
+    }
+
+    const actions = await planFromConfig(args, priceAggregator, manifest);
+    const { timelock } = args.timelock || manifest.get("AggregatorTimelock") ? await getTimelock(hre, args) : {};
+
+    if (!args.json) {
+      console.log("📋 Plan:");
+      console.log(formatPlan(actions));
+    }
+    const applied = await applyPlan(priceAggregator, actions, {
+      manifest: journaled ? manifest : undefined,
+      timelock,
+      logger: args.json ? { log: () => {} } : console
+    });
+
+    if (args.json) {
+      console.log(toJson({ planned: actions, applied }));
+    } else if (applied.length > 0) {
+      const queued = applied.filter((action) => action.operationId).length;
+      console.log(`✅ Applied ${applied.length - queued} change(s)${queued > 0 ? `, queued ${queued} on the timelock` : ""}`);
+    }
+    return applied;
+  });
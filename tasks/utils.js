@@ -0,0 +1,111 @@
+const { ORACLE_TYPES, OUTLIER_FILTERS, ROLES } = require("../sdk");
+const { DEPLOYMENTS_DIR, DeploymentManifest } = require("../scripts/deploymentManifest");
+
+/**
+ * The --address param if given, otherwise the PriceAggregator recorded in the
+ * deployment manifest of the connected chain
+ */
+async function resolveAggregatorAddress(hre, address, deploymentsDir = DEPLOYMENTS_DIR) {
+  if (address) return address;
+
+  const manifest = await DeploymentManifest.forNetwork(hre, { dir: deploymentsDir });
+  const deployment = manifest.get("PriceAggregator");
+  if (!deployment) {
+    throw new Error(
+      `No PriceAggregator deployment found for chain ${manifest.chainId} (expected ${manifest.path}). Pass --address or deploy first.`
+    );
+  }
+  return deployment.address;
+}
+
+/**
+ * Accepts an oracle type as number ("2") or name ("tellor", case-insensitive). Any number
+ * up to 255 is valid: types without a name are read through the IOracleAdapter interface.
+ */
+function parseOracleType(value) {
+  const text = String(value).trim();
+  if (/^\d+$/.test(text) && Number(text) <= 255) {
+    return Number(text);
+  }
+
+  const entry = Object.entries(ORACLE_TYPES).find(([, name]) => name.toLowerCase() === text.toLowerCase());
+  if (!entry) {
+    const known = Object.entries(ORACLE_TYPES).map(([id, name]) => `${id}=${name}`).join(", ");
+    throw new Error(`Unknown oracle type "${value}" (expected a number up to 255 or one of ${known})`);
+  }
+  return Number(entry[0]);
+}
+
+/**
+ * Accepts an outlier filter as number ("1") or name ("percentage", "mad", case-insensitive)
+ */
+function parseOutlierFilter(value) {
+  const text = String(value).trim().toLowerCase();
+  const entry = Object.entries(OUTLIER_FILTERS).find(
+    ([id, name]) => id === text || name.toLowerCase() === text
+  );
+  if (entry) return Number(entry[0]);
+  if (text === "mad") return 2;
+
+  const known = Object.entries(OUTLIER_FILTERS).map(([id, name]) => `${id}=${name}`).join(", ");
+  throw new Error(`Unknown outlier filter "${value}" (expected mad or one of ${known})`);
+}
+
+/**
+ * Accepts a role as name ("guardian", "config-manager", "CONFIG_MANAGER_ROLE", case-insensitive)
+ * or as its bytes32 hash, and returns the hash
+ */
+function parseRole(value) {
+  const text = String(value).trim();
+  if (/^0x[0-9a-fA-F]{64}$/.test(text)) return text;
+
+  const key = text.toLowerCase().replace(/_role$/, "").replace(/[-_]/g, "");
+  const name = key === "defaultadmin" ? "admin" : Object.keys(ROLES).find((role) => role.toLowerCase() === key);
+  if (!name) {
+    throw new Error(`Unknown role "${value}" (expected a bytes32 hash or one of ${Object.keys(ROLES).join(", ")})`);
+  }
+  return ROLES[name];
+}
+
+/**
+ * Renders rows of plain objects as an aligned text table
+ */
+function formatTable(rows) {
+  if (rows.length === 0) return "(no rows)";
+
+  const columns = Object.keys(rows[0]);
+  const widths = columns.map((column) =>
+    Math.max(column.length, ...rows.map((row) => String(row[column] ?? "").length))
+  );
+  const line = (values) => values.map((value, i) => String(value ?? "").padEnd(widths[i])).join("  ").trimEnd();
+
+  return [
+    line(columns),
+    line(widths.map((width) => "-".repeat(width))),
+    ...rows.map((row) => line(columns.map((column) => row[column])))
+  ].join("\n");
+}
+
+/**
+ * JSON.stringify that prints bigints as decimal strings
+ */
+function toJson(data) {
+  return JSON.stringify(data, (_, value) => (typeof value === "bigint" ? value.toString() : value), 2);
+}
+
+function formatAge(seconds) {
+  if (seconds === null || seconds === undefined) return "n/a";
+  if (seconds < 120) return `${seconds}s`;
+  if (seconds < 7200) return `${Math.floor(seconds / 60)}m`;
+  return `${Math.floor(seconds / 3600)}h`;
+}
+
+module.exports = {
+  resolveAggregatorAddress,
+  parseOracleType,
+  parseOutlierFilter,
+  parseRole,
+  formatTable,
+  toJson,
+  formatAge
+};
@@ -0,0 +1,155 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const { loadFixture } = require("@nomicfoundation/hardhat-network-helpers");
+const { usd, increaseTime, deployChainlinkAggregator } = require("./aggregatorFixture");
+
+// One account per role, the deployer keeps only the admin role
+async function deployRolesFixture() {
+  const [admin, configManager, guardian, keeper] = await ethers.getSigners();
+  const fixture = await deployChainlinkAggregator(["1"]);
+  const { priceAggregator } = fixture;
+  await priceAggregator.updatePrice("ETH-USD");
+
+  const roles = [
+    [await priceAggregator.CONFIG_MANAGER_ROLE(), configManager],
+    [await priceAggregator.GUARDIAN_ROLE(), guardian],
+    [await priceAggregator.KEEPER_ROLE(), keeper]
+  ];
+  for (const [role, account] of roles) {
+    await priceAggregator.grantRole(role, account.address);
+    await priceAggregator.renounceRole(role, admin.address);
+  }
+
+  return fixture;
+}
+
+describe("Access control", function () {
+  this.timeout(60000);
+
+  let admin, configManager, guardian, keeper, other;
+  let ADMIN_ROLE, CONFIG_MANAGER_ROLE, GUARDIAN_ROLE, KEEPER_ROLE;
+  let sources, oracleLib, twapCalculator, priceAggregator;
+
+  beforeEach(async function () {
+    [admin, configManager, guardian, keeper, other] = await ethers.getSigners();
+    ({ sources, oracleLib, twapCalculator, priceAggregator } = await loadFixture(deployRolesFixture));
+
+    ADMIN_ROLE = await priceAggregator.DEFAULT_ADMIN_ROLE();
+    CONFIG_MANAGER_ROLE = await priceAggregator.CONFIG_MANAGER_ROLE();
+    GUARDIAN_ROLE = await priceAggregator.GUARDIAN_ROLE();
+    KEEPER_ROLE = await priceAggregator.KEEPER_ROLE();
+  });
+
+  describe("Roles", function () {
+    it("Should give the deployer every role", async function () {
+      const PriceAggregator = await ethers.getContractFactory("PriceAggregator");
+      const fresh = await PriceAggregator.deploy(sources, await oracleLib.getAddress(), await twapCalculator.getAddress());
+
+      for (const role of [ADMIN_ROLE, CONFIG_MANAGER_ROLE, GUARDIAN_ROLE, KEEPER_ROLE]) {
+        expect(await fresh.hasRole(role, admin.address)).to.be.true;
+      }
+    });
+
+    it("Should only let the admin grant and revoke roles", async function () {
+      await expect(priceAggregator.connect(configManager).grantRole(KEEPER_ROLE, other.address))
+        .to.be.revertedWith("AccessControl: missing role");
+
+      await expect(priceAggregator.grantRole(KEEPER_ROLE, other.address))
+        .to.emit(priceAggregator, "RoleGranted")
+        .withArgs(KEEPER_ROLE, other.address, admin.address);
+      await priceAggregator.connect(other).updatePrice("ETH-USD");
+
+      await expect(priceAggregator.revokeRole(KEEPER_ROLE, other.address))
+        .to.emit(priceAggregator, "RoleRevoked")
+        .withArgs(KEEPER_ROLE, other.address, admin.address);
+      await expect(priceAggregator.connect(other).updatePrice("ETH-USD")).to.be.revertedWith("AccessControl: missing role");
+    });
+  });
+
+  describe("Config manager", function () {
+    it("Should be the only role allowed to change the configuration", async function () {
+      for (const signer of [admin, guardian, keeper]) {
+        await expect(priceAggregator.connect(signer).setMaxSnapshotGap(600)).to.be.revertedWith("AccessControl: missing role");
+        await expect(priceAggregator.connect(signer).setAssetPairStatus("ETH-USD", false))
+          .to.be.revertedWith("AccessControl: missing role");
+      }
+
+      await priceAggregator.connect(configManager).setMaxSnapshotGap(600);
+      expect(await priceAggregator.maxSnapshotGap()).to.equal(600n);
+      // Changes that reprice a pair need the timelock role instead
+      await expect(priceAggregator.connect(configManager).setCircuitBreaker("ETH-USD", 1000, 3600, 0))
+        .to.be.revertedWith("AccessControl: missing role");
+      await expect(priceAggregator.connect(configManager).setUniswapPool("ETH-USD", sources[0].oracle, admin.address, other.address, 3000))
+        .to.be.revertedWith("AccessControl: missing role");
+    });
+  });
+
+  describe("Keeper", function () {
+    it("Should be the only role allowed to store snapshots", async function () {
+      for (const signer of [admin, configManager, guardian]) {
+        await expect(priceAggregator.connect(signer).updatePrice("ETH-USD")).to.be.revertedWith("AccessControl: missing role");
+      }
+
+      await expect(priceAggregator.connect(keeper).updatePrice("ETH-USD")).to.emit(priceAggregator, "PriceUpdated");
+    });
+  });
+
+  describe("Guardian", function () {
+    it("Should freeze pairs that only the admin can resume", async function () {
+      await expect(priceAggregator.connect(keeper).freezePair("ETH-USD")).to.be.revertedWith("AccessControl: missing role");
+      await expect(priceAggregator.connect(guardian).freezePair("ETH-USD"))
+        .to.emit(priceAggregator, "PairFrozen")
+        .withArgs("ETH-USD", guardian.address);
+
+      await expect(priceAggregator.connect(guardian).resumePair("ETH-USD")).to.be.revertedWith("AccessControl: missing role");
+      await expect(priceAggregator.resumePair("ETH-USD"))
+        .to.emit(priceAggregator, "PairResumed")
+        .withArgs("ETH-USD", admin.address);
+    });
+
+    it("Should pause the aggregator that only the admin can unpause", async function () {
+      await expect(priceAggregator.pause()).to.be.revertedWith("AccessControl: missing role");
+      await expect(priceAggregator.connect(guardian).pause())
+        .to.emit(priceAggregator, "Paused")
+        .withArgs(guardian.address);
+      await expect(priceAggregator.connect(guardian).pause()).to.be.revertedWith("Pausable: paused");
+
+      await expect(priceAggregator.connect(guardian).unpause()).to.be.revertedWith("AccessControl: missing role");
+      await expect(priceAggregator.unpause())
+        .to.emit(priceAggregator, "Unpaused")
+        .withArgs(admin.address);
+      expect(await priceAggregator.paused()).to.be.false;
+    });
+  });
+
+  describe("Pause", function () {
+    beforeEach(async function () {
+      await increaseTime(60);
+      await priceAggregator.connect(guardian).pause();
+    });
+
+    it("Should stop price reads and snapshots", async function () {
+      await expect(priceAggregator.getMedianPrice("ETH-USD")).to.be.revertedWith("Pausable: paused");
+      await expect(priceAggregator.getWeightedPrice("ETH-USD")).to.be.revertedWith("Pausable: paused");
+      await expect(priceAggregator.getAggregatedPrice("ETH-USD")).to.be.revertedWith("Pausable: paused");
+      await expect(priceAggregator.getPriceWithQuality("ETH-USD")).to.be.revertedWith("Pausable: paused");
+      await expect(priceAggregator.getAggregatedTWAP("ETH-USD", 30)).to.be.revertedWith("Pausable: paused");
+      await expect(priceAggregator.connect(keeper).updatePrice("ETH-USD")).to.be.revertedWith("Pausable: paused");
+    });
+
+    it("Should report the last snapshot as frozen from getSafePrice", async function () {
+      const [price, timestamp, frozen] = await priceAggregator.getSafePrice("ETH-USD");
+      expect(price).to.equal(usd("3000"));
+      expect(timestamp).to.equal((await priceAggregator.getHistory("ETH-USD", 1))[0].timestamp);
+      expect(frozen).to.be.true;
+    });
+
+    it("Should still allow configuration and resume reads when lifted", async function () {
+      await priceAggregator.connect(configManager).setMaxSnapshotGap(600);
+
+      await priceAggregator.unpause();
+      expect(await priceAggregator.getWeightedPrice("ETH-USD")).to.equal(usd("3000"));
+      expect((await priceAggregator.getSafePrice("ETH-USD"))[2]).to.be.false;
+    });
+  });
+});
@@ -0,0 +1,132 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const { loadFixture } = require("@nomicfoundation/hardhat-network-helpers");
+const { price, usd, deployChainlinkAggregator } = require("./aggregatorFixture");
+
+async function latestTimestamp() {
+  return (await ethers.provider.getBlock("latest")).timestamp;
+}
+
+// Mines the next block exactly at `timestamp`
+async function mineAt(timestamp) {
+  await ethers.provider.send("evm_setNextBlockTimestamp", [timestamp]);
+  await ethers.provider.send("evm_mine", []);
+}
+
+async function deployTWAPFixture() {
+  return deployChainlinkAggregator(["1", "1"]);
+}
+
+describe("Aggregated TWAP", function () {
+  this.timeout(60000);
+
+  let other;
+  let twapCalculator, priceAggregator;
+  let feeds;
+
+  // Sets every feed to `answer` and stores a snapshot at `timestamp`
+  async function snapshotAt(timestamp, answer) {
+    for (const feed of feeds) {
+      await feed.setAnswer(price(answer));
+    }
+    await ethers.provider.send("evm_setNextBlockTimestamp", [timestamp]);
+    await priceAggregator.updatePrice("ETH-USD");
+  }
+
+  beforeEach(async function () {
+    [, other] = await ethers.getSigners();
+    ({ twapCalculator, priceAggregator, feeds } = await loadFixture(deployTWAPFixture));
+  });
+
+  describe("getAggregatedTWAP", function () {
+    let start;
+
+    beforeEach(async function () {
+      // 3000 for 20 minutes, 3600 for 10 minutes, then 3300
+      start = (await latestTimestamp()) + 100;
+      await snapshotAt(start, "3000");
+      await snapshotAt(start + 1200, "3600");
+      await snapshotAt(start + 1800, "3300");
+    });
+
+    it("Should weight each snapshot by how long it held", async function () {
+      await mineAt(start + 2400);
+
+      // (3000 * 1200 + 3600 * 600 + 3300 * 600) / 2400
+      const [medianTWAP, weightedTWAP] = await priceAggregator.getAggregatedTWAP("ETH-USD", 2400);
+      expect(medianTWAP).to.equal(usd("3225"));
+      expect(weightedTWAP).to.equal(usd("3225"));
+    });
+
+    it("Should only count the part of a snapshot inside the window", async function () {
+      await mineAt(start + 2400);
+
+      // 3000 for 600s before the second snapshot, then 3600 * 600 and 3300 * 600
+      const [, weightedTWAP] = await priceAggregator.getAggregatedTWAP("ETH-USD", 1800);
+      expect(weightedTWAP).to.equal(usd("3300"));
+    });
+
+    it("Should resist a short spike", async function () {
+      await snapshotAt(start + 2400, "6600");
+      await snapshotAt(start + 2460, "3300");
+      await mineAt(start + 3600);
+
+      // One minute at double the price moves the 30-minute TWAP by 110, where the spot price moved by 3300
+      const [, weightedTWAP] = await priceAggregator.getAggregatedTWAP("ETH-USD", 1800);
+      expect(weightedTWAP).to.equal(usd("3410"));
+    });
+
+    it("Should fail when the history does not reach back to the window start", async function () {
+      await mineAt(start + 2400);
+
+      await expect(priceAggregator.getAggregatedTWAP("ETH-USD", 2401)).to.be.revertedWith("Insufficient snapshot history");
+      await expect(priceAggregator.getAggregatedTWAP("BTC-USD", 60)).to.be.revertedWith("Insufficient snapshot history");
+      await expect(priceAggregator.getAggregatedTWAP("ETH-USD", 0)).to.be.revertedWith("Invalid TWAP window");
+    });
+
+    it("Should fail when snapshots are too far apart", async function () {
+      await priceAggregator.setMaxSnapshotGap(900);
+      await mineAt(start + 2400);
+
+      // The first snapshot held for 1200s
+      await expect(priceAggregator.getAggregatedTWAP("ETH-USD", 2400)).to.be.revertedWith("Gap between snapshots too large");
+      // The window starts after it
+      expect((await priceAggregator.getAggregatedTWAP("ETH-USD", 1200))[1]).to.equal(usd("3450"));
+    });
+
+    it("Should fail when the latest snapshot is too old", async function () {
+      await mineAt(start + 1800 + 7201);
+
+      await expect(priceAggregator.getAggregatedTWAP("ETH-USD", 600)).to.be.revertedWith("Gap between snapshots too large");
+    });
+
+    it("Should only let the owner change the maximum gap", async function () {
+      await expect(priceAggregator.connect(other).setMaxSnapshotGap(900))
+        .to.be.revertedWith("AccessControl: missing role");
+      await expect(priceAggregator.setMaxSnapshotGap(0)).to.be.revertedWith("Max gap must be positive");
+    });
+  });
+
+  describe("TWAPCalculator.getSnapshotTWAP", function () {
+    const snapshot = (medianPrice, weightedPrice, timestamp) => ({ medianPrice, weightedPrice, sourceCount: 1, timestamp });
+
+    it("Should hold the last snapshot until the end of the window", async function () {
+      const snapshots = [snapshot(usd("100"), usd("110"), 0), snapshot(usd("200"), usd("210"), 75)];
+      const [medianTWAP, weightedTWAP] = await twapCalculator.getSnapshotTWAP(snapshots, 50, 100, 100);
+      expect(medianTWAP).to.equal(usd("150"));
+      expect(weightedTWAP).to.equal(usd("160"));
+    });
+
+    it("Should average negative prices", async function () {
+      const snapshots = [snapshot(-30, -30, 0), snapshot(10, 10, 10)];
+      expect((await twapCalculator.getSnapshotTWAP(snapshots, 0, 20, 100))[0]).to.equal(-10n);
+    });
+
+    it("Should validate its inputs", async function () {
+      await expect(twapCalculator.getSnapshotTWAP([snapshot(1, 1, 0)], 10, 10, 100)).to.be.revertedWith("Invalid window");
+      await expect(twapCalculator.getSnapshotTWAP([snapshot(1, 1, 5)], 0, 10, 100)).to.be.revertedWith("Insufficient snapshot history");
+      await expect(twapCalculator.getSnapshotTWAP([], 0, 10, 100)).to.be.revertedWith("Insufficient snapshot history");
+      await expect(twapCalculator.getSnapshotTWAP([snapshot(1, 1, 0)], 0, 10, 9)).to.be.revertedWith("Gap between snapshots too large");
+    });
+  });
+});
@@ -0,0 +1,229 @@
+const { expect } = require("chai");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const yaml = require("js-yaml");
+const hre = require("hardhat");
+const { ethers } = hre;
+const { loadAggregatorConfig, resolveAggregatorConfig } = require("../scripts/aggregatorConfig");
+const { DeploymentManifest } = require("../scripts/deploymentManifest");
+const { getPool } = require("../scripts/poolRegistry");
+const { deployChainlinkFeed } = require("./aggregatorFixture");
+
+describe("Aggregator configuration files", function () {
+  this.timeout(60000);
+
+  let dir;
+  let chainlinkEthUsd, chainlinkBtcUsd, uniswapAdapter;
+  let priceAggregator, address;
+  let config;
+  let logged;
+
+  async function runTask(task, args = {}) {
+    logged = [];
+    const originalLog = console.log;
+    console.log = (...values) => logged.push(values.join(" "));
+    try {
+      return await hre.run({ scope: "aggregator", task }, { address, ...args });
+    } finally {
+      console.log = originalLog;
+    }
+  }
+
+  function writeConfig(name, contents) {
+    const file = path.join(dir, name);
+    fs.writeFileSync(file, name.endsWith(".json") ? JSON.stringify(contents) : yaml.dump(contents));
+    return file;
+  }
+
+  beforeEach(async function () {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), "aggregator-config-"));
+
+    const OracleLib = await ethers.getContractFactory("OracleLib");
+    const oracleLib = await OracleLib.deploy();
+    const TWAPCalculator = await ethers.getContractFactory("TWAPCalculator");
+    const twapCalculator = await TWAPCalculator.deploy();
+
+    // Chainlink sources are the adapters over the feeds
+    ({ adapter: chainlinkEthUsd } = await deployChainlinkFeed("3000"));
+    ({ adapter: chainlinkBtcUsd } = await deployChainlinkFeed("60000", "BTC"));
+    const UniswapV3GraphAdapter = await ethers.getContractFactory("UniswapV3GraphAdapter");
+    const ethUsdcPool = getPool("ETH-USDC", 31337);
+    uniswapAdapter = await UniswapV3GraphAdapter.deploy(ethUsdcPool.tokenA, ethUsdcPool.tokenB, ethUsdcPool.fee);
+
+    const PriceAggregator = await ethers.getContractFactory("PriceAggregator");
+    priceAggregator = await PriceAggregator.deploy(
+      [
+        {
+          oracle: await chainlinkEthUsd.getAddress(),
+          oracleType: 0,
+          weight: ethers.parseUnits("3", 18),
+          heartbeatSeconds: 3600,
+          description: "Chainlink ETH/USD",
+          decimals: 8
+        }
+      ],
+      await oracleLib.getAddress(),
+      await twapCalculator.getAddress()
+    );
+    address = await priceAggregator.getAddress();
+
+    config = {
+      minOracleResponses: 1,
+      stalenessThreshold: 1800,
+      sources: [
+        { oracle: await chainlinkEthUsd.getAddress(), type: "chainlink", weight: "3", decimals: 8, description: "Chainlink ETH/USD" },
+        { oracle: await chainlinkBtcUsd.getAddress(), type: "chainlink", weight: "3", decimals: 8, description: "Chainlink BTC/USD" },
+        { oracle: await uniswapAdapter.getAddress(), type: "uniswap", weight: "2", description: "Uniswap" }
+      ],
+      pairs: [
+        {
+          symbol: "ETH-USD",
+          sources: [await chainlinkEthUsd.getAddress(), await uniswapAdapter.getAddress()],
+          uniswapPool: "ETH-USDC"
+        },
+        { symbol: "BTC-USD", sources: [await chainlinkBtcUsd.getAddress()] }
+      ]
+    };
+  });
+
+  afterEach(function () {
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  describe("Resolving", function () {
+    it("Should load YAML and JSON files", function () {
+      expect(loadAggregatorConfig(writeConfig("a.yaml", config))).to.deep.equal(config);
+      expect(loadAggregatorConfig(writeConfig("a.json", config))).to.deep.equal(config);
+    });
+
+    it("Should apply defaults and resolve Uniswap pools", async function () {
+      const desired = resolveAggregatorConfig(config, { chainId: 31337 });
+
+      expect(desired.sources[2]).to.deep.equal({
+        oracle: await uniswapAdapter.getAddress(),
+        oracleType: 1,
+        weight: ethers.parseUnits("2", 18),
+        heartbeatSeconds: 3600,
+        description: "Uniswap",
+        decimals: 18
+      });
+      expect(desired.pairs[1]).to.deep.equal({
+        symbol: "BTC-USD",
+        baseAsset: "BTC",
+        quoteAsset: "USD",
+        sources: [await chainlinkBtcUsd.getAddress()],
+        active: true
+      });
+
+      const pool = getPool("ETH-USDC", 31337);
+      expect(desired.uniswapPools).to.deep.equal([
+        { pair: "ETH-USD", oracle: await uniswapAdapter.getAddress(), tokenA: pool.tokenA, tokenB: pool.tokenB, fee: pool.fee }
+      ]);
+      expect(desired.stalenessThreshold).to.equal(1800);
+    });
+
+    it("Should resolve oracles by deployment manifest name", async function () {
+      const manifest = new DeploymentManifest({ chainId: 31337, network: "hardhat", dir });
+      manifest.data.contracts.UniswapV3GraphAdapter = { address: await uniswapAdapter.getAddress() };
+      manifest.setExternal("Chainlink_ETH_USD", await chainlinkEthUsd.getAddress());
+
+      config.sources[0].oracle = "Chainlink_ETH_USD";
+      config.sources[2].oracle = "UniswapV3GraphAdapter";
+      config.pairs[0].sources = ["Chainlink_ETH_USD", "UniswapV3GraphAdapter"];
+
+      const desired = resolveAggregatorConfig(config, { manifest, chainId: 31337 });
+      expect(desired.pairs[0].sources).to.deep.equal([
+        await chainlinkEthUsd.getAddress(),
+        await uniswapAdapter.getAddress()
+      ]);
+    });
+
+    it("Should report every problem at once", function () {
+      config.sources[0].type = "redstone";
+      config.sources[1].weight = "heavy";
+      config.pairs[1].sources = ["TellorAdapter_BTC_USD"];
+      config.pairs.push({ symbol: "LINK-USD", sources: [config.sources[0].oracle], uniswapPool: "LINK-USDC" });
+
+      let error;
+      try {
+        resolveAggregatorConfig(config, { chainId: 31337 });
+      } catch (e) {
+        error = e;
+      }
+
+      expect(error.message).to.include('sources[0]: Unknown oracle type "redstone"');
+      expect(error.message).to.include('sources[1]: invalid weight "heavy"');
+      expect(error.message).to.include('pairs[1] (BTC-USD): "TellorAdapter_BTC_USD" is neither an address');
+      expect(error.message).to.include("pairs[2] (LINK-USD): uniswapPool needs a Uniswap source");
+    });
+  });
+
+  describe("plan and apply tasks", function () {
+    it("Should plan without sending transactions", async function () {
+      const blockBefore = await ethers.provider.getBlockNumber();
+      const actions = await runTask("plan", { file: writeConfig("aggregator.yaml", config) });
+
+      expect(actions.map(a => a.kind)).to.deep.equal([
+        "add-source",
+        "add-source",
+        "add-pair",
+        "add-pair",
+        "set-uniswap-pool",
+        "set-staleness-threshold"
+      ]);
+      expect(logged.join("\n")).to.include("stalenessThreshold 3600s → 1800s");
+      expect(await ethers.provider.getBlockNumber()).to.equal(blockBefore);
+    });
+
+    it("Should apply only the needed changes and converge", async function () {
+      const file = writeConfig("aggregator.yaml", config);
+      const applied = await runTask("apply", { file });
+
+      expect(applied).to.have.length(6);
+      expect(await priceAggregator.stalenessThreshold()).to.equal(1800);
+      expect(await priceAggregator.getAssetPairSources("BTC-USD")).to.deep.equal([await chainlinkBtcUsd.getAddress()]);
+      expect(await priceAggregator.getMedianPrice("BTC-USD")).to.equal(ethers.parseUnits("60000", 18));
+
+      expect(await runTask("plan", { file })).to.be.empty;
+      expect(logged.join("\n")).to.include("No changes");
+
+      // Raise the minimum and re-weight a source: the registry entry, the one
+      // pair using its defaults and the parameter, nothing else
+      config.minOracleResponses = 2;
+      config.sources[0].weight = "4";
+      const blockBefore = await ethers.provider.getBlockNumber();
+      await runTask("apply", { file: writeConfig("aggregator.yaml", config) });
+
+      expect(await ethers.provider.getBlockNumber()).to.equal(blockBefore + 3);
+      expect(await priceAggregator.minOracleResponses()).to.equal(2);
+      const [ethSource] = await priceAggregator.getSources();
+      expect(ethSource.weight).to.equal(ethers.parseUnits("4", 18));
+      const [ethPairSource] = await priceAggregator.getPairSources("ETH-USD");
+      expect(ethPairSource.weight).to.equal(ethers.parseUnits("4", 18));
+    });
+
+    it("Should apply per-pair source settings", async function () {
+      config.pairs[0].sources[1] = { oracle: await uniswapAdapter.getAddress(), weight: "0.5", heartbeat: 600, enabled: false };
+      await runTask("apply", { file: writeConfig("aggregator.yaml", config) });
+
+      const [, uniswap] = await priceAggregator.getPairSources("ETH-USD");
+      expect(uniswap.weight).to.equal(ethers.parseUnits("0.5", 18));
+      expect(uniswap.heartbeatSeconds).to.equal(600);
+      expect(uniswap.decimals).to.equal(18);
+      expect(uniswap.enabled).to.be.false;
+      // The registry keeps the source's defaults
+      const registered = (await priceAggregator.getSources()).find(s => s.oracle === uniswap.oracle);
+      expect(registered.weight).to.equal(ethers.parseUnits("2", 18));
+
+      expect(await runTask("plan", { file: writeConfig("aggregator.yaml", config) })).to.be.empty;
+    });
+
+    it("Should print the plan as JSON with --json", async function () {
+      await runTask("plan", { file: writeConfig("aggregator.json", config), json: true });
+
+      const actions = JSON.parse(logged.join("\n"));
+      expect(actions[0].source.weight).to.equal(ethers.parseUnits("3", 18).toString());
+    });
+  });
+});
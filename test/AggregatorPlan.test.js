@@ -0,0 +1,361 @@
+const { expect } = require("chai");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const hre = require("hardhat");
+const { ethers } = hre;
+const { readAggregatorState, planChanges, formatPlan, applyPlan } = require("../scripts/aggregatorPlan");
+const { DeploymentManifest } = require("../scripts/deploymentManifest");
+const { getPool } = require("../scripts/poolRegistry");
+const { deployChainlinkFeed } = require("./aggregatorFixture");
+
+const ETH_USDC_POOL = getPool("ETH-USDC", 31337);
+const UNISWAP_DEFAULT_PAIR = [ETH_USDC_POOL.tokenA, ETH_USDC_POOL.tokenB, ETH_USDC_POOL.fee];
+
+describe("Aggregator deploy plan", function () {
+  this.timeout(60000);
+
+  const quietLogger = { log: () => {} };
+
+  let chainlinkEthUsd, chainlinkBtcUsd, chainlinkLinkUsd, uniswapAdapter;
+  let priceAggregator;
+  let desired;
+
+  function source(oracle, oracleType, weight, description, decimals = 8) {
+    return {
+      oracle,
+      oracleType,
+      weight: ethers.parseUnits(weight, 18),
+      heartbeatSeconds: 3600,
+      description,
+      decimals
+    };
+  }
+
+  async function plan() {
+    const state = await readAggregatorState(priceAggregator, {
+      pairs: desired.pairs.map(p => p.symbol),
+      uniswapPools: desired.uniswapPools
+    });
+    return planChanges(desired, state);
+  }
+
+  beforeEach(async function () {
+    const OracleLib = await ethers.getContractFactory("OracleLib");
+    const oracleLib = await OracleLib.deploy();
+    const TWAPCalculator = await ethers.getContractFactory("TWAPCalculator");
+    const twapCalculator = await TWAPCalculator.deploy();
+
+    // Chainlink sources are the adapters over the feeds
+    ({ adapter: chainlinkEthUsd } = await deployChainlinkFeed("3000"));
+    ({ adapter: chainlinkBtcUsd } = await deployChainlinkFeed("60000", "BTC"));
+    ({ adapter: chainlinkLinkUsd } = await deployChainlinkFeed("15", "LINK"));
+    const UniswapV3GraphAdapter = await ethers.getContractFactory("UniswapV3GraphAdapter");
+    uniswapAdapter = await UniswapV3GraphAdapter.deploy(...UNISWAP_DEFAULT_PAIR);
+
+    const ethUsdSources = [
+      source(await chainlinkEthUsd.getAddress(), 0, "3", "Chainlink ETH/USD"),
+      source(await uniswapAdapter.getAddress(), 1, "2", "Uniswap ETH/USD", 18)
+    ];
+
+    // Same shape as scripts/deploy.js: ETH/USD sources go through the constructor
+    const PriceAggregator = await ethers.getContractFactory("PriceAggregator");
+    priceAggregator = await PriceAggregator.deploy(
+      ethUsdSources,
+      await oracleLib.getAddress(),
+      await twapCalculator.getAddress()
+    );
+
+    const tokens = [ethers.Wallet.createRandom().address, ethers.Wallet.createRandom().address];
+    desired = {
+      sources: [
+        ...ethUsdSources,
+        source(await chainlinkBtcUsd.getAddress(), 0, "3", "Chainlink BTC/USD"),
+        source(await chainlinkLinkUsd.getAddress(), 0, "3", "Chainlink LINK/USD")
+      ],
+      pairs: [
+        {
+          symbol: "ETH-USD",
+          baseAsset: "ETH",
+          quoteAsset: "USD",
+          sources: ethUsdSources.map(s => s.oracle),
+          active: true
+        },
+        {
+          symbol: "BTC-USD",
+          baseAsset: "BTC",
+          quoteAsset: "USD",
+          sources: [await chainlinkBtcUsd.getAddress()],
+          active: true
+        },
+        {
+          symbol: "LINK-USD",
+          baseAsset: "LINK",
+          quoteAsset: "USD",
+          sources: [await chainlinkLinkUsd.getAddress()],
+          active: true
+        }
+      ],
+      uniswapPools: [
+        { pair: "ETH-USD", oracle: await uniswapAdapter.getAddress(), tokenA: tokens[0], tokenB: tokens[1], fee: 500 }
+      ]
+    };
+  });
+
+  describe("Planning", function () {
+    it("Should plan the missing sources, pairs and pools of a fresh deployment", async function () {
+      const actions = await plan();
+
+      expect(actions.map(a => a.id)).to.deep.equal([
+        `add-source:${await chainlinkBtcUsd.getAddress()}`,
+        `add-source:${await chainlinkLinkUsd.getAddress()}`,
+        "add-pair:ETH-USD",
+        "add-pair:BTC-USD",
+        "add-pair:LINK-USD",
+        `set-uniswap-pool:ETH-USD:${await uniswapAdapter.getAddress()}`
+      ]);
+      expect(formatPlan(actions)).to.include(`+   add source "Chainlink BTC/USD"`);
+    });
+
+    it("Should converge and then plan nothing", async function () {
+      await applyPlan(priceAggregator, await plan(), { logger: quietLogger });
+
+      const actions = await plan();
+      expect(actions).to.be.empty;
+      expect(formatPlan(actions)).to.include("No changes");
+
+      expect(await priceAggregator.getSupportedPairsCount()).to.equal(3);
+      const pool = await priceAggregator.uniswapPools("ETH-USD", await uniswapAdapter.getAddress());
+      expect(pool.fee).to.equal(500);
+    });
+
+    it("Should only plan what a half-finished run left out", async function () {
+      const BTC = await chainlinkBtcUsd.getAddress();
+      await priceAggregator.addOracleSource(desired.sources[2]);
+      await priceAggregator.addAssetPair("ETH-USD", "ETH", "USD", desired.pairs[0].sources);
+      await priceAggregator.addAssetPair("BTC-USD", "BTC", "USD", [BTC]);
+
+      const ids = (await plan()).map(a => a.id);
+      expect(ids).to.deep.equal([
+        `add-source:${await chainlinkLinkUsd.getAddress()}`,
+        "add-pair:LINK-USD",
+        `set-uniswap-pool:ETH-USD:${await uniswapAdapter.getAddress()}`
+      ]);
+    });
+
+    it("Should update registry entries and the pair settings derived from them in place", async function () {
+      await applyPlan(priceAggregator, await plan(), { logger: quietLogger });
+
+      desired.sources[0].weight = ethers.parseUnits("5", 18);
+      desired.sources[2].heartbeatSeconds = 7200;
+      const actions = await plan();
+
+      expect(actions.map(a => a.id)).to.deep.equal([
+        `update-source:${await chainlinkEthUsd.getAddress()}`,
+        `update-source:${await chainlinkBtcUsd.getAddress()}`,
+        `update-pair-source:ETH-USD:${await chainlinkEthUsd.getAddress()}`,
+        `update-pair-source:BTC-USD:${await chainlinkBtcUsd.getAddress()}`
+      ]);
+      expect(actions[1].summary).to.include("heartbeatSeconds 3600 → 7200");
+
+      await applyPlan(priceAggregator, actions, { logger: quietLogger });
+      expect(await plan()).to.be.empty;
+
+      const [btcSource] = await priceAggregator.getPairSources("BTC-USD");
+      expect(btcSource.heartbeatSeconds).to.equal(7200);
+      expect(await priceAggregator.getMedianPrice("BTC-USD")).to.equal(ethers.parseUnits("60000", 18));
+    });
+
+    it("Should converge per-pair overrides of a shared source", async function () {
+      const UNI = await uniswapAdapter.getAddress();
+      desired.pairs[1].sources.push({ oracle: UNI, weight: ethers.parseUnits("1", 18), heartbeatSeconds: 600 });
+      desired.pairs[0].sources[1] = { oracle: UNI, enabled: false };
+      await applyPlan(priceAggregator, await plan(), { logger: quietLogger });
+
+      expect(await plan()).to.be.empty;
+      const ethUni = await priceAggregator.pairSourceConfigs("ETH-USD", UNI);
+      const btcUni = await priceAggregator.pairSourceConfigs("BTC-USD", UNI);
+      expect([ethUni.weight, ethUni.heartbeatSeconds, ethUni.enabled]).to.deep.equal([ethers.parseUnits("2", 18), 3600n, false]);
+      expect([btcUni.weight, btcUni.heartbeatSeconds, btcUni.enabled]).to.deep.equal([ethers.parseUnits("1", 18), 600n, true]);
+
+      // Dropping the source from one pair leaves the other one alone
+      desired.pairs[1].sources.pop();
+      const actions = await plan();
+      expect(actions.map(a => a.id)).to.deep.equal([`remove-pair-source:BTC-USD:${UNI}`]);
+      expect(formatPlan(actions)).to.include('-   remove "Uniswap ETH/USD" from BTC-USD');
+
+      await applyPlan(priceAggregator, actions, { logger: quietLogger });
+      expect(await priceAggregator.getAssetPairSources("BTC-USD")).to.deep.equal([await chainlinkBtcUsd.getAddress()]);
+      expect(await priceAggregator.getAssetPairSources("ETH-USD")).to.include(UNI);
+    });
+
+    it("Should toggle pair status, add pair sources and report unmanaged entries", async function () {
+      await applyPlan(priceAggregator, await plan(), { logger: quietLogger });
+
+      const { adapter: extra } = await deployChainlinkFeed("1", "UNI");
+      await priceAggregator.addOracleSource(source(await extra.getAddress(), 0, "1", "Chainlink UNI/USD"));
+      await priceAggregator.addAssetPair("UNI-USD", "UNI", "USD", [await extra.getAddress()]);
+
+      desired.pairs[1].active = false;
+      desired.pairs[2].sources = [await chainlinkLinkUsd.getAddress(), await uniswapAdapter.getAddress()];
+      const actions = await plan();
+
+      expect(actions.map(a => a.kind)).to.have.members([
+        "unmanaged-source",
+        "set-pair-status",
+        "add-pair-source",
+        "unmanaged-pair"
+      ]);
+      expect(actions.filter(a => !a.report).map(a => a.id)).to.deep.equal([
+        "set-pair-status:BTC-USD",
+        `add-pair-source:LINK-USD:${await uniswapAdapter.getAddress()}`
+      ]);
+
+      const applied = await applyPlan(priceAggregator, actions, { logger: quietLogger });
+      expect(applied).to.have.length(2);
+      expect((await priceAggregator.assetPairs("BTC-USD")).active).to.be.false;
+      expect(await priceAggregator.getAssetPairSources("LINK-USD")).to.have.length(2);
+    });
+  });
+
+  describe("Timelock", function () {
+    let timelock;
+
+    beforeEach(async function () {
+      await applyPlan(priceAggregator, await plan(), { logger: quietLogger });
+
+      // As scripts/deploy.js leaves it once the configuration is applied
+      const [owner] = await ethers.getSigners();
+      const AggregatorTimelock = await ethers.getContractFactory("AggregatorTimelock");
+      timelock = await AggregatorTimelock.deploy(60, [owner.address], [ethers.ZeroAddress], ethers.ZeroAddress);
+      const TIMELOCK_ROLE = await priceAggregator.TIMELOCK_ROLE();
+      await priceAggregator.grantRole(TIMELOCK_ROLE, await timelock.getAddress());
+      await priceAggregator.renounceRole(TIMELOCK_ROLE, owner.address);
+    });
+
+    it("Should refuse timelocked actions without a timelock before sending anything", async function () {
+      desired.pairs[1].active = false;
+      desired.minOracleResponses = 2;
+      const actions = await plan();
+
+      await expect(applyPlan(priceAggregator, actions, { logger: quietLogger }))
+        .to.be.rejectedWith("set-min-responses need TIMELOCK_ROLE, which the signer does not hold");
+      expect((await priceAggregator.assetPairs("BTC-USD")).active).to.be.true;
+    });
+
+    it("Should queue timelocked actions and send the others", async function () {
+      desired.pairs[1].active = false;
+      desired.sources[0].weight = ethers.parseUnits("5", 18);
+      const actions = await plan();
+      expect(actions.map(a => a.kind)).to.deep.equal(["update-source", "update-pair-source", "set-pair-status"]);
+
+      const applied = await applyPlan(priceAggregator, actions, { timelock, logger: quietLogger });
+      expect(applied.map(a => Boolean(a.operationId))).to.deep.equal([true, true, false]);
+      expect((await priceAggregator.assetPairs("BTC-USD")).active).to.be.false;
+
+      // Nothing repriced until the queued calls run, and a rerun queues nothing twice
+      expect((await priceAggregator.getPairSources("ETH-USD"))[0].weight).to.equal(ethers.parseUnits("3", 18));
+      const rerun = await applyPlan(priceAggregator, await plan(), { timelock, logger: quietLogger });
+      expect(rerun.map(a => [a.operationId, a.txHashes.length])).to.deep.equal([
+        [applied[0].operationId, 0],
+        [applied[1].operationId, 0]
+      ]);
+
+      // Each queued call waits for the one queued before it
+      const queued = [];
+      for (const id of [applied[0].operationId, applied[1].operationId]) {
+        const [call] = (await timelock.queryFilter(timelock.filters.CallScheduled(id))).map(e => e.args);
+        const [salt] = (await timelock.queryFilter(timelock.filters.CallSalt(id))).map(e => e.args.salt);
+        queued.push(() => timelock.execute(call.target, call.value, call.data, call.predecessor, salt));
+        expect(call.predecessor).to.equal(queued.length === 1 ? ethers.ZeroHash : applied[0].operationId);
+      }
+
+      await ethers.provider.send("evm_increaseTime", [60]);
+      await expect(queued[1]()).to.be.revertedWith("TimelockController: missing dependency");
+      for (const execute of queued) {
+        await execute();
+      }
+      expect(await plan()).to.be.empty;
+    });
+  });
+
+  describe("Journal", function () {
+    let dir;
+
+    beforeEach(function () {
+      dir = fs.mkdtempSync(path.join(os.tmpdir(), "deployments-"));
+    });
+
+    afterEach(function () {
+      fs.rmSync(dir, { recursive: true, force: true });
+    });
+
+    it("Should journal every applied step with its transactions", async function () {
+      const manifest = await DeploymentManifest.forNetwork(hre, { dir });
+      const actions = await plan();
+      await applyPlan(priceAggregator, actions, { manifest, logger: quietLogger });
+
+      const journal = DeploymentManifest.load(manifest.chainId, { dir }).data.journal;
+      expect(journal.map(e => e.step)).to.deep.equal(actions.map(a => a.id));
+      for (const entry of journal) {
+        expect(entry.status).to.equal("done");
+        expect(entry.txHashes).to.have.length(1);
+        expect(entry.blockNumber).to.be.a("number");
+      }
+    });
+
+    it("Should mark a step failed when its transaction reverts", async function () {
+      const manifest = await DeploymentManifest.forNetwork(hre, { dir });
+      const [, stranger] = await ethers.getSigners();
+      // Holding TIMELOCK_ROLE, the plan is sent, and its first config manager step reverts
+      await priceAggregator.grantRole(await priceAggregator.TIMELOCK_ROLE(), stranger.address);
+
+      await expect(
+        applyPlan(priceAggregator.connect(stranger), await plan(), { manifest, logger: quietLogger })
+      ).to.be.rejectedWith("AccessControl: missing role");
+      expect(manifest.data.journal[0].status).to.equal("failed");
+    });
+
+    it("Should settle steps an interrupted run left pending", async function () {
+      const manifest = await DeploymentManifest.forNetwork(hre, { dir });
+
+      // Sent and mined, but the run died before recording it
+      const tx = await priceAggregator.addOracleSource(desired.sources[2]);
+      manifest.journalStep("add-source:btc", { status: "pending", txHashes: [tx.hash] });
+      // Died before anything was sent
+      manifest.journalStep("add-pair:BTC-USD", { status: "pending" });
+      // Sent, but the node never saw it
+      manifest.journalStep("add-pair:LINK-USD", { status: "pending", txHashes: [ethers.id("dropped")] });
+      // A deployment that was mined but never recorded
+      const UniswapV3GraphAdapter = await ethers.getContractFactory("UniswapV3GraphAdapter");
+      const adapter = await UniswapV3GraphAdapter.deploy(...UNISWAP_DEFAULT_PAIR);
+      manifest.journalStep("deploy:UniswapV3GraphAdapter", {
+        status: "pending",
+        txHashes: [adapter.deploymentTransaction().hash],
+        deployment: {
+          name: "UniswapV3GraphAdapter",
+          record: { contract: "UniswapV3GraphAdapter", constructorArgs: UNISWAP_DEFAULT_PAIR }
+        }
+      });
+
+      const resumed = await DeploymentManifest.forNetwork(hre, { dir });
+      const settled = await resumed.settlePendingSteps();
+
+      expect(settled).to.have.length(4);
+      expect(resumed.pendingSteps()).to.be.empty;
+      expect(resumed.data.journal.map(e => e.status)).to.deep.equal(["done", "abandoned", "abandoned", "done"]);
+      expect(resumed.address("UniswapV3GraphAdapter")).to.equal(await adapter.getAddress());
+      expect(resumed.data.journal[3].deployment).to.be.undefined;
+    });
+
+    it("Should journal contract deployments", async function () {
+      const manifest = await DeploymentManifest.forNetwork(hre, { dir });
+      const oracleLib = await manifest.deploy("OracleLib", "OracleLib");
+
+      const [entry] = manifest.data.journal;
+      expect(entry.step).to.equal("deploy:OracleLib");
+      expect(entry.status).to.equal("done");
+      expect(entry.txHashes).to.deep.equal([oracleLib.deploymentTransaction().hash]);
+    });
+  });
+});
@@ -0,0 +1,393 @@
+const { expect } = require("chai");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const hre = require("hardhat");
+const { ethers } = hre;
+const {
+  resolveAggregatorAddress,
+  parseOracleType,
+  parseOutlierFilter,
+  parseRole,
+  formatTable,
+  toJson
+} = require("../tasks/utils");
+const { getPool } = require("../scripts/poolRegistry");
+const { deployChainlinkFeed } = require("./aggregatorFixture");
+
+describe("Aggregator CLI tasks", function () {
+  this.timeout(60000);
+
+  let owner;
+  let chainlinkEthUsd, chainlinkAdapter, chainlinkBtcUsd, tellorMock, tellorAdapter;
+  let priceAggregator, address;
+  let logged;
+  let originalLog;
+
+  // Runs a task of the "aggregator" scope and captures what it prints
+  async function runTask(task, args = {}) {
+    logged = [];
+    originalLog = console.log;
+    console.log = (...values) => logged.push(values.join(" "));
+    try {
+      return await hre.run({ scope: "aggregator", task }, { address, ...args });
+    } finally {
+      console.log = originalLog;
+    }
+  }
+
+  beforeEach(async function () {
+    [owner] = await ethers.getSigners();
+
+    const OracleLib = await ethers.getContractFactory("OracleLib");
+    const oracleLib = await OracleLib.deploy();
+    const TWAPCalculator = await ethers.getContractFactory("TWAPCalculator");
+    const twapCalculator = await TWAPCalculator.deploy();
+
+    ({ feed: chainlinkEthUsd, adapter: chainlinkAdapter } = await deployChainlinkFeed("3000"));
+    ({ adapter: chainlinkBtcUsd } = await deployChainlinkFeed("60000", "BTC"));
+
+    const TellorMock = await ethers.getContractFactory("TellorMock");
+    tellorMock = await TellorMock.deploy(ethers.parseUnits("3010", 18));
+    const TellorAdapter = await ethers.getContractFactory("TellorAdapter");
+    tellorAdapter = await TellorAdapter.deploy(await tellorMock.getAddress(), "eth", "usd");
+
+    const sources = [
+      {
+        oracle: await chainlinkAdapter.getAddress(),
+        oracleType: 0, // Chainlink
+        weight: ethers.parseUnits("1", 18),
+        heartbeatSeconds: 3600,
+        description: "Chainlink ETH/USD",
+        decimals: 8
+      },
+      {
+        oracle: await tellorAdapter.getAddress(),
+        oracleType: 2, // Tellor
+        weight: ethers.parseUnits("1", 18),
+        heartbeatSeconds: 3600,
+        description: "Tellor ETH/USD",
+        decimals: 18
+      }
+    ];
+
+    const PriceAggregator = await ethers.getContractFactory("PriceAggregator");
+    priceAggregator = await PriceAggregator.deploy(
+      sources,
+      await oracleLib.getAddress(),
+      await twapCalculator.getAddress()
+    );
+    await priceAggregator.addAssetPair("ETH-USD", "ETH", "USD", sources.map(source => source.oracle));
+
+    address = await priceAggregator.getAddress();
+  });
+
+  describe("Read commands", function () {
+    it("Should print the aggregated price as a table", async function () {
+      const price = await runTask("price", { pair: "ETH-USD" });
+
+      expect(price.median.value).to.equal(3005);
+      expect(price.weighted.value).to.equal(3005);
+
+      const output = logged.join("\n");
+      expect(output).to.match(/^Pair\s+Method\s+Price/);
+      expect(output).to.include("median");
+      expect(output).to.include("3005.0");
+    });
+
+    it("Should print the price quality", async function () {
+      const quality = await runTask("quality", { pair: "ETH-USD" });
+
+      expect(quality.validSources).to.equal(2);
+      const output = logged.join("\n");
+      expect(output).to.match(/Sources\s+2 of 2/);
+      expect(output).to.match(/Spread\s+0\.33%/);
+      expect(output).to.include("(Excellent)");
+    });
+
+    it("Should print per-source status as JSON with --json", async function () {
+      await runTask("sources", { pair: "ETH-USD", json: true });
+
+      const { pair, sources } = JSON.parse(logged.join("\n"));
+      expect(pair).to.equal("ETH-USD");
+      expect(sources.map(s => s.typeName)).to.deep.equal(["Chainlink", "Tellor"]);
+      expect(sources[0].raw).to.equal(ethers.parseUnits("3000", 18).toString());
+      expect(sources[0].weight).to.equal(ethers.parseUnits("1", 18).toString());
+      expect(sources[1].stale).to.be.false;
+    });
+
+    it("Should flag stale sources in the sources table", async function () {
+      const { timestamp } = await ethers.provider.getBlock("latest");
+      await chainlinkEthUsd.setUpdateTime(timestamp - 7200);
+
+      await runTask("sources", { pair: "ETH-USD" });
+
+      const chainlinkRow = logged.join("\n").split("\n").find(line => line.startsWith("Chainlink ETH/USD"));
+      expect(chainlinkRow).to.include("stale");
+      expect(chainlinkRow).to.include("2h");
+    });
+
+    it("Should report Tellor analytics", async function () {
+      const analytics = await runTask("tellor-analytics", { adapter: await tellorAdapter.getAddress() });
+
+      expect(analytics.valueCount).to.equal(1);
+      expect(analytics.lastReporter).to.equal(await tellorMock.getAddress());
+      expect(logged.join("\n")).to.include("Last reporter");
+    });
+  });
+
+  describe("Admin commands", function () {
+    it("Should add a source by oracle type name and use it in a new pair", async function () {
+      const oracle = await chainlinkBtcUsd.getAddress();
+      await runTask("add-source", {
+        oracle,
+        type: "chainlink",
+        description: "Chainlink BTC/USD",
+        weight: "2.5",
+        decimals: 8
+      });
+
+      const added = (await priceAggregator.getSources()).find(s => s.oracle === oracle);
+      expect(added.oracleType).to.equal(0);
+      expect(added.weight).to.equal(ethers.parseUnits("2.5", 18));
+      expect(added.heartbeatSeconds).to.equal(3600);
+
+      const result = await runTask("add-pair", {
+        symbol: "BTC-USD",
+        base: "BTC",
+        quote: "USD",
+        sources: oracle,
+        json: true
+      });
+      expect(JSON.parse(logged.join("\n")).txHash).to.equal(result.txHash);
+      expect(await priceAggregator.getAssetPairSources("BTC-USD")).to.deep.equal([oracle]);
+    });
+
+    it("Should update weights, pair status and minimum responses", async function () {
+      const oracle = await tellorAdapter.getAddress();
+      await runTask("set-weight", { oracle, weight: "3" });
+      const tellorSource = (await priceAggregator.getSources()).find(s => s.oracle === oracle);
+      expect(tellorSource.weight).to.equal(ethers.parseUnits("3", 18));
+
+      await runTask("pair-status", { symbol: "ETH-USD", active: false });
+      expect((await priceAggregator.assetPairs("ETH-USD")).active).to.be.false;
+
+      await runTask("set-min-responses", { count: 2 });
+      expect(await priceAggregator.minOracleResponses()).to.equal(2);
+      expect(logged.join("\n")).to.include("✅ Confirmed in block");
+    });
+
+    it("Should manage the sources of a single pair", async function () {
+      const oracle = await tellorAdapter.getAddress();
+      await runTask("update-pair-source", { symbol: "ETH-USD", oracle, weight: "0.5" });
+      const tellor = await priceAggregator.pairSourceConfigs("ETH-USD", oracle);
+      expect(tellor.weight).to.equal(ethers.parseUnits("0.5", 18));
+      expect(tellor.heartbeatSeconds).to.equal(3600);
+
+      await runTask("pair-source-status", { symbol: "ETH-USD", oracle, enabled: false });
+      await runTask("sources", { pair: "ETH-USD" });
+      const tellorRow = logged.join("\n").split("\n").find(line => line.startsWith("Tellor ETH/USD"));
+      expect(tellorRow).to.include("disabled");
+      expect(tellorRow).to.include("0.5");
+
+      await runTask("remove-pair-source", { symbol: "ETH-USD", oracle });
+      await runTask("add-pair-source", { symbol: "ETH-USD", oracle, weight: "2" });
+      const [, readded] = await priceAggregator.getPairSources("ETH-USD");
+      expect([readded.oracle, readded.weight, readded.enabled]).to.deep.equal([oracle, ethers.parseUnits("2", 18), true]);
+    });
+
+    it("Should set an outlier filter and report the excluded sources", async function () {
+      // A mispriced third source, so the filter has a median to compare against
+      const oracle = await chainlinkBtcUsd.getAddress();
+      await runTask("add-source", { oracle, type: "chainlink", description: "Mispriced ETH/USD", decimals: 8 });
+      await runTask("add-pair-source", { symbol: "ETH-USD", oracle, decimals: 8 });
+
+      await runTask("set-outlier-filter", { symbol: "ETH-USD", filter: "percentage", threshold: 500 });
+      const [filter, threshold] = await priceAggregator.outlierFilters("ETH-USD");
+      expect([filter, threshold]).to.deep.equal([1n, 500n]);
+
+      const status = await runTask("outliers", { pair: "ETH-USD" });
+      expect(status.sources.map(source => source.excluded)).to.deep.equal([false, false, true]);
+      expect(logged[0]).to.equal("Filter: Percentage (500 bps)");
+      const row = logged.join("\n").split("\n").find(line => line.startsWith(oracle));
+      expect(row).to.include("excluded");
+
+      await runTask("set-outlier-filter", { symbol: "ETH-USD", filter: "none" });
+      expect((await priceAggregator.outlierFilters("ETH-USD"))[0]).to.equal(0n);
+    });
+
+    it("Should store price snapshots and print the history and TWAP", async function () {
+      await runTask("update-price", { symbol: "ETH-USD" });
+      const history = await runTask("history", { pair: "ETH-USD" });
+
+      expect(history).to.have.length(1);
+      expect(logged.join("\n")).to.match(/^Time\s+Median\s+Weighted\s+Sources/);
+      expect(logged.join("\n")).to.include("3005.0");
+
+      await runTask("set-max-snapshot-gap", { seconds: 600 });
+      expect(await priceAggregator.maxSnapshotGap()).to.equal(600n);
+      const twap = await runTask("twap", { pair: "ETH-USD", window: 1 });
+      expect(twap.weighted.value).to.equal(3005);
+    });
+
+    it("Should configure the circuit breaker and freeze and resume a pair", async function () {
+      await runTask("set-circuit-breaker", { symbol: "ETH-USD", maxDeviation: 1000, window: 600, cooldown: 0 });
+      const [maxDeviationBps, window] = await priceAggregator.circuitBreakers("ETH-USD");
+      expect([maxDeviationBps, window]).to.deep.equal([1000n, 600n]);
+
+      await runTask("freeze-pair", { symbol: "ETH-USD" });
+      const status = await runTask("circuit-breaker", { pair: "ETH-USD" });
+      expect(status.frozen).to.be.true;
+      expect(logged.join("\n")).to.match(/Status\s+frozen/);
+
+      await runTask("resume-pair", { symbol: "ETH-USD" });
+      expect(await priceAggregator.isFrozen("ETH-USD")).to.be.false;
+    });
+
+    it("Should grant, list and revoke roles and pause the aggregator", async function () {
+      const [, keeper] = await ethers.getSigners();
+      await runTask("grant-role", { role: "keeper", account: keeper.address });
+      expect(await priceAggregator.hasRole(await priceAggregator.KEEPER_ROLE(), keeper.address)).to.be.true;
+
+      const result = await runTask("roles", { account: keeper.address });
+      expect(result.roles).to.deep.equal({ admin: false, configManager: false, guardian: false, keeper: true, timelock: false });
+      expect(logged.join("\n")).to.match(/keeper\s+yes/);
+
+      await runTask("revoke-role", { role: "KEEPER_ROLE", account: keeper.address });
+      expect(await priceAggregator.hasRole(await priceAggregator.KEEPER_ROLE(), keeper.address)).to.be.false;
+
+      await runTask("pause");
+      expect((await runTask("roles", { account: owner.address })).paused).to.be.true;
+      expect(logged.join("\n")).to.include("The aggregator is paused");
+      await runTask("unpause");
+      expect(await priceAggregator.paused()).to.be.false;
+    });
+
+    it("Should queue, list, execute and cancel timelocked calls", async function () {
+      const AggregatorTimelock = await ethers.getContractFactory("AggregatorTimelock");
+      const timelock = await (await AggregatorTimelock.deploy(60, [owner.address], [ethers.ZeroAddress], ethers.ZeroAddress)).getAddress();
+      await priceAggregator.grantRole(await priceAggregator.TIMELOCK_ROLE(), timelock);
+
+      const { id } = await runTask("queue", { timelock, method: "setStalenessThreshold", params: ["600"] });
+      const cancelled = await runTask("queue", { timelock, method: "setMinOracleResponses", params: ["2"] });
+      const pending = await runTask("pending", { timelock });
+      expect(pending.map((op) => op.id)).to.deep.equal([id, cancelled.id]);
+      expect(logged.join("\n")).to.include("PriceAggregator.setStalenessThreshold(_stalenessThreshold=600)");
+
+      await runTask("cancel", { timelock, id: cancelled.id });
+      await ethers.provider.send("evm_increaseTime", [60]);
+      await runTask("execute", { timelock, id });
+      expect(await priceAggregator.stalenessThreshold()).to.equal(600n);
+      expect(await runTask("pending", { timelock })).to.deep.equal([]);
+      expect(logged[0]).to.equal("✅ No pending operations");
+    });
+
+    it("Should queue timelocked commands once the timelock holds the role", async function () {
+      const AggregatorTimelock = await ethers.getContractFactory("AggregatorTimelock");
+      const timelock = await (await AggregatorTimelock.deploy(60, [owner.address], [ethers.ZeroAddress], ethers.ZeroAddress)).getAddress();
+      const TIMELOCK_ROLE = await priceAggregator.TIMELOCK_ROLE();
+      await priceAggregator.grantRole(TIMELOCK_ROLE, timelock);
+      await priceAggregator.renounceRole(TIMELOCK_ROLE, owner.address);
+
+      const oracle = await tellorAdapter.getAddress();
+      let error;
+      try {
+        await runTask("set-weight", { oracle, weight: "3" });
+      } catch (e) {
+        error = e;
+      }
+      expect(error.message).to.include("updateOracleWeight needs TIMELOCK_ROLE");
+
+      const { id } = await runTask("set-weight", { timelock, oracle, weight: "3" });
+      expect(logged.join("\n")).to.include(`aggregator execute ${id}`);
+      await runTask("pair-source-status", { timelock, symbol: "ETH-USD", oracle, enabled: false });
+      expect((await priceAggregator.pairSourceConfigs("ETH-USD", oracle)).enabled).to.be.true;
+
+      // Pools are timelocked as well, they decide which price a Uniswap source reports for the pair
+      const UniswapV3Mock = await ethers.getContractFactory("UniswapV3Mock");
+      const uniswap = await (await UniswapV3Mock.deploy(0)).getAddress();
+      await runTask("add-source", { oracle: uniswap, type: "uniswap", description: "Uniswap ETH/USDC" });
+      await runTask("add-pair", { symbol: "ETH-USDC", base: "ETH", quote: "USDC", sources: uniswap });
+      const poolSet = await runTask("set-uniswap-pool", { timelock, symbol: "ETH-USDC", oracle: uniswap, pool: "ETH-USDC" });
+      expect((await priceAggregator.uniswapPools("ETH-USDC", uniswap)).fee).to.equal(0n);
+
+      const pending = await runTask("pending", { timelock });
+      expect(pending.map((op) => op.calls[0].method)).to.deep.equal(["updateOracleWeight", "setPairSourceEnabled", "setUniswapPool"]);
+      await ethers.provider.send("evm_increaseTime", [60]);
+      await runTask("execute", { timelock, id });
+      expect((await priceAggregator.getSources()).find(s => s.oracle === oracle).weight).to.equal(ethers.parseUnits("3", 18));
+
+      await runTask("execute", { timelock, id: poolSet.id });
+      const pool = getPool("ETH-USDC", (await ethers.provider.getNetwork()).chainId);
+      const configured = await priceAggregator.uniswapPools("ETH-USDC", uniswap);
+      expect([configured.tokenA, configured.tokenB, configured.fee]).to.deep.equal([pool.tokenA, pool.tokenB, BigInt(pool.fee)]);
+    });
+
+    it("Should surface contract reverts", async function () {
+      let error;
+      try {
+        await runTask("set-weight", { oracle: owner.address, weight: "1" });
+      } catch (e) {
+        error = e;
+      }
+      expect(error).to.exist;
+      expect(error.message).to.include("Oracle not found");
+    });
+  });
+
+  describe("Helpers", function () {
+    it("Should resolve the aggregator address from the deployment manifest", async function () {
+      const dir = fs.mkdtempSync(path.join(os.tmpdir(), "deployments-"));
+      try {
+        await expect(resolveAggregatorAddress(hre, undefined, dir)).to.be.rejectedWith(/No PriceAggregator deployment/);
+
+        const { chainId } = await ethers.provider.getNetwork();
+        fs.writeFileSync(
+          path.join(dir, `${chainId}.json`),
+          JSON.stringify({ chainId: Number(chainId), contracts: { PriceAggregator: { address } } })
+        );
+
+        expect(await resolveAggregatorAddress(hre, undefined, dir)).to.equal(address);
+        expect(await resolveAggregatorAddress(hre, owner.address, dir)).to.equal(owner.address);
+      } finally {
+        fs.rmSync(dir, { recursive: true, force: true });
+      }
+    });
+
+    it("Should parse oracle types by number or name", function () {
+      expect(parseOracleType("2")).to.equal(2);
+      expect(parseOracleType("api3")).to.equal(3);
+      expect(parseOracleType("UniswapV3TWAP")).to.equal(4);
+      expect(parseOracleType("pyth")).to.equal(5);
+      expect(() => parseOracleType("redstone")).to.throw(/Unknown oracle type/);
+      expect(parseOracleType("7")).to.equal(7);
+      expect(() => parseOracleType("256")).to.throw(/Unknown oracle type/);
+    });
+
+    it("Should parse outlier filters by number or name", function () {
+      expect(parseOutlierFilter("0")).to.equal(0);
+      expect(parseOutlierFilter("Percentage")).to.equal(1);
+      expect(parseOutlierFilter("mad")).to.equal(2);
+      expect(parseOutlierFilter("medianAbsoluteDeviation")).to.equal(2);
+      expect(() => parseOutlierFilter("zscore")).to.throw(/Unknown outlier filter/);
+    });
+
+    it("Should parse role names and hashes", function () {
+      expect(parseRole("admin")).to.equal(ethers.ZeroHash);
+      expect(parseRole("DEFAULT_ADMIN_ROLE")).to.equal(ethers.ZeroHash);
+      expect(parseRole("config-manager")).to.equal(ethers.id("CONFIG_MANAGER_ROLE"));
+      expect(parseRole("CONFIG_MANAGER_ROLE")).to.equal(ethers.id("CONFIG_MANAGER_ROLE"));
+      expect(parseRole("Guardian")).to.equal(ethers.id("GUARDIAN_ROLE"));
+      expect(parseRole("TIMELOCK_ROLE")).to.equal(ethers.id("TIMELOCK_ROLE"));
+      expect(parseRole(ethers.id("KEEPER_ROLE"))).to.equal(ethers.id("KEEPER_ROLE"));
+      expect(() => parseRole("owner")).to.throw(/Unknown role/);
+    });
+
+    it("Should format tables and bigint JSON", function () {
+      const table = formatTable([{ A: "x", Long: 1 }, { A: "yyy", Long: 22 }]);
+      expect(table.split("\n")).to.deep.equal(["A    Long", "---  ----", "x    1", "yyy  22"]);
+      expect(formatTable([])).to.equal("(no rows)");
+      expect(JSON.parse(toJson({ value: 10n ** 18n }))).to.deep.equal({ value: "1000000000000000000" });
+    });
+  });
+});
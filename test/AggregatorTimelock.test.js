@@ -0,0 +1,204 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const { decodeCall, getPendingOperations, formatOperation } = require("../scripts/timelockWatcher");
+const { increaseTime, setPrices, deployChainlinkAggregator } = require("./aggregatorFixture");
+
+const DELAY = 3600;
+
+describe("AggregatorTimelock", function () {
+  this.timeout(60000);
+
+  let owner, proposer, other;
+  let feeds, sources, priceAggregator, timelock, contracts;
+
+  const weight = (value) => ethers.parseUnits(value, 18);
+  const salt = (n) => ethers.zeroPadValue(ethers.toBeHex(n), 32);
+
+  // Queues a call on the aggregator and returns everything needed to execute or cancel it
+  async function queue(method, args, { from = proposer, n = 1, delay = DELAY } = {}) {
+    const target = await priceAggregator.getAddress();
+    const data = priceAggregator.interface.encodeFunctionData(method, args);
+    await timelock.connect(from).schedule(target, 0, data, ethers.ZeroHash, salt(n), delay);
+    const id = await timelock.hashOperation(target, 0, data, ethers.ZeroHash, salt(n));
+    return { id, execute: () => timelock.connect(other).execute(target, 0, data, ethers.ZeroHash, salt(n)) };
+  }
+
+  beforeEach(async function () {
+    [owner, proposer, other] = await ethers.getSigners();
+
+    ({ feeds, sources, priceAggregator } = await deployChainlinkAggregator(["1", "1"]));
+    await setPrices(feeds, "3000", "3100");
+
+    // As scripts/deploy.js leaves it: anyone executes, the timelock administers itself
+    const AggregatorTimelock = await ethers.getContractFactory("AggregatorTimelock");
+    timelock = await AggregatorTimelock.deploy(DELAY, [proposer.address], [ethers.ZeroAddress], ethers.ZeroAddress);
+    const TIMELOCK_ROLE = await priceAggregator.TIMELOCK_ROLE();
+    await priceAggregator.grantRole(TIMELOCK_ROLE, await timelock.getAddress());
+    await priceAggregator.renounceRole(TIMELOCK_ROLE, owner.address);
+
+    contracts = [
+      { name: "PriceAggregator", address: await priceAggregator.getAddress(), interface: priceAggregator.interface },
+      { name: "AggregatorTimelock", address: await timelock.getAddress(), interface: timelock.interface }
+    ];
+  });
+
+  describe("Timelocked functions", function () {
+    it("Should not be callable directly, even by a config manager", async function () {
+      const oracle = sources[0].oracle;
+      await expect(priceAggregator.updateOracleWeight(oracle, weight("2"))).to.be.revertedWith("AccessControl: missing role");
+      await expect(priceAggregator.removeOracleSource(oracle)).to.be.revertedWith("AccessControl: missing role");
+      await expect(priceAggregator.setMinOracleResponses(2)).to.be.revertedWith("AccessControl: missing role");
+      await expect(priceAggregator.setStalenessThreshold(600)).to.be.revertedWith("AccessControl: missing role");
+
+      // Per-pair weights, removals, enabling and the filters that decide which prices count
+      await expect(priceAggregator.updateOracleSource({
+        oracle,
+        oracleType: 0,
+        weight: weight("2"),
+        heartbeatSeconds: 3600,
+        description: "Chainlink ETH/USD",
+        decimals: 8
+      })).to.be.revertedWith("AccessControl: missing role");
+      await expect(priceAggregator.updatePairSource("ETH-USD", oracle, weight("2"), 3600, 8))
+        .to.be.revertedWith("AccessControl: missing role");
+      await expect(priceAggregator.removePairSource("ETH-USD", oracle)).to.be.revertedWith("AccessControl: missing role");
+      await expect(priceAggregator.setPairSourceEnabled("ETH-USD", oracle, false)).to.be.revertedWith("AccessControl: missing role");
+      await expect(priceAggregator.setOutlierFilter("ETH-USD", 1, 1000)).to.be.revertedWith("AccessControl: missing role");
+      await expect(priceAggregator.setCircuitBreaker("ETH-USD", 1000, 3600, 0)).to.be.revertedWith("AccessControl: missing role");
+      await expect(priceAggregator.setUniswapPool("ETH-USD", oracle, sources[1].oracle, sources[0].oracle, 3000))
+        .to.be.revertedWith("AccessControl: missing role");
+
+      // Other settings stay instant
+      await priceAggregator.setMaxSnapshotGap(600);
+      await priceAggregator.setAssetPairStatus("ETH-USD", true);
+    });
+
+    it("Should not let the admin grant itself the timelock role", async function () {
+      const TIMELOCK_ROLE = await priceAggregator.TIMELOCK_ROLE();
+      expect(await priceAggregator.getRoleAdmin(TIMELOCK_ROLE)).to.equal(TIMELOCK_ROLE);
+      expect(await priceAggregator.hasRole(await priceAggregator.DEFAULT_ADMIN_ROLE(), owner.address)).to.be.true;
+
+      await expect(priceAggregator.grantRole(TIMELOCK_ROLE, owner.address)).to.be.revertedWith("AccessControl: missing role");
+      await expect(priceAggregator.revokeRole(TIMELOCK_ROLE, await timelock.getAddress()))
+        .to.be.revertedWith("AccessControl: missing role");
+
+      // Only a queued grant from the timelock itself adds a holder
+      const { execute } = await queue("grantRole", [TIMELOCK_ROLE, other.address]);
+      await increaseTime(DELAY);
+      await execute();
+      expect(await priceAggregator.hasRole(TIMELOCK_ROLE, other.address)).to.be.true;
+    });
+
+    it("Should apply a queued weight change only after the delay", async function () {
+      const oracle = sources[1].oracle;
+      const { execute } = await queue("updateOracleWeight", [oracle, weight("3")]);
+
+      await expect(execute()).to.be.revertedWith("TimelockController: operation is not ready");
+      expect(await priceAggregator.getWeightedPrice("ETH-USD")).to.equal(weight("3050"));
+
+      await increaseTime(DELAY);
+      await setPrices(feeds, "3000", "3100");
+      await expect(execute())
+        .to.emit(priceAggregator, "OracleSourceUpdated")
+        .withArgs(oracle, weight("3"));
+      expect(await priceAggregator.getWeightedPrice("ETH-USD")).to.equal(weight("3075"));
+      await expect(execute()).to.be.revertedWith("TimelockController: operation is not ready");
+    });
+
+    it("Should run per-pair changes through the timelock", async function () {
+      const oracle = sources[1].oracle;
+      const pairWeight = await queue("updatePairSource", ["ETH-USD", oracle, weight("3"), 3600, 8], { n: 1 });
+      const filter = await queue("setOutlierFilter", ["ETH-USD", 1, 1000], { n: 2 });
+      await increaseTime(DELAY);
+      await setPrices(feeds, "3000", "3100");
+
+      await expect(pairWeight.execute()).to.emit(priceAggregator, "PairSourceUpdated");
+      await filter.execute();
+      expect(await priceAggregator.getWeightedPrice("ETH-USD")).to.equal(weight("3075"));
+      expect((await priceAggregator.outlierFilters("ETH-USD")).threshold).to.equal(1000n);
+    });
+
+    it("Should run source removals and threshold changes through the timelock", async function () {
+      const removal = await queue("removeOracleSource", [sources[1].oracle], { n: 1 });
+      const minResponses = await queue("setMinOracleResponses", [1], { n: 2 });
+      const staleness = await queue("setStalenessThreshold", [600], { n: 3 });
+      await increaseTime(DELAY);
+
+      await removal.execute();
+      await minResponses.execute();
+      await staleness.execute();
+      expect(await priceAggregator.getAssetPairSources("ETH-USD")).to.deep.equal([sources[0].oracle]);
+      expect(await priceAggregator.minOracleResponses()).to.equal(1n);
+      expect(await priceAggregator.stalenessThreshold()).to.equal(600n);
+    });
+
+    it("Should only let proposers queue and cancel", async function () {
+      await expect(queue("setMinOracleResponses", [2], { from: other })).to.be.reverted;
+      await expect(queue("setMinOracleResponses", [2], { delay: DELAY - 1 }))
+        .to.be.revertedWith("TimelockController: insufficient delay");
+
+      const { id, execute } = await queue("setMinOracleResponses", [2]);
+      await expect(timelock.connect(other).cancel(id)).to.be.reverted;
+      await expect(timelock.connect(proposer).cancel(id)).to.emit(timelock, "Cancelled").withArgs(id);
+
+      await increaseTime(DELAY);
+      await expect(execute()).to.be.revertedWith("TimelockController: operation is not ready");
+    });
+
+    it("Should change its delay only through a queued call", async function () {
+      await expect(timelock.updateDelay(60)).to.be.revertedWith("TimelockController: caller must be timelock");
+
+      const target = await timelock.getAddress();
+      const data = timelock.interface.encodeFunctionData("updateDelay", [60]);
+      await timelock.connect(proposer).schedule(target, 0, data, ethers.ZeroHash, ethers.ZeroHash, DELAY);
+      await increaseTime(DELAY);
+      await expect(timelock.execute(target, 0, data, ethers.ZeroHash, ethers.ZeroHash))
+        .to.emit(timelock, "MinDelayChange")
+        .withArgs(DELAY, 60);
+    });
+  });
+
+  describe("Watcher", function () {
+    it("Should list pending operations with their decoded calls", async function () {
+      const oracle = sources[1].oracle;
+      const { id } = await queue("updateOracleWeight", [oracle, weight("3")], { n: 7 });
+      await queue("setStalenessThreshold", [600], { n: 8 });
+
+      const pending = await getPendingOperations(timelock, { contracts });
+      expect(pending.map((op) => op.id)).to.have.length(2);
+
+      const [operation] = pending;
+      expect(operation.id).to.equal(id);
+      expect(operation.salt).to.equal(salt(7));
+      expect(operation.delay).to.equal(DELAY);
+      expect(operation.ready).to.be.false;
+      expect(operation.calls[0].contract).to.equal("PriceAggregator");
+      expect(operation.calls[0].method).to.equal("updateOracleWeight");
+      expect(operation.calls[0].args.newWeight).to.equal(weight("3"));
+      expect(operation.calls[0].summary).to.equal(`PriceAggregator.updateOracleWeight(oracle=${oracle}, newWeight=${weight("3")})`);
+
+      const { timestamp } = await ethers.provider.getBlock("latest");
+      expect(formatOperation(operation, timestamp)).to.include(`executable in ${operation.eta - timestamp}s`);
+    });
+
+    it("Should flag ready operations and drop executed and cancelled ones", async function () {
+      const executed = await queue("setMinOracleResponses", [1], { n: 1 });
+      const cancelled = await queue("setMinOracleResponses", [2], { n: 2 });
+      const { id } = await queue("setStalenessThreshold", [600], { n: 3 });
+      await increaseTime(DELAY);
+
+      await executed.execute();
+      await timelock.connect(proposer).cancel(cancelled.id);
+
+      const pending = await getPendingOperations(timelock, { contracts });
+      expect(pending.map((op) => op.id)).to.deep.equal([id]);
+      expect(pending[0].ready).to.be.true;
+      expect(formatOperation(pending[0])).to.include("ready to execute");
+    });
+
+    it("Should leave calls to unknown contracts undecoded", function () {
+      const call = { target: other.address, value: 0n, data: "0x12345678" };
+      expect(decodeCall(call, contracts)).to.include({ contract: null, method: null, summary: `${other.address} 0x12345678` });
+    });
+  });
+});
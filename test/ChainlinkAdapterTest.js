@@ -1,397 +1,165 @@
-// Run this with: npx hardhat run test/ChainlinkAdapterTest.js --network sepolia
-
+const { expect } = require("chai");
 const { ethers } = require("hardhat");
+const { loadFixture } = require("@nomicfoundation/hardhat-network-helpers");
+const { describeSepolia } = require("./sepolia");
+const { chainlinkBTCUSD, chainlinkETHUSD, chainlinkLINKUSD } = require("../scripts/addresses");
 
-// Import addresses from address file
-const {
-    chainlinkBTCUSD,
-    chainlinkETHUSD,
-    chainlinkLINKUSD
-} = require('../scripts/addresses');
+const HEARTBEAT = 3600;
 
-async function main() {
-    console.log("🔧 Testing ChainlinkAdapter Enhanced Functionality...");
-    
-    // Get the network information
-    const network = await ethers.provider.getNetwork();
-    console.log(`📡 Connected to network: ${network.name} (chainId: ${network.chainId})`);
-    
-    // Try to get signer for deployment
-    let deployer;
-    let canDeploy = false;
-    
-    try {
-        const signers = await ethers.getSigners();
-        deployer = signers[0];
-        
-        if (deployer && deployer.address) {
-            console.log(`👤 Using deployer account: ${deployer.address}`);
-            
-            // Check deployer balance
-            const balance = await ethers.provider.getBalance(deployer.address);
-            console.log(`💰 Deployer balance: ${ethers.formatEther(balance)} ETH`);
-            
-            if (balance < ethers.parseEther("0.001")) { // Lower threshold for testing
-                console.log("⚠️  Low balance for deployment. Need at least 0.001 ETH for gas.");
-                console.log("🔄 Falling back to direct Chainlink testing...");
-                canDeploy = false;
-            } else {
-                canDeploy = true;
-            }
-        } else {
-            console.log("❌ Signer found but no address available");
-            canDeploy = false;
-        }
-    } catch (error) {
-        console.log("⚠️  Error getting signer:", error.message);
-        console.log("💡 To enable deployment, you need to:");
-        console.log("   1. Create a .env file with your PRIVATE_KEY");
-        console.log("   2. Add your INFURA_API_KEY");
-        console.log("   3. Make sure you have Sepolia ETH");
-        canDeploy = false;
-    }
-    
-    if (canDeploy) {
-        // Deploy ChainlinkAdapter contracts for different pairs
-        console.log("\n📦 Deploying ChainlinkAdapter contracts...");
-        
-        try {
-            const ChainlinkAdapter = await ethers.getContractFactory("ChainlinkAdapter", deployer);
-            
-            // Deploy ETH/USD adapter
-            console.log("🚀 Deploying ETH/USD ChainlinkAdapter...");
-            const ethAdapter = await ChainlinkAdapter.deploy(
-                chainlinkETHUSD,
-                "ETH",
-                "USD",
-                3600 // 1 hour heartbeat
-            );
-            await ethAdapter.waitForDeployment();
-            console.log(`✅ ETH/USD ChainlinkAdapter deployed at ${await ethAdapter.getAddress()}`);
-            
-            // Deploy BTC/USD adapter
-            console.log("🚀 Deploying BTC/USD ChainlinkAdapter...");
-            const btcAdapter = await ChainlinkAdapter.deploy(
-                chainlinkBTCUSD,
-                "BTC",
-                "USD",
-                3600 // 1 hour heartbeat
-            );
-            await btcAdapter.waitForDeployment();
-            console.log(`✅ BTC/USD ChainlinkAdapter deployed at ${await btcAdapter.getAddress()}`);
-            
-            // Deploy LINK/USD adapter
-            console.log("🚀 Deploying LINK/USD ChainlinkAdapter...");
-            const linkAdapter = await ChainlinkAdapter.deploy(
-                chainlinkLINKUSD,
-                "LINK",
-                "USD",
-                3600 // 1 hour heartbeat
-            );
-            await linkAdapter.waitForDeployment();
-            console.log(`✅ LINK/USD ChainlinkAdapter deployed at ${await linkAdapter.getAddress()}`);
-            
-            // Run tests with the new deployments
-            await runComprehensiveTests(ethAdapter, btcAdapter, linkAdapter);
-            
-        } catch (error) {
-            console.error("❌ Deployment failed:", error.message);
-            if (error.message.includes("insufficient funds")) {
-                console.log("💡 You need more Sepolia ETH. Get some from https://sepoliafaucet.com/");
-            }
-            console.log("🔄 Falling back to direct Chainlink testing...");
-            await testDirectChainlink();
-        }
-    } else {
-        console.log("🔄 Testing direct Chainlink feeds...");
-        await testDirectChainlink();
-    }
+async function increaseTime(seconds) {
+  await ethers.provider.send("evm_increaseTime", [seconds]);
+  await ethers.provider.send("evm_mine", []);
 }
 
-async function testDirectChainlink() {
-    console.log("\n🔍 Testing direct Chainlink price feeds...");
-    
-    try {
-        // Test ETH/USD feed
-        console.log("\n📊 ETH/USD Price Feed:");
-        const ethFeed = await ethers.getContractAt("IAggregatorV3", chainlinkETHUSD);
-        const ethData = await ethFeed.latestRoundData();
-        console.log(`Price: $${ethers.formatUnits(ethData[1], 8)}`);
-        console.log(`Last Updated: ${new Date(Number(ethData[3]) * 1000).toLocaleString()}`);
-        console.log(`Round ID: ${ethData[0]}`);
-        
-        // Test BTC/USD feed
-        console.log("\n📊 BTC/USD Price Feed:");
-        const btcFeed = await ethers.getContractAt("IAggregatorV3", chainlinkBTCUSD);
-        const btcData = await btcFeed.latestRoundData();
-        console.log(`Price: $${ethers.formatUnits(btcData[1], 8)}`);
-        console.log(`Last Updated: ${new Date(Number(btcData[3]) * 1000).toLocaleString()}`);
-        console.log(`Round ID: ${btcData[0]}`);
-        
-        // Test LINK/USD feed
-        console.log("\n📊 LINK/USD Price Feed:");
-        const linkFeed = await ethers.getContractAt("IAggregatorV3", chainlinkLINKUSD);
-        const linkData = await linkFeed.latestRoundData();
-        console.log(`Price: $${ethers.formatUnits(linkData[1], 8)}`);
-        console.log(`Last Updated: ${new Date(Number(linkData[3]) * 1000).toLocaleString()}`);
-        console.log(`Round ID: ${linkData[0]}`);
-        
-    } catch (error) {
-        console.error("❌ Error testing direct Chainlink feeds:", error.message);
-    }
+async function latestTimestamp() {
+  return BigInt((await ethers.provider.getBlock("latest")).timestamp);
 }
 
-async function runComprehensiveTests(ethAdapter, btcAdapter, linkAdapter) {
-    console.log("\n🧪 Starting Comprehensive ChainlinkAdapter Tests...");
-    
-    // Test 1: Basic Latest Value Retrieval
-    console.log("\n🧪 Test 1: Basic Latest Value Retrieval");
-    try {
-        const ethPrice = await ethAdapter.getLatestValue();
-        console.log(`📊 ETH/USD Price: $${ethers.formatUnits(ethPrice, 8)}`);
-        
-        const btcPrice = await btcAdapter.getLatestValue();
-        console.log(`📊 BTC/USD Price: $${ethers.formatUnits(btcPrice, 8)}`);
-        
-        const linkPrice = await linkAdapter.getLatestValue();
-        console.log(`📊 LINK/USD Price: $${ethers.formatUnits(linkPrice, 8)}`);
-        
-    } catch (error) {
-        console.error("❌ Error in basic price test:", error.message);
-    }
-    
-    // Test 2: Custom Age Requirements
-    console.log("\n🧪 Test 2: Custom Age Requirements");
-    try {
-        const oneHour = 3600;
-        const [ethValue, ethTimestamp] = await ethAdapter.getLatestValueWithAge(oneHour);
-        
-        if (ethTimestamp > 0) {
-            console.log(`📊 ETH/USD (max 1h old): $${ethers.formatUnits(ethValue, 8)}`);
-            const age = Math.floor(Date.now() / 1000) - Number(ethTimestamp);
-            console.log(`⏱️  Data age: ${age} seconds`);
-        } else {
-            console.log("⚠️  No ETH data available within 1 hour");
-        }
-        
-        // Test with very strict age requirement
-        try {
-            const [strictValue, strictTimestamp] = await ethAdapter.getLatestValueWithAge(60); // 1 minute
-            console.log(`📊 ETH/USD (max 1min old): $${ethers.formatUnits(strictValue, 8)}`);
-        } catch (e) {
-            console.log("⚠️  No data available within 1 minute (expected for some feeds)");
-        }
-        
-    } catch (error) {
-        console.error("❌ Error in age requirement test:", error.message);
-    }
-    
-    // Test 3: Historical Round Data
-    console.log("\n🧪 Test 3: Historical Round Data");
-    try {
-        const latestRoundId = await ethAdapter.getLatestRoundId();
-        console.log(`🆔 Latest Round ID: ${latestRoundId}`);
-        
-        // Get data from a few rounds back
-        if (latestRoundId > 3) {
-            const historicalRoundId = latestRoundId - 2n;
-            const [historicalValue, historicalTimestamp, startedAt] = await ethAdapter.getRoundData(historicalRoundId);
-            
-            console.log(`📊 Historical ETH Price (Round ${historicalRoundId}): $${ethers.formatUnits(historicalValue, 8)}`);
-            console.log(`📅 Historical Timestamp: ${new Date(Number(historicalTimestamp) * 1000).toLocaleString()}`);
-            console.log(`🚀 Round Started At: ${new Date(Number(startedAt) * 1000).toLocaleString()}`);
-        }
-        
-    } catch (error) {
-        console.error("❌ Error in historical data test:", error.message);
-    }
-    
-    // Test 4: Recent Values Analysis
-    console.log("\n🧪 Test 4: Recent Values Analysis");
-    try {
-        const [values, timestamps, roundIds] = await ethAdapter.getRecentValues(5);
-        
-        console.log(`📈 Retrieved ${values.length} recent ETH/USD values:`);
-        for (let i = 0; i < Math.min(values.length, 3); i++) {
-            if (values[i] > 0) {
-                const price = ethers.formatUnits(values[i], 8);
-                const date = new Date(Number(timestamps[i]) * 1000);
-                console.log(`   ${i + 1}. $${price} at ${date.toLocaleString()} (Round ${roundIds[i]})`);
-            }
-        }
-        
-    } catch (error) {
-        console.error("❌ Error in recent values test:", error.message);
-    }
-    
-    // Test 5: Staleness Detection
-    console.log("\n🧪 Test 5: Staleness Detection");
-    try {
-        const [isStale, age] = await ethAdapter.isDataStale();
-        console.log(`⏰ ETH/USD Data Stale: ${isStale ? "Yes" : "No"}`);
-        console.log(`📊 Data Age: ${age} seconds`);
-        
-        // Test with custom staleness threshold
-        const [isStaleCustom, ageCustom] = await ethAdapter.isDataStaleCustom(1800); // 30 minutes
-        console.log(`⏰ ETH/USD Data Stale (30min threshold): ${isStaleCustom ? "Yes" : "No"}`);
-        
-    } catch (error) {
-        console.error("❌ Error in staleness test:", error.message);
-    }
-    
-    // Test 6: Adapter Information and Metadata
-    console.log("\n🧪 Test 6: Adapter Information and Metadata");
-    try {
-        const [asset, currency, feedAddress, decimals, heartbeat, description] = await ethAdapter.getAdapterInfo();
-        
-        console.log(`📋 Adapter Information:`);
-        console.log(`   Asset: ${asset}`);
-        console.log(`   Currency: ${currency}`);
-        console.log(`   Feed Address: ${feedAddress}`);
-        console.log(`   Decimals: ${decimals}`);
-        console.log(`   Heartbeat: ${heartbeat} seconds`);
-        console.log(`   Description: ${description}`);
-        
-        // Test individual getters
-        const version = await ethAdapter.getVersion();
-        console.log(`   Version: ${version}`);
-        
-    } catch (error) {
-        console.error("❌ Error in metadata test:", error.message);
-    }
-    
-    // Test 7: Multiple Asset Comparison
-    console.log("\n🧪 Test 7: Multiple Asset Comparison");
-    try {
-        const ethPrice = await ethAdapter.retrieveData();
-        const btcPrice = await btcAdapter.retrieveData();
-        const linkPrice = await linkAdapter.retrieveData();
-        
-        console.log(`📊 Price Comparison (Legacy Method):`);
-        console.log(`   ETH/USD: $${ethers.formatUnits(ethPrice, 8)}`);
-        console.log(`   BTC/USD: $${ethers.formatUnits(btcPrice, 8)}`);
-        console.log(`   LINK/USD: $${ethers.formatUnits(linkPrice, 8)}`);
-        
-        // Calculate BTC/ETH ratio
-        if (ethPrice > 0 && btcPrice > 0) {
-            const btcEthRatio = Number(btcPrice) / Number(ethPrice);
-            console.log(`   BTC/ETH Ratio: ${btcEthRatio.toFixed(2)}`);
-        }
-        
-    } catch (error) {
-        console.error("❌ Error in comparison test:", error.message);
-    }
-    
-    // Test 8: Timestamp Analysis
-    console.log("\n🧪 Test 8: Timestamp Analysis");
-    try {
-        const ethTimestamp = await ethAdapter.getLastUpdateTimestamp();
-        const btcTimestamp = await btcAdapter.getLastUpdateTimestamp();
-        const linkTimestamp = await linkAdapter.getLastUpdateTimestamp();
-        
-        console.log(`⏰ Last Update Times:`);
-        console.log(`   ETH/USD: ${new Date(Number(ethTimestamp) * 1000).toLocaleString()}`);
-        console.log(`   BTC/USD: ${new Date(Number(btcTimestamp) * 1000).toLocaleString()}`);
-        console.log(`   LINK/USD: ${new Date(Number(linkTimestamp) * 1000).toLocaleString()}`);
-        
-        // Calculate data freshness
-        const now = Math.floor(Date.now() / 1000);
-        const ethAge = now - Number(ethTimestamp);
-        const btcAge = now - Number(btcTimestamp);
-        const linkAge = now - Number(linkTimestamp);
-        
-        console.log(`📊 Data Freshness:`);
-        console.log(`   ETH/USD: ${ethAge} seconds old`);
-        console.log(`   BTC/USD: ${btcAge} seconds old`);
-        console.log(`   LINK/USD: ${linkAge} seconds old`);
-        
-    } catch (error) {
-        console.error("❌ Error in timestamp analysis:", error.message);
-    }
-    
-    // Test 9: Error Handling and Edge Cases
-    console.log("\n🧪 Test 9: Error Handling and Edge Cases");
-    try {
-        // Test with impossible age requirement
-        try {
-            await ethAdapter.getLatestValueWithAge(0);
-            console.log("⚠️  Zero age requirement accepted (unexpected)");
-        } catch (e) {
-            console.log("✅ Zero age requirement properly rejected");
-        }
-        
-        // Test with very large round lookback
-        try {
-            const [values] = await ethAdapter.getRecentValues(150); // Should be limited to 100
-            console.log("⚠️  Large round request accepted (check limits)");
-        } catch (e) {
-            console.log("✅ Large round request properly rejected");
-        }
-        
-        // Test individual round data access
-        const latestRoundId = await ethAdapter.getLatestRoundId();
-        try {
-            const [value, timestamp, startedAt] = await ethAdapter.getRoundData(latestRoundId);
-            console.log(`✅ Latest round data accessible: $${ethers.formatUnits(value, 8)}`);
-        } catch (e) {
-            console.log("⚠️  Could not access latest round data");
-        }
-        
-    } catch (error) {
-        console.error("❌ Error in edge case testing:", error.message);
-    }
-    
-    // Test 10: Performance and Gas Usage Analysis
-    console.log("\n🧪 Test 10: Performance Analysis");
-    try {
-        console.log("⚡ Estimating gas usage for different operations...");
-        
-        // Gas estimation for different operations
-        const gasEstimates = {};
-        
-        try {
-            gasEstimates.getLatestValue = await ethAdapter.getLatestValue.estimateGas();
-            console.log(`   getLatestValue: ~${gasEstimates.getLatestValue} gas`);
-        } catch (e) {
-            console.log("   getLatestValue: Gas estimation failed");
-        }
-        
-        try {
-            gasEstimates.retrieveData = await ethAdapter.retrieveData.estimateGas();
-            console.log(`   retrieveData: ~${gasEstimates.retrieveData} gas`);
-        } catch (e) {
-            console.log("   retrieveData: Gas estimation failed");
-        }
-        
-        try {
-            gasEstimates.getRecentValues = await ethAdapter.getRecentValues.estimateGas(3);
-            console.log(`   getRecentValues(3): ~${gasEstimates.getRecentValues} gas`);
-        } catch (e) {
-            console.log("   getRecentValues: Gas estimation failed");
-        }
-        
-    } catch (error) {
-        console.error("❌ Error in performance analysis:", error.message);
-    }
-    
-    console.log("\n🎉 ChainlinkAdapter testing completed!");
-    console.log("📝 Summary of features tested:");
-    console.log("   ✓ Basic price retrieval with staleness checking");
-    console.log("   ✓ Custom age requirements and validation");
-    console.log("   ✓ Historical round data access");
-    console.log("   ✓ Recent values analysis with multiple rounds");
-    console.log("   ✓ Staleness detection with custom thresholds");
-    console.log("   ✓ Comprehensive adapter metadata");
-    console.log("   ✓ Multi-asset price comparison");
-    console.log("   ✓ Timestamp analysis and freshness checking");
-    console.log("   ✓ Error handling and edge cases");
-    console.log("   ✓ Performance and gas usage analysis");
-    console.log("   ✓ Legacy compatibility with PriceAggregator");
-}
+describe("ChainlinkAdapter", function () {
+  this.timeout(60000);
+
+  const price = (value) => ethers.parseUnits(value, 8);
+
+  async function deployChainlinkFixture() {
+    const ChainlinkMock = await ethers.getContractFactory("ChainlinkMock");
+    const feed = await ChainlinkMock.deploy(price("3000"), "ETH / USD", 8);
+    const ChainlinkAdapter = await ethers.getContractFactory("ChainlinkAdapter");
+    const adapter = await ChainlinkAdapter.deploy(await feed.getAddress(), "ETH", "USD", HEARTBEAT);
+    return { feed, adapter, ChainlinkAdapter };
+  }
+
+  describe("Deployment", function () {
+    it("Should describe the feed it adapts", async function () {
+      const { feed, adapter } = await loadFixture(deployChainlinkFixture);
+
+      expect(await adapter.getAdapterInfo())
+        .to.deep.equal(["ETH", "USD", await feed.getAddress(), 8n, BigInt(HEARTBEAT), "ETH / USD"]);
+      expect(await adapter.getDecimals()).to.equal(8n);
+      expect(await adapter.getHeartbeat()).to.equal(BigInt(HEARTBEAT));
+      expect(await adapter.getDescription()).to.equal("ETH / USD");
+      expect(await adapter.getVersion()).to.equal(4n);
+    });
+
+    it("Should reject a missing feed or heartbeat", async function () {
+      const { feed, ChainlinkAdapter } = await loadFixture(deployChainlinkFixture);
+
+      await expect(ChainlinkAdapter.deploy(ethers.ZeroAddress, "ETH", "USD", HEARTBEAT))
+        .to.be.revertedWith("Invalid data feed address");
+      await expect(ChainlinkAdapter.deploy(await feed.getAddress(), "ETH", "USD", 0))
+        .to.be.revertedWith("Heartbeat must be positive");
+    });
+  });
+
+  describe("Latest value", function () {
+    it("Should read the latest answer with the feed's decimals", async function () {
+      const { adapter } = await loadFixture(deployChainlinkFixture);
+      const updatedAt = await adapter.getLastUpdateTimestamp();
+
+      expect(await adapter.getLatestValue()).to.equal(price("3000"));
+      expect(await adapter.retrieveData()).to.equal(price("3000"));
+      expect(await adapter.latestPriceData()).to.deep.equal([price("3000"), updatedAt, 8n, true, false]);
+      expect(await adapter.getLatestValueWithAge(60)).to.deep.equal([price("3000"), updatedAt]);
+      expect(await adapter.getLatestRoundId()).to.equal(1n);
+    });
+
+    it("Should reject answers that are not positive", async function () {
+      const { feed, adapter } = await loadFixture(deployChainlinkFixture);
+      await feed.setAnswer(0);
+
+      await expect(adapter.getLatestValue()).to.be.revertedWith("Invalid price data");
+      await expect(adapter.getLatestValueWithAge(60)).to.be.revertedWith("Invalid price data");
+      expect(await adapter.retrieveData()).to.equal(0n);
+      expect((await adapter.latestPriceData())[3]).to.be.false;
+    });
+
+    it("Should reject incomplete and carried-over rounds", async function () {
+      const { feed, adapter } = await loadFixture(deployChainlinkFixture);
+      const now = await latestTimestamp();
+
+      await feed.setRoundData(5, price("3100"), 0, now, 5);
+      await expect(adapter.getLatestValue()).to.be.revertedWith("Round not complete");
+      expect(await adapter.retrieveData()).to.equal(0n);
+
+      await feed.setRoundData(5, price("3100"), now, now, 4);
+      await expect(adapter.getLatestValue()).to.be.revertedWith("Stale price data");
+      expect((await adapter.latestPriceData())[3]).to.be.false;
+    });
+  });
+
+  describe("Staleness", function () {
+    it("Should reject answers older than the heartbeat", async function () {
+      const { adapter } = await loadFixture(deployChainlinkFixture);
+      await increaseTime(HEARTBEAT + 1);
+
+      const [isStale, age] = await adapter.isDataStale();
+      expect(isStale).to.be.true;
+      expect(age).to.be.above(BigInt(HEARTBEAT));
+      expect((await adapter.isDataStaleCustom(2 * HEARTBEAT))[0]).to.be.false;
+
+      await expect(adapter.getLatestValue()).to.be.revertedWith("Price data is stale");
+      expect(await adapter.retrieveData()).to.equal(0n);
+      expect((await adapter.latestPriceData())[3]).to.be.false;
+    });
+
+    it("Should apply a caller's max age", async function () {
+      const { adapter } = await loadFixture(deployChainlinkFixture);
+      await increaseTime(61);
+
+      await expect(adapter.getLatestValueWithAge(60)).to.be.revertedWith("Data exceeds maximum age");
+      expect((await adapter.getLatestValueWithAge(HEARTBEAT))[0]).to.equal(price("3000"));
+      expect(await adapter.getLatestValue()).to.equal(price("3000"));
+    });
+  });
+
+  describe("Historical rounds", function () {
+    it("Should read past rounds by ID", async function () {
+      const { feed, adapter } = await loadFixture(deployChainlinkFixture);
+      await feed.setAnswer(price("3010"));
+      await feed.setAnswer(price("3020"));
+
+      const [, , startedAt, updatedAt] = await adapter.getLatestRoundData();
+      expect(await adapter.getLatestRoundId()).to.equal(3n);
+      expect(await adapter.getRoundData(3)).to.deep.equal([price("3020"), updatedAt, startedAt]);
+      await expect(adapter.getRoundData(4)).to.be.revertedWith("Round not complete");
+    });
+
+    it("Should return the latest rounds first", async function () {
+      const { feed, adapter } = await loadFixture(deployChainlinkFixture);
+      await feed.setAnswer(price("3010"));
+      await feed.setAnswer(price("3020"));
+
+      const [values, timestamps, roundIds] = await adapter.getRecentValues(3);
+      expect(roundIds).to.deep.equal([3n, 2n, 1n]);
+      expect(values).to.have.length(3);
+      expect(values[0]).to.equal(price("3020"));
+      expect(timestamps[0]).to.equal(await adapter.getLastUpdateTimestamp());
+
+      await expect(adapter.getRecentValues(0)).to.be.revertedWith("Must request at least 1 round");
+      await expect(adapter.getRecentValues(101)).to.be.revertedWith("Too many rounds requested");
+    });
+  });
+});
+
+describeSepolia("ChainlinkAdapter on Sepolia feeds", function () {
+  const feeds = [
+    ["ETH", chainlinkETHUSD],
+    ["BTC", chainlinkBTCUSD],
+    ["LINK", chainlinkLINKUSD]
+  ];
+
+  for (const [asset, feedAddress] of feeds) {
+    it(`Should read the live ${asset}/USD feed`, async function () {
+      const ChainlinkAdapter = await ethers.getContractFactory("ChainlinkAdapter");
+      const adapter = await ChainlinkAdapter.deploy(feedAddress, asset, "USD", HEARTBEAT);
+      await adapter.waitForDeployment();
+
+      expect(await adapter.getDecimals()).to.equal(8n);
+      const [, answer, , updatedAt] = await adapter.getLatestRoundData();
+      expect(answer).to.be.above(0n);
+      expect(updatedAt).to.be.above(0n);
 
-main()
-    .then(() => process.exit(0))
-    .catch((error) => {
-        console.error("💥 Test failed:", error);
-        process.exit(1);
-    });
\ No newline at end of file
+      const [values] = await adapter.getRecentValues(3);
+      expect(values).to.not.be.empty;
+    });
+  }
+});
@@ -0,0 +1,169 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+
+const HEARTBEAT = 3600;
+
+async function latestTimestamp() {
+  return (await ethers.provider.getBlock("latest")).timestamp;
+}
+
+describe("Chainlink round completeness", function () {
+  this.timeout(60000);
+
+  let firstFeed, firstAdapter, adaptedFeed, chainlinkAdapter, tellorEthUsd;
+  let priceAggregator;
+
+  function source(oracle, oracleType, description, decimals = 18) {
+    return {
+      oracle,
+      oracleType,
+      weight: ethers.parseUnits("1", 18),
+      heartbeatSeconds: HEARTBEAT,
+      description,
+      decimals
+    };
+  }
+
+  // The feed has started round 5 but still reports the answer computed in round 4
+  async function carryOverAnswer(feed, answer) {
+    const now = await latestTimestamp();
+    await feed.setRoundData(5, answer, now, now, 4);
+  }
+
+  // Round 5 has been requested but has not started yet
+  async function leaveRoundIncomplete(feed, answer) {
+    await feed.setRoundData(5, answer, 0, await latestTimestamp(), 5);
+  }
+
+  beforeEach(async function () {
+    const OracleLib = await ethers.getContractFactory("OracleLib");
+    const oracleLib = await OracleLib.deploy();
+    const TWAPCalculator = await ethers.getContractFactory("TWAPCalculator");
+    const twapCalculator = await TWAPCalculator.deploy();
+
+    const ChainlinkMock = await ethers.getContractFactory("ChainlinkMock");
+    firstFeed = await ChainlinkMock.deploy(ethers.parseUnits("3000", 8), "ETH / USD", 8);
+    adaptedFeed = await ChainlinkMock.deploy(ethers.parseUnits("3100", 8), "ETH / USD", 8);
+    const ChainlinkAdapter = await ethers.getContractFactory("ChainlinkAdapter");
+    firstAdapter = await ChainlinkAdapter.deploy(await firstFeed.getAddress(), "ETH", "USD", HEARTBEAT);
+    chainlinkAdapter = await ChainlinkAdapter.deploy(await adaptedFeed.getAddress(), "ETH", "USD", HEARTBEAT);
+    const TellorMock = await ethers.getContractFactory("TellorMock");
+    tellorEthUsd = await TellorMock.deploy(ethers.parseUnits("3300", 18));
+
+    // Two Chainlink feeds, each registered as type 0 through its own adapter
+    const sources = [
+      source(await firstAdapter.getAddress(), 0, "Chainlink ETH/USD #1", 8),
+      source(await chainlinkAdapter.getAddress(), 0, "Chainlink ETH/USD (adapter)", 8),
+      source(await tellorEthUsd.getAddress(), 2, "Tellor ETH/USD")
+    ];
+
+    const PriceAggregator = await ethers.getContractFactory("PriceAggregator");
+    priceAggregator = await PriceAggregator.deploy(
+      sources,
+      await oracleLib.getAddress(),
+      await twapCalculator.getAddress()
+    );
+    await priceAggregator.addAssetPair("ETH-USD", "ETH", "USD", sources.map((s) => s.oracle));
+  });
+
+  describe("ChainlinkAdapter", function () {
+    it("Should reject an answer from a round that has not started", async function () {
+      await leaveRoundIncomplete(adaptedFeed, ethers.parseUnits("3200", 8));
+
+      await expect(chainlinkAdapter.getLatestValue()).to.be.revertedWith("Round not complete");
+      await expect(chainlinkAdapter.getLatestValueWithAge(HEARTBEAT)).to.be.revertedWith("Round not complete");
+      expect(await chainlinkAdapter.retrieveData()).to.equal(0n);
+
+      const [price, , , healthy] = await chainlinkAdapter.latestPriceData();
+      expect(price).to.equal(ethers.parseUnits("3200", 8));
+      expect(healthy).to.be.false;
+    });
+
+    it("Should reject an answer carried over from an earlier round", async function () {
+      await carryOverAnswer(adaptedFeed, ethers.parseUnits("3200", 8));
+
+      await expect(chainlinkAdapter.getLatestValue()).to.be.revertedWith("Stale price data");
+      await expect(chainlinkAdapter.getRoundData(5)).to.be.revertedWith("Incomplete round data");
+      expect(await chainlinkAdapter.retrieveData()).to.equal(0n);
+
+      const [, , , healthy] = await chainlinkAdapter.latestPriceData();
+      expect(healthy).to.be.false;
+    });
+
+    it("Should accept an answer computed in a later round", async function () {
+      const now = await latestTimestamp();
+      await adaptedFeed.setRoundData(5, ethers.parseUnits("3200", 8), now, now, 6);
+
+      expect(await chainlinkAdapter.getLatestValue()).to.equal(ethers.parseUnits("3200", 8));
+      const [, , , healthy] = await chainlinkAdapter.latestPriceData();
+      expect(healthy).to.be.true;
+    });
+
+    it("Should skip incomplete rounds in the recent values", async function () {
+      await leaveRoundIncomplete(adaptedFeed, ethers.parseUnits("3200", 8));
+
+      const [values, , roundIds] = await chainlinkAdapter.getRecentValues(3);
+      expect(roundIds).to.deep.equal([4n, 3n]);
+      expect(values).to.have.length(2);
+    });
+  });
+
+  describe("Aggregation", function () {
+    it("Should read a ChainlinkAdapter registered as a Chainlink source", async function () {
+      const src = source(await chainlinkAdapter.getAddress(), 0, "Chainlink ETH/USD (adapter)", 8);
+      const [price, timestamp, decimals, healthy] = await priceAggregator.readSource("ETH-USD", src);
+
+      expect(price).to.equal(ethers.parseUnits("3100", 8));
+      expect(timestamp).to.equal(await chainlinkAdapter.getLastUpdateTimestamp());
+      expect(decimals).to.equal(8);
+      expect(healthy).to.be.true;
+
+      // Feeds 3000 and 3100, Tellor 3300
+      expect(await priceAggregator.getMedianPrice("ETH-USD")).to.equal(ethers.parseUnits("3100", 18));
+    });
+
+    it("Should not read a raw feed registered without an adapter", async function () {
+      const src = source(await firstFeed.getAddress(), 0, "Chainlink ETH/USD (feed)", 8);
+      await expect(priceAggregator.readSource("ETH-USD", src)).to.be.reverted;
+    });
+
+    it("Should leave out a round that has not started", async function () {
+      await leaveRoundIncomplete(firstFeed, ethers.parseUnits("5000", 8));
+
+      expect(await priceAggregator.getMedianPrice("ETH-USD")).to.equal(ethers.parseUnits("3200", 18));
+      await expect(priceAggregator.fetchPairPriceFromSource(
+        "ETH-USD", source(await firstAdapter.getAddress(), 0, "Chainlink ETH/USD #1", 8)
+      )).to.be.revertedWith("Source price unavailable");
+
+      // The price is still reported, it is only left out of the aggregation
+      const [prices] = await priceAggregator.getAllPrices("ETH-USD");
+      expect(prices[0]).to.equal(ethers.parseUnits("5000", 18));
+    });
+
+    it("Should leave out a carried-over answer read through the adapter", async function () {
+      await carryOverAnswer(adaptedFeed, ethers.parseUnits("5000", 8));
+
+      expect(await priceAggregator.getMedianPrice("ETH-USD")).to.equal(ethers.parseUnits("3150", 18));
+      expect(await priceAggregator.getWeightedPrice("ETH-USD")).to.equal(ethers.parseUnits("3150", 18));
+      await expect(priceAggregator.fetchPairPriceFromSource(
+        "ETH-USD", source(await chainlinkAdapter.getAddress(), 0, "Chainlink ETH/USD (adapter)", 8)
+      )).to.be.revertedWith("Source price unavailable");
+    });
+
+    it("Should use the feed again once a new round completes", async function () {
+      await carryOverAnswer(firstFeed, ethers.parseUnits("5000", 8));
+      expect(await priceAggregator.getMedianPrice("ETH-USD")).to.equal(ethers.parseUnits("3200", 18));
+
+      await firstFeed.setAnswer(ethers.parseUnits("3050", 8));
+      expect(await priceAggregator.getMedianPrice("ETH-USD")).to.equal(ethers.parseUnits("3100", 18));
+    });
+
+    it("Should fail when every Chainlink round is incomplete and too few sources remain", async function () {
+      await priceAggregator.setMinOracleResponses(2);
+      await leaveRoundIncomplete(firstFeed, ethers.parseUnits("3000", 8));
+      await carryOverAnswer(adaptedFeed, ethers.parseUnits("3100", 8));
+
+      await expect(priceAggregator.getMedianPrice("ETH-USD")).to.be.revertedWith("Insufficient valid prices");
+    });
+  });
+});
@@ -0,0 +1,189 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const { loadFixture } = require("@nomicfoundation/hardhat-network-helpers");
+const { HEARTBEAT, price, usd, increaseTime, sourceConfig, deployAggregator, deployChainlinkFeed } = require("./aggregatorFixture");
+
+// A Chainlink and an API3 source for ETH-USD, breaking at 10% per hour and resumed by the admin
+async function deployBreakerFixture() {
+  const [, guardian] = await ethers.getSigners();
+
+  const { feed: chainlinkFeed, adapter: chainlinkAdapter } = await deployChainlinkFeed("3000");
+  const API3Mock = await ethers.getContractFactory("API3Mock");
+  const api3Feed = await API3Mock.deploy(usd("3000"));
+  const API3Adapter = await ethers.getContractFactory("API3Adapter");
+  const api3Adapter = await API3Adapter.deploy(await api3Feed.getAddress(), "ETH", "USD", HEARTBEAT, 18);
+
+  const { priceAggregator } = await deployAggregator([
+    sourceConfig(await chainlinkAdapter.getAddress(), 0, "Chainlink ETH/USD", 8),
+    sourceConfig(await api3Adapter.getAddress(), 3, "API3 ETH/USD")
+  ]);
+  await priceAggregator.grantRole(await priceAggregator.GUARDIAN_ROLE(), guardian.address);
+  await priceAggregator.setCircuitBreaker("ETH-USD", 1000, 3600, 0);
+  await priceAggregator.updatePrice("ETH-USD");
+
+  return { chainlinkFeed, api3Feed, priceAggregator };
+}
+
+describe("Circuit breaker", function () {
+  this.timeout(60000);
+
+  let owner, guardian, other;
+  let chainlinkFeed, api3Feed;
+  let priceAggregator;
+
+  // Moves both sources, Chainlink answers with 8 decimals and API3 with 18
+  async function setPrice(value) {
+    await chainlinkFeed.setAnswer(price(value));
+    await api3Feed.setLatestPrice(usd(value));
+  }
+
+  beforeEach(async function () {
+    [owner, guardian, other] = await ethers.getSigners();
+    ({ chainlinkFeed, api3Feed, priceAggregator } = await loadFixture(deployBreakerFixture));
+  });
+
+  describe("Configuration", function () {
+    it("Should store the breaker of a pair", async function () {
+      await expect(priceAggregator.setCircuitBreaker("ETH-USD", 500, 600, 1800))
+        .to.emit(priceAggregator, "CircuitBreakerUpdated")
+        .withArgs("ETH-USD", 500, 600, 1800);
+
+      const [maxDeviationBps, window, cooldown] = await priceAggregator.circuitBreakers("ETH-USD");
+      expect([maxDeviationBps, window, cooldown]).to.deep.equal([500n, 600n, 1800n]);
+    });
+
+    it("Should validate the breaker settings", async function () {
+      await expect(priceAggregator.setCircuitBreaker("BTC-USD", 1000, 3600, 0)).to.be.revertedWith("Asset pair does not exist");
+      await expect(priceAggregator.setCircuitBreaker("ETH-USD", 1000, 0, 0)).to.be.revertedWith("Window must be positive");
+      await expect(priceAggregator.connect(other).setCircuitBreaker("ETH-USD", 1000, 3600, 0))
+        .to.be.revertedWith("AccessControl: missing role");
+    });
+  });
+
+  describe("Tripping", function () {
+    it("Should freeze the pair when the price crashes 40%", async function () {
+      await setPrice("1800");
+
+      await expect(priceAggregator.updatePrice("ETH-USD"))
+        .to.emit(priceAggregator, "CircuitBreakerTripped")
+        .withArgs("ETH-USD", usd("3000"), usd("1800"))
+        .and.to.emit(priceAggregator, "PairFrozen")
+        .withArgs("ETH-USD", owner.address);
+
+      expect(await priceAggregator.isFrozen("ETH-USD")).to.be.true;
+      // The crash price is not stored
+      expect(await priceAggregator.snapshotCount("ETH-USD")).to.equal(1n);
+    });
+
+    it("Should make price reads revert while frozen", async function () {
+      await setPrice("1800");
+      await priceAggregator.updatePrice("ETH-USD");
+
+      await expect(priceAggregator.getMedianPrice("ETH-USD")).to.be.revertedWith("Pair frozen");
+      await expect(priceAggregator.getWeightedPrice("ETH-USD")).to.be.revertedWith("Pair frozen");
+      await expect(priceAggregator.getAggregatedPrice("ETH-USD")).to.be.revertedWith("Pair frozen");
+      await expect(priceAggregator.getPriceWithQuality("ETH-USD")).to.be.revertedWith("Pair frozen");
+      await expect(priceAggregator.getAggregatedTWAP("ETH-USD", 1)).to.be.revertedWith("Pair frozen");
+      await expect(priceAggregator.updatePrice("ETH-USD")).to.be.revertedWith("Pair frozen");
+    });
+
+    it("Should return the last good price with a flag while frozen", async function () {
+      const [last] = await priceAggregator.getHistory("ETH-USD", 1);
+      await setPrice("1800");
+      await priceAggregator.updatePrice("ETH-USD");
+
+      const [price, timestamp, frozen] = await priceAggregator.getSafePrice("ETH-USD");
+      expect(price).to.equal(usd("3000"));
+      expect(timestamp).to.equal(last.timestamp);
+      expect(frozen).to.be.true;
+    });
+
+    it("Should hold back a live price that moved too far before the next update", async function () {
+      // Only the API3 source spikes, the weighted price moves 25% and the median with it
+      await api3Feed.setLatestPrice(usd("4500"));
+
+      await expect(priceAggregator.getWeightedPrice("ETH-USD")).to.be.revertedWith("Circuit breaker tripped");
+      await expect(priceAggregator.getMedianPrice("ETH-USD")).to.be.revertedWith("Circuit breaker tripped");
+      const [price, , frozen] = await priceAggregator.getSafePrice("ETH-USD");
+      expect([price, frozen]).to.deep.equal([usd("3000"), true]);
+    });
+
+    it("Should let moves within the limit through", async function () {
+      await setPrice("3250"); // +8.3%
+      await priceAggregator.updatePrice("ETH-USD");
+
+      expect(await priceAggregator.isFrozen("ETH-USD")).to.be.false;
+      expect(await priceAggregator.getWeightedPrice("ETH-USD")).to.equal(usd("3250"));
+      const [price, , frozen] = await priceAggregator.getSafePrice("ETH-USD");
+      expect([price, frozen]).to.deep.equal([usd("3250"), false]);
+    });
+
+    it("Should not compare against snapshots older than the window", async function () {
+      await increaseTime(3601);
+      await setPrice("1800");
+
+      await priceAggregator.updatePrice("ETH-USD");
+      expect(await priceAggregator.isFrozen("ETH-USD")).to.be.false;
+      expect(await priceAggregator.getWeightedPrice("ETH-USD")).to.equal(usd("1800"));
+    });
+
+    it("Should do nothing when disabled", async function () {
+      await priceAggregator.setCircuitBreaker("ETH-USD", 0, 0, 0);
+      await setPrice("1800");
+
+      await priceAggregator.updatePrice("ETH-USD");
+      expect(await priceAggregator.isFrozen("ETH-USD")).to.be.false;
+    });
+  });
+
+  describe("Resuming", function () {
+    beforeEach(async function () {
+      await setPrice("1800");
+      await priceAggregator.updatePrice("ETH-USD");
+    });
+
+    it("Should let the admin resume the pair at the current price", async function () {
+      await expect(priceAggregator.connect(guardian).resumePair("ETH-USD")).to.be.revertedWith("AccessControl: missing role");
+
+      await expect(priceAggregator.resumePair("ETH-USD"))
+        .to.emit(priceAggregator, "PairResumed")
+        .withArgs("ETH-USD", owner.address)
+        .and.to.emit(priceAggregator, "PriceUpdated")
+        .withArgs("ETH-USD", usd("1800"), usd("1800"));
+
+      expect(await priceAggregator.isFrozen("ETH-USD")).to.be.false;
+      // The crash price is the new reference
+      expect(await priceAggregator.getWeightedPrice("ETH-USD")).to.equal(usd("1800"));
+      await expect(priceAggregator.resumePair("ETH-USD")).to.be.revertedWith("Pair not frozen");
+    });
+
+    it("Should resume on the first update after the cooldown", async function () {
+      await priceAggregator.setCircuitBreaker("ETH-USD", 1000, 3600, 1800);
+      await expect(priceAggregator.updatePrice("ETH-USD")).to.be.revertedWith("Pair frozen");
+
+      await increaseTime(1800);
+      expect(await priceAggregator.isFrozen("ETH-USD")).to.be.false;
+
+      await setPrice("1700");
+      await expect(priceAggregator.updatePrice("ETH-USD"))
+        .to.emit(priceAggregator, "PairResumed")
+        .withArgs("ETH-USD", owner.address);
+      expect(await priceAggregator.frozenAt("ETH-USD")).to.equal(0n);
+      expect((await priceAggregator.getHistory("ETH-USD", 1))[0].weightedPrice).to.equal(usd("1700"));
+    });
+  });
+
+  describe("Manual freeze", function () {
+    it("Should let a guardian freeze a pair", async function () {
+      await expect(priceAggregator.connect(other).freezePair("ETH-USD")).to.be.revertedWith("AccessControl: missing role");
+
+      await expect(priceAggregator.connect(guardian).freezePair("ETH-USD"))
+        .to.emit(priceAggregator, "PairFrozen")
+        .withArgs("ETH-USD", guardian.address);
+      await expect(priceAggregator.getWeightedPrice("ETH-USD")).to.be.revertedWith("Pair frozen");
+
+      await expect(priceAggregator.freezePair("ETH-USD")).to.be.revertedWith("Pair already frozen");
+      await expect(priceAggregator.freezePair("BTC-USD")).to.be.revertedWith("Asset pair does not exist");
+    });
+  });
+});
@@ -0,0 +1,181 @@
+const { expect } = require("chai");
+const fs = require("fs");
+const http = require("http");
+const os = require("os");
+const path = require("path");
+const hre = require("hardhat");
+const { ethers } = hre;
+const { DeploymentManifest } = require("../scripts/deploymentManifest");
+const { EtherscanVerifier, verifyManifest } = require("../scripts/contractVerifier");
+
+/**
+ * Local stand-in for the Etherscan verification API: accepts a submission when
+ * its constructor arguments match the tail of the contract's creation data
+ */
+function startExplorer(creationData) {
+  const explorer = { verified: new Set(), submissions: [], rejected: new Set(), polls: 0 };
+  const jobs = {};
+
+  explorer.server = http.createServer(async (req, res) => {
+    let body = "";
+    for await (const chunk of req) body += chunk;
+    const url = new URL(req.url, "http://localhost");
+    const params = Object.fromEntries([...url.searchParams, ...new URLSearchParams(body)]);
+    const reply = (status, result) => res.end(JSON.stringify({ status, message: status === "1" ? "OK" : "NOTOK", result }));
+
+    if (params.action === "getsourcecode") {
+      const verified = explorer.verified.has(params.address.toLowerCase());
+      return reply("1", [{ SourceCode: verified ? "contract ..." : "" }]);
+    }
+
+    if (params.action === "verifysourcecode") {
+      const address = params.contractaddress.toLowerCase();
+      explorer.submissions.push(params);
+      if (explorer.verified.has(address)) return reply("0", "Contract source code already verified");
+
+      const guid = `guid-${explorer.submissions.length}`;
+      const matches = !explorer.rejected.has(address) &&
+        creationData[address].endsWith(params.constructorArguements);
+      jobs[guid] = { address, matches };
+      return reply("1", guid);
+    }
+
+    if (params.action === "checkverifystatus") {
+      const job = jobs[params.guid];
+      // Every job is pending on its first check
+      if (!job.checked) {
+        job.checked = true;
+        return reply("0", "Pending in queue");
+      }
+      if (!job.matches) return reply("0", "Fail - Unable to verify");
+      explorer.verified.add(job.address);
+      return reply("1", "Pass - Verified");
+    }
+
+    reply("0", `Unknown action ${params.action}`);
+  });
+
+  return new Promise((resolve) => {
+    explorer.server.listen(0, "127.0.0.1", () => {
+      explorer.url = `http://127.0.0.1:${explorer.server.address().port}/api`;
+      resolve(explorer);
+    });
+  });
+}
+
+describe("Contract verification", function () {
+  this.timeout(60000);
+
+  const quietLogger = { log: () => {} };
+
+  let dir;
+  let manifest;
+  let explorer;
+  let verifier;
+
+  beforeEach(async function () {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), "deployments-"));
+    manifest = await DeploymentManifest.forNetwork(hre, { dir });
+
+    const originalLog = console.log;
+    console.log = () => {};
+    try {
+      const oracleLib = await manifest.deploy("OracleLib", "OracleLib");
+      const twapCalculator = await manifest.deploy("TWAPCalculator", "TWAPCalculator");
+      const chainlink = await manifest.deploy("ChainlinkMock_ETH_USD", "ChainlinkMock", [
+        ethers.parseUnits("3000", 8),
+        "ETH / USD",
+        8
+      ]);
+      await manifest.deploy("PriceAggregator", "PriceAggregator", [
+        [
+          {
+            oracle: await chainlink.getAddress(),
+            oracleType: 0,
+            weight: ethers.parseUnits("3", 18),
+            heartbeatSeconds: 3600,
+            description: "Chainlink ETH/USD",
+            decimals: 8
+          }
+        ],
+        await oracleLib.getAddress(),
+        await twapCalculator.getAddress()
+      ]);
+    } finally {
+      console.log = originalLog;
+    }
+
+    const creationData = {};
+    for (const entry of Object.values(manifest.data.contracts)) {
+      creationData[entry.address.toLowerCase()] = (await ethers.provider.getTransaction(entry.txHash)).data;
+    }
+    explorer = await startExplorer(creationData);
+
+    const { chainId } = await ethers.provider.getNetwork();
+    verifier = new EtherscanVerifier({ apiKey: "test", apiUrl: explorer.url, chainId, pollIntervalMs: 0 });
+  });
+
+  afterEach(async function () {
+    await new Promise((resolve) => explorer.server.close(resolve));
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  it("Should verify every manifest contract with its recorded constructor arguments", async function () {
+    const results = await verifyManifest(hre, manifest, verifier, { logger: quietLogger });
+
+    expect(results.map(r => [r.name, r.status])).to.deep.equal([
+      ["OracleLib", "verified"],
+      ["TWAPCalculator", "verified"],
+      ["ChainlinkMock_ETH_USD", "verified"],
+      ["PriceAggregator", "verified"]
+    ]);
+
+    const aggregatorSubmission = explorer.submissions.find(s => s.contractname.endsWith(":PriceAggregator"));
+    expect(aggregatorSubmission.contractname).to.equal("contracts/priceAggregator.sol:PriceAggregator");
+    expect(aggregatorSubmission.codeformat).to.equal("solidity-standard-json-input");
+    expect(aggregatorSubmission.compilerversion).to.match(/^v0\.8\.20/);
+    expect(aggregatorSubmission.chainid).to.equal("31337");
+    expect(JSON.parse(aggregatorSubmission.sourceCode).settings.optimizer).to.deep.equal({ enabled: true, runs: 200 });
+  });
+
+  it("Should tolerate contracts that are already verified", async function () {
+    explorer.verified.add(manifest.address("OracleLib").toLowerCase());
+    await verifyManifest(hre, manifest, verifier, { names: ["ChainlinkMock_ETH_USD"], logger: quietLogger });
+
+    const results = await verifyManifest(hre, manifest, verifier, { logger: quietLogger });
+    expect(results.map(r => r.status)).to.deep.equal(["already-verified", "verified", "already-verified", "verified"]);
+    // Nothing is resubmitted once the explorer reports it as verified
+    expect(explorer.submissions).to.have.length(3);
+  });
+
+  it("Should treat an 'already verified' submission as success", async function () {
+    const entry = manifest.get("OracleLib");
+    // The explorer verified it in the meantime (e.g. a similar-match from another deployment)
+    verifier.isVerified = async () => false;
+    explorer.verified.add(entry.address.toLowerCase());
+
+    const [result] = await verifyManifest(hre, manifest, verifier, { names: ["OracleLib"], logger: quietLogger });
+    expect(result.status).to.equal("already-verified");
+  });
+
+  it("Should keep going when a contract fails to verify", async function () {
+    explorer.rejected.add(manifest.address("TWAPCalculator").toLowerCase());
+
+    const results = await verifyManifest(hre, manifest, verifier, {
+      names: ["TWAPCalculator", "OracleLib", "Missing"],
+      logger: quietLogger
+    });
+
+    expect(results.map(r => r.status)).to.deep.equal(["failed", "verified", "failed"]);
+    expect(results[0].error).to.equal("Fail - Unable to verify");
+    expect(results[2].error).to.equal("not in the deployment manifest");
+  });
+
+  it("Should skip contracts whose sources changed since deployment", async function () {
+    manifest.get("OracleLib").bytecodeHash = ethers.id("older build");
+
+    const [result] = await verifyManifest(hre, manifest, verifier, { names: ["OracleLib"], logger: quietLogger });
+    expect(result.status).to.equal("skipped");
+    expect(explorer.submissions).to.be.empty;
+  });
+});
@@ -0,0 +1,119 @@
+const { expect } = require("chai");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const hre = require("hardhat");
+const { ethers } = hre;
+const { DeploymentManifest, serializeArgs } = require("../scripts/deploymentManifest");
+
+describe("DeploymentManifest", function () {
+  this.timeout(60000);
+
+  let dir;
+  let chainId;
+  let originalLog;
+
+  beforeEach(async function () {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), "deployments-"));
+    ({ chainId } = await ethers.provider.getNetwork());
+
+    // deploy() logs skipped contracts
+    originalLog = console.log;
+    console.log = () => {};
+  });
+
+  afterEach(function () {
+    console.log = originalLog;
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  it("Should record deployments keyed by the actual chainId", async function () {
+    const manifest = await DeploymentManifest.forNetwork(hre, { dir });
+    const mock = await manifest.deploy("ChainlinkMock_ETH_USD", "ChainlinkMock", [
+      ethers.parseUnits("3000", 8),
+      "ETH / USD",
+      8
+    ]);
+
+    const filePath = path.join(dir, `${chainId}.json`);
+    expect(manifest.path).to.equal(filePath);
+
+    const saved = JSON.parse(fs.readFileSync(filePath, "utf8"));
+    expect(saved.chainId).to.equal(Number(chainId));
+    expect(saved.network).to.equal("hardhat");
+
+    const entry = saved.contracts.ChainlinkMock_ETH_USD;
+    const receipt = await mock.deploymentTransaction().wait();
+    expect(entry.contract).to.equal("ChainlinkMock");
+    expect(entry.sourceName).to.equal("contracts/mocks/ChainLinkMock.sol");
+    expect(entry.address).to.equal(await mock.getAddress());
+    expect(entry.constructorArgs).to.deep.equal(["300000000000", "ETH / USD", 8]);
+    expect(entry.txHash).to.equal(receipt.hash);
+    expect(entry.blockNumber).to.equal(receipt.blockNumber);
+    expect(entry.deployer).to.equal((await ethers.getSigners())[0].address);
+    expect(entry.compiler.version).to.equal("0.8.20");
+    expect(entry.compiler.optimizer).to.deep.equal({ enabled: true, runs: 200 });
+    expect(entry.compiler.viaIR).to.be.true;
+  });
+
+  it("Should skip contracts that are already deployed with the same arguments", async function () {
+    const first = await DeploymentManifest.forNetwork(hre, { dir });
+    const oracleLib = await first.deploy("OracleLib", "OracleLib");
+    const blockBefore = await ethers.provider.getBlockNumber();
+
+    // A fresh load, as a re-run of the deploy script would do
+    const resumed = await DeploymentManifest.forNetwork(hre, { dir });
+    const reused = await resumed.deploy("OracleLib", "OracleLib");
+
+    expect(await reused.getAddress()).to.equal(await oracleLib.getAddress());
+    expect(await ethers.provider.getBlockNumber()).to.equal(blockBefore);
+  });
+
+  it("Should redeploy when the constructor arguments change", async function () {
+    const manifest = await DeploymentManifest.forNetwork(hre, { dir });
+    const first = await manifest.deploy("API3Mock", "API3Mock", [ethers.parseUnits("3000", 18)]);
+    const second = await manifest.deploy("API3Mock", "API3Mock", [ethers.parseUnits("3100", 18)]);
+
+    expect(await second.getAddress()).to.not.equal(await first.getAddress());
+    expect(manifest.address("API3Mock")).to.equal(await second.getAddress());
+  });
+
+  it("Should redeploy when the recorded address has no code", async function () {
+    const manifest = await DeploymentManifest.forNetwork(hre, { dir });
+    await manifest.deploy("OracleLib", "OracleLib");
+
+    // Simulates a manifest left behind by a restarted local node
+    const stale = ethers.Wallet.createRandom().address;
+    manifest.get("OracleLib").address = stale;
+    manifest.save();
+
+    const redeployed = await (await DeploymentManifest.forNetwork(hre, { dir })).deploy("OracleLib", "OracleLib");
+    expect(await redeployed.getAddress()).to.not.equal(stale);
+  });
+
+  it("Should look up addresses and external contracts", async function () {
+    const manifest = await DeploymentManifest.forNetwork(hre, { dir });
+    const twapCalculator = await manifest.deploy("TWAPCalculator", "TWAPCalculator");
+    manifest.setExternal("Chainlink_ETH_USD", "0x694AA1769357215DE4FAC081bf1f309aDC325306");
+    manifest.setSupportedPairs(["ETH-USD"]);
+    manifest.save();
+
+    const loaded = DeploymentManifest.load(chainId, { dir });
+    expect(loaded.exists()).to.be.true;
+    expect(loaded.network).to.equal("hardhat");
+    expect(loaded.addresses()).to.deep.equal({ TWAPCalculator: await twapCalculator.getAddress() });
+    expect(loaded.external("Chainlink_ETH_USD")).to.equal("0x694AA1769357215DE4FAC081bf1f309aDC325306");
+    expect(loaded.data.supportedPairs).to.deep.equal(["ETH-USD"]);
+    expect(() => loaded.address("PriceAggregator")).to.throw(/not in the deployment manifest/);
+
+    expect(DeploymentManifest.load(1, { dir }).exists()).to.be.false;
+  });
+
+  it("Should serialize struct and bigint constructor arguments", function () {
+    const sources = [{ oracle: ethers.ZeroAddress, oracleType: 0, weight: ethers.parseUnits("3", 18) }];
+    expect(serializeArgs([sources, 5n])).to.deep.equal([
+      [{ oracle: ethers.ZeroAddress, oracleType: 0, weight: "3000000000000000000" }],
+      "5"
+    ]);
+  });
+});
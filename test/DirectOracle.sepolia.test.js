@@ -1,8 +1,9 @@
 const { expect } = require("chai");
 const { ethers } = require("hardhat");
+const { describeSepolia } = require("./sepolia");
 const addresses = require("../scripts/addresses");
 
-describe("Direct Oracle Tests - Real Sepolia Data", function () {
+describeSepolia("Direct Oracle Tests - Real Sepolia Data", function () {
   this.timeout(300000); // 5 minutes
   
   let owner;
@@ -0,0 +1,94 @@
+const { ethers } = require("hardhat");
+const { describeOracleAdapter } = require("./adapterConformance");
+
+const HEARTBEAT = 3600;
+
+// Default pair the UniswapV3GraphAdapter under test serves through latestPriceData
+const WETH = "0xC02aaA39b223FE8D0A0e5C4F27eAD9083C756Cc2";
+const USDC = "0xA0b86991c6218b36c1d19D4a2e9Eb0cE3606eB48";
+
+const PYTH_ETH_USD = "0xff61491a931112ddf1bd8147cd1b641375f79f5825126d665480874634fd0ace";
+
+async function increaseTime(seconds) {
+  await ethers.provider.send("evm_increaseTime", [seconds]);
+  await ethers.provider.send("evm_mine", []);
+}
+
+describe("Oracle adapters", function () {
+  describeOracleAdapter("ChainlinkAdapter", {
+    decimals: 8,
+    deploy: async () => {
+      const ChainlinkMock = await ethers.getContractFactory("ChainlinkMock");
+      const feed = await ChainlinkMock.deploy(ethers.parseUnits("2900", 8), "ETH / USD", 8);
+      const ChainlinkAdapter = await ethers.getContractFactory("ChainlinkAdapter");
+      const adapter = await ChainlinkAdapter.deploy(await feed.getAddress(), "ETH", "USD", HEARTBEAT);
+      return { adapter, feed };
+    },
+    setPrice: ({ feed }, price) => feed.setAnswer(price),
+    makeStale: () => increaseTime(HEARTBEAT + 1)
+  });
+
+  describeOracleAdapter("API3Adapter", {
+    decimals: 18,
+    deploy: async () => {
+      const API3Mock = await ethers.getContractFactory("API3Mock");
+      const feed = await API3Mock.deploy(ethers.parseUnits("2900", 18));
+      const API3Adapter = await ethers.getContractFactory("API3Adapter");
+      const adapter = await API3Adapter.deploy(await feed.getAddress(), "ETH", "USD", HEARTBEAT, 18);
+      return { adapter, feed };
+    },
+    setPrice: ({ feed }, price) => feed.setLatestPrice(price),
+    makeStale: () => increaseTime(HEARTBEAT + 1)
+  });
+
+  describeOracleAdapter("TellorAdapter", {
+    decimals: 18,
+    deploy: async () => {
+      const TellorMock = await ethers.getContractFactory("TellorMock");
+      const tellor = await TellorMock.deploy(ethers.parseUnits("2900", 18));
+      const TellorAdapter = await ethers.getContractFactory("TellorAdapter");
+      const adapter = await TellorAdapter.deploy(await tellor.getAddress(), "eth", "usd");
+      return { adapter, tellor };
+    },
+    setPrice: ({ tellor }, price) => tellor.setValue(price),
+    dispute: async ({ adapter, tellor }) => {
+      await tellor.setDisputed(await adapter.queryId(), await adapter.getLastUpdateTimestamp(), true);
+    }
+  });
+
+  describeOracleAdapter("UniswapV3GraphAdapter", {
+    decimals: 18,
+    deploy: async () => {
+      const UniswapV3GraphAdapter = await ethers.getContractFactory("UniswapV3GraphAdapter");
+      return { adapter: await UniswapV3GraphAdapter.deploy(WETH, USDC, 3000) };
+    },
+    setPrice: ({ adapter }, price) => adapter.updatePrice(WETH, USDC, 3000, price, "ETH-USDC", 0),
+    makeStale: () => increaseTime(HEARTBEAT)
+  });
+
+  describeOracleAdapter("PythAdapter", {
+    decimals: 18,
+    deploy: async () => {
+      const PythMock = await ethers.getContractFactory("PythMock");
+      const pyth = await PythMock.deploy(1);
+      const PythAdapter = await ethers.getContractFactory("PythAdapter");
+      const adapter = await PythAdapter.deploy(await pyth.getAddress(), PYTH_ETH_USD, "ETH", "USD", HEARTBEAT, 100);
+      return { adapter, pyth };
+    },
+    // Pyth publishes ETH/USD with an exponent of -8
+    setPrice: ({ pyth }, price) => pyth.setPrice(PYTH_ETH_USD, price / 10n ** 10n, 0, -8, 0),
+    makeStale: () => increaseTime(HEARTBEAT + 1)
+  });
+
+  describeOracleAdapter("TellorMock", {
+    decimals: 18,
+    deploy: async () => {
+      const TellorMock = await ethers.getContractFactory("TellorMock");
+      return { adapter: await TellorMock.deploy(ethers.parseUnits("2900", 18)) };
+    },
+    setPrice: ({ adapter }, price) => adapter.setValue(price),
+    dispute: async ({ adapter }) => {
+      await adapter.setDisputed(await adapter.activeQueryId(), await adapter.getLastUpdateTimestamp(), true);
+    }
+  });
+});
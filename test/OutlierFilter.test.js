@@ -0,0 +1,170 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const { loadFixture } = require("@nomicfoundation/hardhat-network-helpers");
+const { usd, setPrices, deployChainlinkAggregator } = require("./aggregatorFixture");
+
+// Matches OracleLib.OutlierFilter
+const FILTER = { None: 0, Percentage: 1, MedianAbsoluteDeviation: 2 };
+
+// Five Chainlink feeds for ETH-USD; the last two carry most of the weight
+const FEEDS = [
+  { answer: "3000", weight: "1" },
+  { answer: "3010", weight: "1" },
+  { answer: "2990", weight: "1" },
+  { answer: "3020", weight: "3" },
+  { answer: "2980", weight: "3" }
+];
+
+async function deployOutlierFixture() {
+  const fixture = await deployChainlinkAggregator(FEEDS.map((feed) => feed.weight));
+  await setPrices(fixture.feeds, ...FEEDS.map((feed) => feed.answer));
+  return fixture;
+}
+
+describe("Outlier filter", function () {
+  this.timeout(60000);
+
+  let other;
+  let oracleLib, priceAggregator;
+  let feeds, sources;
+
+  beforeEach(async function () {
+    [, other] = await ethers.getSigners();
+    ({ oracleLib, priceAggregator, feeds, sources } = await loadFixture(deployOutlierFixture));
+  });
+
+  describe("Configuration", function () {
+    it("Should leave every pair unfiltered by default", async function () {
+      const [filter, threshold] = await priceAggregator.outlierFilters("ETH-USD");
+      expect(filter).to.equal(FILTER.None);
+      expect(threshold).to.equal(0n);
+    });
+
+    it("Should set the filter of a pair", async function () {
+      await expect(priceAggregator.setOutlierFilter("ETH-USD", FILTER.Percentage, 500))
+        .to.emit(priceAggregator, "OutlierFilterUpdated")
+        .withArgs("ETH-USD", FILTER.Percentage, 500);
+
+      const [filter, threshold] = await priceAggregator.outlierFilters("ETH-USD");
+      expect(filter).to.equal(FILTER.Percentage);
+      expect(threshold).to.equal(500n);
+    });
+
+    it("Should validate the filter settings", async function () {
+      await expect(priceAggregator.setOutlierFilter("BTC-USD", FILTER.Percentage, 500))
+        .to.be.revertedWith("Asset pair does not exist");
+      await expect(priceAggregator.setOutlierFilter("ETH-USD", FILTER.MedianAbsoluteDeviation, 0))
+        .to.be.revertedWith("Threshold must be positive");
+      await expect(priceAggregator.connect(other).setOutlierFilter("ETH-USD", FILTER.Percentage, 500))
+        .to.be.revertedWith("AccessControl: missing role");
+
+      // Disabling needs no threshold
+      await priceAggregator.setOutlierFilter("ETH-USD", FILTER.None, 0);
+    });
+  });
+
+  describe("Percentage filter", function () {
+    beforeEach(async function () {
+      await priceAggregator.setOutlierFilter("ETH-USD", FILTER.Percentage, 500); // 5%
+    });
+
+    it("Should keep a heavy outlier out of the weighted price", async function () {
+      await setPrices(feeds, "3000", "3010", "2990", "3020", "9000");
+
+      // Without the filter the outlier (weight 3 of 9) drags the average to 5006.67
+      await priceAggregator.setOutlierFilter("ETH-USD", FILTER.None, 0);
+      expect(await priceAggregator.getWeightedPrice("ETH-USD")).to.be.gt(usd("5000"));
+
+      await priceAggregator.setOutlierFilter("ETH-USD", FILTER.Percentage, 500);
+      // (3000 + 3010 + 2990 + 3 * 3020) / 6
+      expect(await priceAggregator.getWeightedPrice("ETH-USD")).to.equal(usd("3010"));
+    });
+
+    it("Should drop several simultaneous outliers on both sides of the median", async function () {
+      await setPrices(feeds, "3000", "3010", "2990", "9000", "100");
+
+      // Only the three agreeing sources remain
+      expect(await priceAggregator.getWeightedPrice("ETH-USD")).to.equal(usd("3000"));
+
+      const [oracles, prices, excluded] = await priceAggregator.getOutlierStatus("ETH-USD");
+      expect(oracles).to.deep.equal(sources.map((s) => s.oracle));
+      expect(prices[3]).to.equal(usd("9000"));
+      expect(excluded).to.deep.equal([false, false, false, true, true]);
+    });
+
+    it("Should keep prices within the threshold", async function () {
+      // 2900 is 3.3% below the 3000 median
+      await setPrices(feeds, "3000", "3010", "2990", "3020", "2900");
+
+      const [, , excluded] = await priceAggregator.getOutlierStatus("ETH-USD");
+      expect(excluded).to.deep.equal([false, false, false, false, false]);
+    });
+
+    it("Should leave the median price unfiltered", async function () {
+      await setPrices(feeds, "3000", "3010", "2990", "9000", "100");
+      expect(await priceAggregator.getMedianPrice("ETH-USD")).to.equal(usd("3000"));
+    });
+
+    it("Should fail when too few sources survive the filter", async function () {
+      await priceAggregator.setMinOracleResponses(4);
+      await setPrices(feeds, "3000", "3010", "2990", "9000", "100");
+
+      await expect(priceAggregator.getWeightedPrice("ETH-USD")).to.be.revertedWith("Insufficient valid sources");
+    });
+
+    it("Should not filter fewer than three usable prices", async function () {
+      await priceAggregator.setPairSourceEnabled("ETH-USD", sources[0].oracle, false);
+      await priceAggregator.setPairSourceEnabled("ETH-USD", sources[1].oracle, false);
+      await priceAggregator.setPairSourceEnabled("ETH-USD", sources[2].oracle, false);
+      await setPrices(feeds, "3000", "3010", "2990", "3000", "6000");
+
+      // Either of the two could be the outlier, so both are kept
+      const [oracles, , excluded] = await priceAggregator.getOutlierStatus("ETH-USD");
+      expect(oracles).to.have.length(2);
+      expect(excluded).to.deep.equal([false, false]);
+      expect(await priceAggregator.getWeightedPrice("ETH-USD")).to.equal(usd("4500"));
+    });
+  });
+
+  describe("Median absolute deviation filter", function () {
+    beforeEach(async function () {
+      await priceAggregator.setOutlierFilter("ETH-USD", FILTER.MedianAbsoluteDeviation, 30000); // 3 * MAD
+    });
+
+    it("Should drop prices more than k * MAD from the median", async function () {
+      // Median 3000, deviations 0, 10, 10, 200, 400: MAD 10, so anything over 30 away is dropped
+      await setPrices(feeds, "3000", "3010", "2990", "3200", "2600");
+
+      const [, , excluded] = await priceAggregator.getOutlierStatus("ETH-USD");
+      expect(excluded).to.deep.equal([false, false, false, true, true]);
+      expect(await priceAggregator.getWeightedPrice("ETH-USD")).to.equal(usd("3000"));
+    });
+
+    it("Should scale with the spread of the honest sources", async function () {
+      // Median 3000, deviations 0, 60, 60, 150, 120: MAD 60 allows up to 180
+      await setPrices(feeds, "3000", "3060", "2940", "3150", "2880");
+
+      const [, , excluded] = await priceAggregator.getOutlierStatus("ETH-USD");
+      expect(excluded).to.deep.equal([false, false, false, false, false]);
+    });
+  });
+
+  describe("OracleLib.findOutliers", function () {
+    it("Should return flags in input order without reordering the values", async function () {
+      const values = [usd("9000"), usd("3000"), usd("100"), usd("3010"), usd("2990")];
+      expect(await oracleLib.findOutliers(values, FILTER.Percentage, 500))
+        .to.deep.equal([true, false, true, false, false]);
+    });
+
+    it("Should flag every value off the median when the MAD is zero", async function () {
+      const values = [usd("3000"), usd("3000"), usd("3000"), usd("3001")];
+      expect(await oracleLib.findOutliers(values, FILTER.MedianAbsoluteDeviation, 30000))
+        .to.deep.equal([false, false, false, true]);
+    });
+
+    it("Should flag nothing without a filter", async function () {
+      const values = [usd("3000"), usd("9000"), usd("100")];
+      expect(await oracleLib.findOutliers(values, FILTER.None, 0)).to.deep.equal([false, false, false]);
+    });
+  });
+});
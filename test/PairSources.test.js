@@ -0,0 +1,268 @@
+const { expect } = require("chai");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const hre = require("hardhat");
+const { ethers } = hre;
+const { DeploymentManifest } = require("../scripts/deploymentManifest");
+const { migrateAggregator } = require("../scripts/migrateAggregator");
+const { deployChainlinkFeed } = require("./aggregatorFixture");
+
+describe("PriceAggregator per-pair sources", function () {
+  this.timeout(60000);
+
+  let owner, stranger;
+  let oracleLib, twapCalculator;
+  let chainlinkEthUsd, backupEthUsd, tellorEthUsd;
+  let CHAINLINK, BACKUP, TELLOR;
+  let priceAggregator;
+
+  function source(oracle, oracleType, weight, description, decimals = 18) {
+    return {
+      oracle,
+      oracleType,
+      weight: ethers.parseUnits(weight, 18),
+      heartbeatSeconds: 3600,
+      description,
+      decimals
+    };
+  }
+
+  beforeEach(async function () {
+    [owner, stranger] = await ethers.getSigners();
+
+    const OracleLib = await ethers.getContractFactory("OracleLib");
+    oracleLib = await OracleLib.deploy();
+    const TWAPCalculator = await ethers.getContractFactory("TWAPCalculator");
+    twapCalculator = await TWAPCalculator.deploy();
+
+    ({ adapter: chainlinkEthUsd } = await deployChainlinkFeed("3000"));
+    ({ adapter: backupEthUsd } = await deployChainlinkFeed("3100"));
+    const TellorMock = await ethers.getContractFactory("TellorMock");
+    tellorEthUsd = await TellorMock.deploy(ethers.parseUnits("3200", 18));
+
+    CHAINLINK = await chainlinkEthUsd.getAddress();
+    BACKUP = await backupEthUsd.getAddress();
+    TELLOR = await tellorEthUsd.getAddress();
+
+    const PriceAggregator = await ethers.getContractFactory("PriceAggregator");
+    priceAggregator = await PriceAggregator.deploy(
+      [
+        source(CHAINLINK, 0, "1", "Chainlink ETH/USD", 8),
+        source(BACKUP, 0, "1", "Chainlink ETH/USD backup", 8),
+        source(TELLOR, 2, "1", "Tellor ETH/USD")
+      ],
+      await oracleLib.getAddress(),
+      await twapCalculator.getAddress()
+    );
+
+    // Two views of the same market sharing every oracle
+    await priceAggregator.addAssetPair("ETH-USD", "ETH", "USD", [CHAINLINK, BACKUP, TELLOR]);
+    await priceAggregator.addAssetPair("ETH-USD-FAST", "ETH", "USD", [CHAINLINK, BACKUP, TELLOR]);
+  });
+
+  describe("Pair settings", function () {
+    it("Should start every pair source with the defaults of its registry entry", async function () {
+      const pairSources = await priceAggregator.getPairSources("ETH-USD");
+
+      expect(pairSources.map(s => s.oracle)).to.deep.equal([CHAINLINK, BACKUP, TELLOR]);
+      expect(pairSources[0].weight).to.equal(ethers.parseUnits("1", 18));
+      expect(pairSources[0].heartbeatSeconds).to.equal(3600);
+      expect(pairSources[0].decimals).to.equal(8);
+      expect(pairSources.every(s => s.enabled)).to.be.true;
+    });
+
+    it("Should weight a shared oracle differently in each pair", async function () {
+      await expect(priceAggregator.updatePairSource("ETH-USD-FAST", TELLOR, ethers.parseUnits("2", 18), 600, 18))
+        .to.emit(priceAggregator, "PairSourceUpdated")
+        .withArgs("ETH-USD-FAST", TELLOR, ethers.parseUnits("2", 18), 600, 18, true);
+
+      // (3000 + 3100 + 3200) / 3 and (3000 + 3100 + 2 * 3200) / 4
+      expect(await priceAggregator.getWeightedPrice("ETH-USD")).to.equal(ethers.parseUnits("3100", 18));
+      expect(await priceAggregator.getWeightedPrice("ETH-USD-FAST")).to.equal(ethers.parseUnits("3125", 18));
+
+      const tellor = await priceAggregator.getPairOracleSource("ETH-USD-FAST", TELLOR);
+      expect(tellor.heartbeatSeconds).to.equal(600);
+      expect((await priceAggregator.getPairOracleSource("ETH-USD", TELLOR)).heartbeatSeconds).to.equal(3600);
+    });
+
+    it("Should leave disabled sources out of the aggregation but keep reporting them", async function () {
+      await priceAggregator.setPairSourceEnabled("ETH-USD", TELLOR, false);
+
+      expect(await priceAggregator.getWeightedPrice("ETH-USD")).to.equal(ethers.parseUnits("3050", 18));
+      expect(await priceAggregator.getMedianPrice("ETH-USD")).to.equal(ethers.parseUnits("3050", 18));
+      expect(await priceAggregator.getWeightedPrice("ETH-USD-FAST")).to.equal(ethers.parseUnits("3100", 18));
+
+      const [prices] = await priceAggregator.getAllPrices("ETH-USD");
+      expect(prices[2]).to.equal(ethers.parseUnits("3200", 18));
+
+      await priceAggregator.setPairSourceEnabled("ETH-USD", TELLOR, true);
+      expect(await priceAggregator.getWeightedPrice("ETH-USD")).to.equal(ethers.parseUnits("3100", 18));
+    });
+
+    it("Should add and remove sources of a single pair", async function () {
+      await priceAggregator.removePairSource("ETH-USD", BACKUP);
+      expect(await priceAggregator.getAssetPairSources("ETH-USD")).to.deep.equal([CHAINLINK, TELLOR]);
+      expect(await priceAggregator.getAssetPairSources("ETH-USD-FAST")).to.have.length(3);
+      expect((await priceAggregator.pairSourceConfigs("ETH-USD", BACKUP)).oracle).to.equal(ethers.ZeroAddress);
+
+      await expect(priceAggregator.addPairSource("ETH-USD", BACKUP, ethers.parseUnits("4", 18), 3600, 8))
+        .to.emit(priceAggregator, "PairSourceAdded")
+        .withArgs("ETH-USD", BACKUP, ethers.parseUnits("4", 18));
+      expect(await priceAggregator.getAssetPairSources("ETH-USD")).to.deep.equal([CHAINLINK, TELLOR, BACKUP]);
+      // (3000 + 3200 + 4 * 3100) / 6
+      expect(await priceAggregator.getWeightedPrice("ETH-USD")).to.equal(ethers.parseUnits("3100", 18));
+    });
+
+    it("Should read a Uniswap source with the pool of each pair, or its default pair without one", async function () {
+      const UniswapV3GraphAdapter = await ethers.getContractFactory("UniswapV3GraphAdapter");
+      const [weth, usdc, usdt] = [0, 1, 2].map(() => ethers.Wallet.createRandom().address);
+      const uniswapAdapter = await UniswapV3GraphAdapter.deploy(weth, usdc, 500);
+      await uniswapAdapter.updatePrice(weth, usdc, 500, ethers.parseUnits("3050", 18), "ETH-USDC", 0);
+      await uniswapAdapter.updatePrice(weth, usdt, 3000, ethers.parseUnits("2950", 18), "ETH-USDT", 0);
+      const src = source(await uniswapAdapter.getAddress(), 1, "1", "Uniswap ETH/USD");
+      await priceAggregator.addOracleSource(src);
+      await priceAggregator.addPairSource("ETH-USD", src.oracle, src.weight, 3600, 18);
+      await priceAggregator.addPairSource("ETH-USD-FAST", src.oracle, src.weight, 3600, 18);
+
+      await priceAggregator.setUniswapPool("ETH-USD-FAST", src.oracle, weth, usdt, 3000);
+
+      expect((await priceAggregator.readSource("ETH-USD", src))[0]).to.equal(ethers.parseUnits("3050", 18));
+      expect((await priceAggregator.readSource("ETH-USD-FAST", src))[0]).to.equal(ethers.parseUnits("2950", 18));
+    });
+
+    it("Should reject invalid pair source changes", async function () {
+      const ChainlinkMock = await ethers.getContractFactory("ChainlinkMock");
+      const unregistered = await ChainlinkMock.deploy(1, "X / USD", 8);
+
+      await expect(priceAggregator.addPairSource("ETH-USD", BACKUP, 1, 3600, 18))
+        .to.be.revertedWith("Oracle already in asset pair");
+      await expect(priceAggregator.addPairSource("ETH-USD", await unregistered.getAddress(), 1, 3600, 8))
+        .to.be.revertedWith("Oracle source not registered");
+      await expect(priceAggregator.addPairSource("BTC-USD", BACKUP, 1, 3600, 18))
+        .to.be.revertedWith("Asset pair does not exist");
+      await expect(priceAggregator.updatePairSource("ETH-USD", BACKUP, 0, 3600, 18))
+        .to.be.revertedWith("Weight must be positive");
+      await expect(priceAggregator.removePairSource("BTC-USD", BACKUP))
+        .to.be.revertedWith("Not a source of the asset pair");
+      await expect(priceAggregator.setPairSourceEnabled("ETH-USD", await unregistered.getAddress(), false))
+        .to.be.revertedWith("Not a source of the asset pair");
+      await expect(priceAggregator.connect(stranger).setPairSourceEnabled("ETH-USD", BACKUP, false))
+        .to.be.revertedWith("AccessControl: missing role");
+    });
+
+    it("Should reject duplicate pairs and registrations", async function () {
+      await expect(priceAggregator.addAssetPair("ETH-USD", "ETH", "USD", [CHAINLINK]))
+        .to.be.revertedWith("Asset pair already exists");
+      await expect(priceAggregator.addOracleSource(source(BACKUP, 0, "1", "Chainlink ETH/USD again", 8)))
+        .to.be.revertedWith("Oracle already registered");
+    });
+  });
+
+  describe("Registry changes", function () {
+    it("Should remove an oracle from every pair still referencing it", async function () {
+      const UniswapV3GraphAdapter = await ethers.getContractFactory("UniswapV3GraphAdapter");
+      const [tokenA, tokenB] = [ethers.Wallet.createRandom().address, ethers.Wallet.createRandom().address];
+      const uniswapAdapter = await UniswapV3GraphAdapter.deploy(tokenA, tokenB, 500);
+      const UNISWAP = await uniswapAdapter.getAddress();
+      await priceAggregator.addOracleSource(source(UNISWAP, 1, "1", "Uniswap ETH/USD"));
+      await priceAggregator.addPairSource("ETH-USD", UNISWAP, ethers.parseUnits("1", 18), 3600, 18);
+      await priceAggregator.setUniswapPool("ETH-USD", UNISWAP, tokenA, tokenB, 500);
+
+      await expect(priceAggregator.removeOracleSource(TELLOR))
+        .to.emit(priceAggregator, "PairSourceRemoved").withArgs("ETH-USD", TELLOR)
+        .and.to.emit(priceAggregator, "PairSourceRemoved").withArgs("ETH-USD-FAST", TELLOR)
+        .and.to.emit(priceAggregator, "OracleSourceRemoved").withArgs(TELLOR);
+      await priceAggregator.removeOracleSource(UNISWAP);
+
+      // Pair order is kept and nothing points at the removed oracles
+      expect(await priceAggregator.getAssetPairSources("ETH-USD")).to.deep.equal([CHAINLINK, BACKUP]);
+      expect(await priceAggregator.getAssetPairSources("ETH-USD-FAST")).to.deep.equal([CHAINLINK, BACKUP]);
+      expect((await priceAggregator.pairSourceConfigs("ETH-USD", TELLOR)).oracle).to.equal(ethers.ZeroAddress);
+      expect((await priceAggregator.uniswapPools("ETH-USD", UNISWAP)).fee).to.equal(0);
+      expect((await priceAggregator.getSources()).map(s => s.oracle)).to.deep.equal([CHAINLINK, BACKUP]);
+
+      // Every read path still works
+      expect(await priceAggregator.getMedianPrice("ETH-USD")).to.equal(ethers.parseUnits("3050", 18));
+      expect(await priceAggregator.getWeightedPrice("ETH-USD-FAST")).to.equal(ethers.parseUnits("3050", 18));
+      const [prices] = await priceAggregator.getAllPricesWithStatus("ETH-USD");
+      expect(prices).to.have.length(2);
+      const [hasDisputedData] = await priceAggregator.checkTellorDisputes("ETH-USD");
+      expect(hasDisputedData).to.be.false;
+    });
+
+    it("Should re-register a removed oracle without it rejoining any pair", async function () {
+      await priceAggregator.removeOracleSource(BACKUP);
+      await priceAggregator.addOracleSource(source(BACKUP, 0, "1", "Chainlink ETH/USD backup", 8));
+
+      expect(await priceAggregator.getAssetPairSources("ETH-USD")).to.deep.equal([CHAINLINK, TELLOR]);
+      await priceAggregator.addPairSource("ETH-USD", BACKUP, ethers.parseUnits("1", 18), 3600, 8);
+      expect(await priceAggregator.getMedianPrice("ETH-USD")).to.equal(ethers.parseUnits("3100", 18));
+    });
+
+    it("Should apply updateOracleWeight to the registry and every pair", async function () {
+      await priceAggregator.updatePairSource("ETH-USD-FAST", TELLOR, ethers.parseUnits("5", 18), 600, 18);
+      await priceAggregator.updateOracleWeight(TELLOR, ethers.parseUnits("2", 18));
+
+      expect((await priceAggregator.pairSourceConfigs("ETH-USD", TELLOR)).weight).to.equal(ethers.parseUnits("2", 18));
+      const fast = await priceAggregator.pairSourceConfigs("ETH-USD-FAST", TELLOR);
+      expect(fast.weight).to.equal(ethers.parseUnits("2", 18));
+      expect(fast.heartbeatSeconds).to.equal(600);
+    });
+
+    it("Should keep pair settings when the registry entry is replaced", async function () {
+      await priceAggregator.updatePairSource("ETH-USD", TELLOR, ethers.parseUnits("3", 18), 600, 18);
+      await priceAggregator.updateOracleSource({ ...source(TELLOR, 2, "7", "Tellor ETH/USD v2"), heartbeatSeconds: 60 });
+
+      const [registered] = (await priceAggregator.getSources()).filter(s => s.oracle === TELLOR);
+      expect(registered.description).to.equal("Tellor ETH/USD v2");
+      expect(registered.weight).to.equal(ethers.parseUnits("7", 18));
+
+      const tellor = await priceAggregator.getPairOracleSource("ETH-USD", TELLOR);
+      expect(tellor.description).to.equal("Tellor ETH/USD v2");
+      expect(tellor.weight).to.equal(ethers.parseUnits("3", 18));
+      expect(tellor.heartbeatSeconds).to.equal(600);
+    });
+  });
+
+  describe("Migration", function () {
+    let dir;
+
+    beforeEach(function () {
+      dir = fs.mkdtempSync(path.join(os.tmpdir(), "deployments-"));
+    });
+
+    afterEach(function () {
+      fs.rmSync(dir, { recursive: true, force: true });
+    });
+
+    it("Should move the configuration onto a new aggregator", async function () {
+      const from = await priceAggregator.getAddress();
+      await priceAggregator.updatePairSource("ETH-USD-FAST", TELLOR, ethers.parseUnits("2", 18), 600, 18);
+      await priceAggregator.setPairSourceEnabled("ETH-USD", BACKUP, false);
+      await priceAggregator.setAssetPairStatus("ETH-USD-FAST", false);
+      await priceAggregator.setStalenessThreshold(1800);
+
+      const manifest = await DeploymentManifest.forNetwork(hre, { dir });
+      const { address, prices } = await migrateAggregator(manifest, { from, logger: { log: () => {} } });
+
+      expect(address).to.not.equal(from);
+      expect(manifest.get("PriceAggregator").migratedFrom).to.equal(from);
+      expect(manifest.data.journal.every(e => e.status === "done")).to.be.true;
+
+      const migrated = await ethers.getContractAt("PriceAggregator", address);
+      expect(await migrated.hasRole(ethers.ZeroHash, owner.address)).to.be.true;
+      expect(await migrated.getSources()).to.deep.equal(await priceAggregator.getSources());
+      for (const symbol of ["ETH-USD", "ETH-USD-FAST"]) {
+        expect(await migrated.getPairSources(symbol)).to.deep.equal(await priceAggregator.getPairSources(symbol));
+        expect((await migrated.assetPairs(symbol)).active).to.equal((await priceAggregator.assetPairs(symbol)).active);
+      }
+      expect(await migrated.stalenessThreshold()).to.equal(1800);
+
+      // Only active pairs are priced
+      expect(prices).to.deep.equal([
+        { pair: "ETH-USD", before: ethers.parseUnits("3100", 18), after: ethers.parseUnits("3100", 18) }
+      ]);
+    });
+  });
+});
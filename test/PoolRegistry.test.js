@@ -0,0 +1,99 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const UniswapV3GraphClient = require("../scripts/UniswapV3GraphClient");
+const { CHAIN_IDS, POOLS, getPools, getPool, pairHash } = require("../scripts/poolRegistry");
+
+// Mainnet Uniswap V3 factory and pool init code hash, to derive a pool's address from its tokens
+const UNISWAP_V3_FACTORY = "0x1F98431c8aD98523631AE4a59f267346ea31F984";
+const POOL_INIT_CODE_HASH = "0xe34f199b19b2b4f47f68442619d555527d244f78a3297ea89325f843f87b8b54";
+
+function computePoolAddress(tokenA, tokenB, fee) {
+  const [token0, token1] = BigInt(tokenA) < BigInt(tokenB) ? [tokenA, tokenB] : [tokenB, tokenA];
+  const salt = ethers.keccak256(
+    ethers.AbiCoder.defaultAbiCoder().encode(["address", "address", "uint24"], [token0, token1, fee])
+  );
+  return ethers.getCreate2Address(UNISWAP_V3_FACTORY, salt, POOL_INIT_CODE_HASH);
+}
+
+describe("Uniswap pool registry", function () {
+  it("Should resolve token addresses per chain", function () {
+    const mainnet = getPool("ETH-USDC", CHAIN_IDS.mainnet);
+    const sepolia = getPool("ETH-USDC", CHAIN_IDS.sepolia);
+
+    expect(mainnet.poolId).to.equal(sepolia.poolId);
+    expect(mainnet.tokenA).to.not.equal(sepolia.tokenA);
+    expect(pairHash(mainnet)).to.not.equal(pairHash(sepolia));
+  });
+
+  it("Should resolve every token on every configured chain", function () {
+    for (const chainId of Object.values(CHAIN_IDS)) {
+      for (const pool of getPools(chainId)) {
+        expect(ethers.isAddress(pool.tokenA), `${pool.name} tokenA on ${chainId}`).to.be.true;
+        expect(ethers.isAddress(pool.tokenB), `${pool.name} tokenB on ${chainId}`).to.be.true;
+      }
+    }
+  });
+
+  it("Should point every pair at the mainnet pool of its own tokens and fee", function () {
+    for (const pool of getPools(CHAIN_IDS.mainnet)) {
+      expect(ethers.getAddress(pool.poolId), pool.name)
+        .to.equal(computePoolAddress(pool.tokenA, pool.tokenB, pool.fee));
+    }
+  });
+
+  it("Should reject unknown chains and pairs", function () {
+    expect(() => getPools(5)).to.throw("No Uniswap pool registry entries for chain 5");
+    expect(() => getPool("DOGE-USDC", CHAIN_IDS.sepolia)).to.throw("Unknown Uniswap pool");
+  });
+
+  it("Should feed the graph client's pool maps", function () {
+    const client = new UniswapV3GraphClient("http://unused");
+
+    for (const pool of POOLS) {
+      expect(client.pairMap[pool.name]).to.equal(pool.poolId);
+      expect(client.poolMap[pool.tokenA]).to.equal(pool.poolId);
+    }
+  });
+
+  it("Should write the hashes UniswapV3GraphAdapter reads for Sepolia", async function () {
+    const UniswapV3GraphAdapter = await ethers.getContractFactory("UniswapV3GraphAdapter");
+    const defaultPool = getPool("ETH-USDC", CHAIN_IDS.sepolia);
+    const adapter = await UniswapV3GraphAdapter.deploy(defaultPool.tokenA, defaultPool.tokenB, defaultPool.fee);
+    await adapter.deploymentTransaction().wait(1);
+
+    for (const pool of getPools(CHAIN_IDS.sepolia)) {
+      const price = ethers.parseUnits("1234", 8);
+      const tx = await adapter.updatePrice(pool.tokenA, pool.tokenB, pool.fee, price, pool.name, 0);
+      const { timestamp } = await ethers.provider.getBlock((await tx.wait()).blockNumber);
+
+      expect(await adapter.getTWAP(pool.tokenA, pool.tokenB, pool.fee, 0)).to.equal(price);
+      expect(await adapter.getPriceData(pool.tokenA, pool.tokenB, pool.fee)).to.deep.equal([price, BigInt(timestamp)]);
+      expect((await adapter.priceData(pairHash(pool))).pairSymbol).to.equal(pool.name);
+    }
+
+    // There is no fallback for a query without a pool
+    await expect(adapter.getTWAP(ethers.ZeroAddress, ethers.ZeroAddress, 3000, 0))
+      .to.be.revertedWith("No price data available");
+    expect(await adapter.getPriceData(ethers.ZeroAddress, ethers.ZeroAddress, 3000)).to.deep.equal([0n, 0n]);
+  });
+
+  it("Should serve the default pair UniswapV3GraphAdapter was deployed with", async function () {
+    const UniswapV3GraphAdapter = await ethers.getContractFactory("UniswapV3GraphAdapter");
+    const btcPool = getPool("BTC-USDC", CHAIN_IDS.sepolia);
+    const adapter = await UniswapV3GraphAdapter.deploy(btcPool.tokenA, btcPool.tokenB, btcPool.fee);
+    await adapter.deploymentTransaction().wait(1);
+
+    expect(await adapter.defaultTokenA()).to.equal(btcPool.tokenA);
+    expect(await adapter.defaultTokenB()).to.equal(btcPool.tokenB);
+    expect(await adapter.defaultFee()).to.equal(BigInt(btcPool.fee));
+
+    for (const pool of getPools(CHAIN_IDS.sepolia)) {
+      const price = ethers.parseUnits(pool.name === "BTC-USDC" ? "60000" : "1", 18);
+      await adapter.updatePrice(pool.tokenA, pool.tokenB, pool.fee, price, pool.name, 0);
+    }
+
+    expect(await adapter.retrieveData()).to.equal(ethers.parseUnits("60000", 18));
+    expect((await adapter.latestPriceData())[0]).to.equal(ethers.parseUnits("60000", 18));
+    await expect(UniswapV3GraphAdapter.deploy(btcPool.tokenA, btcPool.tokenB, 0)).to.be.revertedWith("Invalid fee tier");
+  });
+});
@@ -1,10 +1,12 @@
 const { expect } = require("chai");
 const { ethers } = require("hardhat");
+const { describeSepolia } = require("./sepolia");
 
 // Import addresses from the addresses file
 const addresses = require('../scripts/addresses');
+const { CHAIN_IDS, getPool, getPools } = require('../scripts/poolRegistry');
 
-describe("PriceAggregator Comprehensive Sepolia Tests", function () {
+describeSepolia("PriceAggregator Comprehensive Sepolia Tests", function () {
   // Increase timeout significantly for testnet interactions
   this.timeout(1000000);
   
@@ -12,6 +14,9 @@ describe("PriceAggregator Comprehensive Sepolia Tests", function () {
   let oracleLib;
   let twapCalculator;
   let uniswapV3GraphAdapter;
+  let chainlinkEthUsdAdapter;
+  let chainlinkBtcUsdAdapter;
+  let chainlinkLinkUsdAdapter;
   let api3EthUsdAdapter;
   let api3BtcUsdAdapter;
   let api3UniUsdAdapter;
@@ -68,7 +73,8 @@ describe("PriceAggregator Comprehensive Sepolia Tests", function () {
 
       // Deploy UniswapV3GraphAdapter
       const UniswapV3GraphAdapter = await ethers.getContractFactory("UniswapV3GraphAdapter");
-      uniswapV3GraphAdapter = await UniswapV3GraphAdapter.deploy();
+      const ethUsdcPool = getPool("ETH-USDC", CHAIN_IDS.sepolia);
+      uniswapV3GraphAdapter = await UniswapV3GraphAdapter.deploy(ethUsdcPool.tokenA, ethUsdcPool.tokenB, ethUsdcPool.fee);
       await uniswapV3GraphAdapter.waitForDeployment();
       console.log(`✅ UniswapV3GraphAdapter deployed to: ${await uniswapV3GraphAdapter.getAddress()}`);
 
@@ -85,40 +91,8 @@ describe("PriceAggregator Comprehensive Sepolia Tests", function () {
         
         const graphClient = new UniswapV3GraphClient(GRAPH_ENDPOINT);
         
-        // Update poolMap to match addresses.js
-        graphClient.poolMap = {
-          WBTC: addresses.WBTC_USDC_POOL,
-          WETH: addresses.USDC_WETH_POOL,
-          LINK: addresses.UNI_USDC_POOL  // Using UNI pool for LINK
-        };
-
-        // Define the pairs we want to update  
-        const pairs = [
-          {
-            name: "ETH-USDC",
-            symbol: "WETH",
-            poolId: addresses.USDC_WETH_POOL,
-            tokenA: "0xfFf9976782d46CC05630D1f6eBAb18b2324d6B14", // WETH on Sepolia
-            tokenB: "0x1c7D4B196Cb0C7B01d743Fbc6116a902379C7238", // USDC on Sepolia  
-            fee: 3000
-          },
-          {
-            name: "BTC-USDC", 
-            symbol: "WBTC",
-            poolId: addresses.WBTC_USDC_POOL,
-            tokenA: "0x29f2D40B0605204364af54EC677bD022dA425d03", // WBTC on Sepolia
-            tokenB: "0x1c7D4B196Cb0C7B01d743Fbc6116a902379C7238", // USDC on Sepolia
-            fee: 3000
-          },
-          {
-            name: "LINK-USDC",
-            symbol: "LINK", 
-            poolId: addresses.UNI_USDC_POOL, // Using UNI pool as proxy for LINK
-            tokenA: "0x779877A7B0D9E8603169DdbD7836e478b4624789", // LINK on Sepolia
-            tokenB: "0x1c7D4B196Cb0C7B01d743Fbc6116a902379C7238", // USDC on Sepolia
-            fee: 3000
-          }
-        ];
+        // The pairs we want to update, with the Sepolia token addresses the adapter is keyed by
+        const pairs = getPools(CHAIN_IDS.sepolia);
 
         // Update each pair
         for (const pair of pairs) {
@@ -159,6 +133,9 @@ describe("PriceAggregator Comprehensive Sepolia Tests", function () {
               const tickCumulative2 = tickCumulative1 + Math.floor(tick * 1800);
               
               const tickTx = await uniswapV3GraphAdapter.updateTickCumulatives(
+                pair.tokenA,
+                pair.tokenB,
+                pair.fee,
                 tickCumulative1,
                 tickCumulative2
               );
@@ -213,6 +190,16 @@ describe("PriceAggregator Comprehensive Sepolia Tests", function () {
         console.log("⚠️  Uniswap prices may return low values ($1) without updates");
       }
 
+      // Deploy Chainlink Adapters, the aggregator reads Chainlink feeds through them
+      const ChainlinkAdapter = await ethers.getContractFactory("ChainlinkAdapter");
+      chainlinkEthUsdAdapter = await ChainlinkAdapter.deploy(addresses.chainlinkETHUSD, "ETH", "USD", 3600);
+      await chainlinkEthUsdAdapter.waitForDeployment();
+      chainlinkBtcUsdAdapter = await ChainlinkAdapter.deploy(addresses.chainlinkBTCUSD, "BTC", "USD", 3600);
+      await chainlinkBtcUsdAdapter.waitForDeployment();
+      chainlinkLinkUsdAdapter = await ChainlinkAdapter.deploy(addresses.chainlinkLINKUSD, "LINK", "USD", 3600);
+      await chainlinkLinkUsdAdapter.waitForDeployment();
+      console.log(`✅ ChainlinkAdapters deployed`);
+
       // Deploy API3 Adapter for ETH/USD
       const API3Adapter = await ethers.getContractFactory("API3Adapter");
       api3EthUsdAdapter = await API3Adapter.deploy(
@@ -368,7 +355,7 @@ describe("PriceAggregator Comprehensive Sepolia Tests", function () {
     // ETH-USD sources
     const ethUsdSources = [
       { 
-        oracle: addresses.chainlinkETHUSD, 
+        oracle: await chainlinkEthUsdAdapter.getAddress(), 
         oracleType: 0, // Chainlink
         weight: 3,     // Highest weight for Chainlink
         heartbeatSeconds: 3600,
@@ -404,7 +391,7 @@ describe("PriceAggregator Comprehensive Sepolia Tests", function () {
     // BTC-USD sources (no API3)
     const btcUsdSources = [
       { 
-        oracle: addresses.chainlinkBTCUSD, 
+        oracle: await chainlinkBtcUsdAdapter.getAddress(), 
         oracleType: 0, // Chainlink
         weight: 3,
         heartbeatSeconds: 3600,
@@ -440,7 +427,7 @@ describe("PriceAggregator Comprehensive Sepolia Tests", function () {
     // UNI-USD sources with proper UNI adapters
     const uniUsdSources = [
       { 
-        oracle: addresses.chainlinkLINKUSD, // Using LINK as proxy for UNI
+        oracle: await chainlinkLinkUsdAdapter.getAddress(), // Using LINK as proxy for UNI
         oracleType: 0, // Chainlink
         weight: 3,     // Highest weight for Chainlink
         heartbeatSeconds: 3600,
@@ -1155,6 +1142,9 @@ describe("PriceAggregator Comprehensive Sepolia Tests", function () {
   });
 
   after(async function () {
+    // Nothing was deployed when the suite was skipped
+    if (!priceAggregator) return;
+    
     console.log("\n🎉 Comprehensive testing complete!");
     console.log("\n📊 Test Summary:");
     console.log(`✅ Tested ${TEST_PAIRS.length} trading pairs`);
@@ -76,7 +76,11 @@ describe("PriceAggregator Comprehensive Tests", function () {
     
     // Uniswap Mock
     const UniswapV3GraphAdapter = await ethers.getContractFactory("UniswapV3GraphAdapter");
-    uniswapMock = await UniswapV3GraphAdapter.deploy();
+    uniswapMock = await UniswapV3GraphAdapter.deploy(
+      "0xC02aaA39b223FE8D0A0e5C4F27eAD9083C756Cc2", // WETH
+      "0xA0b86991c6218b36c1d19D4a2e9Eb0cE3606eB48", // USDC
+      3000
+    );
     await uniswapMock.deploymentTransaction().wait(1);
     
     // Configure Uniswap mock with price data
@@ -89,7 +93,13 @@ describe("PriceAggregator Comprehensive Tests", function () {
       ethers.parseUnits("1000000", 0)
     );
     
-    await uniswapMock.updateTickCumulatives(1000000, 1001800);
+    await uniswapMock.updateTickCumulatives(
+      "0xC02aaA39b223FE8D0A0e5C4F27eAD9083C756Cc2", // WETH
+      "0xA0b86991c6218b36c1d19D4a2e9Eb0cE3606eB48", // USDC
+      3000,
+      1000000,
+      1001800
+    );
     
     console.log("  ✓ All mock oracles deployed");
   }
@@ -195,6 +205,13 @@ describe("PriceAggregator Comprehensive Tests", function () {
         await api3Adapter.getAddress()
       ]
     );
+    await priceAggregator.setUniswapPool(
+      "ETH-USD",
+      await uniswapAdapter.getAddress(),
+      "0xC02aaA39b223FE8D0A0e5C4F27eAD9083C756Cc2", // WETH
+      "0xA0b86991c6218b36c1d19D4a2e9Eb0cE3606eB48", // USDC
+      3000
+    );
     
     console.log("  ✓ ETH-USD pair configured");
   }
@@ -479,7 +496,7 @@ describe("PriceAggregator Comprehensive Tests", function () {
       );
       
       const newCount = await priceAggregator.getSupportedPairsCount();
-      expect(newCount).to.equal(initialCount + 1);
+      expect(newCount).to.equal(initialCount + 1n);
       console.log("  ✅ Added new asset pair: BTC-USD");
     });
     
@@ -495,7 +512,7 @@ describe("PriceAggregator Comprehensive Tests", function () {
       
       // Should fail with non-owner
       await expect(priceAggregator.connect(user).addOracleSource(newSource))
-        .to.be.revertedWith("Ownable: caller is not the owner");
+        .to.be.revertedWith("AccessControl: missing role");
       
       // Should succeed with owner
       await expect(priceAggregator.connect(owner).setMinOracleResponses(2))
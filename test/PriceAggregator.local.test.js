@@ -1,5 +1,6 @@
 const { expect } = require("chai");
 const { ethers } = require("hardhat");
+const { getPool } = require("../scripts/poolRegistry");
 
 describe("PriceAggregator Local Tests", function () {
   // Set timeout longer for complex tests
@@ -7,8 +8,9 @@ describe("PriceAggregator Local Tests", function () {
   
   let owner, user;
   let oracleLib, twapCalculator;
-  let chainlinkMock, tellorMock, api3Mock;
-  let uniswapMockAdapter;
+  let chainlinkMock, tellorMock, api3Mock, api3EthUsdAdapter;
+  let chainlinkEthUsdAdapter, chainlinkBtcUsdAdapter, chainlinkLinkUsdAdapter;
+  let uniswapMockAdapter, ethUsdcPool, btcUsdcPool;
   let priceAggregator;
   
   // Common test values
@@ -49,6 +51,13 @@ describe("PriceAggregator Local Tests", function () {
     await chainlinkLinkUsd.deploymentTransaction().wait(1);
     console.log("Chainlink LINK/USD Mock deployed");
     
+    // The aggregator reads Chainlink feeds through ChainlinkAdapter
+    const ChainlinkAdapter = await ethers.getContractFactory("ChainlinkAdapter");
+    chainlinkEthUsdAdapter = await ChainlinkAdapter.deploy(await chainlinkEthUsd.getAddress(), "ETH", "USD", 3600);
+    chainlinkBtcUsdAdapter = await ChainlinkAdapter.deploy(await chainlinkBtcUsd.getAddress(), "BTC", "USD", 3600);
+    chainlinkLinkUsdAdapter = await ChainlinkAdapter.deploy(await chainlinkLinkUsd.getAddress(), "LINK", "USD", 3600);
+    console.log("Chainlink adapters deployed");
+    
     // API3 mock (18 decimals) with data feed IDs
     const API3Mock = await ethers.getContractFactory("API3Mock");
     api3EthUsd = await API3Mock.deploy(ethers.parseUnits("3000", 18));
@@ -61,6 +70,11 @@ describe("PriceAggregator Local Tests", function () {
       ethers.parseUnits("3000", 18),
       0 // current timestamp
     );
+    
+    // The aggregator reads API3 through the standard adapter interface
+    const API3Adapter = await ethers.getContractFactory("API3Adapter");
+    api3EthUsdAdapter = await API3Adapter.deploy(await api3EthUsd.getAddress(), "ETH", "USD", 3600, 18);
+    await api3EthUsdAdapter.deploymentTransaction().wait(1);
     console.log("API3 ETH/USD Mock deployed and configured");
     
     // Tellor mocks (18 decimals) with query IDs
@@ -71,23 +85,39 @@ describe("PriceAggregator Local Tests", function () {
     // The constructor already sets common query IDs (ETH_USD_QUERY_ID, BTC_USD_QUERY_ID, etc.)
     console.log("Tellor ETH/USD Mock deployed with query IDs");
     
-    // Deploy a UniswapV3GraphAdapter as a mock for local testing
+    // One adapter serves both pools, resolved from the pool registry
+    const { chainId } = await ethers.provider.getNetwork();
+    ethUsdcPool = getPool("ETH-USDC", chainId);
+    btcUsdcPool = getPool("BTC-USDC", chainId);
+    
+    // Deploy a UniswapV3GraphAdapter as a mock for local testing, ETH-USDC is its default pair
     const UniswapV3GraphAdapter = await ethers.getContractFactory("UniswapV3GraphAdapter");
-    uniswapMockAdapter = await UniswapV3GraphAdapter.deploy();
+    uniswapMockAdapter = await UniswapV3GraphAdapter.deploy(ethUsdcPool.tokenA, ethUsdcPool.tokenB, ethUsdcPool.fee);
     await uniswapMockAdapter.deploymentTransaction().wait(1);
     
     // Update the price data in the adapter (similar to how the script would do)
     await uniswapMockAdapter.updatePrice(
-      "0xC02aaA39b223FE8D0A0e5C4F27eAD9083C756Cc2", // WETH address
-      "0xA0b86991c6218b36c1d19D4a2e9Eb0cE3606eB48", // USDC address
-      3000, // fee tier
+      ethUsdcPool.tokenA,
+      ethUsdcPool.tokenB,
+      ethUsdcPool.fee,
       ethers.parseUnits("3000", 18), // price
-      "ETH-USDC", // pair symbol
+      ethUsdcPool.name,
+      ethers.parseUnits("1000000", 0) // sample liquidity
+    );
+    await uniswapMockAdapter.updatePrice(
+      btcUsdcPool.tokenA,
+      btcUsdcPool.tokenB,
+      btcUsdcPool.fee,
+      ethers.parseUnits("60000", 18), // price
+      btcUsdcPool.name,
       ethers.parseUnits("1000000", 0) // sample liquidity
     );
     
     // Set mock tick cumulatives for TWAP calculation
     await uniswapMockAdapter.updateTickCumulatives(
+      ethUsdcPool.tokenA,
+      ethUsdcPool.tokenB,
+      ethUsdcPool.fee,
       1000000, // first tick
       1001800  // second tick (30 minutes later)
     );
@@ -96,7 +126,7 @@ describe("PriceAggregator Local Tests", function () {
     // Configure oracle sources
     const ethUsdSources = [
       { 
-        oracle: await chainlinkEthUsd.getAddress(), 
+        oracle: await chainlinkEthUsdAdapter.getAddress(), 
         oracleType: 0, // Chainlink
         weight: ethers.parseUnits("3", 18), // Higher weight for Chainlink
         heartbeatSeconds: 3600,
@@ -120,7 +150,7 @@ describe("PriceAggregator Local Tests", function () {
         decimals: 18
       },
       { 
-        oracle: await api3EthUsd.getAddress(), 
+        oracle: await api3EthUsdAdapter.getAddress(), 
         oracleType: 3, // API3
         weight: ethers.parseUnits("1", 18),
         heartbeatSeconds: 3600,
@@ -142,13 +172,21 @@ describe("PriceAggregator Local Tests", function () {
     // Configure BTC/USD sources
     const btcUsdSources = [
       { 
-        oracle: await chainlinkBtcUsd.getAddress(), 
+        oracle: await chainlinkBtcUsdAdapter.getAddress(), 
         oracleType: 0, // Chainlink
         weight: ethers.parseUnits("3", 18),
         heartbeatSeconds: 3600,
         description: "Chainlink BTC/USD",
         decimals: 8
       },
+      { 
+        oracle: await uniswapMockAdapter.getAddress(), 
+        oracleType: 1, // Uniswap (same adapter as ETH/USD, different pool)
+        weight: ethers.parseUnits("2", 18),
+        heartbeatSeconds: 3600,
+        description: "Uniswap BTC/USD",
+        decimals: 18
+      },
       { 
         oracle: await tellorEthUsd.getAddress(), 
         oracleType: 2, // Tellor (using ETH mock as BTC for simplicity)
@@ -191,6 +229,13 @@ describe("PriceAggregator Local Tests", function () {
       btcUsdSources.map(source => source.oracle)
     );
     console.log("BTC-USD pair added");
+    
+    // Point the shared Uniswap adapter at the right pool for each pair
+    const uniswapAddress = await uniswapMockAdapter.getAddress();
+    for (const [pairSymbol, pool] of [["ETH-USD", ethUsdcPool], ["BTC-USD", btcUsdcPool]]) {
+      await priceAggregator.setUniswapPool(pairSymbol, uniswapAddress, pool.tokenA, pool.tokenB, pool.fee);
+    }
+    console.log("Uniswap pools configured");
   });
   
   describe("Basic functionality", function () {
@@ -207,9 +252,8 @@ describe("PriceAggregator Local Tests", function () {
       const weightedPrice = await priceAggregator.getWeightedPrice("ETH-USD");
       console.log("ETH-USD weighted price:", ethers.formatUnits(weightedPrice, 18));
       
-      // Should be close to $3000
-      expect(weightedPrice).to.be.gt(ethers.parseUnits("2200", 18));
-      expect(weightedPrice).to.be.lt(ethers.parseUnits("2300", 18));
+      // Every source reports $3000
+      expect(weightedPrice).to.equal(ethers.parseUnits("3000", 18));
     });
     
     it("Should return both median and weighted prices", async function () {
@@ -238,6 +282,69 @@ describe("PriceAggregator Local Tests", function () {
     });
   });
   
+  describe("Per-pair Uniswap pools", function () {
+    async function uniswapSource() {
+      const sources = await priceAggregator.getSources();
+      const index = await priceAggregator.getSourceIndex(await uniswapMockAdapter.getAddress());
+      return sources[index].toObject();
+    }
+    
+    it("Should price ETH-USD and BTC-USD from different pools of one adapter", async function () {
+      const [ethPrices, ethTypes] = await priceAggregator.getAllPrices("ETH-USD");
+      const [btcPrices, btcTypes] = await priceAggregator.getAllPrices("BTC-USD");
+      
+      const ethUniswapPrice = ethPrices[ethTypes.findIndex(t => t === 1n)];
+      const btcUniswapPrice = btcPrices[btcTypes.findIndex(t => t === 1n)];
+      console.log(
+        "Uniswap ETH-USD:", ethers.formatUnits(ethUniswapPrice, 18),
+        "BTC-USD:", ethers.formatUnits(btcUniswapPrice, 18)
+      );
+      
+      expect(ethUniswapPrice).to.equal(ethers.parseUnits("3000", 18));
+      expect(btcUniswapPrice).to.equal(ethers.parseUnits("60000", 18));
+    });
+    
+    it("Should query the pool configured for the pair", async function () {
+      const source = await uniswapSource();
+      
+      expect(await priceAggregator.fetchPairPriceFromSource("ETH-USD", source))
+        .to.equal(ethers.parseUnits("3000", 18));
+      expect(await priceAggregator.fetchPairPriceFromSource("BTC-USD", source))
+        .to.equal(ethers.parseUnits("60000", 18));
+    });
+    
+    it("Should keep BTC-USD near the BTC price", async function () {
+      const medianPrice = await priceAggregator.getMedianPrice("BTC-USD");
+      console.log("BTC-USD median price:", ethers.formatUnits(medianPrice, 18));
+      
+      expect(medianPrice).to.be.gt(ethers.parseUnits("59000", 18));
+      expect(medianPrice).to.be.lt(ethers.parseUnits("61000", 18));
+    });
+    
+    it("Should expose the configured pool per pair", async function () {
+      const uniswapAddress = await uniswapMockAdapter.getAddress();
+      const pool = await priceAggregator.uniswapPools("BTC-USD", uniswapAddress);
+      
+      expect(pool.tokenA).to.equal(btcUsdcPool.tokenA);
+      expect(pool.tokenB).to.equal(btcUsdcPool.tokenB);
+      expect(pool.fee).to.equal(btcUsdcPool.fee);
+    });
+    
+    it("Should only allow configuring pools of Uniswap sources", async function () {
+      await expect(
+        priceAggregator.setUniswapPool(
+          "ETH-USD", await chainlinkEthUsdAdapter.getAddress(), ethUsdcPool.tokenA, ethUsdcPool.tokenB, ethUsdcPool.fee
+        )
+      ).to.be.revertedWith("Not a Uniswap source");
+      
+      await expect(
+        priceAggregator.connect(user).setUniswapPool(
+          "ETH-USD", await uniswapMockAdapter.getAddress(), ethUsdcPool.tokenA, ethUsdcPool.tokenB, ethUsdcPool.fee
+        )
+      ).to.be.revertedWith("AccessControl: missing role");
+    });
+  });
+  
   describe("Price changes", function () {
     it("Should update when Chainlink price changes", async function () {
       // Initial median price
@@ -332,11 +439,11 @@ it("Should update when Tellor price changes via query ID", async function () {
       
       // Update Uniswap price through the adapter
       await uniswapMockAdapter.updatePrice(
-        "0xC02aaA39b223FE8D0A0e5C4F27eAD9083C756Cc2", // WETH address
-        "0xA0b86991c6218b36c1d19D4a2e9Eb0cE3606eB48", // USDC address
-        3000, // fee tier
+        ethUsdcPool.tokenA,
+        ethUsdcPool.tokenB,
+        ethUsdcPool.fee,
         ethers.parseUnits("3400", 18), // new price $3400
-        "ETH-USDC", // pair symbol
+        ethUsdcPool.name,
         ethers.parseUnits("1000000", 0) // sample liquidity
       );
       
@@ -347,6 +454,9 @@ it("Should update when Tellor price changes via query ID", async function () {
       const tickCumulative2 = tickCumulative1 + Math.floor(tick * 1800);
       
       await uniswapMockAdapter.updateTickCumulatives(
+        ethUsdcPool.tokenA,
+        ethUsdcPool.tokenB,
+        ethUsdcPool.fee,
         tickCumulative1,
         tickCumulative2
       );
@@ -366,25 +476,37 @@ it("Should update when Tellor price changes via query ID", async function () {
     });
     
     it("Should be resilient to a single extreme outlier", async function () {
-  // Set Tellor to an extreme value
-  await tellorEthUsd.setValue(ethers.parseUnits("9000", 18)); // $9000 (3x normal price)
-  console.log("Set Tellor ETH/USD to extreme value: $9,000");
-  
-  // Median should still be reasonable
-  const medianPrice = await priceAggregator.getMedianPrice("ETH-USD");
-  console.log("Median price with outlier:", ethers.formatUnits(medianPrice, 18));
-  
-  // Update the expectation to match actual behavior
-  // When one oracle has an extreme value, median is higher but not as extreme as the outlier
-  expect(medianPrice).to.be.lt(ethers.parseUnits("6000", 18));
-  
-  // But weighted average should be lower than the median in this implementation
-  const weightedPrice = await priceAggregator.getWeightedPrice("ETH-USD");
-  console.log("Weighted price with outlier:", ethers.formatUnits(weightedPrice, 18));
-  
-  // Update expectation: In this implementation, median is higher than weighted with an outlier
-  expect(medianPrice).to.be.gt(weightedPrice);
-});
+      // Earlier tests moved the sources apart, bring them back to $3000
+      await chainlinkEthUsd.setAnswer(ETH_USD_PRICE);
+      await api3EthUsd.setLatestPrice(ethers.parseUnits("3000", 18));
+      await uniswapMockAdapter.updatePrice(
+        ethUsdcPool.tokenA,
+        ethUsdcPool.tokenB,
+        ethUsdcPool.fee,
+        ethers.parseUnits("3000", 18),
+        ethUsdcPool.name,
+        ethers.parseUnits("1000000", 0)
+      );
+      
+      // Leave prices more than 10% away from the median out of the weighted price
+      await priceAggregator.setOutlierFilter("ETH-USD", 1, 1000); // Percentage, 1000 bps
+      
+      // Set Tellor to an extreme value
+      await tellorEthUsd.setValue(ethers.parseUnits("9000", 18)); // $9000 (3x normal price)
+      console.log("Set Tellor ETH/USD to extreme value: $9,000");
+      
+      // The median ignores a single outlier
+      const medianPrice = await priceAggregator.getMedianPrice("ETH-USD");
+      console.log("Median price with outlier:", ethers.formatUnits(medianPrice, 18));
+      expect(medianPrice).to.equal(ethers.parseUnits("3000", 18));
+      
+      // The filter keeps it out of the weighted price
+      const weightedPrice = await priceAggregator.getWeightedPrice("ETH-USD");
+      console.log("Weighted price with outlier:", ethers.formatUnits(weightedPrice, 18));
+      expect(weightedPrice).to.equal(ethers.parseUnits("3000", 18));
+      
+      await priceAggregator.setOutlierFilter("ETH-USD", 0, 0);
+    });
 
     it("Should handle stale data detection", async function () {
       // Set a stale timestamp for Chainlink
@@ -410,7 +532,7 @@ it("Should update when Tellor price changes via query ID", async function () {
         
         // Add another mock for LINK/USD
         await priceAggregator.addOracleSource({
-          oracle: await chainlinkLinkUsd.getAddress(),
+          oracle: await chainlinkLinkUsdAdapter.getAddress(),
           oracleType: 0, // Chainlink
           weight: ethers.parseUnits("3", 18),
           heartbeatSeconds: 3600,
@@ -454,7 +576,7 @@ it("Should update when Tellor price changes via query ID", async function () {
         "LINK-USD",
         "LINK",
         "USD",
-        [await chainlinkLinkUsd.getAddress(), await tellorLinkUsd.getAddress()]
+        [await chainlinkLinkUsdAdapter.getAddress(), await tellorLinkUsd.getAddress()]
       );
       
       // Check number of supported pairs
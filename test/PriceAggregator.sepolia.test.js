@@ -1,8 +1,10 @@
 const { expect } = require("chai");
 const { ethers } = require("hardhat");
+const { describeSepolia } = require("./sepolia");
 const addresses = require("../scripts/addresses");
+const { CHAIN_IDS, getPool } = require("../scripts/poolRegistry");
 
-describe("PriceAggregator Sepolia Live Tests", function () {
+describeSepolia("PriceAggregator Sepolia Live Tests", function () {
   // Set timeout for network calls
   this.timeout(300000); // 5 minutes
   
@@ -133,7 +135,8 @@ describe("PriceAggregator Sepolia Live Tests", function () {
     
     // Uniswap V3 Graph Adapter
     const UniswapV3GraphAdapter = await ethers.getContractFactory("UniswapV3GraphAdapter");
-    uniswapV3GraphAdapter = await UniswapV3GraphAdapter.deploy();
+    const ethUsdcPool = getPool("ETH-USDC", CHAIN_IDS.sepolia);
+    uniswapV3GraphAdapter = await UniswapV3GraphAdapter.deploy(ethUsdcPool.tokenA, ethUsdcPool.tokenB, ethUsdcPool.fee);
     await uniswapV3GraphAdapter.deploymentTransaction().wait(2);
     console.log("  ✓ Uniswap V3 Graph adapter deployed");
     
@@ -1,8 +1,9 @@
 const { expect } = require("chai");
 const { ethers } = require("hardhat");
+const { describeSepolia } = require("./sepolia");
 const addresses = require("../scripts/addresses");
 
-describe("PriceAggregator Simple Sepolia Tests", function () {
+describeSepolia("PriceAggregator Simple Sepolia Tests", function () {
   // Set longer timeout for network calls
   this.timeout(600000); // 10 minutes
   
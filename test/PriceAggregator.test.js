@@ -1,11 +1,12 @@
 const { expect } = require("chai");
 const { ethers } = require("hardhat");
+const { getPool } = require("../scripts/poolRegistry");
 
 describe("PriceAggregator", function () {
     let PriceAggregator;
     let priceAggregator;
     let owner, user;
-    let chainlinkMock, api3Mock, tellorMock, uniswapV3Mock;
+    let chainlinkMock, chainlinkAdapter, api3Mock, api3Adapter, tellorMock, uniswapV3Mock;
     let twapCalculator, oracleLib;
     
     // Setup mock prices using ethers.parseUnits for proper BigNumber handling
@@ -29,11 +30,21 @@ describe("PriceAggregator", function () {
         await chainlinkMock.getAddress(); // Ensure deployment is complete
         console.log("ChainlinkMock deployed at:", await chainlinkMock.getAddress());
         
+        // The aggregator reads Chainlink through the standard adapter interface too
+        const ChainlinkAdapter = await ethers.getContractFactory("ChainlinkAdapter");
+        chainlinkAdapter = await ChainlinkAdapter.deploy(await chainlinkMock.getAddress(), "ETH", "USD", 3600);
+        await chainlinkAdapter.getAddress(); // Ensure deployment is complete
+        
         const API3Mock = await ethers.getContractFactory("API3Mock");
         api3Mock = await API3Mock.deploy(ETH_PRICE_API3);
         await api3Mock.getAddress(); // Ensure deployment is complete
         console.log("API3Mock deployed at:", await api3Mock.getAddress());
         
+        // The aggregator reads API3 through the standard adapter interface
+        const API3Adapter = await ethers.getContractFactory("API3Adapter");
+        api3Adapter = await API3Adapter.deploy(await api3Mock.getAddress(), "ETH", "USD", 3600, 18);
+        await api3Adapter.getAddress(); // Ensure deployment is complete
+        
         const TellorMock = await ethers.getContractFactory("TellorMock");
         tellorMock = await TellorMock.deploy(ETH_PRICE_TELLOR);
         await tellorMock.getAddress(); // Ensure deployment is complete
@@ -47,7 +58,7 @@ describe("PriceAggregator", function () {
         // Setup oracle sources for constructor
         const oracleSources = [
             {
-                oracle: await chainlinkMock.getAddress(),
+                oracle: await chainlinkAdapter.getAddress(),
                 oracleType: 0,  // Chainlink
                 weight: 2,       // Higher weight for Chainlink
                 heartbeatSeconds: 3600, // 1 hour heartbeat
@@ -71,7 +82,7 @@ describe("PriceAggregator", function () {
                 decimals: 18
             },
             {
-                oracle: await api3Mock.getAddress(),
+                oracle: await api3Adapter.getAddress(),
                 oracleType: 3,  
                 weight: 1,
                 heartbeatSeconds: 3600,
@@ -113,12 +124,16 @@ describe("PriceAggregator", function () {
             "ETH",
             "USD",
             [
-                await chainlinkMock.getAddress(),
+                await chainlinkAdapter.getAddress(),
                 await uniswapV3Mock.getAddress(),
                 await tellorMock.getAddress(),
-                await api3Mock.getAddress()
+                await api3Adapter.getAddress()
             ]
         );
+        // UniswapV3Mock answers for any pool, but the pair still has to name one
+        const { chainId } = await ethers.provider.getNetwork();
+        const pool = getPool("ETH-USDC", chainId);
+        await priceAggregator.setUniswapPool("ETH-USD", await uniswapV3Mock.getAddress(), pool.tokenA, pool.tokenB, pool.fee);
         console.log("Asset pair added!");
     });
     
@@ -156,21 +171,14 @@ describe("PriceAggregator", function () {
             await chainlinkMock.setAnswer(ethers.parseUnits("3100", 8));  // $3100 with weight 2
             await api3Mock.setLatestPrice(ethers.parseUnits("2900", 18)); // $2900 with weight 1
             await tellorMock.setValue(ethers.parseUnits("3000", 18));     // $3000 with weight 1
-            
-            // Use the actual method from UniswapV3Mock.sol
-            await uniswapV3Mock.setTickCumulatives(
-                ethers.parseUnits("3000", 0).toString(),
-                ethers.parseUnits("3100", 0).toString()
-            );
+            await uniswapV3Mock.setMockPrice(ethers.parseUnits("3000", 18)); // $3000 with weight 1
             
             // Get the weighted price and log it to debug
             const weightedPrice = await priceAggregator.getWeightedPrice("ETH-USD");
             console.log("Weighted price:", ethers.formatUnits(weightedPrice, 18));
             
-            // Adjust expected value based on the actual result
-            const expectedWeighted = ethers.parseUnits("2420.2", 18);
-            const tolerance = ethers.parseUnits("242.02", 18); // 10% tolerance
-            expect(weightedPrice).to.be.closeTo(expectedWeighted, tolerance);
+            // (3100*2 + 2900 + 3000 + 3000) / 5
+            expect(weightedPrice).to.equal(ethers.parseUnits("3020", 18));
         });
         
         it("should normalize prices with different decimals correctly", async function () {
@@ -220,9 +228,9 @@ describe("PriceAggregator", function () {
             
             // Get the chain link source from the asset pair
             const assetPair = await priceAggregator.assetPairs("ETH-USD");
-            const chainlinkAddress = await chainlinkMock.getAddress();
+            const chainlinkAddress = await chainlinkAdapter.getAddress();
             
-            // The fetchPriceFromSource call should now fail for Chainlink due to staleness
+            // The fetchPriceFromSource call should now fail for Chainlink, the adapter flags the stale round
             // Create the source struct manually to avoid type errors
             const chainlinkSource = {
                 oracle: chainlinkAddress,
@@ -234,7 +242,7 @@ describe("PriceAggregator", function () {
             };
             
             await expect(priceAggregator.fetchPriceFromSource(chainlinkSource))
-                .to.be.revertedWith("Chainlink price is stale");
+                .to.be.revertedWith("Source price unavailable");
         });
 
         // In the test for adding a new oracle source:
@@ -256,6 +264,12 @@ describe("PriceAggregator", function () {
             const sourcesArray = await priceAggregator.getSources();
             const lastSource = sourcesArray[sourcesArray.length - 1];
             expect(lastSource.oracle).to.equal(newMockAddress);
+            
+            // The public getter reads the same entry by index
+            const [oracle, oracleType, , , description] = await priceAggregator.sources(sourcesArray.length - 1);
+            expect(oracle).to.equal(newMockAddress);
+            expect(oracleType).to.equal(0n);
+            expect(description).to.equal("New BTC Oracle");
         });
         
         it("should remove an oracle source correctly", async function () {
@@ -264,7 +278,7 @@ describe("PriceAggregator", function () {
             const originalCount = originalSources.length;
             
             // Get the address of an oracle to remove
-            const oracleToRemove = await chainlinkMock.getAddress();
+            const oracleToRemove = await chainlinkAdapter.getAddress();
             
             // Remove the oracle
             await priceAggregator.removeOracleSource(oracleToRemove);
@@ -285,7 +299,7 @@ describe("PriceAggregator", function () {
         
         it("should update an oracle weight correctly", async function () {
             // Get the address of an oracle to update
-            const oracleToUpdate = await chainlinkMock.getAddress();
+            const oracleToUpdate = await chainlinkAdapter.getAddress();
             
             // Get original weight
             const sourceIndex = await priceAggregator.getSourceIndex(oracleToUpdate);
@@ -348,7 +362,7 @@ describe("PriceAggregator", function () {
             // Should fail when called by non-owner
             await expect(
                 priceAggregator.connect(user).addOracleSource(newSource)
-            ).to.be.revertedWith("Ownable: caller is not the owner");
+            ).to.be.revertedWith("AccessControl: missing role");
             
             // Should succeed when called by owner
             await expect(
@@ -359,7 +373,7 @@ describe("PriceAggregator", function () {
         it("should only allow owner to set minimum oracle responses", async function () {
             await expect(
                 priceAggregator.connect(user).setMinOracleResponses(3)
-            ).to.be.revertedWith("Ownable: caller is not the owner");
+            ).to.be.revertedWith("AccessControl: missing role");
             
             await expect(
                 priceAggregator.connect(owner).setMinOracleResponses(3)
@@ -389,7 +403,7 @@ describe("PriceAggregator", function () {
                 "BTC-USD", 
                 "BTC", 
                 "USD", 
-                [await chainlinkMock.getAddress()]
+                [await chainlinkAdapter.getAddress()]
             );
             
             // Check pair count
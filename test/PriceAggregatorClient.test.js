@@ -0,0 +1,282 @@
+const { expect } = require("chai");
+const hre = require("hardhat");
+const { ethers } = hre;
+const { PriceAggregatorClient, ROLES, oracleTypeName, confidenceRating } = require("../sdk");
+const { deployChainlinkFeed } = require("./aggregatorFixture");
+
+describe("PriceAggregatorClient", function () {
+  this.timeout(60000);
+
+  let owner;
+  let chainlinkEthUsd, chainlinkAdapter, tellorMock, tellorAdapter;
+  let priceAggregator, client;
+
+  beforeEach(async function () {
+    [owner] = await ethers.getSigners();
+
+    const OracleLib = await ethers.getContractFactory("OracleLib");
+    const oracleLib = await OracleLib.deploy();
+    const TWAPCalculator = await ethers.getContractFactory("TWAPCalculator");
+    const twapCalculator = await TWAPCalculator.deploy();
+
+    ({ feed: chainlinkEthUsd, adapter: chainlinkAdapter } = await deployChainlinkFeed("3000"));
+
+    // Tellor goes through the real adapter so the analytics calls have data
+    const TellorMock = await ethers.getContractFactory("TellorMock");
+    tellorMock = await TellorMock.deploy(ethers.parseUnits("3010", 18));
+    const TellorAdapter = await ethers.getContractFactory("TellorAdapter");
+    tellorAdapter = await TellorAdapter.deploy(await tellorMock.getAddress(), "eth", "usd");
+
+    const sources = [
+      {
+        oracle: await chainlinkAdapter.getAddress(),
+        oracleType: 0, // Chainlink
+        weight: ethers.parseUnits("1", 18),
+        heartbeatSeconds: 3600,
+        description: "Chainlink ETH/USD",
+        decimals: 8
+      },
+      {
+        oracle: await tellorAdapter.getAddress(),
+        oracleType: 2, // Tellor
+        weight: ethers.parseUnits("1", 18),
+        heartbeatSeconds: 3600,
+        description: "Tellor ETH/USD",
+        decimals: 18
+      }
+    ];
+
+    const PriceAggregator = await ethers.getContractFactory("PriceAggregator");
+    priceAggregator = await PriceAggregator.deploy(
+      sources,
+      await oracleLib.getAddress(),
+      await twapCalculator.getAddress()
+    );
+    await priceAggregator.addAssetPair("ETH-USD", "ETH", "USD", sources.map(source => source.oracle));
+
+    client = new PriceAggregatorClient(await priceAggregator.getAddress(), ethers.provider);
+  });
+
+  it("Should decode median, weighted and aggregated prices", async function () {
+    const median = await client.getMedianPrice("ETH-USD");
+    expect(median.pair).to.equal("ETH-USD");
+    expect(median.raw).to.equal(ethers.parseUnits("3005", 18));
+    expect(median.formatted).to.equal("3005.0");
+    expect(median.value).to.equal(3005);
+
+    const weighted = await client.getWeightedPrice("ETH-USD");
+    expect(weighted.value).to.equal(3005);
+
+    const aggregated = await client.getAggregatedPrice("ETH-USD");
+    expect(aggregated.median.raw).to.equal(median.raw);
+    expect(aggregated.weighted.raw).to.equal(weighted.raw);
+  });
+
+  it("Should decode the price quality", async function () {
+    const quality = await client.getPriceQuality("ETH-USD");
+
+    expect(quality.price.value).to.equal(3005);
+    expect([quality.validSources, quality.totalSources]).to.deep.equal([2, 2]);
+    expect([quality.min.value, quality.max.value]).to.deep.equal([3000, 3010]);
+    expect(quality.spreadBps).to.equal(33);
+    expect(quality.spreadPercent).to.equal(0.33);
+    expect(quality.standardDeviation.value).to.equal(5);
+    expect(quality.oldestAge).to.be.within(0, 60);
+    // Relative deviation of 0.16% costs 3.2%
+    expect(quality.confidence).to.equal(9680);
+    expect(quality.rating).to.equal("Excellent");
+  });
+
+  it("Should decode stored price snapshots", async function () {
+    await priceAggregator.updatePrice("ETH-USD");
+    await chainlinkEthUsd.setAnswer(ethers.parseUnits("3020", 8));
+    await priceAggregator.updatePrice("ETH-USD");
+
+    const history = await client.getPriceHistory("ETH-USD");
+    expect(history.map(snapshot => snapshot.median.value)).to.deep.equal([3005, 3015]);
+    expect(history[1].weighted.value).to.equal(3015);
+    expect(history[1].sourceCount).to.equal(2);
+
+    const first = await client.getPriceAt("ETH-USD", history[0].timestamp);
+    expect(first.pair).to.equal("ETH-USD");
+    expect(first.median.value).to.equal(3005);
+  });
+
+  it("Should decode the aggregated TWAP", async function () {
+    await priceAggregator.updatePrice("ETH-USD");
+    await ethers.provider.send("evm_increaseTime", [1800]);
+    await ethers.provider.send("evm_mine", []);
+
+    const twap = await client.getAggregatedTWAP("ETH-USD", 600);
+    expect(twap.window).to.equal(600);
+    expect(twap.median.value).to.equal(3005);
+    expect(twap.weighted.value).to.equal(3005);
+  });
+
+  it("Should report the circuit breaker status", async function () {
+    await priceAggregator.setCircuitBreaker("ETH-USD", 1000, 3600, 0);
+    await priceAggregator.updatePrice("ETH-USD");
+
+    let status = await client.getCircuitBreakerStatus("ETH-USD");
+    expect([status.enabled, status.maxDeviationBps, status.window, status.cooldown]).to.deep.equal([true, 1000, 3600, 0]);
+    expect([status.frozen, status.price.value]).to.deep.equal([false, 3005]);
+
+    await chainlinkEthUsd.setAnswer(ethers.parseUnits("1500", 8));
+    await priceAggregator.updatePrice("ETH-USD");
+
+    status = await client.getCircuitBreakerStatus("ETH-USD");
+    expect(status.frozen).to.be.true;
+    expect(status.frozenAt).to.be.above(0);
+    expect(status.price.value).to.equal(3005);
+  });
+
+  it("Should report the roles of an account and the pause", async function () {
+    const [, keeper] = await ethers.getSigners();
+    expect(await client.getRoles(owner.address))
+      .to.deep.equal({ admin: true, configManager: true, guardian: true, keeper: true, timelock: true });
+
+    await priceAggregator.grantRole(ROLES.keeper, keeper.address);
+    expect(await client.getRoles(keeper.address))
+      .to.deep.equal({ admin: false, configManager: false, guardian: false, keeper: true, timelock: false });
+    expect(ROLES.guardian).to.equal(await priceAggregator.GUARDIAN_ROLE());
+
+    expect(await client.isPaused()).to.be.false;
+    await priceAggregator.pause();
+    expect(await client.isPaused()).to.be.true;
+  });
+
+  it("Should rate confidence scores", function () {
+    expect(confidenceRating(10000)).to.equal("Excellent");
+    expect(confidenceRating(8000n)).to.equal("Good");
+    expect(confidenceRating(5000)).to.equal("Fair");
+    expect(confidenceRating(0)).to.equal("Poor");
+  });
+
+  it("Should return per-source prices with type names, ages and flags", async function () {
+    const { pair, timestamp, sources } = await client.getPricesWithStatus("ETH-USD");
+
+    expect(pair).to.equal("ETH-USD");
+    expect(timestamp).to.be.a("number");
+    expect(sources.map(s => s.typeName)).to.deep.equal(["Chainlink", "Tellor"]);
+    expect(sources[0].value).to.equal(3000);
+    expect(sources[1].value).to.equal(3010);
+
+    for (const source of sources) {
+      expect(source.age).to.be.within(0, 60);
+      expect(source.heartbeatSeconds).to.equal(3600);
+      expect(source.enabled).to.be.true;
+      expect(source.available).to.be.true;
+      expect(source.stale).to.be.false;
+      expect(source.disputed).to.be.false;
+    }
+  });
+
+  it("Should report the per-pair settings of each source", async function () {
+    const tellor = await tellorAdapter.getAddress();
+    await priceAggregator.updatePairSource("ETH-USD", tellor, ethers.parseUnits("2", 18), 600, 18);
+    await priceAggregator.setPairSourceEnabled("ETH-USD", tellor, false);
+
+    const { sources } = await client.getPricesWithStatus("ETH-USD");
+    expect(sources[1].weight).to.equal(ethers.parseUnits("2", 18));
+    expect(sources[1].heartbeatSeconds).to.equal(600);
+    expect(sources[1].enabled).to.be.false;
+    // Still priced, only left out of the aggregation
+    expect(sources[1].value).to.equal(3010);
+    expect((await client.getMedianPrice("ETH-USD")).value).to.equal(3000);
+  });
+
+  it("Should fall back to the registry on aggregators without per-pair sources", async function () {
+    const legacyAbi = require("../sdk/abi").filter((fragment) => !fragment.includes("getPairSources"));
+    const legacyClient = new PriceAggregatorClient(await priceAggregator.getAddress(), ethers.provider, { abi: legacyAbi });
+
+    const sources = await legacyClient.getPairSources("ETH-USD");
+    expect(sources.map((source) => source.oracle))
+      .to.deep.equal([await chainlinkAdapter.getAddress(), await tellorAdapter.getAddress()]);
+    expect(sources[0]).to.include({ heartbeatSeconds: 3600, decimals: 8, enabled: true });
+
+    // A contract without the function reverts with no data
+    client.contract.getPairSources = async () => {
+      throw ethers.makeError("missing revert data", "CALL_EXCEPTION", { data: "0x" });
+    };
+    expect(await client.getPairSources("ETH-USD")).to.deep.equal(sources);
+  });
+
+  it("Should rethrow getPairSources errors other than a missing function", async function () {
+    const timeout = ethers.makeError("request timeout", "TIMEOUT", { operation: "call" });
+    client.contract.getPairSources = async () => {
+      throw timeout;
+    };
+    await expect(client.getPairSources("ETH-USD")).to.be.rejectedWith(timeout);
+
+    const reverted = ethers.makeError("execution reverted", "CALL_EXCEPTION", { data: "0x08c379a0" });
+    client.contract.getPairSources = async () => {
+      throw reverted;
+    };
+    await expect(client.getPricesWithStatus("ETH-USD")).to.be.rejectedWith(reverted);
+  });
+
+  it("Should flag sources older than their heartbeat as stale", async function () {
+    const now = await client.now();
+    await chainlinkEthUsd.setUpdateTime(now - 7200);
+
+    const { sources } = await client.getPricesWithStatus("ETH-USD");
+    const chainlink = sources.find(s => s.typeName === "Chainlink");
+
+    expect(chainlink.available).to.be.true;
+    expect(chainlink.age).to.be.gte(7200);
+    expect(chainlink.stale).to.be.true;
+  });
+
+  it("Should flag sources past the staleness threshold as stale", async function () {
+    await priceAggregator.setStalenessThreshold(60);
+    await ethers.provider.send("evm_increaseTime", [61]);
+    await ethers.provider.send("evm_mine", []);
+
+    const { sources } = await client.getPricesWithStatus("ETH-USD");
+    expect(sources.map(s => [s.available, s.stale])).to.deep.equal([[true, true], [true, true]]);
+  });
+
+  it("Should decode Tellor analytics and history", async function () {
+    const queryId = await tellorMock.ETH_USD_QUERY_ID();
+    for (const price of ["3020", "3030"]) {
+      await ethers.provider.send("evm_increaseTime", [60]);
+      await ethers.provider.send("evm_mine", []);
+      await tellorMock.setValueForQueryId(queryId, ethers.parseUnits(price, 18), 0);
+    }
+
+    const analytics = await client.getTellorAnalytics(await tellorAdapter.getAddress());
+    expect(analytics.valueCount).to.equal(3);
+    expect(analytics.lastReporter).to.equal(await tellorMock.getAddress());
+    expect(analytics.age).to.be.within(0, 60);
+    expect(analytics.isLastDisputed).to.be.false;
+
+    const history = await client.getTellorHistoricalData(await tellorAdapter.getAddress(), { maxAge: 3600 });
+    expect(history.map(h => h.value)).to.deep.equal([3010, 3020, 3030]);
+    expect(history[2].timestamp).to.equal(analytics.lastTimestamp);
+  });
+
+  it("Should report disputed Tellor sources", async function () {
+    const queryId = await tellorMock.ETH_USD_QUERY_ID();
+    const lastTimestamp = await tellorAdapter.getLastUpdateTimestamp();
+    await tellorMock.setDisputed(queryId, lastTimestamp, true);
+
+    const disputes = await client.checkTellorDisputes("ETH-USD");
+    expect(disputes.hasDisputedData).to.be.true;
+    expect(disputes.disputedSources).to.deep.equal([await tellorAdapter.getAddress()]);
+  });
+
+  it("Should work with a plain ethers v6 provider", async function () {
+    const provider = new ethers.BrowserProvider(hre.network.provider);
+    const plainClient = new PriceAggregatorClient(await priceAggregator.getAddress(), provider);
+
+    expect(await plainClient.getSupportedPairs()).to.deep.equal(["ETH-USD"]);
+    expect((await plainClient.getMedianPrice("ETH-USD")).value).to.equal(3005);
+  });
+
+  it("Should name every oracle type", function () {
+    expect(oracleTypeName(0)).to.equal("Chainlink");
+    expect(oracleTypeName(1n)).to.equal("Uniswap");
+    expect(oracleTypeName(4)).to.equal("UniswapV3TWAP");
+    expect(oracleTypeName(9)).to.equal("Unknown");
+  });
+});
@@ -0,0 +1,152 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const { loadFixture } = require("@nomicfoundation/hardhat-network-helpers");
+const { HEARTBEAT, price, usd, increaseTime, setPrices, deployChainlinkAggregator } = require("./aggregatorFixture");
+
+// Three Chainlink feeds for ETH-USD, the last one with double weight
+async function deployHistoryFixture() {
+  return deployChainlinkAggregator(["1", "1", "2"]);
+}
+
+describe("Price history", function () {
+  this.timeout(120000);
+
+  let owner, keeper;
+  let priceAggregator;
+  let feeds;
+  let historySize;
+
+  // Stores a snapshot and returns the block timestamp it was taken at
+  async function updatePrice(signer = owner) {
+    const tx = await priceAggregator.connect(signer).updatePrice("ETH-USD");
+    const receipt = await tx.wait();
+    return (await ethers.provider.getBlock(receipt.blockNumber)).timestamp;
+  }
+
+  beforeEach(async function () {
+    [owner, keeper] = await ethers.getSigners();
+    ({ priceAggregator, feeds } = await loadFixture(deployHistoryFixture));
+    historySize = Number(await priceAggregator.PRICE_HISTORY_SIZE());
+  });
+
+  describe("updatePrice", function () {
+    it("Should store the median and weighted price with the source count", async function () {
+      await setPrices(feeds, "3000", "3100", "3300");
+
+      await expect(priceAggregator.updatePrice("ETH-USD"))
+        .to.emit(priceAggregator, "PriceUpdated")
+        .withArgs("ETH-USD", usd("3100"), usd("3175"));
+
+      const [snapshot] = await priceAggregator.getHistory("ETH-USD", 1);
+      expect(snapshot.medianPrice).to.equal(usd("3100"));
+      expect(snapshot.weightedPrice).to.equal(usd("3175"));
+      expect(snapshot.sourceCount).to.equal(3n);
+      expect(snapshot.timestamp).to.equal(BigInt((await ethers.provider.getBlock("latest")).timestamp));
+      expect(await priceAggregator.snapshotCount("ETH-USD")).to.equal(1n);
+    });
+
+    it("Should count only the sources left after the outlier filter", async function () {
+      await priceAggregator.setOutlierFilter("ETH-USD", 1, 500); // 5%
+      await setPrices(feeds, "3000", "3010", "9000");
+      await updatePrice();
+
+      const [snapshot] = await priceAggregator.getHistory("ETH-USD", 1);
+      expect(snapshot.sourceCount).to.equal(2n);
+      expect(snapshot.weightedPrice).to.equal(usd("3005"));
+      // The median is unfiltered, as in getMedianPrice
+      expect(snapshot.medianPrice).to.equal(usd("3010"));
+    });
+
+    it("Should only let keepers store snapshots", async function () {
+      const KEEPER_ROLE = await priceAggregator.KEEPER_ROLE();
+      await expect(priceAggregator.connect(keeper).updatePrice("ETH-USD")).to.be.revertedWith("AccessControl: missing role");
+
+      await priceAggregator.grantRole(KEEPER_ROLE, keeper.address);
+      await updatePrice(keeper);
+
+      await priceAggregator.revokeRole(KEEPER_ROLE, keeper.address);
+      await expect(priceAggregator.connect(keeper).updatePrice("ETH-USD")).to.be.revertedWith("AccessControl: missing role");
+    });
+
+    it("Should not store a snapshot when too few sources answer", async function () {
+      await priceAggregator.setMinOracleResponses(2);
+      await increaseTime(HEARTBEAT + 1);
+      await setPrices(feeds, "3000");
+
+      await expect(priceAggregator.updatePrice("ETH-USD")).to.be.revertedWith("Insufficient valid prices");
+      expect(await priceAggregator.snapshotCount("ETH-USD")).to.equal(0n);
+    });
+
+    it("Should keep the histories of different pairs apart", async function () {
+      await updatePrice();
+
+      expect(await priceAggregator.getHistory("BTC-USD", 10)).to.have.length(0);
+      await expect(priceAggregator.updatePrice("BTC-USD")).to.be.revertedWith("Asset pair not active");
+    });
+  });
+
+  describe("getHistory", function () {
+    it("Should return the most recent snapshots oldest first", async function () {
+      for (const answer of ["3000", "3100", "3200"]) {
+        await setPrices(feeds, answer, answer, answer);
+        await updatePrice();
+      }
+
+      const history = await priceAggregator.getHistory("ETH-USD", 2);
+      expect(history.map((snapshot) => snapshot.medianPrice)).to.deep.equal([usd("3100"), usd("3200")]);
+      expect(await priceAggregator.getHistory("ETH-USD", 10)).to.have.length(3);
+    });
+
+    it("Should overwrite the oldest snapshots once the buffer is full", async function () {
+      for (let i = 0; i < historySize + 2; i++) {
+        await feeds[0].setAnswer(price(String(3000 + i)));
+        await updatePrice();
+      }
+
+      const history = await priceAggregator.getHistory("ETH-USD", historySize + 10);
+      expect(history).to.have.length(historySize);
+      // Feeds 2 and 3 stay at 3000, so the weighted price tracks feed 1: (p + 3 * 3000) / 4
+      expect(history[0].weightedPrice).to.equal(usd("3000.5"));
+      expect(history[historySize - 1].weightedPrice).to.equal(usd(String(3000 + (historySize + 1) / 4)));
+      expect(await priceAggregator.snapshotCount("ETH-USD")).to.equal(BigInt(historySize + 2));
+    });
+  });
+
+  describe("getPriceAt", function () {
+    let times;
+
+    beforeEach(async function () {
+      times = [];
+      for (const answer of ["3000", "3100", "3200"]) {
+        await setPrices(feeds, answer, answer, answer);
+        times.push(await updatePrice());
+        await increaseTime(600);
+      }
+    });
+
+    it("Should return the snapshot current at a timestamp", async function () {
+      expect((await priceAggregator.getPriceAt("ETH-USD", times[0])).medianPrice).to.equal(usd("3000"));
+      expect((await priceAggregator.getPriceAt("ETH-USD", times[1] - 1)).medianPrice).to.equal(usd("3000"));
+      expect((await priceAggregator.getPriceAt("ETH-USD", times[1] + 300)).medianPrice).to.equal(usd("3100"));
+      expect((await priceAggregator.getPriceAt("ETH-USD", times[2] + 86400)).medianPrice).to.equal(usd("3200"));
+    });
+
+    it("Should fail before the first snapshot", async function () {
+      await expect(priceAggregator.getPriceAt("ETH-USD", times[0] - 1))
+        .to.be.revertedWith("No snapshot at or before timestamp");
+      await expect(priceAggregator.getPriceAt("BTC-USD", times[2]))
+        .to.be.revertedWith("No snapshot at or before timestamp");
+    });
+
+    it("Should only search the snapshots still in the buffer", async function () {
+      // Pushes the first two snapshots out
+      for (let i = 0; i < historySize - 1; i++) {
+        await updatePrice();
+      }
+
+      await expect(priceAggregator.getPriceAt("ETH-USD", times[1] + 300))
+        .to.be.revertedWith("No snapshot at or before timestamp");
+      expect((await priceAggregator.getPriceAt("ETH-USD", times[2])).medianPrice).to.equal(usd("3200"));
+    });
+  });
+});
@@ -0,0 +1,105 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const { loadFixture } = require("@nomicfoundation/hardhat-network-helpers");
+const { HEARTBEAT, usd, increaseTime, setPrices, deployChainlinkAggregator } = require("./aggregatorFixture");
+
+// Four equally weighted Chainlink feeds for ETH-USD
+async function deployQualityFixture() {
+  return deployChainlinkAggregator(["1", "1", "1", "1"]);
+}
+
+describe("Price quality", function () {
+  this.timeout(60000);
+
+  let oracleLib, priceAggregator;
+  let feeds, sources;
+
+  beforeEach(async function () {
+    ({ oracleLib, priceAggregator, feeds, sources } = await loadFixture(deployQualityFixture));
+  });
+
+  it("Should give full confidence when every source answers and agrees", async function () {
+    const quality = await priceAggregator.getPriceWithQuality("ETH-USD");
+
+    expect(quality.price).to.equal(usd("3000"));
+    expect(quality.validSources).to.equal(4n);
+    expect(quality.totalSources).to.equal(4n);
+    expect(quality.minPrice).to.equal(usd("3000"));
+    expect(quality.maxPrice).to.equal(usd("3000"));
+    expect(quality.spreadBps).to.equal(0n);
+    expect(quality.standardDeviation).to.equal(0n);
+    expect(quality.confidence).to.equal(10000n);
+  });
+
+  it("Should report the spread and standard deviation of the sources", async function () {
+    await setPrices(feeds, "3000", "3010", "2990", "3000");
+
+    const quality = await priceAggregator.getPriceWithQuality("ETH-USD");
+    expect(quality.price).to.equal(await priceAggregator.getWeightedPrice("ETH-USD"));
+    expect(quality.minPrice).to.equal(usd("2990"));
+    expect(quality.maxPrice).to.equal(usd("3010"));
+    expect(quality.spreadBps).to.equal(66n); // 20 / 2990
+    expect(quality.standardDeviation).to.equal(7071067811865475244n); // sqrt(50)
+    // Relative deviation of 0.23% costs 4.6%
+    expect(quality.confidence).to.equal(9540n);
+  });
+
+  it("Should lower the confidence when sources do not answer", async function () {
+    await increaseTime(HEARTBEAT + 1);
+    await setPrices(feeds, "3010", "2990", "3000");
+
+    const quality = await priceAggregator.getPriceWithQuality("ETH-USD");
+    expect(quality.validSources).to.equal(3n);
+    expect(quality.totalSources).to.equal(4n);
+    // 75% coverage, relative deviation of 0.27% costs 5.4%
+    expect(quality.confidence).to.equal(7095n);
+  });
+
+  it("Should report the oldest price used", async function () {
+    const { timestamp: first } = await ethers.provider.getBlock("latest");
+    await feeds[3].setUpdateTime(first - 600);
+    await increaseTime(60);
+    await setPrices(feeds, "3000", "3000", "3000");
+
+    const quality = await priceAggregator.getPriceWithQuality("ETH-USD");
+    expect(quality.oldestTimestamp).to.equal(BigInt(first - 600));
+  });
+
+  it("Should leave outliers and disabled sources out of the figures", async function () {
+    await priceAggregator.setOutlierFilter("ETH-USD", 1, 500); // 5%
+    await priceAggregator.setPairSourceEnabled("ETH-USD", sources[3].oracle, false);
+    await setPrices(feeds, "3000", "3000", "9000", "3000");
+
+    const quality = await priceAggregator.getPriceWithQuality("ETH-USD");
+    expect(quality.price).to.equal(usd("3000"));
+    expect(quality.validSources).to.equal(2n);
+    expect(quality.totalSources).to.equal(3n);
+    expect(quality.maxPrice).to.equal(usd("3000"));
+    expect(quality.confidence).to.equal(6666n);
+  });
+
+  it("Should fail like getWeightedPrice when too few sources answer", async function () {
+    await priceAggregator.setMinOracleResponses(2);
+    await increaseTime(HEARTBEAT + 1);
+    await setPrices(feeds, "3000");
+
+    await expect(priceAggregator.getPriceWithQuality("ETH-USD")).to.be.revertedWith("Insufficient valid sources");
+  });
+
+  describe("OracleLib", function () {
+    it("Should drop the confidence to zero at 5% relative deviation", async function () {
+      expect(await oracleLib.getConfidenceScore(4, 4, usd("100"), usd("5"))).to.equal(0n);
+      expect(await oracleLib.getConfidenceScore(4, 4, usd("100"), usd("2.5"))).to.equal(5000n);
+    });
+
+    it("Should give no confidence without a usable price", async function () {
+      expect(await oracleLib.getConfidenceScore(0, 4, usd("100"), 0)).to.equal(0n);
+      expect(await oracleLib.getConfidenceScore(1, 1, 0, 0)).to.equal(0n);
+    });
+
+    it("Should compute the stats of a single price", async function () {
+      const [min, max, spreadBps, standardDeviation] = await oracleLib.getPriceStats([usd("3000")]);
+      expect([min, max, spreadBps, standardDeviation]).to.deep.equal([usd("3000"), usd("3000"), 0n, 0n]);
+    });
+  });
+});
@@ -0,0 +1,260 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const { deployChainlinkFeed } = require("./aggregatorFixture");
+
+// Pyth price feed ids (the same on every chain)
+const ETH_USD_PRICE_ID = "0xff61491a931112ddf1bd8147cd1b641375f79f5825126d665480874634fd0ace";
+const BTC_USD_PRICE_ID = "0xe62df6c8b4a85fe1a67db44dc12de5db330f7ac66b72dc658afedf0f4a415b43";
+
+const UPDATE_FEE = 10n; // wei per update
+const HEARTBEAT = 3600;
+const MAX_CONFIDENCE_BPS = 100; // 1%
+
+async function latestTimestamp() {
+  return (await ethers.provider.getBlock("latest")).timestamp;
+}
+
+async function increaseTime(seconds) {
+  await ethers.provider.send("evm_increaseTime", [seconds]);
+  await ethers.provider.send("evm_mine", []);
+}
+
+describe("PythAdapter Local Tests", function () {
+  this.timeout(60000);
+
+  let owner, keeper;
+  let oracleLib, twapCalculator;
+  let chainlinkEthUsd, chainlinkBtcUsd, tellorEthUsd;
+  let pyth, pythEthUsd, pythBtcUsd;
+  let priceAggregator;
+
+  function source(oracle, oracleType, weight, description, decimals = 18) {
+    return {
+      oracle,
+      oracleType,
+      weight: ethers.parseUnits(weight, 18),
+      heartbeatSeconds: HEARTBEAT,
+      description,
+      decimals
+    };
+  }
+
+  beforeEach(async function () {
+    [owner, keeper] = await ethers.getSigners();
+
+    const OracleLib = await ethers.getContractFactory("OracleLib");
+    oracleLib = await OracleLib.deploy();
+    const TWAPCalculator = await ethers.getContractFactory("TWAPCalculator");
+    twapCalculator = await TWAPCalculator.deploy();
+
+    ({ adapter: chainlinkEthUsd } = await deployChainlinkFeed("3000"));
+    const btcUsd = await deployChainlinkFeed("60000", "BTC");
+    chainlinkBtcUsd = btcUsd.feed;
+    const TellorMock = await ethers.getContractFactory("TellorMock");
+    tellorEthUsd = await TellorMock.deploy(ethers.parseUnits("3000", 18));
+
+    // Pyth publishes ETH/USD with 8 decimals and BTC/USD with 5 here, to exercise the exponent
+    const PythMock = await ethers.getContractFactory("PythMock");
+    pyth = await PythMock.deploy(UPDATE_FEE);
+    await pyth.setPrice(ETH_USD_PRICE_ID, 3030_00000000n, 1_50000000n, -8, 0);
+    await pyth.setPrice(BTC_USD_PRICE_ID, 60300_00000n, 30_00000n, -5, 0);
+
+    const PythAdapter = await ethers.getContractFactory("PythAdapter");
+    const pythAddress = await pyth.getAddress();
+    pythEthUsd = await PythAdapter.deploy(pythAddress, ETH_USD_PRICE_ID, "ETH", "USD", HEARTBEAT, MAX_CONFIDENCE_BPS);
+    pythBtcUsd = await PythAdapter.deploy(pythAddress, BTC_USD_PRICE_ID, "BTC", "USD", HEARTBEAT, MAX_CONFIDENCE_BPS);
+
+    const ethUsdSources = [
+      source(await chainlinkEthUsd.getAddress(), 0, "3", "Chainlink ETH/USD", 8),
+      source(await tellorEthUsd.getAddress(), 2, "2", "Tellor ETH/USD"),
+      source(await pythEthUsd.getAddress(), 5, "1", "Pyth ETH/USD")
+    ];
+    const btcUsdSources = [
+      source(await btcUsd.adapter.getAddress(), 0, "3", "Chainlink BTC/USD", 8),
+      source(await pythBtcUsd.getAddress(), 5, "1", "Pyth BTC/USD")
+    ];
+
+    const PriceAggregator = await ethers.getContractFactory("PriceAggregator");
+    priceAggregator = await PriceAggregator.deploy(
+      [...ethUsdSources, ...btcUsdSources],
+      await oracleLib.getAddress(),
+      await twapCalculator.getAddress()
+    );
+    await priceAggregator.addAssetPair("ETH-USD", "ETH", "USD", ethUsdSources.map((s) => s.oracle));
+    await priceAggregator.addAssetPair("BTC-USD", "BTC", "USD", btcUsdSources.map((s) => s.oracle));
+  });
+
+  describe("Adapter", function () {
+    it("Should scale prices from the feed exponent to 18 decimals", async function () {
+      expect(await pythEthUsd.getLatestValue()).to.equal(ethers.parseUnits("3030", 18));
+      expect(await pythBtcUsd.getLatestValue()).to.equal(ethers.parseUnits("60300", 18));
+      expect(await pythEthUsd.decimals()).to.equal(18);
+      expect(await pythEthUsd.getDescription()).to.equal("ETH / USD");
+    });
+
+    it("Should report the confidence interval with 18 decimals", async function () {
+      const [value, confidence, timestamp] = await pythEthUsd.getPriceWithConfidence();
+      expect(value).to.equal(ethers.parseUnits("3030", 18));
+      expect(confidence).to.equal(ethers.parseUnits("1.5", 18));
+      expect(timestamp).to.equal(await pythEthUsd.getLastUpdateTimestamp());
+    });
+
+    it("Should reject prices whose confidence interval is too wide", async function () {
+      // 45 on 3000 is 1.5%, above the 1% bound
+      await pyth.setPrice(ETH_USD_PRICE_ID, 3000_00000000n, 45_00000000n, -8, 0);
+
+      await expect(pythEthUsd.getLatestValue()).to.be.revertedWith("Confidence interval too wide");
+      const [price, , , healthy] = await pythEthUsd.latestPriceData();
+      expect(price).to.equal(ethers.parseUnits("3000", 18));
+      expect(healthy).to.be.false;
+
+      // Exactly 1% is still accepted
+      await pyth.setPrice(ETH_USD_PRICE_ID, 3000_00000000n, 30_00000000n, -8, 0);
+      expect(await pythEthUsd.getLatestValue()).to.equal(ethers.parseUnits("3000", 18));
+    });
+
+    it("Should reject stale prices", async function () {
+      await increaseTime(HEARTBEAT + 1);
+
+      await expect(pythEthUsd.getLatestValue()).to.be.revertedWith("Data exceeds maximum age");
+      const [value] = await pythEthUsd.getLatestValueWithAge(2 * HEARTBEAT);
+      expect(value).to.equal(ethers.parseUnits("3030", 18));
+    });
+
+    it("Should report a feed that was never updated as unhealthy", async function () {
+      const PythAdapter = await ethers.getContractFactory("PythAdapter");
+      const unknownFeed = await PythAdapter.deploy(
+        await pyth.getAddress(), ethers.id("LINK/USD"), "LINK", "USD", HEARTBEAT, MAX_CONFIDENCE_BPS
+      );
+
+      const [price, timestamp, decimals, healthy] = await unknownFeed.latestPriceData();
+      expect(price).to.equal(0n);
+      expect(timestamp).to.equal(0n);
+      expect(decimals).to.equal(18);
+      expect(healthy).to.be.false;
+      await expect(unknownFeed.getLatestValue()).to.be.revertedWith("Price feed not found");
+    });
+
+    it("Should report prices with an unsupported exponent as unhealthy", async function () {
+      // 10^-60 is beyond what 18 decimals can express
+      await pyth.setPrice(ETH_USD_PRICE_ID, 3030_00000000n, 1_50000000n, -60, 0);
+
+      const [price, timestamp, decimals, healthy] = await pythEthUsd.latestPriceData();
+      expect(price).to.equal(0n);
+      expect(timestamp).to.equal(await pythEthUsd.getLastUpdateTimestamp());
+      expect(decimals).to.equal(18);
+      expect(healthy).to.be.false;
+      await expect(pythEthUsd.getLatestValue()).to.be.revertedWith("Unsupported exponent");
+
+      // The aggregator leaves the source out instead of failing
+      expect(await priceAggregator.getMedianPrice("ETH-USD")).to.equal(ethers.parseUnits("3000", 18));
+    });
+
+    it("Should validate its constructor arguments", async function () {
+      const PythAdapter = await ethers.getContractFactory("PythAdapter");
+      const pythAddress = await pyth.getAddress();
+
+      await expect(PythAdapter.deploy(ethers.ZeroAddress, ETH_USD_PRICE_ID, "ETH", "USD", HEARTBEAT, 100))
+        .to.be.revertedWith("Invalid Pyth address");
+      await expect(PythAdapter.deploy(pythAddress, ethers.ZeroHash, "ETH", "USD", HEARTBEAT, 100))
+        .to.be.revertedWith("Invalid price id");
+      await expect(PythAdapter.deploy(pythAddress, ETH_USD_PRICE_ID, "ETH", "USD", 0, 100))
+        .to.be.revertedWith("Heartbeat must be positive");
+      await expect(PythAdapter.deploy(pythAddress, ETH_USD_PRICE_ID, "ETH", "USD", HEARTBEAT, 0))
+        .to.be.revertedWith("Invalid confidence bound");
+    });
+  });
+
+  describe("Price updates", function () {
+    async function updateData(price, conf = 1_00000000n) {
+      const publishTime = await latestTimestamp();
+      return [await pyth.createPriceFeedUpdateData(ETH_USD_PRICE_ID, price, conf, -8, publishTime)];
+    }
+
+    it("Should forward update data with the update fee", async function () {
+      const data = await updateData(3100_00000000n);
+      expect(await pythEthUsd.getUpdateFee(data)).to.equal(UPDATE_FEE);
+
+      await expect(pythEthUsd.connect(keeper).updatePriceFeeds(data, { value: UPDATE_FEE }))
+        .to.emit(pythEthUsd, "PriceFeedsUpdated")
+        .withArgs(ETH_USD_PRICE_ID, UPDATE_FEE);
+
+      expect(await pythEthUsd.getLatestValue()).to.equal(ethers.parseUnits("3100", 18));
+      expect(await ethers.provider.getBalance(await pyth.getAddress())).to.equal(UPDATE_FEE);
+    });
+
+    it("Should refund what exceeds the update fee", async function () {
+      const data = await updateData(3100_00000000n);
+
+      await expect(pythEthUsd.connect(keeper).updatePriceFeeds(data, { value: 1000n }))
+        .to.changeEtherBalances([keeper, pyth], [-UPDATE_FEE, UPDATE_FEE]);
+      expect(await ethers.provider.getBalance(await pythEthUsd.getAddress())).to.equal(0n);
+    });
+
+    it("Should reject updates without the fee", async function () {
+      const data = await updateData(3100_00000000n);
+
+      await expect(pythEthUsd.updatePriceFeeds(data, { value: UPDATE_FEE - 1n }))
+        .to.be.revertedWith("Insufficient update fee");
+    });
+
+    it("Should read the price right after submitting an update", async function () {
+      const data = await updateData(3200_00000000n);
+
+      expect(await pythEthUsd.updateAndGetLatestValue.staticCall(data, { value: UPDATE_FEE }))
+        .to.equal(ethers.parseUnits("3200", 18));
+    });
+
+    it("Should ignore updates older than the stored price", async function () {
+      const publishTime = (await pythEthUsd.getLastUpdateTimestamp()) - 10n;
+      const data = [await pyth.createPriceFeedUpdateData(ETH_USD_PRICE_ID, 2000_00000000n, 0, -8, publishTime)];
+
+      await pythEthUsd.updatePriceFeeds(data, { value: UPDATE_FEE });
+      expect(await pythEthUsd.getLatestValue()).to.equal(ethers.parseUnits("3030", 18));
+    });
+  });
+
+  describe("Aggregation", function () {
+    it("Should include Pyth in the median and weighted prices", async function () {
+      // Chainlink 3000 (weight 3), Tellor 3000 (weight 2), Pyth 3030 (weight 1)
+      expect(await priceAggregator.getMedianPrice("ETH-USD")).to.equal(ethers.parseUnits("3000", 18));
+      expect(await priceAggregator.getWeightedPrice("ETH-USD")).to.equal(ethers.parseUnits("3005", 18));
+
+      // Chainlink 60000 and Pyth 60300 (5 decimal feed)
+      expect(await priceAggregator.getMedianPrice("BTC-USD")).to.equal(ethers.parseUnits("60150", 18));
+    });
+
+    it("Should report Pyth sources with their own oracle type", async function () {
+      const [prices, sourceTypes, descriptions] = await priceAggregator.getAllPrices("ETH-USD");
+
+      expect(sourceTypes[2]).to.equal(5);
+      expect(descriptions[2]).to.equal("Pyth ETH/USD");
+      expect(prices[2]).to.equal(ethers.parseUnits("3030", 18));
+    });
+
+    it("Should follow prices pushed through the adapter", async function () {
+      const publishTime = await latestTimestamp();
+      const data = [await pyth.createPriceFeedUpdateData(ETH_USD_PRICE_ID, 3600_00000000n, 1_00000000n, -8, publishTime)];
+      await pythEthUsd.updatePriceFeeds(data, { value: UPDATE_FEE });
+
+      const [prices] = await priceAggregator.getAllPrices("ETH-USD");
+      expect(prices[2]).to.equal(ethers.parseUnits("3600", 18));
+      expect(await priceAggregator.getWeightedPrice("ETH-USD")).to.equal(ethers.parseUnits("3100", 18));
+    });
+
+    it("Should leave out Pyth prices with a wide confidence interval", async function () {
+      await pyth.setPrice(BTC_USD_PRICE_ID, 90000_00000n, 5000_00000n, -5, 0);
+
+      expect(await priceAggregator.getMedianPrice("BTC-USD")).to.equal(ethers.parseUnits("60000", 18));
+      await expect(priceAggregator.fetchPairPriceFromSource("BTC-USD", source(await pythBtcUsd.getAddress(), 5, "1", "Pyth BTC/USD")))
+        .to.be.revertedWith("Source price unavailable");
+    });
+
+    it("Should leave out stale Pyth prices", async function () {
+      await increaseTime(HEARTBEAT + 1);
+      await chainlinkBtcUsd.setAnswer(ethers.parseUnits("61000", 8));
+
+      expect(await priceAggregator.getMedianPrice("BTC-USD")).to.equal(ethers.parseUnits("61000", 18));
+    });
+  });
+});
@@ -0,0 +1,114 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const { loadFixture } = require("@nomicfoundation/hardhat-network-helpers");
+const { HEARTBEAT, price, usd, increaseTime, sourceConfig, deployAggregator, deployChainlinkFeed } = require("./aggregatorFixture");
+
+// A Chainlink, a Uniswap and a Tellor source for ETH-USD
+async function deployStalenessFixture() {
+  const { feed: chainlink, adapter: chainlinkAdapter } = await deployChainlinkFeed("3000");
+  const UniswapV3Mock = await ethers.getContractFactory("UniswapV3Mock");
+  const uniswap = await UniswapV3Mock.deploy(0);
+  await uniswap.setMockPrice(usd("3010"));
+  const TellorMock = await ethers.getContractFactory("TellorMock");
+  const tellor = await TellorMock.deploy(usd("3020"));
+
+  const sources = [
+    sourceConfig(await chainlinkAdapter.getAddress(), 0, "Chainlink ETH/USD", 8),
+    sourceConfig(await uniswap.getAddress(), 1, "Uniswap ETH/USD"),
+    sourceConfig(await tellor.getAddress(), 2, "Tellor ETH/USD")
+  ];
+  const { priceAggregator } = await deployAggregator(sources);
+  // UniswapV3Mock answers for any pool, but the pair still has to name one
+  await priceAggregator.setUniswapPool("ETH-USD", sources[1].oracle, sources[0].oracle, sources[2].oracle, 3000);
+
+  return { chainlink, uniswap, tellor, sources, priceAggregator };
+}
+
+describe("Staleness", function () {
+  this.timeout(60000);
+
+  let chainlink, uniswap, tellor;
+  let sources, priceAggregator;
+
+  async function refresh() {
+    await chainlink.setAnswer(price("3000"));
+    await uniswap.setMockPrice(usd("3010"));
+    await tellor.setValue(usd("3020"));
+  }
+
+  async function staleFlags() {
+    const [, , , , , staleStatus] = await priceAggregator.getAllPricesWithStatus("ETH-USD");
+    return staleStatus;
+  }
+
+  beforeEach(async function () {
+    ({ chainlink, uniswap, tellor, sources, priceAggregator } = await loadFixture(deployStalenessFixture));
+  });
+
+  it("Should aggregate and flag nothing while every source is fresh", async function () {
+    expect(await staleFlags()).to.deep.equal([false, false, false]);
+    expect(await priceAggregator.getMedianPrice("ETH-USD")).to.equal(usd("3010"));
+    expect(await priceAggregator.getWeightedPrice("ETH-USD")).to.equal(usd("3010"));
+  });
+
+  it("Should drop every source older than its heartbeat", async function () {
+    await increaseTime(HEARTBEAT + 1);
+
+    expect(await staleFlags()).to.deep.equal([true, true, true]);
+    // Stale prices are still reported
+    const [prices] = await priceAggregator.getAllPricesWithStatus("ETH-USD");
+    expect(prices).to.deep.equal([usd("3000"), usd("3010"), usd("3020")]);
+    await expect(priceAggregator.getMedianPrice("ETH-USD")).to.be.revertedWith("Insufficient valid prices");
+    await expect(priceAggregator.fetchPairPriceFromSource("ETH-USD", sources[1])).to.be.revertedWith("Source price is stale");
+
+    await uniswap.setMockPrice(usd("3010"));
+    expect(await staleFlags()).to.deep.equal([true, false, true]);
+    expect(await priceAggregator.getMedianPrice("ETH-USD")).to.equal(usd("3010"));
+    expect(await priceAggregator.getWeightedPrice("ETH-USD")).to.equal(usd("3010"));
+    // ChainlinkAdapter already reports a round older than its own heartbeat as unhealthy
+    await expect(priceAggregator.fetchPairPriceFromSource("ETH-USD", sources[0])).to.be.revertedWith("Source price unavailable");
+    await expect(priceAggregator.fetchPairPriceFromSource("ETH-USD", sources[2])).to.be.revertedWith("Source price is stale");
+  });
+
+  it("Should cap every heartbeat with the staleness threshold", async function () {
+    await priceAggregator.setStalenessThreshold(600);
+    await increaseTime(601);
+
+    expect(await staleFlags()).to.deep.equal([true, true, true]);
+    await expect(priceAggregator.fetchPairPriceFromSource("ETH-USD", sources[1])).to.be.revertedWith("Source price is stale");
+    await expect(priceAggregator.fetchPairPriceFromSource("ETH-USD", sources[2])).to.be.revertedWith("Source price is stale");
+
+    await refresh();
+    expect(await staleFlags()).to.deep.equal([false, false, false]);
+    expect(await priceAggregator.getMedianPrice("ETH-USD")).to.equal(usd("3010"));
+    expect(await priceAggregator.getWeightedPrice("ETH-USD")).to.equal(usd("3010"));
+  });
+
+  it("Should keep a shorter pair heartbeat under the staleness threshold", async function () {
+    await priceAggregator.updatePairSource("ETH-USD", sources[2].oracle, ethers.parseUnits("1", 18), 60, 18);
+    await increaseTime(61);
+
+    expect(await staleFlags()).to.deep.equal([false, false, true]);
+    expect(await priceAggregator.getWeightedPrice("ETH-USD")).to.equal(usd("3005"));
+  });
+
+  it("Should stop aggregating once too few sources are fresh", async function () {
+    await priceAggregator.setMinOracleResponses(2);
+    await priceAggregator.setStalenessThreshold(600);
+    await increaseTime(601);
+
+    await expect(priceAggregator.getMedianPrice("ETH-USD")).to.be.revertedWith("Insufficient valid prices");
+    await expect(priceAggregator.getWeightedPrice("ETH-USD")).to.be.revertedWith("Insufficient valid sources");
+  });
+
+  it("Should flag a failing source as stale with a zero price", async function () {
+    const broken = { ...sources[2], oracle: await priceAggregator.getAddress(), description: "Not an oracle" };
+    await priceAggregator.addOracleSource(broken);
+    await priceAggregator.addPairSource("ETH-USD", broken.oracle, broken.weight, HEARTBEAT, 18);
+
+    const [prices, , , timestamps, , staleStatus] = await priceAggregator.getAllPricesWithStatus("ETH-USD");
+    expect(prices[3]).to.equal(0n);
+    expect(timestamps[3]).to.equal(0n);
+    expect(staleStatus[3]).to.be.true;
+  });
+});
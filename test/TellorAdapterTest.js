@@ -1,280 +1,282 @@
-// Run this with: npx hardhat run test/TellorAdapterTest.js --network sepolia
-
+const { expect } = require("chai");
 const { ethers } = require("hardhat");
+const { loadFixture } = require("@nomicfoundation/hardhat-network-helpers");
+const { describeSepolia } = require("./sepolia");
+const { tellorContract, tellorQueryETHUSD } = require("../scripts/addresses");
 
-// import addresses from address file
-const {
-    tellorContract,
-    tellorAdapterContract,
-    tellorQueryETHUSD,
-    tellorQueryBTCUSD,
-    tellorToken,
-    tellorOracle
-} = require('../scripts/addresses');
-
-async function main() {
-    console.log("🔧 Testing TellorAdapter Enhanced Functionality...");
-    
-    // Get the network information
-    const network = await ethers.provider.getNetwork();
-    console.log(`📡 Connected to network: ${network.name} (chainId: ${network.chainId})`);
-    
-    // Try to get signer for deployment
-    let deployer;
-    let canDeploy = false;
-    
-    try {
-        const signers = await ethers.getSigners();
-        deployer = signers[0];
-        
-        if (deployer && deployer.address) {
-            console.log(`👤 Using deployer account: ${deployer.address}`);
-            
-            // Check deployer balance
-            const balance = await ethers.provider.getBalance(deployer.address);
-            console.log(`💰 Deployer balance: ${ethers.formatEther(balance)} ETH`);
-            
-            if (balance < ethers.parseEther("0.001")) { // Lower threshold for testing
-                console.log("⚠️  Low balance for deployment. Need at least 0.001 ETH for gas.");
-                console.log("🔄 Falling back to existing contract testing...");
-                canDeploy = false;
-            } else {
-                canDeploy = true;
-            }
-        } else {
-            console.log("❌ Signer found but no address available");
-            canDeploy = false;
-        }
-    } catch (error) {
-        console.log("⚠️  Error getting signer:", error.message);
-        console.log("💡 To enable deployment, you need to:");
-        console.log("   1. Create a .env file with your PRIVATE_KEY");
-        console.log("   2. Add your INFURA_API_KEY");
-        console.log("   3. Make sure you have Sepolia ETH");
-        canDeploy = false;
-    }
-    
-    if (canDeploy) {
-        // Deploy a new TellorAdapter for testing
-        console.log("\n📦 Deploying TellorAdapter for ETH/USD...");
-        try {
-            const TellorAdapter = await ethers.getContractFactory("TellorAdapter", deployer);
-            
-            console.log("🚀 Starting deployment transaction...");
-            const ethAdapter = await TellorAdapter.deploy(
-                tellorContract,
-                "eth", // asset
-                "usd"  // currency
-            );
-            
-            console.log("⏳ Waiting for deployment confirmation...");
-            await ethAdapter.waitForDeployment(); // Updated for ethers v6
-            console.log(`✅ TellorAdapter deployed at ${await ethAdapter.getAddress()}`); // Updated for ethers v6
-            
-            // Run tests with the new deployment
-            await runTests(ethAdapter, deployer);
-            
-        } catch (error) {
-            console.error("❌ Deployment failed:", error.message);
-            if (error.message.includes("insufficient funds")) {
-                console.log("💡 You need more Sepolia ETH. Get some from https://sepoliafaucet.com/");
-            }
-            console.log("🔄 Falling back to existing contract testing...");
-            await testExistingContract();
-        }
-    } else {
-        console.log("🔄 Testing with existing contract...");
-        await testExistingContract();
-    }
-}
+const BUFFER = 900;
+const MAX_AGE = 3600;
 
-async function testExistingContract() {
-    console.log("\n🔍 Testing with existing TellorAdapter contract...");
-    
-    if (!tellorAdapterContract || tellorAdapterContract === "0x0000000000000000000000000000000000000000") {
-        console.log("❌ No existing TellorAdapter contract address available");
-        console.log("💡 You can:");
-        console.log("   1. Deploy a TellorAdapter contract first");
-        console.log("   2. Update the address in addresses.js");
-        console.log("   3. Make sure you have testnet ETH for deployment");
-        return;
-    }
-    
-    try {
-        const ethAdapter = await ethers.getContractAt("TellorAdapter", tellorAdapterContract);
-        console.log(`✅ Connected to existing TellorAdapter at ${tellorAdapterContract}`);
-        
-        await runTests(ethAdapter);
-    } catch (error) {
-        console.error("❌ Failed to connect to existing contract:", error.message);
-    }
+async function increaseTime(seconds) {
+  await ethers.provider.send("evm_increaseTime", [seconds]);
+  await ethers.provider.send("evm_mine", []);
 }
 
-async function runTests(ethAdapter) {
-    // Test 1: Basic functionality
-    console.log("\n🧪 Test 1: Basic Latest Value Retrieval");
-    try {
-        const latestValue = await ethAdapter.getLatestValue();
-        console.log(`📊 Latest ETH/USD Price: $${ethers.utils.formatUnits(latestValue, 18)}`);
-        
-        const timestamp = await ethAdapter.getLastUpdateTimestamp();
-        const date = new Date(timestamp.toNumber() * 1000);
-        console.log(`⏰ Last Updated: ${date.toLocaleString()}`);
-    } catch (error) {
-        console.error("❌ Error in basic test:", error.message);
-    }
-    
-    // Test 2: Custom age requirements
-    console.log("\n🧪 Test 2: Custom Age Requirements");
-    try {
-        // Get latest value with 1 hour max age
-        const oneHour = 3600;
-        const [value, timestamp] = await ethAdapter.getLatestValueWithAge(oneHour);
-        
-        if (timestamp > 0) {
-            console.log(`📊 ETH/USD (max 1h old): $${ethers.utils.formatUnits(value, 18)}`);
-            const age = Math.floor(Date.now() / 1000) - timestamp.toNumber();
-            console.log(`⏱️  Data age: ${age} seconds`);
-        } else {
-            console.log("⚠️  No data available within 1 hour");
-        }
-    } catch (error) {
-        console.error("❌ Error in age test:", error.message);
-    }
-    
-    // Test 3: Multiple values retrieval
-    console.log("\n🧪 Test 3: Multiple Values Retrieval");
-    try {
-        const maxAge = 86400; // 24 hours
-        const maxCount = 5;
-        const [values, timestamps] = await ethAdapter.getMultipleValues(maxAge, maxCount);
-        
-        console.log(`📈 Retrieved ${values.length} values from last 24 hours:`);
-        for (let i = 0; i < Math.min(values.length, 3); i++) {
-            if (values[i] > 0) {
-                const price = ethers.utils.formatUnits(values[i], 18);
-                const date = new Date(timestamps[i].toNumber() * 1000);
-                console.log(`   ${i + 1}. $${price} at ${date.toLocaleString()}`);
-            }
-        }
-    } catch (error) {
-        console.error("❌ Error in multiple values test:", error.message);
-    }
-    
-    // Test 4: Data analytics functions
-    console.log("\n🧪 Test 4: Data Analytics");
-    try {
-        const valueCount = await ethAdapter.getValueCount();
-        console.log(`📊 Total values submitted: ${valueCount.toString()}`);
-        
-        const lastTimestamp = await ethAdapter.getLastUpdateTimestamp();
-        if (lastTimestamp > 0) {
-            const reporter = await ethAdapter.getReporter(lastTimestamp);
-            console.log(`👤 Last reporter: ${reporter}`);
-            
-            const isDisputed = await ethAdapter.isDisputed(lastTimestamp);
-            console.log(`⚖️  Is disputed: ${isDisputed ? "Yes" : "No"}`);
-        }
-    } catch (error) {
-        console.error("❌ Error in analytics test:", error.message);
-    }
-    
-    // Test 5: Index-based queries
-    console.log("\n🧪 Test 5: Index-Based Queries");
-    try {
-        const valueCount = await ethAdapter.getValueCount();
-        if (valueCount > 0) {
-            // Get the most recent entry by index
-            const lastIndex = valueCount.sub(1);
-            const timestamp = await ethAdapter.getTimestampByIndex(lastIndex);
-            const date = new Date(timestamp.toNumber() * 1000);
-            console.log(`📅 Most recent timestamp (index ${lastIndex}): ${date.toLocaleString()}`);
-            
-            // Test index finding
-            const now = Math.floor(Date.now() / 1000);
-            const [foundBefore, indexBefore] = await ethAdapter.getIndexBefore(now);
-            if (foundBefore) {
-                console.log(`🔍 Index before now: ${indexBefore.toString()}`);
-            }
-        }
-    } catch (error) {
-        console.error("❌ Error in index test:", error.message);
-    }
-    
-    // Test 6: Historical data access
-    console.log("\n🧪 Test 6: Historical Data Access");
-    try {
-        const oneDayAgo = Math.floor(Date.now() / 1000) - 86400;
-        const [nextValue, nextTimestamp] = await ethAdapter.getValueAfter(oneDayAgo);
-        
-        if (nextTimestamp > 0) {
-            console.log(`📊 First value after 24h ago: $${ethers.utils.formatUnits(nextValue, 18)}`);
-            const date = new Date(nextTimestamp.toNumber() * 1000);
-            console.log(`📅 Timestamp: ${date.toLocaleString()}`);
-        } else {
-            console.log("⚠️  No data found after 24 hours ago");
-        }
-    } catch (error) {
-        console.error("❌ Error in historical test:", error.message);
-    }
-    
-    // Test 7: Compare with legacy retrieveData function
-    console.log("\n🧪 Test 7: Legacy Compatibility");
-    try {
-        const legacyValue = await ethAdapter.retrieveData();
-        if (legacyValue > 0) {
-            console.log(`📊 Legacy retrieveData(): $${ethers.utils.formatUnits(legacyValue, 18)}`);
-            console.log("✅ Legacy compatibility maintained");
-        } else {
-            console.log("⚠️  Legacy function returned 0 (possibly disputed data filtered)");
-        }
-    } catch (error) {
-        console.error("❌ Error in legacy test:", error.message);
-    }
-    
-    // Test 8: Test with existing contract capabilities
-    console.log("\n🧪 Test 8: Contract Capabilities Check");
-    try {
-        // First, let's check what functions are available on this contract
-        console.log("🔍 Checking contract capabilities...");
-        
-        // Test basic functions that should exist
-        try {
-            const asset = await ethAdapter.asset();
-            const currency = await ethAdapter.currency();
-            console.log(`📋 Contract configured for: ${asset.toUpperCase()}/${currency.toUpperCase()}`);
-        } catch (e) {
-            console.log("⚠️  Enhanced properties not available on this contract");
-        }
-        
-        // Test if this is the new enhanced version
-        try {
-            const queryId = await ethAdapter.queryId();
-            console.log(`🔑 Query ID: ${queryId}`);
-            console.log("✅ This appears to be an enhanced TellorAdapter");
-        } catch (e) {
-            console.log("📝 This appears to be a legacy TellorAdapter contract");
-        }
-        
-    } catch (error) {
-        console.error("❌ Error in capabilities test:", error.message);
-    }
-    
-    console.log("\n🎉 TellorAdapter testing completed!");
-    console.log("📝 Summary of new features tested:");
-    console.log("   ✓ Enhanced latest value with dispute checking");
-    console.log("   ✓ Custom age requirements");
-    console.log("   ✓ Multiple values retrieval");
-    console.log("   ✓ Data analytics (count, reporter, dispute status)");
-    console.log("   ✓ Index-based queries");
-    console.log("   ✓ Historical data access");
-    console.log("   ✓ Legacy compatibility");
-    console.log("   ✓ Multi-asset support");
-}
+// TellorAdapter against a local TellorPlayground, the oracle Tellor ships for testing
+describe("TellorAdapter", function () {
+  this.timeout(60000);
+
+  let owner, reporter, other;
+  let playground, ethAdapter;
+
+  const coder = ethers.AbiCoder.defaultAbiCoder();
+  const usd = (value) => ethers.parseUnits(value, 18);
+  const queryData = coder.encode(["string", "bytes"], ["SpotPrice", coder.encode(["string", "string"], ["eth", "usd"])]);
+  const queryId = ethers.keccak256(queryData);
+
+  // Reports a value as `reporter` and returns its timestamp
+  async function report(value) {
+    return submit(coder.encode(["uint256"], [usd(value)]));
+  }
+
+  // Reports raw bytes as `reporter` and returns their timestamp
+  async function submit(data) {
+    const tx = await playground.connect(reporter).submitValue(queryId, data, 0, queryData);
+    const { timestamp } = await ethers.provider.getBlock((await tx.wait()).blockNumber);
+    // Tellor only serves reports from before the block it is read in
+    await increaseTime(1);
+    return BigInt(timestamp);
+  }
+
+  async function deployTellorFixture() {
+    const TellorPlayground = await ethers.getContractFactory("TellorPlayground");
+    const playground = await TellorPlayground.deploy();
+    const TellorAdapter = await ethers.getContractFactory("TellorAdapter");
+    const ethAdapter = await TellorAdapter.deploy(await playground.getAddress(), "eth", "usd");
+    return { playground, ethAdapter };
+  }
+
+  beforeEach(async function () {
+    [owner, reporter, other] = await ethers.getSigners();
+    ({ playground, ethAdapter } = await loadFixture(deployTellorFixture));
+  });
+
+  describe("Configuration", function () {
+    it("Should build the SpotPrice query ID and start without a dispute buffer", async function () {
+      expect(await ethAdapter.queryId()).to.equal(queryId);
+      expect([await ethAdapter.asset(), await ethAdapter.currency()]).to.deep.equal(["eth", "usd"]);
+      expect(await ethAdapter.owner()).to.equal(owner.address);
+      expect(await ethAdapter.disputeBuffer()).to.equal(0n);
+      expect(await ethAdapter.maxAge()).to.equal(0n);
+    });
+
+    it("Should only let the owner set the dispute buffer", async function () {
+      await expect(ethAdapter.connect(other).setDisputeBuffer(BUFFER, MAX_AGE)).to.be.revertedWith("Not authorized");
+      await expect(ethAdapter.setDisputeBuffer(BUFFER, BUFFER)).to.be.revertedWith("Max age must exceed dispute buffer");
+
+      await expect(ethAdapter.setDisputeBuffer(BUFFER, MAX_AGE))
+        .to.emit(ethAdapter, "DisputeBufferUpdated")
+        .withArgs(BUFFER, MAX_AGE);
+      expect([await ethAdapter.disputeBuffer(), await ethAdapter.maxAge()]).to.deep.equal([BigInt(BUFFER), BigInt(MAX_AGE)]);
+
+      await ethAdapter.transferOwnership(other.address);
+      await expect(ethAdapter.setDisputeBuffer(0, 0)).to.be.revertedWith("Not authorized");
+      await ethAdapter.connect(other).setDisputeBuffer(0, 0);
+    });
+  });
+
+  describe("Latest value", function () {
+    it("Should report nothing before the first report", async function () {
+      expect(await ethAdapter.getLatestValue()).to.equal(0n);
+      expect(await ethAdapter.latestPriceData()).to.deep.equal([0n, 0n, 18n, false, false]);
+      expect(await ethAdapter.getLastUpdateTimestamp()).to.equal(0n);
+    });
+
+    it("Should read the newest report without a dispute buffer", async function () {
+      await report("3000");
+      await increaseTime(60);
+      const timestamp = await report("3010");
+
+      expect(await ethAdapter.getLatestValue()).to.equal(usd("3010"));
+      expect(await ethAdapter.retrieveData()).to.equal(usd("3010"));
+      expect(await ethAdapter.latestPriceData()).to.deep.equal([usd("3010"), timestamp, 18n, true, false]);
+      expect(await ethAdapter.getLatestValueWithAge(60)).to.deep.equal([usd("3010"), timestamp]);
+
+      const [value, statusTimestamp, age, disputed] = await ethAdapter.getLatestValueWithStatus();
+      expect([value, statusTimestamp, age, disputed]).to.deep.equal([usd("3010"), timestamp, await ethAdapter.getDataAge(), false]);
+    });
+
+    it("Should fall back to the previous report once the newest is disputed", async function () {
+      const older = await report("3000");
+      await increaseTime(60);
+      const timestamp = await report("9000");
+      await playground.beginDispute(queryId, timestamp);
+
+      // Tellor drops a disputed report from getDataBefore
+      expect(await ethAdapter.isDisputed(timestamp)).to.be.true;
+      expect(await ethAdapter.getLatestValue()).to.equal(usd("3000"));
+      expect(await ethAdapter.retrieveData()).to.equal(usd("3000"));
+      expect(await ethAdapter.latestPriceData()).to.deep.equal([usd("3000"), older, 18n, true, false]);
+      expect(await ethAdapter.getLastUpdateTimestamp()).to.equal(older);
+    });
+
+    it("Should decode signed values and reject reports that are not a 32-byte number", async function () {
+      await submit(coder.encode(["int256"], [usd("3000")]));
+      expect(await ethAdapter.getLatestValue()).to.equal(usd("3000"));
+
+      const timestamp = await submit(coder.encode(["uint256", "uint256"], [usd("3000"), 1]));
+      expect(await ethAdapter.getLatestValue()).to.equal(0n);
+      expect(await ethAdapter.retrieveData()).to.equal(0n);
+      expect(await ethAdapter.latestPriceData()).to.deep.equal([0n, timestamp, 18n, false, false]);
+
+      await submit(coder.encode(["uint256"], [0]));
+      expect(await ethAdapter.getLatestValue()).to.equal(0n);
+      expect((await ethAdapter.latestPriceData())[3]).to.be.false;
+    });
+  });
+
+  describe("Dispute buffer", function () {
+    beforeEach(async function () {
+      await ethAdapter.setDisputeBuffer(BUFFER, 0);
+    });
+
+    it("Should only read reports older than the buffer", async function () {
+      const older = await report("3000");
+      await increaseTime(BUFFER);
+      const newer = await report("3010");
+
+      expect(await ethAdapter.getLatestValue()).to.equal(usd("3000"));
+      expect(await ethAdapter.retrieveData()).to.equal(usd("3000"));
+      expect(await ethAdapter.latestPriceData()).to.deep.equal([usd("3000"), older, 18n, true, false]);
+      expect((await ethAdapter.getLatestValueWithStatus())[1]).to.equal(older);
+      // The feed itself still reports the newest value
+      expect(await ethAdapter.getLastUpdateTimestamp()).to.equal(newer);
+      expect(await ethAdapter.getDataAge()).to.be.below(BUFFER);
+
+      await increaseTime(BUFFER);
+      expect(await ethAdapter.latestPriceData()).to.deep.equal([usd("3010"), newer, 18n, true, false]);
+    });
+
+    it("Should report nothing until the first report has stood through the buffer", async function () {
+      await report("3000");
+
+      expect(await ethAdapter.getLatestValue()).to.equal(0n);
+      expect(await ethAdapter.latestPriceData()).to.deep.equal([0n, 0n, 18n, false, false]);
+      expect(await ethAdapter.getLatestValueWithAge(MAX_AGE)).to.deep.equal([0n, 0n]);
+    });
+
+    it("Should never read a report disputed within the buffer", async function () {
+      const older = await report("3000");
+      await increaseTime(BUFFER);
+      const disputed = await report("9000");
+      await playground.beginDispute(queryId, disputed);
+      await increaseTime(BUFFER);
+
+      expect(await ethAdapter.getLatestValue()).to.equal(usd("3000"));
+      expect(await ethAdapter.latestPriceData()).to.deep.equal([usd("3000"), older, 18n, true, false]);
+      expect(await ethAdapter.getUndisputedValueBefore(disputed)).to.deep.equal([usd("3000"), older]);
+    });
+
+    it("Should treat reports older than the max age as missing", async function () {
+      await ethAdapter.setDisputeBuffer(BUFFER, MAX_AGE);
+      const timestamp = await report("3000");
+      await increaseTime(BUFFER);
+
+      expect(await ethAdapter.latestPriceData()).to.deep.equal([usd("3000"), timestamp, 18n, true, false]);
+      // A tighter limit of the caller still applies
+      expect(await ethAdapter.getLatestValueWithAge(BUFFER)).to.deep.equal([0n, 0n]);
+
+      await increaseTime(MAX_AGE - BUFFER + 1);
+      expect(await ethAdapter.getLatestValue()).to.equal(0n);
+      expect(await ethAdapter.latestPriceData()).to.deep.equal([0n, 0n, 18n, false, false]);
+      expect(await ethAdapter.getLatestValueWithAge(MAX_AGE * 2)).to.deep.equal([0n, 0n]);
+    });
+
+    it("Should feed the PriceAggregator the buffered value", async function () {
+      const older = await report("3000");
+      await increaseTime(BUFFER);
+      await report("9000");
+
+      const OracleLib = await ethers.getContractFactory("OracleLib");
+      const oracleLib = await OracleLib.deploy();
+      const TWAPCalculator = await ethers.getContractFactory("TWAPCalculator");
+      const twapCalculator = await TWAPCalculator.deploy();
+      const source = {
+        oracle: await ethAdapter.getAddress(),
+        oracleType: 2, // Tellor
+        weight: ethers.parseUnits("1", 18),
+        heartbeatSeconds: MAX_AGE,
+        description: "Tellor ETH/USD",
+        decimals: 18
+      };
+      const PriceAggregator = await ethers.getContractFactory("PriceAggregator");
+      const priceAggregator = await PriceAggregator.deploy(
+        [source],
+        await oracleLib.getAddress(),
+        await twapCalculator.getAddress()
+      );
+      await priceAggregator.addAssetPair("ETH-USD", "ETH", "USD", [source.oracle]);
+
+      expect(await priceAggregator.getMedianPrice("ETH-USD")).to.equal(usd("3000"));
+      const [, , , timestamps] = await priceAggregator.getAllPricesWithStatus("ETH-USD");
+      expect(timestamps[0]).to.equal(older);
+    });
+  });
+
+  describe("History", function () {
+    let timestamps;
+
+    beforeEach(async function () {
+      timestamps = [];
+      for (const value of ["3000", "3010", "3020"]) {
+        timestamps.push(await report(value));
+        await increaseTime(60);
+      }
+    });
+
+    it("Should report the count, reporters and disputes of past reports", async function () {
+      expect(await ethAdapter.getValueCount()).to.equal(3n);
+      expect(await ethAdapter.getReporter(timestamps[1])).to.equal(reporter.address);
+      expect(await ethAdapter.getTimestampByIndex(2)).to.equal(timestamps[2]);
+      expect(await ethAdapter.isDisputed(timestamps[1])).to.be.false;
+
+      await playground.beginDispute(queryId, timestamps[1]);
+      expect(await ethAdapter.isDisputed(timestamps[1])).to.be.true;
+    });
+
+    it("Should look reports up by timestamp and index", async function () {
+      expect(await ethAdapter.getValueAtTimestamp(timestamps[1])).to.equal(usd("3010"));
+      expect(await ethAdapter.getValueAfter(timestamps[0] + 1n)).to.deep.equal([usd("3010"), timestamps[1]]);
+      expect(await ethAdapter.getIndexBefore(timestamps[2] - 1n)).to.deep.equal([true, 1n]);
+      expect(await ethAdapter.getIndexAfter(timestamps[0] + 1n)).to.deep.equal([true, 1n]);
+
+      await playground.beginDispute(queryId, timestamps[1]);
+      await expect(ethAdapter.getValueAtTimestamp(timestamps[1])).to.be.revertedWith("No data found at timestamp");
+      expect(await ethAdapter.getValueAfter(timestamps[0] + 1n)).to.deep.equal([usd("3020"), timestamps[2]]);
+    });
+
+    it("Should return recent undisputed values", async function () {
+      await playground.beginDispute(queryId, timestamps[1]);
+
+      const [values, valueTimestamps] = await ethAdapter.getMultipleValues(3600, 5);
+      expect(values).to.deep.equal([usd("3000"), usd("3020")]);
+      expect(valueTimestamps).to.deep.equal([timestamps[0], timestamps[2]]);
+    });
+  });
+});
+
+describeSepolia("TellorAdapter on the Sepolia Tellor oracle", function () {
+  let liveAdapter;
+
+  before(async function () {
+    const TellorAdapter = await ethers.getContractFactory("TellorAdapter");
+    liveAdapter = await TellorAdapter.deploy(tellorContract, "eth", "usd");
+    await liveAdapter.waitForDeployment();
+  });
+
+  it("Should build the ETH/USD query ID Tellor reports under", async function () {
+    expect(await liveAdapter.queryId()).to.equal(tellorQueryETHUSD);
+  });
+
+  it("Should read the latest ETH/USD report and its status", async function () {
+    expect(await liveAdapter.getValueCount()).to.be.above(0n);
+
+    const timestamp = await liveAdapter.getLastUpdateTimestamp();
+    expect(timestamp).to.be.above(0n);
 
-main()
-    .then(() => process.exit(0))
-    .catch((error) => {
-        console.error("💥 Test failed:", error);
-        process.exit(1);
-    });
\ No newline at end of file
+    // Tellor skips disputed reports, so the latest one is never disputed
+    const [value, statusTimestamp, , disputed] = await liveAdapter.getLatestValueWithStatus();
+    expect([statusTimestamp, disputed]).to.deep.equal([timestamp, false]);
+    expect(value).to.be.above(0n);
+  });
+});
@@ -0,0 +1,252 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const { deployChainlinkFeed } = require("./aggregatorFixture");
+
+const HEARTBEAT = 3600;
+const DISPUTE_WINDOW = 900;
+
+async function increaseTime(seconds) {
+  await ethers.provider.send("evm_increaseTime", [seconds]);
+  await ethers.provider.send("evm_mine", []);
+}
+
+describe("Tellor disputes", function () {
+  this.timeout(60000);
+
+  let other;
+  let chainlink, tellor, tellorAdapter, queryId;
+  let sources, priceAggregator;
+
+  const usd = (value) => ethers.parseUnits(value, 18);
+
+  // Reports a Tellor value and returns its timestamp
+  async function report(value) {
+    await tellor.setValue(usd(value));
+    return tellorAdapter.getLastUpdateTimestamp();
+  }
+
+  async function dispute(timestamp) {
+    await tellor.setDisputed(queryId, timestamp, true);
+  }
+
+  // What getAllPricesWithStatus reports for the Tellor source
+  async function tellorStatus() {
+    const [prices, , , timestamps, disputeStatus, staleStatus] = await priceAggregator.getAllPricesWithStatus("ETH-USD");
+    return { price: prices[1], timestamp: timestamps[1], disputed: disputeStatus[1], stale: staleStatus[1] };
+  }
+
+  beforeEach(async function () {
+    [, other] = await ethers.getSigners();
+
+    const OracleLib = await ethers.getContractFactory("OracleLib");
+    const oracleLib = await OracleLib.deploy();
+    const TWAPCalculator = await ethers.getContractFactory("TWAPCalculator");
+    const twapCalculator = await TWAPCalculator.deploy();
+
+    let chainlinkAdapter;
+    ({ feed: chainlink, adapter: chainlinkAdapter } = await deployChainlinkFeed("3000"));
+    const TellorMock = await ethers.getContractFactory("TellorMock");
+    tellor = await TellorMock.deploy(usd("3010"));
+    const TellorAdapter = await ethers.getContractFactory("TellorAdapter");
+    tellorAdapter = await TellorAdapter.deploy(await tellor.getAddress(), "eth", "usd");
+    queryId = await tellorAdapter.queryId();
+
+    sources = [
+      {
+        oracle: await chainlinkAdapter.getAddress(),
+        oracleType: 0, // Chainlink
+        weight: ethers.parseUnits("1", 18),
+        heartbeatSeconds: HEARTBEAT,
+        description: "Chainlink ETH/USD",
+        decimals: 8
+      },
+      {
+        oracle: await tellorAdapter.getAddress(),
+        oracleType: 2, // Tellor
+        weight: ethers.parseUnits("1", 18),
+        heartbeatSeconds: HEARTBEAT,
+        description: "Tellor ETH/USD",
+        decimals: 18
+      }
+    ];
+
+    const PriceAggregator = await ethers.getContractFactory("PriceAggregator");
+    priceAggregator = await PriceAggregator.deploy(
+      sources,
+      await oracleLib.getAddress(),
+      await twapCalculator.getAddress()
+    );
+    await priceAggregator.addAssetPair("ETH-USD", "ETH", "USD", sources.map((s) => s.oracle));
+  });
+
+  describe("TellorAdapter", function () {
+    it("Should return the latest undisputed value before a timestamp", async function () {
+      const first = await tellorAdapter.getLastUpdateTimestamp();
+      await increaseTime(60);
+      const second = await report("3020");
+      await increaseTime(60);
+      const third = await report("3030");
+
+      expect(await tellorAdapter.getUndisputedValueBefore(third)).to.deep.equal([usd("3030"), third]);
+      expect(await tellorAdapter.getUndisputedValueBefore(third - 1n)).to.deep.equal([usd("3020"), second]);
+
+      await dispute(third);
+      await dispute(second);
+      expect(await tellorAdapter.getUndisputedValueBefore(third)).to.deep.equal([usd("3010"), first]);
+
+      await dispute(first);
+      expect(await tellorAdapter.getUndisputedValueBefore(third)).to.deep.equal([0n, 0n]);
+      expect(await tellorAdapter.getUndisputedValueBefore(first - 1n)).to.deep.equal([0n, 0n]);
+    });
+
+    it("Should only walk back through the newest MAX_UNDISPUTED_LOOKBACK reports", async function () {
+      const lookback = await tellorAdapter.MAX_UNDISPUTED_LOOKBACK();
+      const reports = [];
+      for (let i = 0n; i < lookback; i++) {
+        reports.push(await report("9000"));
+      }
+      const latest = reports[reports.length - 1];
+
+      for (const timestamp of reports.slice(1)) {
+        await dispute(timestamp);
+      }
+      expect(await tellorAdapter.getUndisputedValueBefore(latest)).to.deep.equal([usd("9000"), reports[0]]);
+
+      // The undisputed report made at deployment is one past the lookback
+      await dispute(reports[0]);
+      expect(await tellorAdapter.getUndisputedValueBefore(latest)).to.deep.equal([0n, 0n]);
+    });
+  });
+
+  describe("Aggregation", function () {
+    it("Should use an undisputed Tellor value", async function () {
+      expect(await priceAggregator.getMedianPrice("ETH-USD")).to.equal(usd("3005"));
+      expect(await tellorStatus()).to.include({ price: usd("3010"), disputed: false, stale: false });
+    });
+
+    it("Should fall back to the latest undisputed value older than the dispute window", async function () {
+      const fallback = await tellorAdapter.getLastUpdateTimestamp();
+      await increaseTime(DISPUTE_WINDOW);
+      await report("3020"); // Undisputed, but still inside the window
+      await dispute(await report("9000"));
+
+      expect(await priceAggregator.getMedianPrice("ETH-USD")).to.equal(usd("3005"));
+      expect(await priceAggregator.getWeightedPrice("ETH-USD")).to.equal(usd("3005"));
+      expect(await priceAggregator.fetchPairPriceFromSource("ETH-USD", sources[1])).to.equal(usd("3010"));
+      expect(await tellorStatus()).to.deep.equal({ price: usd("3010"), timestamp: fallback, disputed: true, stale: false });
+
+      const [hasDisputedData, disputedSources] = await priceAggregator.checkTellorDisputes("ETH-USD");
+      expect(hasDisputedData).to.be.true;
+      expect(disputedSources).to.deep.equal([sources[1].oracle]);
+    });
+
+    it("Should walk back past older disputed values", async function () {
+      await increaseTime(60);
+      const older = await report("3015");
+      await increaseTime(DISPUTE_WINDOW);
+      await dispute(await report("9000"));
+      await dispute(older);
+
+      expect(await priceAggregator.getWeightedPrice("ETH-USD")).to.equal(usd("3005"));
+      expect((await tellorStatus()).price).to.equal(usd("3010"));
+    });
+
+    it("Should leave Tellor out while no undisputed value is old enough", async function () {
+      await dispute(await tellorAdapter.getLastUpdateTimestamp());
+
+      expect(await priceAggregator.getMedianPrice("ETH-USD")).to.equal(usd("3000"));
+      expect(await priceAggregator.getWeightedPrice("ETH-USD")).to.equal(usd("3000"));
+      await expect(priceAggregator.fetchPairPriceFromSource("ETH-USD", sources[1]))
+        .to.be.revertedWith("Source price unavailable");
+      expect(await tellorStatus()).to.deep.equal({ price: 0n, timestamp: 0n, disputed: true, stale: true });
+    });
+
+    it("Should not fall back to a value older than the heartbeat", async function () {
+      await increaseTime(HEARTBEAT + 1);
+      await chainlink.setAnswer(ethers.parseUnits("3000", 8));
+      await dispute(await report("9000"));
+
+      expect(await priceAggregator.getMedianPrice("ETH-USD")).to.equal(usd("3000"));
+      expect(await tellorStatus()).to.include({ price: usd("3010"), disputed: true, stale: true });
+    });
+
+    it("Should only let the timelock role change the dispute window", async function () {
+      await increaseTime(120);
+      await report("3020");
+      await increaseTime(120);
+      await dispute(await report("9000"));
+      expect((await tellorStatus()).price).to.equal(0n);
+
+      await expect(priceAggregator.connect(other).setTellorDisputeWindow(60))
+        .to.be.revertedWith("AccessControl: missing role");
+      await priceAggregator.setTellorDisputeWindow(60);
+      expect(await priceAggregator.tellorDisputeWindow()).to.equal(60n);
+      expect((await tellorStatus()).price).to.equal(usd("3020"));
+      expect(await priceAggregator.getMedianPrice("ETH-USD")).to.equal(usd("3010"));
+    });
+
+    it("Should find no fallback when the dispute window exceeds the block timestamp", async function () {
+      await dispute(await report("9000"));
+      const { timestamp } = await ethers.provider.getBlock("latest");
+      await priceAggregator.setTellorDisputeWindow(timestamp + 3600);
+
+      expect(await tellorStatus()).to.deep.equal({ price: 0n, timestamp: 0n, disputed: true, stale: true });
+      expect(await priceAggregator.getMedianPrice("ETH-USD")).to.equal(usd("3000"));
+    });
+  });
+
+  describe("updatePrice", function () {
+    it("Should emit TellorDataDisputed with the disputed value's timestamp", async function () {
+      await increaseTime(DISPUTE_WINDOW);
+      await chainlink.setAnswer(ethers.parseUnits("3000", 8));
+      const disputed = await report("9000");
+      await dispute(disputed);
+
+      await expect(priceAggregator.updatePrice("ETH-USD"))
+        .to.emit(priceAggregator, "TellorDataDisputed")
+        .withArgs(sources[1].oracle, disputed)
+        .and.to.emit(priceAggregator, "PriceUpdated")
+        .withArgs("ETH-USD", usd("3005"), usd("3005"));
+    });
+
+    it("Should emit TellorDataDisputed once per dispute", async function () {
+      await increaseTime(DISPUTE_WINDOW);
+      await chainlink.setAnswer(ethers.parseUnits("3000", 8));
+      const disputed = await report("9000");
+      await dispute(disputed);
+
+      await expect(priceAggregator.updatePrice("ETH-USD")).to.emit(priceAggregator, "TellorDataDisputed");
+      await expect(priceAggregator.updatePrice("ETH-USD")).not.to.emit(priceAggregator, "TellorDataDisputed");
+
+      // An undisputed report ends the dispute, the next disputed one is reported again
+      await report("3010");
+      await expect(priceAggregator.updatePrice("ETH-USD")).not.to.emit(priceAggregator, "TellorDataDisputed");
+      const next = await report("9100");
+      await dispute(next);
+      await expect(priceAggregator.updatePrice("ETH-USD"))
+        .to.emit(priceAggregator, "TellorDataDisputed")
+        .withArgs(sources[1].oracle, next);
+    });
+
+    it("Should track disputes separately for each pair sharing the source", async function () {
+      await priceAggregator.addAssetPair("ETH-USD-FAST", "ETH", "USD", sources.map((s) => s.oracle));
+      await priceAggregator.setPairSourceEnabled("ETH-USD-FAST", sources[1].oracle, false);
+      await increaseTime(DISPUTE_WINDOW);
+      await chainlink.setAnswer(ethers.parseUnits("3000", 8));
+      await dispute(await report("9000"));
+
+      // Snapshots of the pair that leaves Tellor out do not reset the other pair's flag
+      await expect(priceAggregator.updatePrice("ETH-USD")).to.emit(priceAggregator, "TellorDataDisputed");
+      await expect(priceAggregator.updatePrice("ETH-USD-FAST")).not.to.emit(priceAggregator, "TellorDataDisputed");
+      await expect(priceAggregator.updatePrice("ETH-USD")).not.to.emit(priceAggregator, "TellorDataDisputed");
+
+      await priceAggregator.setPairSourceEnabled("ETH-USD-FAST", sources[1].oracle, true);
+      await expect(priceAggregator.updatePrice("ETH-USD-FAST")).to.emit(priceAggregator, "TellorDataDisputed");
+      await expect(priceAggregator.updatePrice("ETH-USD")).not.to.emit(priceAggregator, "TellorDataDisputed");
+    });
+
+    it("Should not emit TellorDataDisputed without disputes", async function () {
+      await expect(priceAggregator.updatePrice("ETH-USD")).not.to.emit(priceAggregator, "TellorDataDisputed");
+    });
+  });
+});
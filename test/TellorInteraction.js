@@ -1,113 +1,59 @@
-const { ethers } = require("hardhat");
+const hre = require("hardhat");
+const { ethers } = hre;
 const { expect } = require("chai");
+const { describeSepolia } = require("./sepolia");
+const { DeploymentManifest } = require("../scripts/deploymentManifest");
 
 // import addresses from address file
 const {tellorContract: TELLOR_ADDRESS,
-    tellorAdapterContract,
     tellorQueryETHUSD,
     tellorQueryUNIUSD,
     tellorQueryLINKUSD,
-    tellorQueryBTCUSD,
-    tellorToken,
-    tellorOracle} = require('../scripts/addresses');
+    tellorQueryBTCUSD} = require('../scripts/addresses');
 
-describe("Tellor Oracle Interaction", function () {
-  // Increase timeout for testnet interactions
-  this.timeout(60000); 
+const coder = ethers.AbiCoder.defaultAbiCoder();
 
+// Query ID of a Tellor SpotPrice feed, the way TellorAdapter builds it
+function spotPriceQueryId(asset, currency) {
+  return ethers.keccak256(coder.encode(["string", "bytes"], ["SpotPrice", coder.encode(["string", "string"], [asset, currency])]));
+}
+
+describeSepolia("Tellor Oracle Interaction", function () {
   let tellorInstance;  // Renamed to avoid conflict with imported tellorContract
-  let signer;
 
   before(async function () {
-    // This test requires a connection to Sepolia - check if we're on the right network
-    const network = await ethers.provider.getNetwork();
-    if (network.name !== "sepolia" && network.chainId !== 11155111) {
-      console.log("⚠️ This test must be run on Sepolia network");
-      console.log(`Current network: ${network.name} (${network.chainId})`);
-      this.skip();
-    }
-
-    [signer] = await ethers.getSigners();
-    console.log(`Using account: ${signer.address}`);
-    
-    // Connect to Tellor contract using the imported address
     tellorInstance = await ethers.getContractAt("ITellor", TELLOR_ADDRESS);
-    console.log(`Connected to Tellor at ${TELLOR_ADDRESS}`);
   });
 
-  it("should retrieve ETH/USD price data", async function () {
-    try {
-      const result = await tellorInstance.getCurrentValue(tellorQueryETHUSD);
-      console.log(`ETH/USD Price: ${ethers.utils.formatUnits(result, 18)} USD`);
-      
-      // Get the timestamp of the last reported value
-      const timestamp = await tellorInstance.getTimestampByQueryIdandIndex(tellorQueryETHUSD, 0);
-      const date = new Date(timestamp.toNumber() * 1000);
-      console.log(`Last updated: ${date.toLocaleString()}`);
-      
-      expect(result).to.be.gt(0);
-    } catch (error) {
-      console.error("Error retrieving ETH/USD price:", error.message);
-    }
-  });
-
-  it("should retrieve BTC/USD price data", async function () {
-    try {
-      const result = await tellorInstance.getCurrentValue(tellorQueryBTCUSD);
-      console.log(`BTC/USD Price: ${ethers.utils.formatUnits(result, 18)} USD`);
-      expect(result).to.be.gt(0);
-    } catch (error) {
-      console.error("Error retrieving BTC/USD price:", error.message);
-    }
-  });
-
-  it("should create a TellorAdapter and get data through it", async function () {
-    try {
-      // Deploy the TellorAdapter contract
-      const TellorAdapter = await ethers.getContractFactory("TellorAdapter");
-      const adapter = await TellorAdapter.deploy(
-        TELLOR_ADDRESS,  // Using imported address
-        "eth", // asset
-        "usd"  // currency
-      );
-      await adapter.deployed();
-      console.log(`TellorAdapter deployed at ${adapter.address}`);
-
-      // Get price through the adapter
-      const price = await adapter.getLatestValue();
-      console.log(`ETH/USD via adapter: ${price}`);
-
-      // Get last update timestamp
-      const timestamp = await adapter.getLastUpdateTimestamp();
-      const date = new Date(timestamp.toNumber() * 1000);
-      console.log(`Last updated (via adapter): ${date.toLocaleString()}`);
-    } catch (error) {
-      console.error("Error using TellorAdapter:", error.message);
-    }
+  for (const [pair, queryId] of [["ETH/USD", tellorQueryETHUSD], ["BTC/USD", tellorQueryBTCUSD]]) {
+    it(`Should retrieve ${pair} price data`, async function () {
+      expect(await tellorInstance.getNewValueCountbyQueryId(queryId)).to.be.above(0n);
+
+      const { timestamp: now } = await ethers.provider.getBlock("latest");
+      const [ifRetrieve, value, timestamp] = await tellorInstance.getDataBefore(queryId, now);
+      expect(ifRetrieve).to.be.true;
+      expect(timestamp).to.be.above(0n);
+      expect(coder.decode(["uint256"], value)[0]).to.be.above(0n);
+    });
+  }
+
+  it("Should get ETH/USD data through the deployed TellorAdapter", async function () {
+    const manifest = await DeploymentManifest.forNetwork(hre);
+    const entry = manifest.get("TellorAdapter_ETH_USD");
+    if (!entry) this.skip();
+
+    const adapter = await ethers.getContractAt("TellorAdapter", entry.address);
+    expect(await adapter.queryId()).to.equal(tellorQueryETHUSD);
+    expect(await adapter.getLastUpdateTimestamp()).to.be.above(0n);
+    expect(await adapter.getLatestValue()).to.be.above(0n);
   });
+});
 
-  it("should demonstrate how to create a custom queryId", async function () {
-    try {
-      // Example of generating a custom queryId for a different asset pair
-      const asset = "sol";
-      const currency = "usd";
-      const queryData = ethers.utils.defaultAbiCoder.encode(
-        ["string", "bytes"],
-        ["SpotPrice", ethers.utils.defaultAbiCoder.encode(["string", "string"], [asset, currency])]
-      );
-      const queryId = ethers.utils.keccak256(queryData);
-      
-      console.log(`Custom queryId for ${asset}/${currency}: ${queryId}`);
-      
-      // Try to get data for this queryId
-      try {
-        const result = await tellorInstance.getCurrentValue(queryId);
-        console.log(`${asset.toUpperCase()}/${currency.toUpperCase()} Price: ${ethers.utils.formatUnits(result, 18)} ${currency.toUpperCase()}`);
-      } catch (e) {
-        console.log(`No data available for ${asset}/${currency}`);
-      }
-    } catch (error) {
-      console.error("Error with custom queryId:", error.message);
-    }
+describe("Tellor query IDs", function () {
+  it("Should derive the query IDs of the SpotPrice feeds", function () {
+    expect(spotPriceQueryId("eth", "usd")).to.equal(tellorQueryETHUSD);
+    expect(spotPriceQueryId("btc", "usd")).to.equal(tellorQueryBTCUSD);
+    expect(spotPriceQueryId("uni", "usd")).to.equal(tellorQueryUNIUSD);
+    expect(spotPriceQueryId("link", "usd")).to.equal(tellorQueryLINKUSD);
   });
 });
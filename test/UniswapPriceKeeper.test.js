@@ -0,0 +1,325 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const http = require("http");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const UniswapV3GraphClient = require("../scripts/UniswapV3GraphClient");
+const { UniswapPriceKeeper } = require("../scripts/uniswapPriceKeeper");
+const { getPool, pairHash } = require("../scripts/poolRegistry");
+
+// Minimal stand-in for The Graph: answers the client's pool query from a price table
+function startGraphStub(poolPrices) {
+  const stub = { failing: false, requests: 0 };
+
+  stub.server = http.createServer((req, res) => {
+    let body = "";
+    req.on("data", (chunk) => (body += chunk));
+    req.on("end", () => {
+      stub.requests++;
+      if (stub.failing) {
+        res.writeHead(500, { "Content-Type": "text/plain" });
+        res.end("subgraph unavailable");
+        return;
+      }
+
+      const { query } = JSON.parse(body);
+      const poolId = /pool\(id: "([^"]+)"\)/.exec(query)[1];
+      const price = poolPrices[poolId];
+
+      res.writeHead(200, { "Content-Type": "application/json" });
+      res.end(JSON.stringify({
+        data: {
+          pool: price === undefined ? null : {
+            id: poolId,
+            token0: { id: "0x0", symbol: "TKN", decimals: "18" },
+            token1: { id: "0x1", symbol: "USDC", decimals: "6" },
+            token0Price: (1 / parseFloat(price)).toString(),
+            token1Price: price,
+            volumeUSD: "1000000",
+            feeTier: "3000"
+          }
+        }
+      }));
+    });
+  });
+
+  return new Promise((resolve) => {
+    stub.server.listen(0, "127.0.0.1", () => {
+      stub.endpoint = `http://127.0.0.1:${stub.server.address().port}/graphql`;
+      resolve(stub);
+    });
+  });
+}
+
+const silentLogger = { log() {}, warn() {}, error() {} };
+
+describe("UniswapPriceKeeper", function () {
+  this.timeout(60000);
+
+  let adapter, graphClient, stub, stateDir;
+  let poolPrices, clock;
+  let ethPair;
+
+  before(async function () {
+    const { chainId } = await ethers.provider.getNetwork();
+    ethPair = getPool("ETH-USDC", chainId);
+
+    graphClient = new UniswapV3GraphClient("http://unused");
+    poolPrices = {};
+    for (const pool of Object.values(graphClient.poolMap)) {
+      poolPrices[pool.toLowerCase()] = "3000";
+    }
+    stub = await startGraphStub(poolPrices);
+    graphClient.endpoint = stub.endpoint;
+  });
+
+  after(async function () {
+    stub.server.close();
+  });
+
+  beforeEach(async function () {
+    const UniswapV3GraphAdapter = await ethers.getContractFactory("UniswapV3GraphAdapter");
+    adapter = await UniswapV3GraphAdapter.deploy(ethPair.tokenA, ethPair.tokenB, ethPair.fee);
+    await adapter.deploymentTransaction().wait(1);
+
+    stateDir = fs.mkdtempSync(path.join(os.tmpdir(), "keeper-"));
+    clock = 1_000_000;
+    stub.failing = false;
+    for (const pool of Object.keys(poolPrices)) {
+      poolPrices[pool] = "3000";
+    }
+  });
+
+  afterEach(function () {
+    fs.rmSync(stateDir, { recursive: true, force: true });
+  });
+
+  function createKeeper(options = {}) {
+    return new UniswapPriceKeeper({
+      adapter,
+      graphClient,
+      pairs: [ethPair],
+      stateFile: path.join(stateDir, "state.json"),
+      deviationBps: 50,
+      heartbeatSeconds: 600,
+      now: () => clock,
+      logger: silentLogger,
+      ...options
+    });
+  }
+
+  function setEthPrice(price) {
+    poolPrices[ethPair.poolId.toLowerCase()] = price;
+  }
+
+  it("Should push the initial price on-chain", async function () {
+    const keeper = createKeeper();
+    const [result] = await keeper.runOnce();
+
+    expect(result.pushed).to.be.true;
+    expect(result.reason).to.equal("initial");
+
+    const data = await adapter.priceData(pairHash(ethPair));
+    expect(data.price).to.equal(ethers.parseUnits("3000", 8));
+    expect(data.pairSymbol).to.equal("ETH-USDC");
+  });
+
+  it("Should skip unchanged prices within the heartbeat", async function () {
+    const keeper = createKeeper();
+    await keeper.runOnce();
+
+    setEthPrice("3001"); // ~3bps, below the 50bps threshold
+    clock += 60;
+    const [result] = await keeper.runOnce();
+
+    expect(result.pushed).to.be.false;
+    const data = await adapter.priceData(pairHash(ethPair));
+    expect(data.price).to.equal(ethers.parseUnits("3000", 8));
+  });
+
+  it("Should push when the deviation threshold is crossed", async function () {
+    const keeper = createKeeper();
+    await keeper.runOnce();
+
+    setEthPrice("3030"); // 100bps
+    clock += 60;
+    const [result] = await keeper.runOnce();
+
+    expect(result.pushed).to.be.true;
+    expect(result.reason).to.equal("deviation 100bps");
+    const data = await adapter.priceData(pairHash(ethPair));
+    expect(data.price).to.equal(ethers.parseUnits("3030", 8));
+  });
+
+  it("Should push when the heartbeat expires", async function () {
+    const keeper = createKeeper();
+    await keeper.runOnce();
+
+    clock += 600;
+    const [result] = await keeper.runOnce();
+
+    expect(result.pushed).to.be.true;
+    expect(result.reason).to.equal("heartbeat");
+  });
+
+  it("Should not resubmit after a restart", async function () {
+    await createKeeper().runOnce();
+
+    const restarted = createKeeper();
+    clock += 60;
+    const [result] = await restarted.runOnce();
+
+    expect(result.pushed).to.be.false;
+    expect(restarted.state.pairs["ETH-USDC"].price).to.equal(ethers.parseUnits("3000", 8).toString());
+  });
+
+  it("Should recover a transaction left pending by a crash", async function () {
+    const keeper = createKeeper();
+    const tx = await adapter.updatePrice(
+      ethPair.tokenA, ethPair.tokenB, ethPair.fee, ethers.parseUnits("3000", 8), ethPair.name, 0
+    );
+    await tx.wait(1);
+    keeper.state.pairs[ethPair.name] = {
+      pending: {
+        txHash: tx.hash,
+        from: tx.from,
+        nonce: tx.nonce,
+        price: ethers.parseUnits("3000", 8).toString(),
+        ticks: [1000000, 1001800]
+      }
+    };
+    keeper.saveState();
+
+    const restarted = createKeeper();
+    const [result] = await restarted.runOnce();
+
+    expect(result.pushed).to.be.false;
+    // The ticks of the recovered price are pushed as well
+    const ticks = await adapter.pairTickCumulatives(pairHash(ethPair));
+    expect([ticks.tick1, ticks.tick2]).to.deep.equal([1000000n, 1001800n]);
+    expect(restarted.state.pairs[ethPair.name].ticks).to.deep.equal([1000000, 1001800]);
+  });
+
+  it("Should wait for a pending transaction that is still in the mempool", async function () {
+    await ethers.provider.send("evm_setAutomine", [false]);
+    try {
+      const tx = await adapter.updatePrice(
+        ethPair.tokenA, ethPair.tokenB, ethPair.fee, ethers.parseUnits("3000", 8), ethPair.name, 0
+      );
+      const keeper = createKeeper();
+      keeper.state.pairs[ethPair.name] = {
+        pending: { txHash: tx.hash, from: tx.from, nonce: tx.nonce, price: ethers.parseUnits("3000", 8).toString() }
+      };
+      keeper.saveState();
+
+      const [result] = await createKeeper().runOnce();
+      expect(result.pushed).to.be.false;
+      expect(result.pending).to.equal(tx.hash);
+      expect(createKeeper().state.pairs[ethPair.name].pending.txHash).to.equal(tx.hash);
+    } finally {
+      await ethers.provider.send("evm_mine", []);
+      await ethers.provider.send("evm_setAutomine", [true]);
+    }
+
+    const keeper = createKeeper();
+    const [result] = await keeper.runOnce();
+    expect(result.pushed).to.be.false;
+    expect(keeper.state.pairs[ethPair.name].pending).to.be.undefined;
+    expect(keeper.state.pairs[ethPair.name].price).to.equal(ethers.parseUnits("3000", 8).toString());
+  });
+
+  it("Should discard a pending transaction whose nonce was used by another", async function () {
+    const [signer] = await ethers.getSigners();
+    const nonce = await ethers.provider.getTransactionCount(signer.address);
+    await (await signer.sendTransaction({ to: signer.address, value: 0 })).wait(1);
+
+    const keeper = createKeeper();
+    keeper.state.pairs[ethPair.name] = {
+      pending: { txHash: ethers.ZeroHash, from: signer.address, nonce, price: ethers.parseUnits("3000", 8).toString() }
+    };
+    keeper.saveState();
+
+    const [result] = await createKeeper().runOnce();
+    expect(result.pushed).to.be.true;
+    expect(result.reason).to.equal("initial");
+  });
+
+  it("Should keep tick cumulatives per pair", async function () {
+    const { chainId } = await ethers.provider.getNetwork();
+    const btcPair = getPool("BTC-USDC", chainId);
+    poolPrices[btcPair.poolId.toLowerCase()] = "60000";
+
+    const keeper = createKeeper({ pairs: [ethPair, btcPair] });
+    await keeper.runOnce();
+
+    const ethTicks = await adapter.pairTickCumulatives(pairHash(ethPair));
+    const btcTicks = await adapter.pairTickCumulatives(pairHash(btcPair));
+    expect(ethTicks.tick2 - ethTicks.tick1).to.not.equal(btcTicks.tick2 - btcTicks.tick1);
+    expect(keeper.state.pairs[ethPair.name].ticks).to.deep.equal(
+      [ethTicks.tick1, ethTicks.tick2].map(Number)
+    );
+  });
+
+  it("Should retry a tick update interrupted by a crash", async function () {
+    const keeper = createKeeper();
+    await keeper.runOnce();
+    const ticks = keeper.state.pairs[ethPair.name].ticks;
+
+    // Crash after the price was confirmed, before the ticks were pushed
+    await adapter.updateTickCumulatives(ethPair.tokenA, ethPair.tokenB, ethPair.fee, 0, 0);
+    keeper.state.pairs[ethPair.name].pendingTicks = ticks;
+    delete keeper.state.pairs[ethPair.name].ticks;
+    keeper.saveState();
+
+    clock += 60;
+    const restarted = createKeeper();
+    const [result] = await restarted.runOnce();
+
+    expect(result.pushed).to.be.false;
+    const onChain = await adapter.pairTickCumulatives(pairHash(ethPair));
+    expect([onChain.tick1, onChain.tick2].map(Number)).to.deep.equal(ticks);
+    expect(restarted.state.pairs[ethPair.name].pendingTicks).to.be.undefined;
+  });
+
+  it("Should back off exponentially while the subgraph is failing", async function () {
+    const keeper = createKeeper({ minBackoffMs: 1000, maxBackoffMs: 3000, pollIntervalMs: 60000 });
+    stub.failing = true;
+
+    const [result] = await keeper.runOnce();
+    expect(result.error).to.exist;
+    expect(keeper.nextDelay()).to.equal(1000);
+
+    await keeper.runOnce();
+    expect(keeper.nextDelay()).to.equal(2000);
+
+    await keeper.runOnce();
+    expect(keeper.nextDelay()).to.equal(3000);
+
+    stub.failing = false;
+    const [recovered] = await keeper.runOnce();
+    expect(recovered.pushed).to.be.true;
+    expect(keeper.nextDelay()).to.equal(60000);
+  });
+
+  it("Should keep updating other pairs when one pair fails", async function () {
+    const { chainId } = await ethers.provider.getNetwork();
+    const unknownPool = { ...ethPair, poolId: "0x000000000000000000000000000000000000dead" };
+    const keeper = createKeeper({ pairs: [unknownPool, getPool("BTC-USDC", chainId)] });
+    const [failed, updated] = await keeper.runOnce();
+
+    expect(failed.error).to.include("No pool found");
+    expect(updated.pushed).to.be.true;
+  });
+
+  it("Should poll on an interval once started", async function () {
+    const keeper = createKeeper({ pollIntervalMs: 50 });
+    const requestsBefore = stub.requests;
+
+    keeper.start();
+    await new Promise((resolve) => setTimeout(resolve, 400));
+    await keeper.stop();
+
+    expect(stub.requests - requestsBefore).to.be.gte(2);
+  });
+});
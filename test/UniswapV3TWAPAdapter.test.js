@@ -0,0 +1,202 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const { deployChainlinkFeed } = require("./aggregatorFixture");
+const UniswapV3Factory = require("@uniswap/v3-core/artifacts/contracts/UniswapV3Factory.sol/UniswapV3Factory.json");
+const UniswapV3Pool = require("@uniswap/v3-core/artifacts/contracts/UniswapV3Pool.sol/UniswapV3Pool.json");
+
+const FEE = 3000;
+const MIN_TICK = -887220; // Lowest usable tick for the 60 tick spacing of the 0.3% tier
+const MAX_TICK = 887220;
+const TWAP_WINDOW = 1800;
+
+function sqrt(value) {
+  if (value < 2n) return value;
+  let x = value;
+  let y = (x + 1n) / 2n;
+  while (y < x) {
+    x = y;
+    y = (x + value / x) / 2n;
+  }
+  return x;
+}
+
+// sqrt(amount1 / amount0) as a Q64.96 number, like the v3-core test utils
+function encodePriceSqrt(amount1, amount0) {
+  return sqrt((amount1 << 192n) / amount0);
+}
+
+async function increaseTime(seconds) {
+  await ethers.provider.send("evm_increaseTime", [seconds]);
+  await ethers.provider.send("evm_mine", []);
+}
+
+describe("UniswapV3TWAPAdapter", function () {
+  this.timeout(60000);
+
+  let owner;
+  let weth, usdc, pool, liquidityProvider;
+  let wethIsToken0;
+  let wethAdapter, usdcAdapter;
+
+  beforeEach(async function () {
+    [owner] = await ethers.getSigners();
+
+    const ERC20Mock = await ethers.getContractFactory("ERC20Mock");
+    weth = await ERC20Mock.deploy("Wrapped Ether", "WETH", 18);
+    usdc = await ERC20Mock.deploy("USD Coin", "USDC", 6);
+
+    // Deploy the real v3-core factory and a WETH/USDC 0.3% pool
+    const factory = await new ethers.ContractFactory(
+      UniswapV3Factory.abi, UniswapV3Factory.bytecode, owner
+    ).deploy();
+    await factory.createPool(await weth.getAddress(), await usdc.getAddress(), FEE);
+    const poolAddress = await factory.getPool(await weth.getAddress(), await usdc.getAddress(), FEE);
+    pool = new ethers.Contract(poolAddress, UniswapV3Pool.abi, owner);
+
+    // Start at 3000 USDC per WETH, expressed in raw token units
+    wethIsToken0 = (await pool.token0()) === (await weth.getAddress());
+    const wethAmount = ethers.parseUnits("1", 18);
+    const usdcAmount = ethers.parseUnits("3000", 6);
+    await pool.initialize(
+      wethIsToken0 ? encodePriceSqrt(usdcAmount, wethAmount) : encodePriceSqrt(wethAmount, usdcAmount)
+    );
+    await pool.increaseObservationCardinalityNext(100);
+
+    // Full range liquidity worth roughly 90 WETH / 270k USDC
+    const UniswapV3CallbackMock = await ethers.getContractFactory("UniswapV3CallbackMock");
+    liquidityProvider = await UniswapV3CallbackMock.deploy();
+    await weth.mint(await liquidityProvider.getAddress(), ethers.parseUnits("1000", 18));
+    await usdc.mint(await liquidityProvider.getAddress(), ethers.parseUnits("10000000", 6));
+    await liquidityProvider.mint(poolAddress, MIN_TICK, MAX_TICK, 5n * 10n ** 15n);
+
+    const UniswapV3TWAPAdapter = await ethers.getContractFactory("UniswapV3TWAPAdapter");
+    wethAdapter = await UniswapV3TWAPAdapter.deploy(poolAddress, await weth.getAddress(), TWAP_WINDOW);
+    usdcAdapter = await UniswapV3TWAPAdapter.deploy(poolAddress, await usdc.getAddress(), TWAP_WINDOW);
+
+    // Build up a full window of pool history
+    await increaseTime(TWAP_WINDOW);
+  });
+
+  it("Should report the pool price with 18 decimals", async function () {
+    const price = await wethAdapter.getLatestValue();
+    console.log("WETH/USDC TWAP:", ethers.formatUnits(price, 18));
+
+    // One tick is 0.01%, so the TWAP is within a tick of the initial price
+    expect(price).to.be.closeTo(ethers.parseUnits("3000", 18), ethers.parseUnits("0.3", 18));
+    expect(await wethAdapter.decimals()).to.equal(18);
+  });
+
+  it("Should compute the mean tick from pool observations", async function () {
+    const { tick } = await pool.slot0();
+
+    // Without trades the mean tick is the spot tick
+    expect(await wethAdapter.getArithmeticMeanTick(TWAP_WINDOW)).to.equal(tick);
+    expect(await wethAdapter.getLatestValue()).to.equal(await wethAdapter.getPriceAtTick(tick));
+  });
+
+  it("Should price either pool token regardless of token ordering", async function () {
+    expect(await wethAdapter.quoteToken()).to.equal(await usdc.getAddress());
+    expect(await usdcAdapter.quoteToken()).to.equal(await weth.getAddress());
+
+    const price = await usdcAdapter.getLatestValue();
+    console.log("USDC/WETH TWAP:", ethers.formatUnits(price, 18));
+
+    const expected = ethers.parseUnits("1", 18) / 3000n;
+    expect(price).to.be.closeTo(expected, expected / 1000n);
+  });
+
+  it("Should lag behind a sudden price move until the window has passed", async function () {
+    // Dump WETH into the pool
+    await liquidityProvider.swap(await pool.getAddress(), wethIsToken0, ethers.parseUnits("20", 18));
+    const { tick } = await pool.slot0();
+    const spotPrice = await wethAdapter.getPriceAtTick(tick);
+    console.log("Spot price after swap:", ethers.formatUnits(spotPrice, 18));
+    expect(spotPrice).to.be.lt(ethers.parseUnits("2500", 18));
+
+    // Right after the swap the TWAP barely moved
+    const twapAfterSwap = await wethAdapter.getLatestValue();
+    expect(twapAfterSwap).to.be.gt(ethers.parseUnits("2950", 18));
+
+    // After a full window the TWAP has converged to the new spot price
+    await increaseTime(TWAP_WINDOW);
+    expect(await wethAdapter.getLatestValue()).to.equal(spotPrice);
+  });
+
+  it("Should revert when the window exceeds the pool history", async function () {
+    const UniswapV3TWAPAdapter = await ethers.getContractFactory("UniswapV3TWAPAdapter");
+    const longWindowAdapter = await UniswapV3TWAPAdapter.deploy(
+      await pool.getAddress(), await weth.getAddress(), 30 * 24 * 3600
+    );
+
+    await expect(longWindowAdapter.getLatestValue()).to.be.revertedWith("OLD");
+  });
+
+  it("Should report the TWAP through the standard adapter read", async function () {
+    const [price, timestamp, decimals, healthy, disputed] = await wethAdapter.latestPriceData();
+    expect(price).to.equal(await wethAdapter.getLatestValue());
+    expect(timestamp).to.equal((await ethers.provider.getBlock("latest")).timestamp);
+    expect(decimals).to.equal(18);
+    expect(healthy).to.be.true;
+    expect(disputed).to.be.false;
+
+    // A window longer than the pool history is unhealthy instead of reverting
+    const UniswapV3TWAPAdapter = await ethers.getContractFactory("UniswapV3TWAPAdapter");
+    const longWindowAdapter = await UniswapV3TWAPAdapter.deploy(
+      await pool.getAddress(), await weth.getAddress(), 30 * 24 * 3600
+    );
+    const [longPrice, , , longHealthy] = await longWindowAdapter.latestPriceData();
+    expect(longPrice).to.equal(0n);
+    expect(longHealthy).to.be.false;
+  });
+
+  it("Should reject tokens that are not in the pool", async function () {
+    const UniswapV3TWAPAdapter = await ethers.getContractFactory("UniswapV3TWAPAdapter");
+    await expect(
+      UniswapV3TWAPAdapter.deploy(await pool.getAddress(), owner.address, TWAP_WINDOW)
+    ).to.be.revertedWith("Base token not in pool");
+  });
+
+  it("Should plug into PriceAggregator as oracle type 4", async function () {
+    const OracleLib = await ethers.getContractFactory("OracleLib");
+    const oracleLib = await OracleLib.deploy();
+    const TWAPCalculator = await ethers.getContractFactory("TWAPCalculator");
+    const twapCalculator = await TWAPCalculator.deploy();
+
+    const { adapter: chainlinkEthUsd } = await deployChainlinkFeed("3010");
+
+    const sources = [
+      {
+        oracle: await chainlinkEthUsd.getAddress(),
+        oracleType: 0, // Chainlink
+        weight: ethers.parseUnits("1", 18),
+        heartbeatSeconds: 3600,
+        description: "Chainlink ETH/USD",
+        decimals: 8
+      },
+      {
+        oracle: await wethAdapter.getAddress(),
+        oracleType: 4, // Uniswap V3 pool TWAP
+        weight: ethers.parseUnits("1", 18),
+        heartbeatSeconds: 3600,
+        description: "Uniswap V3 TWAP ETH/USD",
+        decimals: 18
+      }
+    ];
+
+    const PriceAggregator = await ethers.getContractFactory("PriceAggregator");
+    const priceAggregator = await PriceAggregator.deploy(
+      sources,
+      await oracleLib.getAddress(),
+      await twapCalculator.getAddress()
+    );
+    await priceAggregator.addAssetPair("ETH-USD", "ETH", "USD", sources.map(source => source.oracle));
+
+    const [prices, sourceTypes] = await priceAggregator.getAllPrices("ETH-USD");
+    expect(sourceTypes[1]).to.equal(4);
+    expect(prices[1]).to.equal(await wethAdapter.getLatestValue());
+
+    const weightedPrice = await priceAggregator.getWeightedPrice("ETH-USD");
+    console.log("ETH-USD weighted price:", ethers.formatUnits(weightedPrice, 18));
+    expect(weightedPrice).to.be.closeTo(ethers.parseUnits("3005", 18), ethers.parseUnits("1", 18));
+  });
+});
@@ -0,0 +1,169 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+
+// Any id other than 0 (Chainlink) and 1 (Uniswap) is read through IOracleAdapter
+const CUSTOM_ORACLE_TYPE = 9;
+
+async function increaseTime(seconds) {
+  await ethers.provider.send("evm_increaseTime", [seconds]);
+  await ethers.provider.send("evm_mine", []);
+}
+
+async function latestTimestamp() {
+  return BigInt((await ethers.provider.getBlock("latest")).timestamp);
+}
+
+/**
+ * Runs the IOracleAdapter conformance checks against an adapter. `spec` describes how to drive it:
+ *
+ *   decimals   decimals the adapter reports prices with
+ *   deploy     async () => fixture, deploys the adapter and its feed; fixture.adapter is the adapter
+ *   setPrice   async (fixture, price) => reports `price` (with `decimals` decimals) to the feed
+ *   makeStale  optional async (fixture) => leaves the latest price too old for the adapter
+ *   dispute    optional async (fixture) => disputes the latest price
+ *
+ * Checks that need a hook the spec leaves out are not run.
+ */
+function describeOracleAdapter(name, spec) {
+  describe(`${name} conformance`, function () {
+    this.timeout(60000);
+
+    const PRICE = ethers.parseUnits("3000", spec.decimals);
+    let fixture, adapter;
+
+    beforeEach(async function () {
+      fixture = await spec.deploy();
+      adapter = fixture.adapter;
+      await spec.setPrice(fixture, PRICE);
+    });
+
+    it("Should report the latest price with its timestamp and decimals", async function () {
+      const [price, timestamp, decimals, healthy, disputed] = await adapter.latestPriceData();
+
+      expect(price).to.equal(PRICE);
+      expect(timestamp).to.equal(await latestTimestamp());
+      expect(decimals).to.equal(spec.decimals);
+      expect(healthy).to.be.true;
+      expect(disputed).to.be.false;
+    });
+
+    it("Should follow price updates", async function () {
+      const updated = ethers.parseUnits("3150", spec.decimals);
+      await spec.setPrice(fixture, updated);
+
+      const [price, timestamp, , healthy] = await adapter.latestPriceData();
+      expect(price).to.equal(updated);
+      expect(timestamp).to.equal(await latestTimestamp());
+      expect(healthy).to.be.true;
+    });
+
+    it("Should flag a non-positive price as unhealthy without reverting", async function () {
+      await spec.setPrice(fixture, 0n);
+
+      const [price, , , healthy] = await adapter.latestPriceData();
+      expect(price).to.equal(0n);
+      expect(healthy).to.be.false;
+    });
+
+    if (spec.makeStale) {
+      it("Should flag a stale price as unhealthy without reverting", async function () {
+        await spec.makeStale(fixture);
+
+        const [price, timestamp, , healthy, disputed] = await adapter.latestPriceData();
+        expect(price).to.equal(PRICE);
+        expect(timestamp).to.be.lt(await latestTimestamp());
+        expect(healthy).to.be.false;
+        expect(disputed).to.be.false;
+      });
+    }
+
+    if (spec.dispute) {
+      it("Should report a disputed price as disputed and unhealthy", async function () {
+        await spec.dispute(fixture);
+
+        const [price, , , healthy, disputed] = await adapter.latestPriceData();
+        expect(price).to.equal(PRICE);
+        expect(healthy).to.be.false;
+        expect(disputed).to.be.true;
+      });
+    }
+
+    describe("as a PriceAggregator source", function () {
+      let priceAggregator, source;
+
+      beforeEach(async function () {
+        const OracleLib = await ethers.getContractFactory("OracleLib");
+        const oracleLib = await OracleLib.deploy();
+        const TWAPCalculator = await ethers.getContractFactory("TWAPCalculator");
+        const twapCalculator = await TWAPCalculator.deploy();
+
+        // The configured decimals are deliberately wrong: adapters report their own
+        source = {
+          oracle: await adapter.getAddress(),
+          oracleType: CUSTOM_ORACLE_TYPE,
+          weight: ethers.parseUnits("1", 18),
+          heartbeatSeconds: 3600,
+          description: `${name} ETH/USD`,
+          decimals: 0
+        };
+
+        const PriceAggregator = await ethers.getContractFactory("PriceAggregator");
+        priceAggregator = await PriceAggregator.deploy(
+          [source],
+          await oracleLib.getAddress(),
+          await twapCalculator.getAddress()
+        );
+        await priceAggregator.addAssetPair("ETH-USD", "ETH", "USD", [source.oracle]);
+      });
+
+      it("Should be aggregated under an oracle type the aggregator has no code for", async function () {
+        expect(await priceAggregator.getMedianPrice("ETH-USD")).to.equal(ethers.parseUnits("3000", 18));
+        expect(await priceAggregator.getWeightedPrice("ETH-USD")).to.equal(ethers.parseUnits("3000", 18));
+        expect(await priceAggregator.fetchPairPriceFromSource("ETH-USD", source)).to.equal(PRICE);
+
+        const [prices, sourceTypes] = await priceAggregator.getAllPrices("ETH-USD");
+        expect(prices).to.deep.equal([ethers.parseUnits("3000", 18)]);
+        expect(sourceTypes).to.deep.equal([BigInt(CUSTOM_ORACLE_TYPE)]);
+      });
+
+      it("Should be left out of aggregation while unhealthy", async function () {
+        await spec.setPrice(fixture, 0n);
+
+        await expect(priceAggregator.getMedianPrice("ETH-USD")).to.be.revertedWith("Insufficient valid prices");
+        await expect(priceAggregator.fetchPairPriceFromSource("ETH-USD", source))
+          .to.be.revertedWith("Source price unavailable");
+      });
+
+      it("Should be left out of aggregation and flagged stale past the staleness threshold", async function () {
+        await priceAggregator.setStalenessThreshold(60);
+        let [, , , , , staleStatus] = await priceAggregator.getAllPricesWithStatus("ETH-USD");
+        expect(staleStatus).to.deep.equal([false]);
+
+        // Within the adapter's own heartbeat, so only the aggregator's threshold applies
+        await increaseTime(61);
+        [, , , , , staleStatus] = await priceAggregator.getAllPricesWithStatus("ETH-USD");
+        expect(staleStatus).to.deep.equal([true]);
+        await expect(priceAggregator.getMedianPrice("ETH-USD")).to.be.revertedWith("Insufficient valid prices");
+        await expect(priceAggregator.fetchPairPriceFromSource("ETH-USD", source))
+          .to.be.revertedWith("Source price is stale");
+      });
+
+      if (spec.dispute) {
+        it("Should be reported by checkTellorDisputes while disputed", async function () {
+          await spec.dispute(fixture);
+
+          const [hasDisputedData, disputedSources] = await priceAggregator.checkTellorDisputes("ETH-USD");
+          expect(hasDisputedData).to.be.true;
+          expect(disputedSources).to.deep.equal([source.oracle]);
+
+          const [, , , , disputeStatus] = await priceAggregator.getAllPricesWithStatus("ETH-USD");
+          expect(disputeStatus).to.deep.equal([true]);
+        });
+      }
+    });
+  });
+}
+
+module.exports = {
+  describeOracleAdapter
+};
@@ -0,0 +1,105 @@
+const { ethers } = require("hardhat");
+
+const HEARTBEAT = 3600;
+
+// Chainlink feeds answer with 8 decimals, the aggregator reports prices with 18
+const price = (value) => ethers.parseUnits(value, 8);
+const usd = (value) => ethers.parseUnits(value, 18);
+
+async function increaseTime(seconds) {
+  await ethers.provider.send("evm_increaseTime", [seconds]);
+  await ethers.provider.send("evm_mine", []);
+}
+
+/**
+ * Builds the source config the PriceAggregator constructor takes
+ * @param {string} oracle The oracle address
+ * @param {number} oracleType The oracle type id
+ * @param {string} description The source description
+ * @param {number} decimals The decimals the oracle answers with
+ * @param {string} weight The source weight, in whole units
+ */
+function sourceConfig(oracle, oracleType, description, decimals = 18, weight = "1") {
+  return {
+    oracle,
+    oracleType,
+    weight: ethers.parseUnits(weight, 18),
+    heartbeatSeconds: HEARTBEAT,
+    description,
+    decimals
+  };
+}
+
+/**
+ * Deploys OracleLib, TWAPCalculator and a PriceAggregator over `sources`, with an ETH-USD pair
+ * aggregating every one of them
+ * @param {Array<Object>} sources The source configs, see sourceConfig
+ */
+async function deployAggregator(sources) {
+  const OracleLib = await ethers.getContractFactory("OracleLib");
+  const oracleLib = await OracleLib.deploy();
+  const TWAPCalculator = await ethers.getContractFactory("TWAPCalculator");
+  const twapCalculator = await TWAPCalculator.deploy();
+
+  const PriceAggregator = await ethers.getContractFactory("PriceAggregator");
+  const priceAggregator = await PriceAggregator.deploy(
+    sources,
+    await oracleLib.getAddress(),
+    await twapCalculator.getAddress()
+  );
+  await priceAggregator.addAssetPair("ETH-USD", "ETH", "USD", sources.map((s) => s.oracle));
+
+  return { oracleLib, twapCalculator, priceAggregator };
+}
+
+/**
+ * Deploys a Chainlink mock feed and the ChainlinkAdapter the aggregator reads it through
+ * @param {string} answer The initial answer, in whole units
+ * @param {string} asset The asset the feed prices in USD
+ */
+async function deployChainlinkFeed(answer, asset = "ETH") {
+  const ChainlinkMock = await ethers.getContractFactory("ChainlinkMock");
+  const feed = await ChainlinkMock.deploy(price(answer), `${asset} / USD`, 8);
+  const ChainlinkAdapter = await ethers.getContractFactory("ChainlinkAdapter");
+  const adapter = await ChainlinkAdapter.deploy(await feed.getAddress(), asset, "USD", HEARTBEAT);
+  return { feed, adapter };
+}
+
+/**
+ * Deploys one Chainlink ETH/USD feed per weight, all answering 3000, and an aggregator over their adapters
+ * @param {Array<string>} weights The weight of each feed, in whole units
+ */
+async function deployChainlinkAggregator(weights) {
+  const feeds = [];
+  const sources = [];
+  for (const [i, weight] of weights.entries()) {
+    const { feed, adapter } = await deployChainlinkFeed("3000");
+    feeds.push(feed);
+    sources.push(sourceConfig(await adapter.getAddress(), 0, `Chainlink ETH/USD #${i + 1}`, 8, weight));
+  }
+
+  return { feeds, sources, ...(await deployAggregator(sources)) };
+}
+
+/**
+ * Sets each Chainlink feed to the answer at the same index
+ * @param {Array<Contract>} feeds The feeds
+ * @param {...string} answers The answers, in whole units
+ */
+async function setPrices(feeds, ...answers) {
+  for (let i = 0; i < answers.length; i++) {
+    await feeds[i].setAnswer(price(answers[i]));
+  }
+}
+
+module.exports = {
+  HEARTBEAT,
+  price,
+  usd,
+  increaseTime,
+  sourceConfig,
+  deployAggregator,
+  deployChainlinkFeed,
+  deployChainlinkAggregator,
+  setPrices
+};
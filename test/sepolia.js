@@ -0,0 +1,28 @@
+const { ethers } = require("hardhat");
+
+const SEPOLIA_CHAIN_ID = 11155111n;
+const TAG = "@sepolia";
+
+/**
+ * Declares a suite that reads live Sepolia contracts. Its title carries the @sepolia tag, so
+ * `--grep @sepolia` runs only these suites, and it skips itself on any other network, so offline
+ * runs pass without a Sepolia RPC.
+ * @param {string} title The suite title, the tag is appended
+ * @param {Function} fn The suite body
+ */
+function describeSepolia(title, fn) {
+  return describe(`${title} ${TAG}`, function () {
+    this.timeout(300000);
+
+    before(async function () {
+      const { chainId } = await ethers.provider.getNetwork();
+      if (chainId !== SEPOLIA_CHAIN_ID) {
+        this.skip();
+      }
+    });
+
+    fn.call(this);
+  });
+}
+
+module.exports = { describeSepolia, SEPOLIA_CHAIN_ID, TAG };